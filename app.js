@@ -9,6 +9,7 @@ const __config = require('./config')
 const __constants = require('./config/constants')
 const helmet = require('helmet')
 const authMiddleware = require('./middlewares/auth/authentication')
+const jobQueue = require('./lib/queue')
 const numCPUs = __config.clusterNumber || 0
 const fs = require('fs')
 
@@ -22,12 +23,21 @@ class httpApiWorker {
     const vm = this
     await __db.init().then((result) => {
       vm.runExpressServer()
+      if (__config.jobQueue.runInline) vm.runJobWorker()
     }).catch((error) => {
       console.log('Error while server start :: ', error)
       process.exit(1)
     })
   }
 
+  // Runs queued jobs inside this process (needed for the memory queue driver).
+  // In production the dedicated worker (npm run worker) does this instead.
+  runJobWorker () {
+    console.debug('info inside ~function=runJobWorker.')
+    require('./services/animation/animationJobService').registerHandlers()
+    jobQueue.start()
+  }
+
   runExpressServer () {
     console.debug('info inside ~function=runExpressServer.')
     const vm = this
@@ -116,6 +126,7 @@ class httpApiWorker {
     const stopGraceFully = () => {
       vm.app.server.close(async (error) => {
         console.log('inside ~function=runExpressServerserver is closed', error)
+        if (__config.jobQueue.runInline) await jobQueue.stop()
         await __db.close()
         console.debug('server is closed')
         process.exit(error ? 1 : 0)
@@ -47,6 +47,13 @@ const EXPIRY_OF_CACHE = 300
 const USER_ACTIVITY_LOGS = 'useractivitylogs'
 const V1 = 'v1'
 const ARRAY_OF_MEDIUM = ['body', 'params', 'query']
+const JOB_QUEUE = {
+  NAME: APP_NAME + '_jobs',
+  TYPES: {
+    GENERATE_ANIMATION: 'generateAnimation',
+    REGENERATE_SCENE: 'regenerateScene'
+  }
+}
 
 module.exports.RESPONSE_MESSAGES = require('../responses/api-responses')
 module.exports.CUSTOM_CONSTANT = CUSTOM_CONSTANT
@@ -63,3 +70,4 @@ module.exports.EXPIRY_OF_CACHE = EXPIRY_OF_CACHE
 module.exports.USER_ACTIVITY_LOGS = USER_ACTIVITY_LOGS
 module.exports.V1 = V1
 module.exports.ARRAY_OF_MEDIUM = ARRAY_OF_MEDIUM
+module.exports.JOB_QUEUE = JOB_QUEUE
@@ -1,13 +1,17 @@
 const __constants = require('./constants')
 const appName = __constants.APP_NAME
 const dbName = __constants.DB_NAME
+const baseUrl = process.env.BASE_URL ? process.env.BASE_URL : 'http://localhost:' + process.env.PORT
+const addBaseUrlPrefix = process.env.ADD_BASEURL_PREFIX === 'true'
+// Routes are mounted under /<api_prefix> when ADD_BASEURL_PREFIX is set (see app.js)
+const apiBaseUrl = baseUrl + (addBaseUrlPrefix === true ? '/' + appName : '')
 module.exports = {
   env: process.env.NODE_ENV,
   app_name: appName,
   db_name: dbName,
   api_prefix: appName,
   port: process.env.PORT,
-  base_url: process.env.BASE_URL ? process.env.BASE_URL : 'http://localhost:' + process.env.PORT,
+  base_url: baseUrl,
   mongo: {
     init: process.env.MONGO_INIT === 'true',
     mongourl: process.env.MONGO_URL
@@ -21,11 +25,227 @@ module.exports = {
     uri: 'redis://' + process.env.REDIS_HOST + ':' + process.env.REDIS_PORT + '/' + process.env.REDIS_DB,
     redisExp: process.env.REDIS_EXP
   },
+  jobQueue: {
+    driver: process.env.JOB_QUEUE_DRIVER || 'redis',
+    runInline: process.env.JOB_QUEUE_RUN_INLINE === 'true',
+    concurrency: +process.env.JOB_QUEUE_CONCURRENCY || 1,
+    maxAttempts: +process.env.JOB_QUEUE_MAX_ATTEMPTS || 3,
+    pollInterval: +process.env.JOB_QUEUE_POLL_INTERVAL || 2000,
+    heartbeatInterval: +process.env.JOB_QUEUE_HEARTBEAT_INTERVAL || 30000,
+    staleAfter: +process.env.JOB_QUEUE_STALE_AFTER || 10 * 60 * 1000,
+    // how long stop() waits for running jobs before re-queueing them
+    shutdownTimeout: +process.env.JOB_QUEUE_SHUTDOWN_TIMEOUT || 30 * 1000
+  },
+  // Scene-level parallelism of the animation pipeline and per-provider limits
+  animationConcurrency: {
+    scenes: +process.env.ANIMATION_SCENE_CONCURRENCY || 3,
+    providers: {
+      openaiImages: {
+        maxConcurrent: +process.env.OPENAI_IMAGE_MAX_CONCURRENT || 3,
+        minInterval: +process.env.OPENAI_IMAGE_MIN_INTERVAL || 1000
+      }
+    }
+  },
+  // Text-to-speech providers of the narration, tried in `order` (overridable per
+  // request) with the offline local engine (espeak-ng or piper) appended as the last resort
+  tts: {
+    order: (process.env.TTS_PROVIDER_ORDER || 'elevenlabs,openai').split(',').map(name => name.trim()).filter(Boolean),
+    localFallback: process.env.TTS_LOCAL_FALLBACK !== 'false',
+    // Narrator used when a request names none: per brand as TTS_BRAND_NARRATORS
+    // ('sports:liam,business:sarah'), otherwise the mood's voice and then the default
+    narrators: {
+      defaultVoice: process.env.TTS_DEFAULT_NARRATOR || 'daniel',
+      brands: (process.env.TTS_BRAND_NARRATORS || '').split(',').reduce((brands, entry) => {
+        const [brand, voice] = entry.split(':').map(part => part.trim())
+        if (brand && voice) brands[brand] = voice
+        return brands
+      }, {})
+    },
+    openai: {
+      model: process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts'
+    },
+    local: {
+      engine: process.env.TTS_LOCAL_ENGINE === 'piper' ? 'piper' : 'espeak',
+      espeakBinary: process.env.ESPEAK_BINARY || 'espeak-ng',
+      piperBinary: process.env.PIPER_BINARY || 'piper',
+      piperModelDir: process.env.PIPER_MODEL_DIR
+    },
+    settings: {
+      elevenlabs: {
+        maxConcurrent: +process.env.ELEVENLABS_MAX_CONCURRENT || 2,
+        minInterval: +process.env.ELEVENLABS_MIN_INTERVAL || 500
+      },
+      openai: {
+        maxConcurrent: +process.env.OPENAI_TTS_MAX_CONCURRENT || 3,
+        minInterval: +process.env.OPENAI_TTS_MIN_INTERVAL || 200
+      },
+      local: {
+        maxConcurrent: +process.env.TTS_LOCAL_MAX_CONCURRENT || 1,
+        minInterval: 0
+      }
+    }
+  },
+  // Background music under the narration: royalty-free tracks from the library
+  // (<libraryDir>/<mood>/*.mp3) or, with MUSIC_GENERATOR_URL, generated per mood
+  music: {
+    enabled: process.env.MUSIC_ENABLED !== 'false',
+    libraryDir: process.env.MUSIC_LIBRARY_DIR,
+    targetLoudness: +process.env.MUSIC_TARGET_LUFS || -30,
+    crossfade: +process.env.MUSIC_CROSSFADE || 2,
+    ducking: {
+      threshold: +process.env.MUSIC_DUCKING_THRESHOLD || 0.03,
+      ratio: +process.env.MUSIC_DUCKING_RATIO || 8,
+      attack: +process.env.MUSIC_DUCKING_ATTACK || 20,
+      release: +process.env.MUSIC_DUCKING_RELEASE || 400
+    },
+    generator: {
+      url: process.env.MUSIC_GENERATOR_URL,
+      apiKey: process.env.AIVA_API_KEY,
+      timeout: +process.env.MUSIC_GENERATOR_TIMEOUT || 2 * 60 * 1000
+    }
+  },
+  // Voice tracks are normalized to targetLoudness (EBU R128), and every scene clip
+  // runs as long as its video or its narration, whichever is longer: video is
+  // slowed by at most maxSlowdown and then extended ('freeze' or 'loop'), short
+  // narration is padded with room tone (roomToneLevel in dBFS)
+  audioMastering: {
+    normalize: process.env.NARRATION_NORMALIZE !== 'false',
+    targetLoudness: +process.env.NARRATION_TARGET_LUFS || -16,
+    truePeak: +process.env.NARRATION_TRUE_PEAK || -1.5,
+    loudnessRange: +process.env.NARRATION_LOUDNESS_RANGE || 11,
+    maxSlowdown: Math.max(1, +process.env.VIDEO_MAX_SLOWDOWN || 1.25),
+    extendVideo: process.env.VIDEO_EXTEND_MODE === 'loop' ? 'loop' : 'freeze',
+    roomTone: process.env.ROOM_TONE_ENABLED !== 'false',
+    roomToneLevel: +process.env.ROOM_TONE_LEVEL || -60
+  },
+  // Brand profiles (BrandProfile) put a logo watermark, intro / outro bumpers and
+  // lower thirds on the assembled video; defaultProfile brands requests naming none
+  branding: {
+    defaultProfile: process.env.BRANDING_DEFAULT_PROFILE,
+    lowerThirdDuration: +process.env.BRANDING_LOWER_THIRD_DURATION || 4,
+    downloadTimeout: +process.env.BRANDING_DOWNLOAD_TIMEOUT || 60 * 1000,
+    // Logos and bumpers are only fetched over https from these hosts (e.g. the
+    // brands' CDNs), and never larger than maxDownloadSize bytes
+    allowedHosts: (process.env.BRANDING_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    maxDownloadSize: +process.env.BRANDING_MAX_DOWNLOAD_SIZE || 100 * 1024 * 1024
+  },
+  // On-screen callouts (headlines, figures, quotes, dates) the story phase takes
+  // from the article and the assembly draws over the scenes
+  callouts: {
+    enabled: process.env.CALLOUTS_ENABLED !== 'false',
+    template: process.env.CALLOUT_TEMPLATE || 'news-card',
+    maxDuration: +process.env.CALLOUT_MAX_DURATION || 5
+  },
+  // Poster frame and scene thumbnails of every animation. THUMBNAIL_SIZES lists
+  // 'name:width' pairs; the heights follow the master's aspect ratio.
+  thumbnails: {
+    source: process.env.THUMBNAIL_SOURCE || 'frame',
+    sizes: (process.env.THUMBNAIL_SIZES || 'large:1280,medium:640,small:320').split(',').reduce((sizes, entry) => {
+      const [name, width] = entry.split(':').map(part => part.trim())
+      if (name && +width > 0) sizes.push({ name, width: +width })
+      return sizes
+    }, []),
+    sceneSize: process.env.THUMBNAIL_SCENE_SIZE || 'medium',
+    candidatesPerScene: +process.env.THUMBNAIL_CANDIDATES_PER_SCENE || 8
+  },
+  // Image-to-video providers, tried in `order` (overridable per request) with the
+  // local Ken Burns renderer appended as the last resort
+  videoProviders: {
+    order: (process.env.VIDEO_PROVIDER_ORDER || 'fal-kling,kling-direct').split(',').map(name => name.trim()).filter(Boolean),
+    localFallback: process.env.VIDEO_PROVIDER_LOCAL_FALLBACK !== 'false',
+    pollTimeout: +process.env.VIDEO_PROVIDER_POLL_TIMEOUT || 10 * 60 * 1000,
+    health: {
+      window: +process.env.VIDEO_PROVIDER_HEALTH_WINDOW || 20,
+      minSamples: +process.env.VIDEO_PROVIDER_HEALTH_MIN_SAMPLES || 3,
+      unhealthyBelow: +process.env.VIDEO_PROVIDER_UNHEALTHY_BELOW || 0.5,
+      ttl: +process.env.VIDEO_PROVIDER_HEALTH_TTL || 30 * 60 * 1000
+    },
+    settings: {
+      'fal-kling': {
+        maxConcurrent: +process.env.FAL_KLING_MAX_CONCURRENT || 3,
+        minInterval: +process.env.FAL_KLING_MIN_INTERVAL || 2000,
+        costPerSecond: +process.env.FAL_KLING_COST_PER_SECOND || 0.056
+      },
+      'kling-direct': {
+        maxConcurrent: +process.env.KLING_MAX_CONCURRENT || 3,
+        minInterval: +process.env.KLING_MIN_INTERVAL || 2000,
+        costPerSecond: +process.env.KLING_COST_PER_SECOND || 0.049
+      },
+      'ken-burns': {
+        maxConcurrent: +process.env.KEN_BURNS_MAX_CONCURRENT || 1,
+        minInterval: 0,
+        costPerSecond: 0
+      }
+    }
+  },
+  // Adaptive streaming packages built from the final video. Ladder rungs are the
+  // short side of the frame, so portrait and square masters get the same ladder.
+  streaming: {
+    hls: process.env.STREAMING_HLS_ENABLED !== 'false',
+    dash: process.env.STREAMING_DASH_ENABLED === 'true',
+    ladder: (process.env.STREAMING_LADDER || '1080,720,480').split(',').map(Number).filter(Boolean),
+    segmentDuration: +process.env.STREAMING_SEGMENT_DURATION || 4
+  },
+  // Narration captions are timed from OpenAI word timestamps of the narration
+  // audio; without them (or when disabled) timings are estimated from the text
+  subtitles: {
+    transcribe: process.env.SUBTITLE_TRANSCRIBE !== 'false',
+    transcriptionModel: process.env.SUBTITLE_TRANSCRIPTION_MODEL || 'whisper-1'
+  },
+  animationProgress: {
+    pollInterval: +process.env.ANIMATION_PROGRESS_POLL_INTERVAL || 2000,
+    heartbeatInterval: +process.env.ANIMATION_PROGRESS_HEARTBEAT_INTERVAL || 15000
+  },
+  // Where videos and scene assets are stored: gcs, s3 (also MinIO), azure or local.
+  // Defaults to gcs when a bucket is configured (the previous behaviour), otherwise local.
+  storage: {
+    driver: process.env.STORAGE_DRIVER || (process.env.GOOGLE_CLOUD_STORAGE_BUCKET ? 'gcs' : 'local'),
+    signedUrlExpiry: +process.env.STORAGE_SIGNED_URL_EXPIRY || 60 * 60,
+    // Uploads are private unless published; playback URLs are signed and short-lived
+    publicByDefault: process.env.STORAGE_PUBLIC_BY_DEFAULT === 'true',
+    playbackUrlExpiry: +process.env.STORAGE_PLAYBACK_URL_EXPIRY || 15 * 60,
+    // Cache-Control of stored objects, by visibility: public ones may sit in
+    // shared caches for long, private (unpublished, embargoed) ones never
+    cacheControl: process.env.STORAGE_CACHE_CONTROL || 'public, max-age=31536000',
+    privateCacheControl: process.env.STORAGE_PRIVATE_CACHE_CONTROL || 'private, no-store',
+    gcs: {
+      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+      keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
+      bucket: process.env.GOOGLE_CLOUD_STORAGE_BUCKET
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicBaseUrl: process.env.S3_PUBLIC_BASE_URL
+    },
+    azure: {
+      connectionString: process.env.AZURE_STORAGE_CONNECTION_STRING,
+      accountName: process.env.AZURE_STORAGE_ACCOUNT,
+      accountKey: process.env.AZURE_STORAGE_KEY,
+      container: process.env.AZURE_STORAGE_CONTAINER,
+      publicBaseUrl: process.env.AZURE_STORAGE_PUBLIC_BASE_URL,
+      publicRead: process.env.AZURE_STORAGE_PUBLIC_READ === 'true'
+    },
+    local: {
+      root: process.env.STORAGE_LOCAL_ROOT || 'storage',
+      baseUrl: process.env.STORAGE_LOCAL_BASE_URL || apiBaseUrl + '/api/storage/files',
+      publicRead: process.env.STORAGE_LOCAL_PUBLIC_READ === 'true',
+      signingSecret: process.env.STORAGE_LOCAL_SIGNING_SECRET
+    }
+  },
   authentication: {
     jwtSecretKey: process.env.AUTHENTICATION_JWT_SECRET_KEY,
     internal: {
       allow: process.env.AUTHENTICATION_INTERNAL_ALLOW === 'true'
-    }
+    },
+    // Lets callers without a valid token play private videos and publish or
+    // unpublish them. Off by default, so private videos stay private even
+    // when JWT authentication is disabled.
+    allowAnonymous: process.env.AUTHENTICATION_ALLOW_ANONYMOUS === 'true'
   },
   apm: {
     enableApm: process.env.APM_ENABLE,
@@ -48,7 +268,7 @@ module.exports = {
     secretId: process.env.VAULT_SECRET_ID,
     vaultPath: process.env.VAULT_PATH
   },
-  addBaseUrlPrefix: process.env.ADD_BASEURL_PREFIX === 'true',
+  addBaseUrlPrefix: addBaseUrlPrefix,
   debugMode: process.env.DEBUG_MODE === 'true',
   userBasedCache: process.env.USER_BASED_CACHE === 'true'
 }
@@ -2,11 +2,215 @@
 const express = require('express')
 const router = express.Router()
 const __constants = require('../../config/constants')
+const __config = require('../../config')
 const validationOfAPI = require('../../middlewares/validation')
+const authentication = require('../../middlewares/auth/authentication')
 const animationService = require('../../services/animation/animationService')
 // const animationService = require('../../services/animation/animationService2')
+const animationJobService = require('../../services/animation/animationJobService')
+const storyboardService = require('../../services/animation/storyboardService')
+const playbackService = require('../../services/animation/playbackService')
+const videoProviders = require('../../services/animation/videoProviders')
+const ttsProviders = require('../../services/animation/ttsProviders')
+const { OUTPUT_FORMATS, RENDITION_FITS } = require('../../services/animation/outputFormats')
+const { SUBTITLE_POSITIONS, CUE_TIMINGS } = require('../../services/animation/subtitleStyles')
+const { LANGUAGES, LANGUAGE_OUTPUTS } = require('../../services/animation/languages')
+const { VOICES, CHARACTER_GENDERS, CHARACTER_AGE_GROUPS } = require('../../services/animation/ttsProviders/voices')
+const { MUSIC_SOURCES, MUSIC_VOLUME_RANGE } = require('../../services/animation/musicOptions')
+const musicLibrary = require('../../services/animation/musicLibrary')
+const { TRANSITION_STYLES, TRANSITION_DURATION_RANGE } = require('../../services/animation/transitionOptions')
+const { PROFILE_NAME_PATTERN, LOGO_POSITIONS, COLOR_PATTERN, FONT_NAME_PATTERN, isAllowedMediaUrl } = require('../../services/animation/brandingOptions')
+const { CALLOUT_TYPES, CALLOUT_TEMPLATES, MAX_CALLOUTS_PER_SCENE } = require('../../services/animation/calloutOptions')
+const { THUMBNAIL_SOURCES } = require('../../services/animation/thumbnailOptions')
 const Animation = require('../../mongooseSchema/Animation')
-const axios = require('axios')
+const BrandProfile = require('../../mongooseSchema/BrandProfile')
+
+const GENERATION_MODES = ['full', 'draft']
+
+// Caption options of both generate endpoints; every field is optional (defaults in subtitleStyles)
+const subtitlesValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    burnIn: {
+      type: 'boolean',
+      required: false
+    },
+    timing: {
+      type: 'string',
+      required: false,
+      enum: CUE_TIMINGS
+    },
+    style: {
+      type: 'object',
+      required: false,
+      properties: {
+        // passed to ffmpeg's force_style, so no separators or quotes
+        fontName: {
+          type: 'string',
+          required: false,
+          pattern: '^[A-Za-z0-9 _-]{1,64}$'
+        },
+        fontSize: {
+          type: 'number',
+          required: false,
+          minimum: 4,
+          maximum: 72
+        },
+        primaryColor: {
+          type: 'string',
+          required: false,
+          pattern: '^#[0-9a-fA-F]{6}$'
+        },
+        outlineColor: {
+          type: 'string',
+          required: false,
+          pattern: '^#[0-9a-fA-F]{6}$'
+        },
+        position: {
+          type: 'string',
+          required: false,
+          enum: SUBTITLE_POSITIONS
+        },
+        background: {
+          type: 'boolean',
+          required: false
+        },
+        backgroundColor: {
+          type: 'string',
+          required: false,
+          pattern: '^#[0-9a-fA-F]{6}$'
+        },
+        backgroundOpacity: {
+          type: 'number',
+          required: false,
+          minimum: 0,
+          maximum: 1
+        },
+        maxLineLength: {
+          type: 'number',
+          required: false,
+          minimum: 10,
+          maximum: 80
+        },
+        maxLines: {
+          type: 'number',
+          required: false,
+          minimum: 1,
+          maximum: 3
+        }
+      }
+    }
+  }
+}
+
+// Background music options of both generate endpoints; every field is optional (defaults in musicOptions)
+const musicValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    enabled: {
+      type: 'boolean',
+      required: false
+    },
+    source: {
+      type: 'string',
+      required: false,
+      enum: MUSIC_SOURCES
+    },
+    track: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    },
+    volume: {
+      type: 'number',
+      required: false,
+      minimum: MUSIC_VOLUME_RANGE.min,
+      maximum: MUSIC_VOLUME_RANGE.max
+    }
+  }
+}
+
+// Scene transition options of both generate endpoints; every field is optional (defaults from each scene's mood)
+const transitionsValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    style: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(TRANSITION_STYLES)
+    },
+    duration: {
+      type: 'number',
+      required: false,
+      minimum: TRANSITION_DURATION_RANGE.min,
+      maximum: TRANSITION_DURATION_RANGE.max
+    }
+  }
+}
+
+// Branding options of both generate endpoints; every field is optional (profile
+// defaults to the brand, then BRANDING_DEFAULT_PROFILE; every layer is on)
+const brandingValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    profile: {
+      type: 'string',
+      required: false,
+      pattern: PROFILE_NAME_PATTERN
+    },
+    watermark: {
+      type: 'boolean',
+      required: false
+    },
+    bumpers: {
+      type: 'boolean',
+      required: false
+    },
+    lowerThirds: {
+      type: 'boolean',
+      required: false
+    }
+  }
+}
+
+// On-screen callout options of both generate endpoints; every field is optional (defaults from CALLOUTS_ENABLED and CALLOUT_TEMPLATE)
+const calloutsValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    enabled: {
+      type: 'boolean',
+      required: false
+    },
+    template: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(CALLOUT_TEMPLATES)
+    }
+  }
+}
+
+// Poster options of both generate endpoints; source defaults to THUMBNAIL_SOURCE
+const thumbnailsValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    source: {
+      type: 'string',
+      required: false,
+      enum: THUMBNAIL_SOURCES
+    }
+  }
+}
+
+const GENERATION_MESSAGES = {
+  awaiting_review: 'Storyboard generated, waiting for editorial approval',
+  draft_ready: 'Draft animatic generated successfully'
+}
 
 /**
  * @namespace -ANIMATION-MODULE-
@@ -17,9 +221,54 @@ const axios = require('axios')
  * @memberof -ANIMATION-module-
  * @name generateAnimation
  * @path {POST} /api/animation/generateAnimation
- * @description Generate a complete Disney/Pixar style animation from news article
+ * @description Generate a complete Disney/Pixar style animation from news article. A completed animation of the same
+ * article and scene count made with the same generation options is returned instead (fromCache), except for drafts
+ * and storyboard reviews.
  * @body {string} article - The news article content to convert to animation
  * @body {number} sceneCount - Number of scenes to generate (1-20)
+ * @body {string[]} videoProviders - Optional image-to-video provider order (fal-kling, kling-direct, ken-burns).
+ * Defaults to VIDEO_PROVIDER_ORDER; the local ken-burns renderer is always tried last.
+ * @body {string[]} ttsProviders - Optional narration voice provider order (elevenlabs, openai, local). Defaults to
+ * TTS_PROVIDER_ORDER; the offline local engine is tried last when installed. Scenes that cannot be voiced are kept silent.
+ * @body {string} narratorVoice - Optional narrator voice (daniel, brian, liam, bill, sarah, lily, sunny, jessica, alice).
+ * Defaults to the brand's narrator, then the voice of the story's overall mood, then TTS_DEFAULT_NARRATOR. Characters with
+ * dialogue lines are cast with other voices matching their gender and age.
+ * @body {string} brand - Optional brand or desk the animation is produced for; picks its narrator from TTS_BRAND_NARRATORS
+ * and, unless branding.profile is set, the brand profile of the same name.
+ * @body {string} mode - Optional 'full' (default) or 'draft'. A draft skips paid video generation and renders an
+ * animatic from the still scene images with narration and subtitles; promote it with promoteDraft.
+ * @body {boolean} reviewStoryboard - Optional. When true the job pauses at status 'awaiting_review' after the story
+ * is written, until the storyboard is approved with approveStoryboard.
+ * @body {string[]} outputFormats - Optional aspect ratios to render ('16:9', '9:16', '1:1'). The first is the master:
+ * scene images and clips are generated in it. The others are derived renditions. Defaults to ['16:9'].
+ * @body {string} renditionFit - Optional 'crop' (default, keeps the most detailed part of each scene) or 'pad'
+ * (whole frame over a blurred fill) for the derived renditions.
+ * @body {object} subtitles - Optional captions: burnIn (default true; false renders a clean video, the sidecar
+ * WebVTT / SRT is stored either way), timing ('sentence' or 'word') and style (fontName, fontSize, primaryColor,
+ * outlineColor, position 'bottom' | 'middle' | 'top', background box with backgroundColor / backgroundOpacity,
+ * maxLineLength, maxLines). Colours are '#RRGGBB'.
+ * @body {string[]} languages - Optional narration languages, e.g. ['en', 'hi', 'es']. The first is the primary language
+ * the story is narrated in; each other one gets a translated narration sized to fit its scenes, its own voice track and
+ * captions. Defaults to ['en'].
+ * @body {string} languageOutput - Optional 'tracks' (default: one MP4 with an audio and subtitle stream per language)
+ * or 'separate' (a localized MP4 per additional language).
+ * @body {object} music - Optional background music: enabled (default MUSIC_ENABLED), source ('library' or 'generated',
+ * which asks MUSIC_GENERATOR_URL first), track (a library track id from GET /music/tracks, played through the whole
+ * video instead of a track per mood) and volume (dB around MUSIC_TARGET_LUFS, -20 to 10). The music is ducked under the
+ * narration and crossfades where the mood changes.
+ * @body {object} transitions - Optional scene transitions: style ('crossfade', 'dip-to-white', 'dip-to-black', 'wipe',
+ * 'slide', 'zoom' or 'cut') and duration (0.2 to 2 seconds) for every cut between scenes. By default each scene's mood
+ * picks its transition. Voices never play under a transition; the audio of the scenes crossfades with the picture.
+ * @body {object} branding - Optional brand profile layers: profile (a profile name from GET /brandProfiles, defaults to
+ * the brand, then BRANDING_DEFAULT_PROFILE), watermark (the profile's logo), bumpers (its intro and outro clips) and
+ * lowerThirds (each character named with its role when it first appears); every layer defaults to true.
+ * @body {object} callouts - Optional on-screen callouts: enabled (default CALLOUTS_ENABLED) has the story phase take
+ * headlines, figures (e.g. "72% turnout"), quotes with their attribution and dates from the article, at most two per
+ * scene, which the assembly draws over the scenes as animated text; template ('news-card', 'minimal' or 'bold',
+ * default CALLOUT_TEMPLATE) picks how they look. Branded videos draw them in the brand's palette and fonts.
+ * @body {object} thumbnails - Optional poster options: source 'frame' (the sharpest frame with a face in it, picked from
+ * the scene videos) or 'title-card' (the first scene's image with the title on it, in the brand's palette and fonts).
+ * Defaults to THUMBNAIL_SOURCE. Every scene gets a thumbnail of its best frame either way.
  * @response {string} ContentType=application/json - Response content type.
  * @response {object} data - Animation generation result with video URL and details
  * @code {200} Success - Animation generated successfully
@@ -42,7 +291,80 @@ const generateAnimationValidationSchema = {
       required: true,
       minimum: 1,
       maximum: 20
-    }
+    },
+    videoProviders: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      items: {
+        type: 'string',
+        enum: videoProviders.names()
+      }
+    },
+    ttsProviders: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      items: {
+        type: 'string',
+        enum: ttsProviders.names()
+      }
+    },
+    narratorVoice: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(VOICES)
+    },
+    brand: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    },
+    mode: {
+      type: 'string',
+      required: false,
+      enum: GENERATION_MODES
+    },
+    reviewStoryboard: {
+      type: 'boolean',
+      required: false
+    },
+    outputFormats: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: Object.keys(OUTPUT_FORMATS)
+      }
+    },
+    renditionFit: {
+      type: 'string',
+      required: false,
+      enum: RENDITION_FITS
+    },
+    languages: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: Object.keys(LANGUAGES)
+      }
+    },
+    languageOutput: {
+      type: 'string',
+      required: false,
+      enum: LANGUAGE_OUTPUTS
+    },
+    subtitles: subtitlesValidationSchema,
+    music: musicValidationSchema,
+    transitions: transitionsValidationSchema,
+    branding: brandingValidationSchema,
+    callouts: calloutsValidationSchema,
+    thumbnails: thumbnailsValidationSchema
   }
 }
 
@@ -50,9 +372,28 @@ const generateAnimationValidation = (req, res, next) => {
   return validationOfAPI(req, res, next, generateAnimationValidationSchema, 'body')
 }
 
+// Request fields that are generation options: stored on the record
+// (generationOptions) and compared when looking for an animation to reuse
+const GENERATION_OPTIONS = ['mode', 'reviewStoryboard', 'outputFormats', 'renditionFit', 'subtitles', 'languages', 'languageOutput', 'narratorVoice', 'brand', 'music', 'transitions', 'branding', 'callouts', 'thumbnails', 'ttsProviders', 'videoProviders']
+
+// Keep only the generation options the client actually sent
+const buildGenerationOptions = (body) => {
+  const generationOptions = {}
+  GENERATION_OPTIONS.forEach(key => {
+    if (body[key] !== undefined) generationOptions[key] = body[key]
+  })
+  return generationOptions
+}
+
+// Generation options as JSON with sorted keys, so equal options compare equal
+const normalizeGenerationOptions = (generationOptions) => JSON.stringify(generationOptions || {}, (key, value) => value && typeof value === 'object' && !Array.isArray(value)
+  ? Object.keys(value).sort().reduce((sorted, name) => ({ ...sorted, [name]: value[name] }), {})
+  : value)
+
 const generateAnimation = async (req, res) => {
   try {
     const { article, sceneCount } = req.body
+    const generationOptions = buildGenerationOptions(req.body)
 
     // Validate article content
     if (!article || article.trim().length < 100) {
@@ -62,13 +403,17 @@ const generateAnimation = async (req, res) => {
       })
     }
 
-    // Check if similar animation already exists (optional optimization)
-    const existingAnimation = await Animation.findOne({
+    // Reuse a completed animation of the same article made with the same
+    // generation options (optional optimization); drafts and storyboard
+    // reviews always start a new one
+    const requestedOptions = normalizeGenerationOptions(generationOptions)
+    const existingAnimation = generationOptions.mode === 'draft' || generationOptions.reviewStoryboard ? null : (await Animation.find({
       article: article,
       sceneCount: sceneCount,
       status: 'completed',
       isActive: true
-    }).sort({ createdAt: -1 })
+    }).sort({ createdAt: -1 }).select('videoUrl title generationOptions').lean())
+      .find(candidate => normalizeGenerationOptions(candidate.generationOptions) === requestedOptions)
 
     if (existingAnimation) {
       return res.sendJson({
@@ -86,12 +431,12 @@ const generateAnimation = async (req, res) => {
     // Start animation generation process
     console.log(`Starting animation generation for article: ${article.substring(0, 100)}...`)
     
-    const result = await animationService.generateAnimation(article, sceneCount)
+    const result = await animationService.generateAnimation(article, sceneCount, generationOptions)
 
     res.sendJson({
       type: __constants.RESPONSE_MESSAGES.SUCCESS,
       data: {
-        message: 'Animation generated successfully',
+        message: GENERATION_MESSAGES[result.status] || 'Animation generated successfully',
         ...result
       }
     })
@@ -112,7 +457,7 @@ const generateAnimation = async (req, res) => {
  * @path {GET} /api/animation/getAnimationStatus/:animationId
  * @description Get the status and details of an animation by ID
  * @params {string} animationId - The animation ID to check status
- * @response {object} data - Animation status and details
+ * @response {object} data - Animation status and details, including the poster and scene thumbnail URLs
  * @code {200} Success - Animation status retrieved
  * @code {404} Not Found - Animation not found
  */
@@ -155,15 +500,65 @@ const getAnimationStatus = async (req, res) => {
         status: animation.status,
         sceneCount: animation.sceneCount,
         videoUrl: animation.videoUrl,
+        publicVideoUrl: animation.publicVideoUrl,
+        isPublic: Boolean(animation.storage && animation.storage.isPublic),
+        renditions: (animation.renditions || []).map(rendition => ({
+          aspectRatio: rendition.aspectRatio,
+          width: rendition.width,
+          height: rendition.height,
+          master: rendition.master,
+          fit: rendition.fit,
+          videoUrl: rendition.videoUrl,
+          isPublic: rendition.storage.isPublic
+        })),
+        subtitles: animation.subtitles ? {
+          vttUrl: playbackService.getSubtitlesRouteUrl(animation._id, 'vtt'),
+          srtUrl: playbackService.getSubtitlesRouteUrl(animation._id, 'srt'),
+          timing: animation.subtitles.timing,
+          burnedIn: animation.subtitles.burnedIn,
+          cueCount: animation.subtitles.cueCount,
+          language: animation.subtitles.language
+        } : null,
+        localizations: (animation.localizations || []).map(localization => ({
+          language: localization.language,
+          audioTrack: localization.audioTrack,
+          videoUrl: localization.videoUrl || null,
+          vttUrl: playbackService.getSubtitlesRouteUrl(animation._id, 'vtt', localization.language),
+          srtUrl: playbackService.getSubtitlesRouteUrl(animation._id, 'srt', localization.language),
+          cueCount: localization.subtitles.cueCount
+        })),
+        streaming: animation.streaming ? {
+          hlsUrl: animation.streaming.hls ? animation.streaming.hls.manifestUrl : null,
+          dashUrl: animation.streaming.dash ? animation.streaming.dash.manifestUrl : null,
+          ladder: animation.streaming.ladder,
+          isPublic: animation.streaming.isPublic,
+          packagedAt: animation.streaming.packagedAt
+        } : null,
+        mode: (animation.generationOptions && animation.generationOptions.mode) || 'full',
+        voiceCasting: animation.voiceCasting || null,
+        branding: animation.branding || null,
+        thumbnails: playbackService.describeThumbnails(animation._id, animation.thumbnails),
+        draft: animation.draft || null,
+        storyboard: animation.storyboard || null,
         processingTime: animation.processingTime,
         generatedAt: animation.generatedAt,
+        progress: formatProgress(animation),
+        pipeline: {
+          completedPhases: animation.pipeline ? animation.pipeline.completedPhases : [],
+          currentPhase: animation.pipeline ? animation.pipeline.currentPhase : null,
+          failedPhase: animation.pipeline ? animation.pipeline.failedPhase : null,
+          lastError: animation.pipeline ? animation.pipeline.lastError : null
+        },
         characters: animation.characters,
         scenes: animation.scenes.map(scene => ({
           sceneNumber: scene.sceneNumber,
           description: scene.description,
           location: scene.location,
           mood: scene.mood,
-          duration: scene.duration
+          duration: scene.duration,
+          dialogue: scene.dialogue || [],
+          callouts: scene.callouts || [],
+          assets: scene.assets || null
         }))
       }
     })
@@ -178,6 +573,148 @@ const getAnimationStatus = async (req, res) => {
   }
 }
 
+const formatProgress = (animation) => {
+  const progress = animation.progress || {}
+  return {
+    phase: ['completed', 'draft_ready'].includes(animation.status) ? animation.status : (progress.phase || null),
+    phaseIndex: progress.phaseIndex || 0,
+    totalPhases: progress.totalPhases || 0,
+    sceneIndex: progress.sceneIndex || 0,
+    sceneTotal: progress.sceneTotal || 0,
+    percent: ['completed', 'draft_ready'].includes(animation.status) ? 100 : (progress.percent || 0),
+    message: progress.message || null,
+    phaseTimings: progress.phaseTimings || [],
+    updatedAt: progress.updatedAt || null
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name streamAnimationProgress
+ * @path {GET} /api/animation/progress/:animationId
+ * @description Server-Sent Events stream of the animation's progress. A `progress` event is sent whenever the
+ * stored progress changes, and a final `completed` or `failed` event before the stream is closed. A stream that
+ * cannot follow the animation (it was deleted, or the record could not be read) also ends with `failed`, with a
+ * null status; `error` is not used as an event name as EventSource reserves it for connection errors.
+ * The record is polled, so the stream works whether the job runs in this process or in the worker.
+ * @params {string} animationId - The animation ID to follow
+ * @response {string} ContentType=text/event-stream - Response content type.
+ * @code {200} Success - Stream opened
+ * @code {404} Not Found - Animation not found
+ */
+const streamAnimationProgressValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    animationId: {
+      type: 'string',
+      required: true,
+      minLength: 24,
+      maxLength: 24
+    }
+  }
+}
+
+const streamAnimationProgressValidation = (req, res, next) => {
+  return validationOfAPI(req, res, next, streamAnimationProgressValidationSchema, 'params')
+}
+
+const streamAnimationProgress = async (req, res) => {
+  const { animationId } = req.params
+  let pollTimer = null
+  let heartbeatTimer = null
+  let closed = false
+  let lastSentAt = null
+
+  const close = () => {
+    if (closed) return
+    closed = true
+    clearTimeout(pollTimer)
+    clearInterval(heartbeatTimer)
+    res.end()
+  }
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\n`)
+    res.write(`data: ${JSON.stringify(data)}\n\n`)
+  }
+
+  const poll = async () => {
+    if (closed) return
+    try {
+      const animation = await Animation.findById(animationId).select('status progress pipeline.failedPhase pipeline.lastError videoUrl draft')
+      if (!animation) {
+        sendEvent('failed', { animationId, status: null, error: 'Animation not found' })
+        return close()
+      }
+
+      const updatedAt = animation.progress && animation.progress.updatedAt ? animation.progress.updatedAt.getTime() : 0
+      if (updatedAt !== lastSentAt) {
+        lastSentAt = updatedAt
+        sendEvent('progress', { animationId, status: animation.status, progress: formatProgress(animation) })
+      }
+
+      if (animation.status === 'completed') {
+        sendEvent('completed', { animationId, status: animation.status, videoUrl: animation.videoUrl })
+        return close()
+      }
+      if (animation.status === 'awaiting_review') {
+        sendEvent('awaiting_review', { animationId, status: animation.status })
+        return close()
+      }
+      if (animation.status === 'draft_ready') {
+        sendEvent('draft_ready', { animationId, status: animation.status, videoUrl: animation.draft ? animation.draft.videoUrl : null })
+        return close()
+      }
+      if (animation.status === 'failed') {
+        sendEvent('failed', {
+          animationId,
+          status: animation.status,
+          failedPhase: animation.pipeline ? animation.pipeline.failedPhase : null,
+          error: animation.pipeline ? animation.pipeline.lastError : null
+        })
+        return close()
+      }
+    } catch (err) {
+      console.error('Error in streamAnimationProgress API:', err)
+      sendEvent('failed', { animationId, status: null, error: err.message || 'Failed to read animation progress' })
+      return close()
+    }
+    pollTimer = setTimeout(poll, __config.animationProgress.pollInterval)
+  }
+
+  try {
+    const exists = await Animation.exists({ _id: animationId })
+    if (!exists) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+        err: ['Animation not found']
+      })
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    res.write(`retry: ${__config.animationProgress.pollInterval}\n\n`)
+
+    // Comment lines keep proxies from closing an idle stream during long phases
+    heartbeatTimer = setInterval(() => res.write(': keep-alive\n\n'), __config.animationProgress.heartbeatInterval)
+    req.on('close', close)
+
+    poll()
+  } catch (err) {
+    console.error('Error in streamAnimationProgress API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to stream animation progress'
+    })
+  }
+}
+
 /**
  * @memberof -ANIMATION-module-
  * @name getAllAnimations
@@ -185,9 +722,9 @@ const getAnimationStatus = async (req, res) => {
  * @description Get all animations with pagination and filtering
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Items per page (default: 10, max: 50)
- * @query {string} status - Filter by status (processing, completed, failed)
+ * @query {string} status - Filter by status (processing, awaiting_review, draft_ready, completed, failed)
  * @query {string} search - Search in title and theme
- * @response {object} data - Paginated list of animations
+ * @response {object} data - Paginated list of animations, each with the URLs of its poster sizes (thumbnails)
  * @code {200} Success - Animations retrieved successfully
  */
 const getAllAnimationsValidationSchema = {
@@ -208,7 +745,7 @@ const getAllAnimationsValidationSchema = {
     status: {
       type: 'string',
       required: false,
-      enum: ['processing', 'completed', 'failed']
+      enum: ['processing', 'awaiting_review', 'draft_ready', 'completed', 'failed']
     },
     search: {
       type: 'string',
@@ -223,6 +760,12 @@ const getAllAnimationsValidation = (req, res, next) => {
   return validationOfAPI(req, res, next, getAllAnimationsValidationSchema, 'query')
 }
 
+// List entries carry the poster URLs instead of the stored thumbnail records
+const withThumbnailUrls = ({ thumbnails, ...animation }) => ({
+  ...animation,
+  thumbnails: playbackService.describeThumbnails(animation._id, thumbnails, { scenes: false })
+})
+
 const getAllAnimations = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1
@@ -244,7 +787,7 @@ const getAllAnimations = async (req, res) => {
     // Execute query with pagination
     const [animations, totalCount] = await Promise.all([
       Animation.find(query)
-        .select('title theme status sceneCount videoUrl processingTime generatedAt')
+        .select('title theme status sceneCount videoUrl thumbnails processingTime generatedAt')
         .sort({ generatedAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -257,7 +800,7 @@ const getAllAnimations = async (req, res) => {
     res.sendJson({
       type: __constants.RESPONSE_MESSAGES.SUCCESS,
       data: {
-        animations,
+        animations: animations.map(withThumbnailUrls),
         pagination: {
           currentPage: page,
           totalPages,
@@ -344,9 +887,26 @@ const deleteAnimation = async (req, res) => {
  * @memberof -ANIMATION-module-
  * @name generateAnimationAsync
  * @path {POST} /api/animation/generateAnimationAsync
- * @description Start async animation generation and return immediately with job ID
+ * @description Queue animation generation on the persistent job queue and return immediately with job ID.
+ * The job is run by the worker process (npm run worker) and is re-queued if that worker dies mid-run.
  * @body {string} article - The news article content to convert to animation
  * @body {number} sceneCount - Number of scenes to generate (1-20)
+ * @body {string[]} videoProviders - Optional image-to-video provider order (see generateAnimation)
+ * @body {string[]} ttsProviders - Optional narration voice provider order (see generateAnimation)
+ * @body {string} narratorVoice - Optional narrator voice (see generateAnimation)
+ * @body {string} brand - Optional brand or desk, which picks the default narrator (see generateAnimation)
+ * @body {string} mode - Optional 'full' (default) or 'draft' (see generateAnimation)
+ * @body {boolean} reviewStoryboard - Optional storyboard approval gate (see generateAnimation)
+ * @body {string[]} outputFormats - Optional aspect ratios, master first (see generateAnimation)
+ * @body {string} renditionFit - Optional 'crop' or 'pad' for derived renditions (see generateAnimation)
+ * @body {object} subtitles - Optional caption burn-in, timing and style (see generateAnimation)
+ * @body {string[]} languages - Optional narration languages, primary first (see generateAnimation)
+ * @body {string} languageOutput - Optional 'tracks' or 'separate' (see generateAnimation)
+ * @body {object} music - Optional background music source, track and volume (see generateAnimation)
+ * @body {object} transitions - Optional scene transition style and duration (see generateAnimation)
+ * @body {object} branding - Optional brand profile and its layers (see generateAnimation)
+ * @body {object} callouts - Optional on-screen callouts and their template (see generateAnimation)
+ * @body {object} thumbnails - Optional poster source (see generateAnimation)
  * @body {string} callbackUrl - Optional webhook URL for completion notification
  * @response {object} data - Job ID for tracking async generation
  * @code {202} Accepted - Animation generation started
@@ -368,6 +928,79 @@ const generateAnimationAsyncValidationSchema = {
       minimum: 1,
       maximum: 20
     },
+    videoProviders: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      items: {
+        type: 'string',
+        enum: videoProviders.names()
+      }
+    },
+    ttsProviders: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      items: {
+        type: 'string',
+        enum: ttsProviders.names()
+      }
+    },
+    narratorVoice: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(VOICES)
+    },
+    brand: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    },
+    mode: {
+      type: 'string',
+      required: false,
+      enum: GENERATION_MODES
+    },
+    reviewStoryboard: {
+      type: 'boolean',
+      required: false
+    },
+    outputFormats: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: Object.keys(OUTPUT_FORMATS)
+      }
+    },
+    renditionFit: {
+      type: 'string',
+      required: false,
+      enum: RENDITION_FITS
+    },
+    languages: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: Object.keys(LANGUAGES)
+      }
+    },
+    languageOutput: {
+      type: 'string',
+      required: false,
+      enum: LANGUAGE_OUTPUTS
+    },
+    subtitles: subtitlesValidationSchema,
+    music: musicValidationSchema,
+    transitions: transitionsValidationSchema,
+    branding: brandingValidationSchema,
+    callouts: calloutsValidationSchema,
+    thumbnails: thumbnailsValidationSchema,
     callbackUrl: {
       type: 'string',
       required: false,
@@ -394,18 +1027,19 @@ const generateAnimationAsync = async (req, res) => {
       scenes: [],
       videoUrl: '',
       status: 'processing',
-      processingTime: 0
+      processingTime: 0,
+      generationOptions: buildGenerationOptions(req.body)
     })
 
     await animation.save()
 
-    // Start async processing
-    processAnimationAsync(animation._id, article, sceneCount, callbackUrl)
-      .catch(error => {
-        console.error('Async animation processing failed:', error)
-        // Update status to failed
-        Animation.findByIdAndUpdate(animation._id, { status: 'failed' }).exec()
-      })
+    // Hand the job to the persistent queue so it survives restarts of this process
+    try {
+      await animationJobService.enqueueAnimationGeneration(animation._id, { article, sceneCount, callbackUrl })
+    } catch (queueError) {
+      await Animation.findByIdAndUpdate(animation._id, { status: 'failed' })
+      throw queueError
+    }
 
     res.sendJson({
       type: __constants.RESPONSE_MESSAGES.ACCEPTED,
@@ -429,78 +1063,1174 @@ const generateAnimationAsync = async (req, res) => {
 
 /**
  * @memberof -ANIMATION-module-
- * @name getAnimationsByStatus
- * @path {GET} /api/animation/getAnimationsByStatus/:status
- * @description Get animations filtered by specific status
- * @params {string} status - Status to filter by (processing, completed, failed)
- * @query {number} page - Page number (default: 1)
- * @query {number} limit - Items per page (default: 10)
- * @response {object} data - Filtered animations list
- * @code {200} Success - Animations retrieved successfully
+ * @name resumeAnimation
+ * @path {POST} /api/animation/resumeAnimation/:animationId
+ * @description Re-queue a failed or interrupted animation. Phases that already completed are restored
+ * from their checkpoints (story, characters, scene images, scene videos, audio, assembly, upload),
+ * so generation continues from the phase that failed instead of starting over.
+ * @params {string} animationId - The animation ID to resume
+ * @body {string} callbackUrl - Optional webhook URL for completion notification
+ * @response {object} data - Job ID and the phases that will be reused
+ * @code {202} Accepted - Animation generation resumed
+ * @code {400} Bad Request - Animation is already completed or still running
+ * @code {404} Not Found - Animation not found
  */
-const getAnimationsByStatusParamsValidationSchema = {
+const resumeAnimationParamsValidationSchema = {
   type: 'object',
   required: true,
   properties: {
-    status: {
+    animationId: {
       type: 'string',
       required: true,
-      enum: ['processing', 'completed', 'failed']
+      minLength: 24,
+      maxLength: 24
     }
   }
 }
 
-const getAnimationsByStatusQueryValidationSchema = {
+const resumeAnimationBodyValidationSchema = {
   type: 'object',
   required: false,
   properties: {
-    page: {
-      type: 'number',
-      required: false,
-      minimum: 1
-    },
-    limit: {
-      type: 'number',
+    callbackUrl: {
+      type: 'string',
       required: false,
-      minimum: 1,
-      maximum: 50
+      pattern: '^https?://.+'
     }
   }
 }
 
-const getAnimationsByStatusValidation = (req, res, next) => {
-  // First validate params
+const resumeAnimationValidation = (req, res, next) => {
   return validationOfAPI(req, res, (paramsErr) => {
-    if (paramsErr) return;
-    // Then validate query
-    validationOfAPI(req, res, next, getAnimationsByStatusQueryValidationSchema, 'query');
-  }, getAnimationsByStatusParamsValidationSchema, 'params');
+    if (paramsErr) return
+    validationOfAPI(req, res, next, resumeAnimationBodyValidationSchema, 'body')
+  }, resumeAnimationParamsValidationSchema, 'params')
 }
 
-const getAnimationsByStatus = async (req, res) => {
+const RESUME_REJECTIONS = {
+  already_completed: 'Animation is already completed',
+  draft_ready: 'Animation is a finished draft, use promoteDraft to render the full video',
+  awaiting_review: 'Animation is waiting for storyboard approval, use approveStoryboard to continue'
+}
+
+const resumeAnimation = async (req, res) => {
   try {
-    const { status } = req.params
-    const page = parseInt(req.query.page) || 1
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
-    const skip = (page - 1) * limit
+    const { animationId } = req.params
+    const { callbackUrl } = req.body || {}
 
-    const [animations, totalCount] = await Promise.all([
-      Animation.find({ status, isActive: true })
-        .select('title theme sceneCount videoUrl processingTime generatedAt')
-        .sort({ generatedAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      Animation.countDocuments({ status, isActive: true })
-    ])
+    const result = await animationJobService.resumeAnimation(animationId, { callbackUrl })
 
-    const totalPages = Math.ceil(totalCount / limit)
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+          err: ['Animation not found']
+        })
+      }
 
-    res.sendJson({
-      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: [RESUME_REJECTIONS[result.reason] || 'Animation is still queued or running']
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCEPTED,
+      data: {
+        message: 'Animation generation resumed',
+        jobId: animationId,
+        queueJobId: result.jobId,
+        status: 'processing',
+        completedPhases: result.completedPhases
+      }
+    })
+
+  } catch (err) {
+    console.error('Error in resumeAnimation API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to resume animation generation'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name promoteDraft
+ * @path {POST} /api/animation/promoteDraft/:animationId
+ * @description Render full motion video for an approved draft. The story, characters, scene images and
+ * narration of the draft are reused; only the scene videos are generated and the animation re-assembled.
+ * @params {string} animationId - The draft animation ID
+ * @body {string[]} videoProviders - Optional image-to-video provider order (see generateAnimation)
+ * @body {string} callbackUrl - Optional webhook URL for completion notification
+ * @response {object} data - Job ID for tracking the full render
+ * @code {202} Accepted - Full render queued
+ * @code {400} Bad Request - Animation is not a finished draft
+ * @code {404} Not Found - Animation not found
+ */
+const promoteDraftBodyValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    videoProviders: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      items: {
+        type: 'string',
+        enum: videoProviders.names()
+      }
+    },
+    callbackUrl: {
+      type: 'string',
+      required: false,
+      pattern: '^https?://.+'
+    }
+  }
+}
+
+const promoteDraftValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, promoteDraftBodyValidationSchema, 'body')
+  }, resumeAnimationParamsValidationSchema, 'params')
+}
+
+const promoteDraft = async (req, res) => {
+  try {
+    const { animationId } = req.params
+    const { callbackUrl, videoProviders: requestedProviders } = req.body || {}
+
+    const result = await animationJobService.promoteDraft(animationId, { callbackUrl, videoProviders: requestedProviders })
+
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+          err: ['Animation not found']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: [`Only finished drafts can be promoted (animation status is ${result.status})`]
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCEPTED,
+      data: {
+        message: 'Draft promoted, rendering full motion video',
+        jobId: animationId,
+        queueJobId: result.jobId,
+        status: 'processing',
+        draftVideoUrl: result.draftVideoUrl
+      }
+    })
+
+  } catch (err) {
+    console.error('Error in promoteDraft API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to promote draft'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name getStoryboard
+ * @path {GET} /api/animation/storyboard/:animationId
+ * @description Get the generated storyboard (title, characters, scenes and narration) together with its review state
+ * @params {string} animationId - The animation ID
+ * @response {object} data - Storyboard and review state; editable is true while the animation awaits review
+ * @code {200} Success - Storyboard retrieved
+ * @code {400} Bad Request - The story has not been generated yet
+ * @code {404} Not Found - Animation not found
+ */
+const getStoryboardValidation = (req, res, next) => {
+  return validationOfAPI(req, res, next, resumeAnimationParamsValidationSchema, 'params')
+}
+
+const getStoryboard = async (req, res) => {
+  try {
+    const { animationId } = req.params
+
+    const result = await storyboardService.getStoryboard(animationId)
+
+    if (!result.success) {
+      return res.sendJson({
+        type: result.reason === 'not_found' ? __constants.RESPONSE_MESSAGES.NOT_FOUND : __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: [result.reason === 'not_found' ? 'Animation not found' : 'The storyboard has not been generated yet']
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result.storyboard
+    })
+
+  } catch (err) {
+    console.error('Error in getStoryboard API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to get storyboard'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name updateStoryboard
+ * @path {PUT} /api/animation/storyboard/:animationId
+ * @description Edit the storyboard of an animation awaiting review. Scenes are matched by sceneNumber and only the
+ * fields sent are changed; characters, when sent, replace the whole cast.
+ * @params {string} animationId - The animation ID
+ * @body {string} title - Optional new title
+ * @body {string} theme - Optional new theme
+ * @body {string} overallMood - Optional new overall mood
+ * @body {object[]} characters - Optional cast ({ name, description, personality, role, gender, ageGroup, voice }). voice
+ * casts the character with that voice instead of the automatic pick from gender and ageGroup.
+ * @body {object[]} scenes - Optional scene edits ({ sceneNumber, narration, dialogue, description, location, mood, ... }).
+ * dialogue replaces the scene's lines ({ character, line }); every speaker must be in the cast. callouts replaces the
+ * scene's on-screen callouts ({ type, text, detail }); an empty list shows none.
+ * @body {string} editedBy - Optional name of the editor
+ * @response {object} data - The updated storyboard
+ * @code {200} Success - Storyboard updated
+ * @code {400} Bad Request - Invalid edits or the animation is not awaiting review
+ * @code {404} Not Found - Animation not found
+ */
+const updateStoryboardBodyValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    title: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    },
+    theme: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    },
+    overallMood: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    },
+    characters: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', required: true, minLength: 1 },
+          description: { type: 'string', required: true, minLength: 1 },
+          personality: { type: 'string', required: true },
+          role: { type: 'string', required: true },
+          gender: { type: 'string', required: false, enum: CHARACTER_GENDERS },
+          ageGroup: { type: 'string', required: false, enum: CHARACTER_AGE_GROUPS },
+          voice: { type: 'string', required: false, enum: Object.keys(VOICES) }
+        }
+      }
+    },
+    scenes: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          sceneNumber: { type: 'number', required: true },
+          description: { type: 'string', required: false, minLength: 1 },
+          characters: { type: 'array', required: false, items: { type: 'string' } },
+          location: { type: 'string', required: false, minLength: 1 },
+          mood: { type: 'string', required: false, minLength: 1 },
+          cameraAngle: { type: 'string', required: false, minLength: 1 },
+          narration: { type: 'string', required: false, minLength: 1 },
+          dialogue: {
+            type: 'array',
+            required: false,
+            items: {
+              type: 'object',
+              properties: {
+                character: { type: 'string', required: true, minLength: 1 },
+                line: { type: 'string', required: true, minLength: 1 }
+              }
+            }
+          },
+          callouts: {
+            type: 'array',
+            required: false,
+            maxItems: MAX_CALLOUTS_PER_SCENE,
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', required: true, enum: CALLOUT_TYPES },
+                text: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+                detail: { type: ['string', 'null'], required: false, maxLength: 120 }
+              }
+            }
+          },
+          duration: { type: 'number', required: false, minimum: 1 },
+          sceneType: { type: 'string', required: false, enum: ['action', 'dialogue', 'landscape', 'emotional', 'standard'] },
+          moodIntensity: { type: 'number', required: false, minimum: 1, maximum: 10 },
+          emotionalTone: { type: 'string', required: false }
+        }
+      }
+    },
+    editedBy: {
+      type: 'string',
+      required: false
+    }
+  }
+}
+
+const updateStoryboardValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, updateStoryboardBodyValidationSchema, 'body')
+  }, resumeAnimationParamsValidationSchema, 'params')
+}
+
+const updateStoryboard = async (req, res) => {
+  try {
+    const { animationId } = req.params
+    const { editedBy, ...edits } = req.body
+
+    const result = await storyboardService.updateStoryboard(animationId, edits, { editedBy })
+
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+          err: ['Animation not found']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: result.errors || ['The storyboard can only be edited while the animation is awaiting review']
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result.storyboard
+    })
+
+  } catch (err) {
+    console.error('Error in updateStoryboard API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to update storyboard'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name approveStoryboard
+ * @path {POST} /api/animation/approveStoryboard/:animationId
+ * @description Record the editorial sign-off of the storyboard and continue generation with character, image and
+ * video generation using the approved (and possibly edited) story.
+ * @params {string} animationId - The animation ID
+ * @body {string} approvedBy - Name of the approving editor
+ * @body {string} comment - Optional review comment
+ * @body {string} callbackUrl - Optional webhook URL for completion notification
+ * @response {object} data - Job ID for tracking the rest of the generation
+ * @code {202} Accepted - Generation continued
+ * @code {400} Bad Request - Animation is not awaiting review
+ * @code {404} Not Found - Animation not found
+ */
+const approveStoryboardBodyValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    approvedBy: {
+      type: 'string',
+      required: true,
+      minLength: 1
+    },
+    comment: {
+      type: 'string',
+      required: false
+    },
+    callbackUrl: {
+      type: 'string',
+      required: false,
+      pattern: '^https?://.+'
+    }
+  }
+}
+
+const approveStoryboardValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, approveStoryboardBodyValidationSchema, 'body')
+  }, resumeAnimationParamsValidationSchema, 'params')
+}
+
+const approveStoryboard = async (req, res) => {
+  try {
+    const { animationId } = req.params
+    const { approvedBy, comment, callbackUrl } = req.body
+
+    const result = await storyboardService.approveStoryboard(animationId, { approvedBy, comment, callbackUrl })
+
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+          err: ['Animation not found']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: [`Only storyboards awaiting review can be approved (animation status is ${result.status})`]
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCEPTED,
+      data: {
+        message: 'Storyboard approved, generation continued',
+        jobId: animationId,
+        queueJobId: result.jobId,
+        status: 'processing'
+      }
+    })
+
+  } catch (err) {
+    console.error('Error in approveStoryboard API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to approve storyboard'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name regenerateScene
+ * @path {POST} /api/animation/:animationId/scenes/:sceneNumber/regenerate
+ * @description Regenerate one scene of a completed animation (or a finished draft), then re-assemble the final video
+ * from the stored per-scene clips and re-upload it. The other scenes are not regenerated.
+ * @params {string} animationId - The animation ID
+ * @params {number} sceneNumber - The scene to regenerate
+ * @body {string} target - 'image' (new still and the clip animated from it), 'video' (new motion clip from the
+ * existing still) or 'narration' (new narration audio)
+ * @body {string} description - Optional new scene description, used for the new image (target 'image' only)
+ * @body {string} narration - Optional new narration text; the narration audio is always regenerated when set
+ * @body {string[]} videoProviders - Optional image-to-video provider order for the new clip (see generateAnimation)
+ * @body {string} callbackUrl - Optional webhook URL for completion notification
+ * @response {object} data - Job ID for tracking the regeneration
+ * @code {202} Accepted - Scene regeneration queued
+ * @code {400} Bad Request - Animation is not finished, its scene assets are missing or the scene does not exist
+ * @code {404} Not Found - Animation not found
+ */
+const regenerateSceneParamsValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    animationId: {
+      type: 'string',
+      required: true,
+      minLength: 24,
+      maxLength: 24
+    },
+    sceneNumber: {
+      type: 'string',
+      required: true,
+      pattern: '^[0-9]+$'
+    }
+  }
+}
+
+const regenerateSceneBodyValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    target: {
+      type: 'string',
+      required: true,
+      enum: ['image', 'video', 'narration']
+    },
+    description: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    },
+    narration: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    },
+    videoProviders: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      items: {
+        type: 'string',
+        enum: videoProviders.names()
+      }
+    },
+    callbackUrl: {
+      type: 'string',
+      required: false,
+      pattern: '^https?://.+'
+    }
+  }
+}
+
+const regenerateSceneValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, regenerateSceneBodyValidationSchema, 'body')
+  }, regenerateSceneParamsValidationSchema, 'params')
+}
+
+const REGENERATE_SCENE_REJECTIONS = {
+  not_finished: 'Only completed animations and finished drafts can have scenes regenerated',
+  assets_missing: 'The per-scene assets of this animation were not kept, regenerate the whole animation instead',
+  scene_not_found: 'Scene not found'
+}
+
+const regenerateScene = async (req, res) => {
+  try {
+    const { animationId } = req.params
+    const sceneNumber = parseInt(req.params.sceneNumber, 10)
+    const { target, description, narration, videoProviders: requestedProviders, callbackUrl } = req.body
+
+    if (description !== undefined && target !== 'image') {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: ['An edited description needs target "image"']
+      })
+    }
+
+    const result = await animationJobService.regenerateScene(animationId, sceneNumber, {
+      target,
+      description,
+      narration,
+      videoProviders: requestedProviders,
+      callbackUrl
+    })
+
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+          err: ['Animation not found']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: [REGENERATE_SCENE_REJECTIONS[result.reason]]
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCEPTED,
+      data: {
+        message: `Scene ${sceneNumber} ${target} regeneration started`,
+        jobId: animationId,
+        queueJobId: result.jobId,
+        sceneNumber: sceneNumber,
+        status: 'processing'
+      }
+    })
+
+  } catch (err) {
+    console.error('Error in regenerateScene API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to regenerate scene'
+    })
+  }
+}
+
+// Sets req.user from the JWT when JWT authentication is enabled. Requests
+// without a valid token carry on unauthenticated; the service decides what
+// they may access.
+const identifyUser = (req, res, next) => {
+  if (!__config.authentication.internal.allow) return next()
+  authentication.authenticate('jwt', { session: false }, (err, user) => {
+    if (err) return next(err)
+    req.user = user || null
+    next()
+  })(req, res, next)
+}
+
+const requireUser = (req, res, next) => {
+  identifyUser(req, res, (err) => {
+    if (err) return next(err)
+    if (!req.user && __config.authentication.allowAnonymous !== true) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NOT_AUTHORIZED,
+        err: ['A valid token is required']
+      })
+    }
+    next()
+  })
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name getPlaybackUrl
+ * @path {GET} /api/animation/:animationId/playbackUrl
+ * @description Get a URL to play the animation video. Videos are private until published, so unpublished ones get a
+ * short-lived signed URL (STORAGE_PLAYBACK_URL_EXPIRY seconds) and need a valid token (JWT authentication enabled)
+ * unless AUTHENTICATION_ALLOW_ANONYMOUS=true. Published videos return their permanent public URL.
+ * @params {string} animationId - The animation ID
+ * @query {string} variant - 'final' or 'draft' (defaults to the draft animatic while the animation is draft_ready)
+ * @query {string} format - Optional rendition aspect ratio ('16:9', '9:16', '1:1'); defaults to the master
+ * @query {string} language - Optional narration language (see generate's languages); defaults to the primary language.
+ * With languageOutput 'tracks' this is the master, which carries the language as an extra audio track.
+ * @response {object} data - Playback URL, its expiry (null when public) and whether the video is public. streams has the
+ * HLS and DASH manifest URLs of the master once it is published (null otherwise); subtitlesUrl is the WebVTT captions route.
+ * @code {200} Success - Playback URL issued
+ * @code {400} Bad Request - The animation has no video of this variant yet
+ * @code {401} Not Authorized - The video is not published and no valid token was sent
+ * @code {404} Not Found - Animation not found
+ */
+const getPlaybackUrlParamsValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    animationId: {
+      type: 'string',
+      required: true,
+      minLength: 24,
+      maxLength: 24
+    }
+  }
+}
+
+const getPlaybackUrlQueryValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    variant: {
+      type: 'string',
+      required: false,
+      enum: ['final', 'draft']
+    },
+    format: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(OUTPUT_FORMATS)
+    },
+    language: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(LANGUAGES)
+    }
+  }
+}
+
+const getPlaybackUrlValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, getPlaybackUrlQueryValidationSchema, 'query')
+  }, getPlaybackUrlParamsValidationSchema, 'params')
+}
+
+const getPlaybackUrl = async (req, res) => {
+  try {
+    const { animationId } = req.params
+    const result = await playbackService.getPlaybackUrl(animationId, {
+      variant: req.query.variant,
+      format: req.query.format,
+      language: req.query.language,
+      user: req.user
+    })
+
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+          err: ['Animation not found']
+        })
+      }
+      if (result.reason === 'not_authorized') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_AUTHORIZED,
+          err: ['This video is not published, a valid token is required']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: [(req.query.format || req.query.language) && result.status === 'completed'
+          ? `This animation has no ${[req.query.format, req.query.language].filter(Boolean).join(' ')} video`
+          : `No video available yet (status: ${result.status})`]
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result.playback
+    })
+
+  } catch (err) {
+    console.error('Error in getPlaybackUrl API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to create playback URL'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name streamVideo
+ * @path {GET} /api/animation/:animationId/video
+ * @description Stream the animation video. Locally stored videos are served by this route with Range requests, ETag and
+ * Last-Modified (this is the videoUrl stored for them); videos in cloud storage are redirected to their public URL or
+ * to a short-lived signed URL. Unpublished videos need a valid token unless AUTHENTICATION_ALLOW_ANONYMOUS=true (the jwt
+ * cookie works for video elements).
+ * @params {string} animationId - The animation ID
+ * @query {string} variant - 'final' or 'draft' (defaults to the draft animatic while the animation is draft_ready)
+ * @query {string} format - Optional rendition aspect ratio ('16:9', '9:16', '1:1'); defaults to the master
+ * @query {string} language - Optional narration language; defaults to the primary language
+ * @query {string} download - 'true' to send the video as an attachment
+ * @response {binary} The MP4 video
+ * @code {200} Success - Video content
+ * @code {206} Partial Content - Requested byte range
+ * @code {302} Found - Redirect to the video in cloud storage
+ * @code {304} Not Modified - Cached copy is current
+ * @code {401} Not Authorized - The video is not published and no valid token was sent
+ * @code {404} Not Found - Animation or video not found
+ */
+const streamVideoQueryValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    variant: {
+      type: 'string',
+      required: false,
+      enum: ['final', 'draft']
+    },
+    format: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(OUTPUT_FORMATS)
+    },
+    language: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(LANGUAGES)
+    },
+    download: {
+      type: 'string',
+      required: false,
+      enum: ['true', 'false']
+    }
+  }
+}
+
+const streamVideoValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, streamVideoQueryValidationSchema, 'query')
+  }, getPlaybackUrlParamsValidationSchema, 'params')
+}
+
+const streamVideo = async (req, res) => {
+  try {
+    const { animationId } = req.params
+    const download = req.query.download === 'true'
+    const result = await playbackService.getVideoSource(animationId, {
+      variant: req.query.variant,
+      format: req.query.format,
+      language: req.query.language,
+      user: req.user,
+      download
+    })
+
+    if (!result.success) {
+      if (result.reason === 'not_authorized') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_AUTHORIZED,
+          err: ['This video is not published, a valid token is required']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+        err: [result.reason === 'not_found' ? 'Animation not found' : 'Video not found']
+      })
+    }
+
+    const { source } = result
+    if (source.redirectUrl) {
+      return res.redirect(302, source.redirectUrl)
+    }
+
+    if (download) {
+      res.attachment(source.downloadName)
+    }
+    res.sendFile(source.localPath, {
+      headers: {
+        'Content-Type': source.contentType,
+        'Cache-Control': source.isPublic ? 'public, max-age=0' : 'private, no-cache'
+      },
+      cacheControl: false
+    }, (err) => {
+      if (!err || res.headersSent) return
+      if (err.status === 416) {
+        return res.status(416).end() // Content-Range is already set
+      }
+      res.sendJson({
+        type: err.status === 404 ? __constants.RESPONSE_MESSAGES.NOT_FOUND : __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+        err: [err.status === 404 ? 'Video not found' : err.message]
+      })
+    })
+
+  } catch (err) {
+    console.error('Error in streamVideo API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to stream video'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name streamSubtitles
+ * @path {GET} /api/animation/:animationId/subtitles.vtt
+ * @path {GET} /api/animation/:animationId/subtitles.srt
+ * @description Sidecar captions of the final video as WebVTT (for a track element or HLS player) or SRT. Cues are
+ * timed from the narration audio and are stored whether or not captions were burned into the video. The captions
+ * follow the video's visibility: unpublished ones need a valid token unless AUTHENTICATION_ALLOW_ANONYMOUS=true.
+ * @params {string} animationId - The animation ID
+ * @query {string} language - Optional narration language of the captions; defaults to the primary language
+ * @response {string} ContentType=text/vtt - The captions (application/x-subrip for .srt)
+ * @code {200} Success - Captions
+ * @code {401} Not Authorized - The video is not published and no valid token was sent
+ * @code {404} Not Found - Animation not found, or it has no stored captions yet
+ */
+const streamSubtitlesQueryValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    language: {
+      type: 'string',
+      required: false,
+      enum: Object.keys(LANGUAGES)
+    }
+  }
+}
+
+const streamSubtitlesValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, streamSubtitlesQueryValidationSchema, 'query')
+  }, getPlaybackUrlParamsValidationSchema, 'params')
+}
+
+const streamSubtitles = (format) => async (req, res) => {
+  try {
+    const result = await playbackService.getSubtitleSource(req.params.animationId, { format, language: req.query.language, user: req.user })
+
+    if (!result.success) {
+      if (result.reason === 'not_authorized') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_AUTHORIZED,
+          err: ['This video is not published, a valid token is required']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+        err: [result.reason === 'not_found' ? 'Animation not found' : 'Subtitles not found']
+      })
+    }
+
+    const { source } = result
+    const headers = {
+      'Content-Type': source.contentType,
+      'Cache-Control': source.isPublic ? 'public, max-age=0' : 'private, no-cache'
+    }
+    if (source.content !== null) {
+      return res.set(headers).send(source.content)
+    }
+
+    res.sendFile(source.localPath, { headers, cacheControl: false }, (err) => {
+      if (!err || res.headersSent) return
+      res.sendJson({
+        type: err.status === 404 ? __constants.RESPONSE_MESSAGES.NOT_FOUND : __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+        err: [err.status === 404 ? 'Subtitles not found' : err.message]
+      })
+    })
+
+  } catch (err) {
+    console.error('Error in streamSubtitles API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to send subtitles'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name streamThumbnail
+ * @path {GET} /api/animation/:animationId/thumbnail.jpg
+ * @description Poster frame of the animation, or the thumbnail of one of its scenes. Local files are sent from this
+ * server; remote ones are redirected to (a signed URL while the video is unpublished). Thumbnails follow the video's
+ * visibility: unpublished ones need a valid token unless AUTHENTICATION_ALLOW_ANONYMOUS=true.
+ * @params {string} animationId - The animation ID
+ * @query {string} size - Optional poster size from THUMBNAIL_SIZES (e.g. large, medium, small); defaults to the first
+ * @query {number} scene - Optional scene number; returns that scene's thumbnail instead of the poster
+ * @response {string} ContentType=image/jpeg - The thumbnail
+ * @code {200} Success - Thumbnail
+ * @code {302} Redirect - Thumbnail in remote storage
+ * @code {401} Not Authorized - The video is not published and no valid token was sent
+ * @code {404} Not Found - Animation not found, or it has no such thumbnail
+ */
+const streamThumbnailQueryValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    size: {
+      type: 'string',
+      required: false,
+      enum: __config.thumbnails.sizes.map(size => size.name)
+    },
+    scene: {
+      type: 'string',
+      required: false,
+      pattern: '^[0-9]+$'
+    }
+  }
+}
+
+const streamThumbnailValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, streamThumbnailQueryValidationSchema, 'query')
+  }, getPlaybackUrlParamsValidationSchema, 'params')
+}
+
+const streamThumbnail = async (req, res) => {
+  try {
+    const result = await playbackService.getThumbnailSource(req.params.animationId, {
+      size: req.query.size,
+      sceneNumber: req.query.scene ? parseInt(req.query.scene, 10) : null,
+      user: req.user
+    })
+
+    if (!result.success) {
+      if (result.reason === 'not_authorized') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_AUTHORIZED,
+          err: ['This video is not published, a valid token is required']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+        err: [result.reason === 'not_found' ? 'Animation not found' : 'Thumbnail not found']
+      })
+    }
+
+    const { source } = result
+    if (source.redirectUrl) {
+      return res.redirect(302, source.redirectUrl)
+    }
+
+    res.sendFile(source.localPath, {
+      headers: {
+        'Content-Type': source.contentType,
+        'Cache-Control': source.isPublic ? 'public, max-age=0' : 'private, no-cache'
+      },
+      cacheControl: false
+    }, (err) => {
+      if (!err || res.headersSent) return
+      res.sendJson({
+        type: err.status === 404 ? __constants.RESPONSE_MESSAGES.NOT_FOUND : __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+        err: [err.status === 404 ? 'Thumbnail not found' : err.message]
+      })
+    })
+
+  } catch (err) {
+    console.error('Error in streamThumbnail API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to send thumbnail'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name publishAnimation
+ * @path {POST} /api/animation/:animationId/publish
+ * @path {POST} /api/animation/:animationId/unpublish
+ * @description Make the final video of a completed animation publicly readable at its permanent URL, or private
+ * again, together with its renditions, HLS / DASH package, subtitles and thumbnails. Sets storage.isPublic, which publicVideoUrl follows.
+ * Requires a valid token unless AUTHENTICATION_ALLOW_ANONYMOUS=true.
+ * @params {string} animationId - The animation ID
+ * @response {object} data - New visibility and the public URL (null when private)
+ * @code {200} Success - Visibility changed
+ * @code {400} Bad Request - Animation not completed, or its storage cannot change the visibility of single objects
+ * @code {401} Not Authorized - No valid token was sent
+ * @code {404} Not Found - Animation not found
+ */
+const publishAnimationValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    animationId: {
+      type: 'string',
+      required: true,
+      minLength: 24,
+      maxLength: 24
+    }
+  }
+}
+
+const publishAnimationValidation = (req, res, next) => {
+  return validationOfAPI(req, res, next, publishAnimationValidationSchema, 'params')
+}
+
+const PUBLISH_REJECTIONS = {
+  not_completed: 'Only completed animations can be published or unpublished',
+  no_storage: 'This animation was stored before storage info was kept and cannot change visibility',
+  visibility_unsupported: 'The storage holding this video does not support per-video visibility'
+}
+
+const setPublished = (isPublic) => async (req, res) => {
+  try {
+    const { animationId } = req.params
+    const result = await playbackService.setPublished(animationId, isPublic)
+
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+          err: ['Animation not found']
+        })
+      }
+
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: [PUBLISH_REJECTIONS[result.reason]]
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: isPublic ? 'Animation published' : 'Animation unpublished',
+        animationId: result.animationId,
+        isPublic: result.isPublic,
+        publishedAt: result.publishedAt,
+        publicVideoUrl: result.publicVideoUrl
+      }
+    })
+
+  } catch (err) {
+    console.error(`Error in ${isPublic ? 'publish' : 'unpublish'}Animation API:`, err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to change animation visibility'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name getAnimationsByStatus
+ * @path {GET} /api/animation/getAnimationsByStatus/:status
+ * @description Get animations filtered by specific status
+ * @params {string} status - Status to filter by (processing, awaiting_review, draft_ready, completed, failed)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10)
+ * @response {object} data - Filtered animations list, each with the URLs of its poster sizes (thumbnails)
+ * @code {200} Success - Animations retrieved successfully
+ */
+const getAnimationsByStatusParamsValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    status: {
+      type: 'string',
+      required: true,
+      enum: ['processing', 'awaiting_review', 'draft_ready', 'completed', 'failed']
+    }
+  }
+}
+
+const getAnimationsByStatusQueryValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    page: {
+      type: 'number',
+      required: false,
+      minimum: 1
+    },
+    limit: {
+      type: 'number',
+      required: false,
+      minimum: 1,
+      maximum: 50
+    }
+  }
+}
+
+const getAnimationsByStatusValidation = (req, res, next) => {
+  // First validate params
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return;
+    // Then validate query
+    validationOfAPI(req, res, next, getAnimationsByStatusQueryValidationSchema, 'query');
+  }, getAnimationsByStatusParamsValidationSchema, 'params');
+}
+
+const getAnimationsByStatus = async (req, res) => {
+  try {
+    const { status } = req.params
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+    const skip = (page - 1) * limit
+
+    const [animations, totalCount] = await Promise.all([
+      Animation.find({ status, isActive: true })
+        .select('title theme sceneCount videoUrl thumbnails processingTime generatedAt')
+        .sort({ generatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Animation.countDocuments({ status, isActive: true })
+    ])
+
+    const totalPages = Math.ceil(totalCount / limit)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
       data: {
         status,
-        animations,
+        animations: animations.map(withThumbnailUrls),
         pagination: {
           currentPage: page,
           totalPages,
@@ -544,6 +2274,7 @@ const getAnimationStats = async (req, res) => {
     const [
       totalAnimations,
       processingAnimations,
+      draftAnimations,
       completedAnimations,
       failedAnimations,
       avgProcessingTime,
@@ -551,6 +2282,7 @@ const getAnimationStats = async (req, res) => {
     ] = await Promise.all([
       Animation.countDocuments({ isActive: true }),
       Animation.countDocuments({ status: 'processing', isActive: true }),
+      Animation.countDocuments({ status: 'draft_ready', isActive: true }),
       Animation.countDocuments({ status: 'completed', isActive: true }),
       Animation.countDocuments({ status: 'failed', isActive: true }),
       Animation.aggregate([
@@ -573,6 +2305,7 @@ const getAnimationStats = async (req, res) => {
       data: {
         total: totalAnimations,
         processing: processingAnimations,
+        drafts: draftAnimations,
         completed: completedAnimations,
         failed: failedAnimations,
         successRate: totalAnimations > 0 
@@ -594,13 +2327,341 @@ const getAnimationStats = async (req, res) => {
   }
 }
 
+/**
+ * @memberof -ANIMATION-module-
+ * @name getMusicTracks
+ * @path {GET} /api/animation/music/tracks
+ * @description List the background music library, for the music.track option of the generate endpoints
+ * @query {string} mood - Optional mood to list the tracks of (serious, hopeful, concerned, ...)
+ * @response {object} data - Library tracks ({ id, mood }) and whether a music generator is configured
+ * @code {200} Success - Tracks retrieved successfully
+ */
+const getMusicTracksValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    mood: {
+      type: 'string',
+      required: false,
+      minLength: 1
+    }
+  }
+}
+
+const getMusicTracksValidation = (req, res, next) => {
+  return validationOfAPI(req, res, next, getMusicTracksValidationSchema, 'query')
+}
+
+const getMusicTracks = async (req, res) => {
+  try {
+    const tracks = musicLibrary.listTracks(req.query.mood ? req.query.mood.toLowerCase() : null)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        tracks: tracks.map(track => ({ id: track.id, mood: track.mood })),
+        generatorConfigured: musicLibrary.isGeneratorConfigured()
+      }
+    })
+  } catch (err) {
+    console.error('Error in getMusicTracks API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to list music tracks'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name getBrandProfiles
+ * @path {GET} /api/animation/brandProfiles
+ * @description List the active brand profiles, for the branding.profile option of the generate endpoints
+ * @response {object} data - Brand profiles (logo, intro / outro clips, palette and fonts)
+ * @code {200} Success - Brand profiles retrieved successfully
+ */
+const getBrandProfilesValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {}
+}
+
+const getBrandProfilesValidation = (req, res, next) => {
+  return validationOfAPI(req, res, next, getBrandProfilesValidationSchema, 'query')
+}
+
+const getBrandProfiles = async (req, res) => {
+  try {
+    const profiles = await BrandProfile.find({ isActive: true }).sort({ name: 1 }).lean()
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        profiles: profiles.map(formatBrandProfile),
+        defaultProfile: __config.branding.defaultProfile || null
+      }
+    })
+  } catch (err) {
+    console.error('Error in getBrandProfiles API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to list brand profiles'
+    })
+  }
+}
+
+const formatBrandProfile = (profile) => ({
+  name: profile.name,
+  displayName: profile.displayName || profile.name,
+  logo: profile.logo || null,
+  introUrl: profile.introUrl || null,
+  outroUrl: profile.outroUrl || null,
+  palette: profile.palette,
+  fonts: profile.fonts,
+  updatedAt: profile.updatedAt
+})
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name getBrandProfile
+ * @path {GET} /api/animation/brandProfiles/:name
+ * @description Get one active brand profile
+ * @params {string} name - Profile name (lowercase letters, digits and dashes)
+ * @response {object} data - The brand profile
+ * @code {200} Success - Brand profile retrieved successfully
+ * @code {404} Not Found - Brand profile not found
+ */
+const brandProfileParamsValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    name: {
+      type: 'string',
+      required: true,
+      pattern: PROFILE_NAME_PATTERN
+    }
+  }
+}
+
+const brandProfileParamsValidation = (req, res, next) => {
+  return validationOfAPI(req, res, next, brandProfileParamsValidationSchema, 'params')
+}
+
+const getBrandProfile = async (req, res) => {
+  try {
+    const profile = await BrandProfile.findOne({ name: req.params.name, isActive: true }).lean()
+
+    if (!profile) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+        err: ['Brand profile not found']
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: formatBrandProfile(profile)
+    })
+  } catch (err) {
+    console.error('Error in getBrandProfile API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to get brand profile'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name saveBrandProfile
+ * @path {PUT} /api/animation/brandProfiles/:name
+ * @description Create or replace the brand profile of a brand or desk (e.g. sports, politics, business). Videos
+ * generated with it get the logo as a watermark, the intro and outro clips as bumpers and lower thirds in its palette.
+ * @params {string} name - Profile name (lowercase letters, digits and dashes)
+ * @body {string} displayName - Optional name shown for the profile
+ * @body {object} logo - Optional watermark: url (a PNG with transparency works best), position ('top-left', 'top-right',
+ * 'bottom-left' or 'bottom-right', default 'top-right'), opacity (0 to 1, default 0.8) and scale (logo width as a
+ * fraction of the frame width, 0.05 to 0.4, default 0.12)
+ * @body {string} introUrl - Optional clip played before the animation
+ * @body {string} outroUrl - Optional clip played after the animation
+ * Logo and clip URLs must be https URLs on a BRANDING_ALLOWED_HOSTS host.
+ * @body {object} palette - Optional lower third colours: primary (bar), secondary, accent (bar edge) and text, as '#RRGGBB'
+ * @body {object} fonts - Optional lower third fonts: heading (names) and body (roles), as font family names
+ * (letters, digits, spaces, '.', '_' and '-')
+ * Requires a valid token unless AUTHENTICATION_ALLOW_ANONYMOUS=true.
+ * @response {object} data - The saved brand profile
+ * @code {200} Success - Brand profile saved successfully
+ * @code {400} Bad Request - Invalid input parameters
+ * @code {401} Not Authorized - No valid token was sent
+ */
+const colorValidationSchema = {
+  type: 'string',
+  required: false,
+  pattern: COLOR_PATTERN
+}
+
+// passed to ffmpeg's drawtext, so no separators or quotes
+const fontValidationSchema = {
+  type: 'string',
+  required: false,
+  pattern: FONT_NAME_PATTERN
+}
+
+// the host is checked against BRANDING_ALLOWED_HOSTS by saveBrandProfile
+const mediaUrlValidationSchema = {
+  type: 'string',
+  required: false,
+  pattern: '^https://'
+}
+
+const saveBrandProfileBodyValidationSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    displayName: {
+      type: 'string',
+      required: false,
+      minLength: 1,
+      maxLength: 100
+    },
+    logo: {
+      type: 'object',
+      required: false,
+      properties: {
+        url: { ...mediaUrlValidationSchema, required: true },
+        position: {
+          type: 'string',
+          required: false,
+          enum: LOGO_POSITIONS
+        },
+        opacity: {
+          type: 'number',
+          required: false,
+          minimum: 0,
+          maximum: 1
+        },
+        scale: {
+          type: 'number',
+          required: false,
+          minimum: 0.05,
+          maximum: 0.4
+        }
+      }
+    },
+    introUrl: mediaUrlValidationSchema,
+    outroUrl: mediaUrlValidationSchema,
+    palette: {
+      type: 'object',
+      required: false,
+      properties: {
+        primary: colorValidationSchema,
+        secondary: colorValidationSchema,
+        accent: colorValidationSchema,
+        text: colorValidationSchema
+      }
+    },
+    fonts: {
+      type: 'object',
+      required: false,
+      properties: {
+        heading: fontValidationSchema,
+        body: fontValidationSchema
+      }
+    }
+  }
+}
+
+const saveBrandProfileValidation = (req, res, next) => {
+  return validationOfAPI(req, res, (paramsErr) => {
+    if (paramsErr) return
+    validationOfAPI(req, res, next, saveBrandProfileBodyValidationSchema, 'body')
+  }, brandProfileParamsValidationSchema, 'params')
+}
+
+const saveBrandProfile = async (req, res) => {
+  try {
+    const { displayName, logo, introUrl, outroUrl, palette, fonts } = req.body
+    const refused = [logo && logo.url, introUrl, outroUrl].filter(url => url && !isAllowedMediaUrl(url))
+    if (refused.length) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: refused.map(url => `${url} is not on an allowed host (BRANDING_ALLOWED_HOSTS)`)
+      })
+    }
+
+    const profile = (await BrandProfile.findOne({ name: req.params.name })) || new BrandProfile({ name: req.params.name })
+    // a PUT replaces the whole profile, so fields left out fall back to their defaults
+    profile.set({ displayName, logo, introUrl, outroUrl, palette: palette || {}, fonts: fonts || {}, isActive: true })
+    await profile.save()
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: formatBrandProfile(profile.toObject())
+    })
+  } catch (err) {
+    console.error('Error in saveBrandProfile API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to save brand profile'
+    })
+  }
+}
+
+/**
+ * @memberof -ANIMATION-module-
+ * @name deleteBrandProfile
+ * @path {DELETE} /api/animation/brandProfiles/:name
+ * @description Soft delete a brand profile; requests naming it are assembled without branding. Requires a valid token
+ * unless AUTHENTICATION_ALLOW_ANONYMOUS=true.
+ * @params {string} name - Profile name
+ * @response {object} data - Deletion confirmation
+ * @code {200} Success - Brand profile deleted successfully
+ * @code {401} Not Authorized - No valid token was sent
+ * @code {404} Not Found - Brand profile not found
+ */
+const deleteBrandProfile = async (req, res) => {
+  try {
+    const profile = await BrandProfile.findOneAndUpdate(
+      { name: req.params.name, isActive: true },
+      { isActive: false },
+      { new: true }
+    )
+
+    if (!profile) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NOT_FOUND,
+        err: ['Brand profile not found']
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Brand profile deleted successfully',
+        name: profile.name
+      }
+    })
+  } catch (err) {
+    console.error('Error in deleteBrandProfile API:', err)
+
+    return res.sendJson({
+      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: err.message || 'Failed to delete brand profile'
+    })
+  }
+}
+
 /**
  * @memberof -ANIMATION-module-
  * @name updateAnimationStatus
  * @path {PUT} /api/animation/updateAnimationStatus/:animationId
  * @description Update animation status (for internal use)
  * @params {string} animationId - The animation ID to update
- * @body {string} status - New status (processing, completed, failed)
+ * @body {string} status - New status (processing, awaiting_review, draft_ready, completed, failed)
  * @body {string} videoUrl - Video URL (if completed)
  * @body {number} processingTime - Processing time in milliseconds
  * @response {object} data - Update confirmation
@@ -627,7 +2688,7 @@ const updateAnimationStatusBodyValidationSchema = {
     status: {
       type: 'string',
       required: true,
-      enum: ['processing', 'completed', 'failed']
+      enum: ['processing', 'awaiting_review', 'draft_ready', 'completed', 'failed']
     },
     videoUrl: {
       type: 'string',
@@ -703,83 +2764,34 @@ const updateAnimationStatus = async (req, res) => {
   }
 }
 
-// Async processing function
-const processAnimationAsync = async (animationId, article, sceneCount, callbackUrl) => {
-  const startTime = Date.now()
-  
-  try {
-    console.log(`Starting async animation generation for ID: ${animationId}`)
-    
-    const result = await animationService.generateAnimation(article, sceneCount)
-    const processingTime = Date.now() - startTime
-
-    // Update animation record with results
-    await Animation.findByIdAndUpdate(animationId, {
-      title: result.title,
-      videoUrl: result.videoUrl,
-      status: 'completed',
-      processingTime: processingTime
-    })
-
-    console.log(`Async animation generation completed for ID: ${animationId}`)
-
-    // Send webhook notification if provided
-    if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId: animationId,
-          status: 'completed',
-          result: result,
-          processingTime: processingTime
-        }, {
-          timeout: 10000,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        })
-      } catch (webhookError) {
-        console.error('Failed to send webhook notification:', webhookError)
-      }
-    }
-
-  } catch (error) {
-    console.error(`Async animation generation failed for ID: ${animationId}:`, error)
-    
-    // Update status to failed
-    await Animation.findByIdAndUpdate(animationId, {
-      status: 'failed',
-      processingTime: Date.now() - startTime
-    })
-
-    // Send failure webhook if provided
-    if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId: animationId,
-          status: 'failed',
-          error: error.message,
-          processingTime: Date.now() - startTime
-        }, {
-          timeout: 10000,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        })
-      } catch (webhookError) {
-        console.error('Failed to send failure webhook notification:', webhookError)
-      }
-    }
-  }
-}
-
 // Register routes with proper validation
 router.post('/generateAnimation', generateAnimationValidation, generateAnimation)
 router.post('/generateAnimationAsync', generateAnimationAsyncValidation, generateAnimationAsync)
+router.post('/resumeAnimation/:animationId', resumeAnimationValidation, resumeAnimation)
+router.post('/promoteDraft/:animationId', promoteDraftValidation, promoteDraft)
+router.get('/storyboard/:animationId', getStoryboardValidation, getStoryboard)
+router.put('/storyboard/:animationId', updateStoryboardValidation, updateStoryboard)
+router.post('/approveStoryboard/:animationId', approveStoryboardValidation, approveStoryboard)
 router.get('/getAnimationStatus/:animationId', getAnimationStatusValidation, getAnimationStatus)
+router.get('/progress/:animationId', streamAnimationProgressValidation, streamAnimationProgress)
 router.get('/getAllAnimations', getAllAnimationsValidation, getAllAnimations)
 router.get('/getAnimationsByStatus/:status', getAnimationsByStatusValidation, getAnimationsByStatus)
 router.get('/getAnimationStats', getAnimationStatsValidation, getAnimationStats)
+router.get('/music/tracks', getMusicTracksValidation, getMusicTracks)
+router.get('/brandProfiles', getBrandProfilesValidation, getBrandProfiles)
+router.get('/brandProfiles/:name', brandProfileParamsValidation, getBrandProfile)
+router.put('/brandProfiles/:name', saveBrandProfileValidation, requireUser, saveBrandProfile)
+router.delete('/brandProfiles/:name', brandProfileParamsValidation, requireUser, deleteBrandProfile)
 router.put('/updateAnimationStatus/:animationId', updateAnimationStatusValidation, updateAnimationStatus)
 router.delete('/deleteAnimation/:animationId', deleteAnimationValidation, deleteAnimation)
+// /:animationId/... routes go last so they never shadow a static path such as /brandProfiles/:name
+router.post('/:animationId/scenes/:sceneNumber/regenerate', regenerateSceneValidation, regenerateScene)
+router.get('/:animationId/playbackUrl', getPlaybackUrlValidation, identifyUser, getPlaybackUrl)
+router.get('/:animationId/video', streamVideoValidation, identifyUser, streamVideo)
+router.get('/:animationId/subtitles.vtt', streamSubtitlesValidation, identifyUser, streamSubtitles('vtt'))
+router.get('/:animationId/subtitles.srt', streamSubtitlesValidation, identifyUser, streamSubtitles('srt'))
+router.get('/:animationId/thumbnail.jpg', streamThumbnailValidation, identifyUser, streamThumbnail)
+router.post('/:animationId/publish', publishAnimationValidation, requireUser, setPublished(true))
+router.post('/:animationId/unpublish', publishAnimationValidation, requireUser, setPublished(false))
 
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,96 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const storage = require('../../lib/storage')
+
+/**
+ * @namespace -STORAGE-MODULE-
+ * @description API's serving files stored by the local-disk storage driver.
+ */
+/**
+ * @memberof -STORAGE-module-
+ * @name serveFile
+ * @path {GET} /api/storage/files/:key
+ * @description Stream a file written by the local storage driver (STORAGE_DRIVER=local, or the fallback when an
+ * upload to the configured cloud storage failed). Supports Range requests, ETag and Last-Modified. Only
+ * published files (or every file with STORAGE_LOCAL_PUBLIC_READ=true) are readable without a signed URL
+ * (expires + signature).
+ * @params {string} key - Storage key of the file, e.g. animations/<animationId>/<file>.mp4
+ * @query {number} expires - Expiry of a signed URL (unix seconds)
+ * @query {string} signature - Signature of a signed URL
+ * @response {binary} The file content
+ * @code {200} Success - File content
+ * @code {206} Partial Content - Requested byte range
+ * @code {401} Not Authorized - Signature missing, invalid or expired
+ * @code {404} Not Found - No such file
+ */
+const serveFileValidationSchema = {
+  type: 'object',
+  required: false,
+  properties: {
+    expires: {
+      type: 'string',
+      required: false,
+      pattern: '^[0-9]+$'
+    },
+    signature: {
+      type: 'string',
+      required: false,
+      pattern: '^[0-9a-f]{64}$'
+    }
+  }
+}
+
+const serveFileValidation = (req, res, next) => {
+  return validationOfAPI(req, res, next, serveFileValidationSchema, 'query')
+}
+
+const serveFile = async (req, res) => {
+  try {
+    const key = req.params[0]
+    const { expires, signature } = req.query
+
+    const isPublic = await storage.local.isPublic(key).catch(() => false)
+    if (!storage.local.verifySignature(key, expires, signature) && !isPublic) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NOT_AUTHORIZED,
+        err: ['Missing or expired signature']
+      })
+    }
+
+    let filePath
+    try {
+      filePath = storage.local.resolvePath(key)
+    } catch (err) {
+      return res.sendJson({ type: __constants.RESPONSE_MESSAGES.NOT_FOUND, err: ['File not found'] })
+    }
+
+    const stats = await storage.local.stat(key)
+    if (!stats) {
+      return res.sendJson({ type: __constants.RESPONSE_MESSAGES.NOT_FOUND, err: ['File not found'] })
+    }
+
+    res.sendFile(filePath, {
+      headers: { 'Content-Type': stats.contentType, 'Cache-Control': storage.cacheControlFor(isPublic) },
+      cacheControl: false,
+      dotfiles: 'deny'
+    }, (err) => {
+      if (err && !res.headersSent) {
+        if (err.status === 416) {
+          return res.status(416).end() // Content-Range is already set
+        }
+        // send refuses dotfiles (the publish markers) with a 403
+        const type = [403, 404].includes(err.status) ? __constants.RESPONSE_MESSAGES.NOT_FOUND : __constants.RESPONSE_MESSAGES.SERVER_ERROR
+        res.sendJson({ type, err: err.message })
+      }
+    })
+  } catch (err) {
+    console.error('Error in serveFile API:', err)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.message || 'Failed to serve file' })
+  }
+}
+
+router.get('/files/*', serveFileValidation, serveFile)
+
+module.exports = router
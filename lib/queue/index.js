@@ -0,0 +1,208 @@
+const os = require('os')
+const { v4: uuidv4 } = require('uuid')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const RedisQueueDriver = require('./redisDriver')
+const MemoryQueueDriver = require('./memoryDriver')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+class JobQueue {
+  constructor () {
+    this.options = __config.jobQueue
+    this.driver = this.options.driver === 'memory' ? new MemoryQueueDriver() : new RedisQueueDriver(__constants.JOB_QUEUE.NAME)
+    this.handlers = {}
+    this.activeJobs = new Map()
+    // runJob promises, awaited by stop()
+    this.runs = new Set()
+    // jobs handed back by stop() while still running; they must not be
+    // completed here once another worker may have picked them up
+    this.releasedJobs = new Set()
+    this.running = false
+    this.workerId = os.hostname() + ':' + process.pid
+  }
+
+  // Registers the handler for a job type. onExhausted is called when a job of
+  // this type has been recovered from dead workers maxAttempts times.
+  process (type, handler, options = {}) {
+    this.handlers[type] = { handler, onExhausted: options.onExhausted }
+  }
+
+  async add (type, payload, options = {}) {
+    const job = {
+      id: uuidv4(),
+      type,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.options.maxAttempts,
+      createdAt: new Date().toISOString()
+    }
+    await this.driver.saveJob(job)
+    await this.driver.enqueue(job.id)
+    console.log('JobQueue.add, job queued', { jobId: job.id, type })
+    return job
+  }
+
+  getJob (jobId) {
+    return this.driver.getJob(jobId)
+  }
+
+  async start () {
+    if (this.running) return
+    this.running = true
+    console.log('JobQueue.start, worker started', { workerId: this.workerId, driver: this.options.driver, concurrency: this.options.concurrency })
+    await this.recoverStaleJobs()
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.options.heartbeatInterval)
+    this.recoveryTimer = setInterval(() => this.recoverStaleJobs(), this.options.staleAfter)
+    this.poll()
+  }
+
+  // Stops taking new jobs and waits up to shutdownTimeout ms for the
+  // in-flight ones. Jobs still running after that are handed back to the
+  // pending list so another worker can pick them up straight away.
+  async stop () {
+    if (!this.running) return
+    this.running = false
+    clearInterval(this.recoveryTimer)
+
+    if (this.runs.size) {
+      console.log('JobQueue.stop, waiting for running jobs', { count: this.runs.size, timeout: this.options.shutdownTimeout })
+      let timer
+      await Promise.race([
+        Promise.all(this.runs),
+        new Promise(resolve => { timer = setTimeout(resolve, this.options.shutdownTimeout) })
+      ])
+      clearTimeout(timer)
+    }
+    // heart-beating until now keeps other workers from recovering the jobs
+    clearInterval(this.heartbeatTimer)
+
+    for (const jobId of this.activeJobs.keys()) {
+      this.releasedJobs.add(jobId)
+      try {
+        if (await this.driver.release(jobId)) console.log('JobQueue.stop, job re-queued', { jobId })
+      } catch (err) {
+        console.log('JobQueue.stop, error while re-queueing job', { jobId, err })
+      }
+    }
+  }
+
+  async poll () {
+    while (this.running) {
+      try {
+        if (this.activeJobs.size < this.options.concurrency) {
+          const jobId = await this.driver.dequeue()
+          if (jobId && !this.running) {
+            // stop() was called while dequeuing
+            await this.driver.release(jobId)
+          } else if (jobId) {
+            // reserve the slot before the first await inside runJob
+            this.activeJobs.set(jobId, null)
+            const run = this.runJob(jobId)
+            this.runs.add(run)
+            run.then(() => this.runs.delete(run))
+            continue
+          }
+        }
+      } catch (err) {
+        console.log('JobQueue.poll, error while fetching next job', err)
+      }
+      await sleep(this.options.pollInterval)
+    }
+  }
+
+  async runJob (jobId) {
+    let job = null
+    try {
+      job = await this.driver.getJob(jobId)
+      if (!job) {
+        await this.driver.complete(jobId)
+        return
+      }
+      const registered = this.handlers[job.type]
+      if (!registered) throw new Error('no handler registered for job type ' + job.type)
+
+      const now = new Date().toISOString()
+      job.status = 'active'
+      job.attempts += 1
+      job.workerId = this.workerId
+      job.startedAt = now
+      job.heartbeatAt = now
+      await this.driver.saveJob(job)
+      this.activeJobs.set(jobId, job)
+
+      // Handlers record their own failures; a rejection here is final and is
+      // not retried. Only jobs orphaned by a dead worker are re-queued.
+      await registered.handler(job)
+    } catch (err) {
+      console.log('JobQueue.runJob, job failed', { jobId, err })
+    } finally {
+      this.activeJobs.delete(jobId)
+      if (!this.releasedJobs.delete(jobId)) await this.finishJob(jobId)
+    }
+  }
+
+  async finishJob (jobId) {
+    try {
+      await this.driver.complete(jobId)
+      await this.driver.deleteJob(jobId)
+    } catch (err) {
+      console.log('JobQueue.finishJob, error while removing job', { jobId, err })
+    }
+  }
+
+  async heartbeat () {
+    for (const job of this.activeJobs.values()) {
+      if (!job) continue
+      try {
+        job.heartbeatAt = new Date().toISOString()
+        await this.driver.saveJob(job)
+      } catch (err) {
+        console.log('JobQueue.heartbeat, error while saving heartbeat', { jobId: job.id, err })
+      }
+    }
+  }
+
+  // Jobs left in the processing list by a worker that stopped heart-beating
+  // are re-queued, or given up on once they have used all their attempts.
+  async recoverStaleJobs () {
+    try {
+      const jobIds = await this.driver.listProcessing()
+      for (const jobId of jobIds) {
+        if (this.activeJobs.has(jobId)) continue
+        const job = await this.driver.getJob(jobId)
+        if (!job) {
+          await this.driver.complete(jobId)
+          continue
+        }
+        const lastSeen = new Date(job.heartbeatAt || job.createdAt).getTime()
+        if (Date.now() - lastSeen < this.options.staleAfter) continue
+
+        if (job.attempts >= job.maxAttempts) {
+          if (await this.driver.complete(jobId)) {
+            await this.driver.deleteJob(jobId)
+            console.log('JobQueue.recoverStaleJobs, job exhausted its attempts', { jobId, attempts: job.attempts })
+            const registered = this.handlers[job.type]
+            if (registered && registered.onExhausted) {
+              await registered.onExhausted(job, new Error('worker stopped responding ' + job.attempts + ' times while running the job'))
+            }
+          }
+          continue
+        }
+
+        if (await this.driver.release(jobId)) {
+          job.status = 'queued'
+          job.recoveredAt = new Date().toISOString()
+          job.lastWorkerId = job.workerId
+          await this.driver.saveJob(job)
+          console.log('JobQueue.recoverStaleJobs, job re-queued', { jobId, lastWorkerId: job.lastWorkerId })
+        }
+      }
+    } catch (err) {
+      console.log('JobQueue.recoverStaleJobs, error while recovering jobs', err)
+    }
+  }
+}
+
+module.exports = new JobQueue()
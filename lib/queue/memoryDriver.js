@@ -0,0 +1,57 @@
+// In-process driver with the same contract as the redis driver. Jobs do not
+// survive a restart, so it is meant for tests and single-process development.
+class MemoryQueueDriver {
+  constructor () {
+    this.pending = []
+    this.processing = []
+    this.jobs = new Map()
+  }
+
+  async saveJob (job) {
+    this.jobs.set(job.id, JSON.stringify(job))
+    return job
+  }
+
+  async getJob (jobId) {
+    const job = this.jobs.get(jobId)
+    return job ? JSON.parse(job) : null
+  }
+
+  async deleteJob (jobId) {
+    this.jobs.delete(jobId)
+  }
+
+  async enqueue (jobId) {
+    this.pending.unshift(jobId)
+  }
+
+  async dequeue () {
+    const jobId = this.pending.pop()
+    if (!jobId) return null
+    this.processing.unshift(jobId)
+    return jobId
+  }
+
+  async release (jobId) {
+    if (!this.removeProcessing(jobId)) return false
+    this.pending.unshift(jobId)
+    return true
+  }
+
+  async complete (jobId) {
+    return this.removeProcessing(jobId)
+  }
+
+  async listProcessing () {
+    return [...this.processing]
+  }
+
+  removeProcessing (jobId) {
+    const index = this.processing.indexOf(jobId)
+    if (index === -1) return false
+    this.processing.splice(index, 1)
+    return true
+  }
+}
+
+module.exports = MemoryQueueDriver
@@ -0,0 +1,54 @@
+const __db = require('../db')
+
+// Reliable-queue layout: job ids wait in `<name>:pending`, are moved atomically
+// to `<name>:processing` when a worker picks them up, and the job bodies live
+// in the `<name>:jobs` hash so any worker can inspect or recover them.
+class RedisQueueDriver {
+  constructor (queueName) {
+    this.pendingKey = queueName + ':pending'
+    this.processingKey = queueName + ':processing'
+    this.jobsKey = queueName + ':jobs'
+  }
+
+  async saveJob (job) {
+    await __db.redis.hash_set(this.jobsKey, job.id, JSON.stringify(job))
+    return job
+  }
+
+  async getJob (jobId) {
+    const job = await __db.redis.hash_get(this.jobsKey, jobId)
+    return job ? JSON.parse(job) : null
+  }
+
+  async deleteJob (jobId) {
+    await __db.redis.hash_delete(this.jobsKey, jobId)
+  }
+
+  async enqueue (jobId) {
+    await __db.redis.list_push(this.pendingKey, jobId)
+  }
+
+  async dequeue () {
+    return __db.redis.list_pop_push(this.pendingKey, this.processingKey)
+  }
+
+  // Returns true only for the caller that actually removed the id, so two
+  // workers recovering the same job cannot both re-queue it.
+  async release (jobId) {
+    const removed = await __db.redis.list_remove(this.processingKey, jobId)
+    if (!removed) return false
+    await __db.redis.list_push(this.pendingKey, jobId)
+    return true
+  }
+
+  async complete (jobId) {
+    const removed = await __db.redis.list_remove(this.processingKey, jobId)
+    return removed > 0
+  }
+
+  async listProcessing () {
+    return __db.redis.list_range(this.processingKey, 0, -1)
+  }
+}
+
+module.exports = RedisQueueDriver
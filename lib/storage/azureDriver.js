@@ -0,0 +1,105 @@
+const { BlobServiceClient, StorageSharedKeyCredential, BlobSASPermissions } = require('@azure/storage-blob')
+
+// Azure Blob Storage, configured with a connection string or an account name
+// and key. Signed URLs are SAS tokens, which need the account key. Public
+// reads depend on the container access level, which `publicRead` records;
+// single blobs cannot be published or made private.
+class AzureStorageDriver {
+  constructor (options) {
+    this.type = 'azure'
+    this.options = options
+    this.containerName = options.container
+    if (this.isConfigured()) {
+      const serviceClient = options.connectionString
+        ? BlobServiceClient.fromConnectionString(options.connectionString)
+        : new BlobServiceClient(`https://${options.accountName}.blob.core.windows.net`, new StorageSharedKeyCredential(options.accountName, options.accountKey))
+      this.container = serviceClient.getContainerClient(this.containerName)
+    }
+  }
+
+  isConfigured () {
+    return Boolean(this.containerName && (this.options.connectionString || (this.options.accountName && this.options.accountKey)))
+  }
+
+  getPublicUrl (key) {
+    if (this.options.publicBaseUrl) {
+      return `${this.options.publicBaseUrl.replace(/\/$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`
+    }
+    return this.container.getBlockBlobClient(key).url
+  }
+
+  async upload (localPath, key, { contentType, cacheControl, fileSize }) {
+    await this.container.getBlockBlobClient(key).uploadFile(localPath, {
+      blobHTTPHeaders: {
+        blobContentType: contentType,
+        blobCacheControl: cacheControl
+      }
+    })
+
+    return {
+      type: this.type,
+      bucketName: this.containerName,
+      fileName: key,
+      publicUrl: this.getPublicUrl(key),
+      isPublic: this.options.publicRead,
+      fileSize: fileSize,
+      contentType: contentType
+    }
+  }
+
+  async getSignedUrl (key, { expiresIn, contentDisposition } = {}) {
+    return this.container.getBlockBlobClient(key).generateSasUrl({
+      permissions: BlobSASPermissions.parse('r'),
+      expiresOn: new Date(Date.now() + expiresIn * 1000),
+      ...(contentDisposition && { contentDisposition })
+    })
+  }
+
+  // Visibility is decided by the container, so the requested value is ignored
+  // and the caller is told what actually applies
+  async setPublic (key, isPublic) {
+    return this.options.publicRead
+  }
+
+  // setHTTPHeaders replaces every header, so the content type is passed again
+  async setCacheControl (key, cacheControl) {
+    const blob = this.container.getBlockBlobClient(key)
+    const properties = await blob.getProperties()
+    await blob.setHTTPHeaders({
+      blobContentType: properties.contentType,
+      blobContentDisposition: properties.contentDisposition,
+      blobContentEncoding: properties.contentEncoding,
+      blobContentLanguage: properties.contentLanguage,
+      blobCacheControl: cacheControl
+    })
+  }
+
+  async download (key, localPath) {
+    await this.container.getBlockBlobClient(key).downloadToFile(localPath)
+  }
+
+  async delete (key) {
+    await this.container.getBlockBlobClient(key).deleteIfExists()
+  }
+
+  async exists (key) {
+    return this.container.getBlockBlobClient(key).exists()
+  }
+
+  async stat (key) {
+    try {
+      const properties = await this.container.getBlockBlobClient(key).getProperties()
+      return {
+        size: properties.contentLength,
+        contentType: properties.contentType,
+        updatedAt: properties.lastModified,
+        etag: properties.etag
+      }
+    } catch (err) {
+      if (err.statusCode === 404) return null
+      throw err
+    }
+  }
+}
+
+module.exports = AzureStorageDriver
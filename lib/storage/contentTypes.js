@@ -0,0 +1,25 @@
+const path = require('path')
+
+// Content types of the files the animation pipeline stores
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment',
+  '.ts': 'video/mp2t',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip',
+  '.json': 'application/json'
+}
+
+function contentTypeFor (fileName) {
+  return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream'
+}
+
+module.exports = { CONTENT_TYPES, contentTypeFor }
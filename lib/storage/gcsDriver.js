@@ -0,0 +1,91 @@
+const { Storage } = require('@google-cloud/storage')
+
+// Google Cloud Storage. Objects uploaded with public: true (or published later)
+// are made readable by everyone through their ACL, which needs fine-grained
+// (not uniform) bucket access control.
+class GcsStorageDriver {
+  constructor (options) {
+    this.type = 'gcs'
+    this.bucketName = options.bucket
+    if (this.isConfigured()) {
+      this.client = new Storage({
+        projectId: options.projectId,
+        keyFilename: options.keyFilename // path to the service account key file
+      })
+      this.bucket = this.client.bucket(this.bucketName)
+    }
+  }
+
+  isConfigured () {
+    return Boolean(this.bucketName)
+  }
+
+  getPublicUrl (key) {
+    return `https://storage.googleapis.com/${this.bucketName}/${key.split('/').map(encodeURIComponent).join('/')}`
+  }
+
+  async upload (localPath, key, { contentType, cacheControl, public: isPublic = false, fileSize }) {
+    await this.bucket.upload(localPath, {
+      destination: key,
+      metadata: { contentType, cacheControl },
+      public: isPublic,
+      resumable: false
+    })
+
+    return {
+      type: this.type,
+      bucketName: this.bucketName,
+      fileName: key,
+      publicUrl: this.getPublicUrl(key),
+      isPublic: isPublic,
+      fileSize: fileSize,
+      contentType: contentType
+    }
+  }
+
+  async getSignedUrl (key, { expiresIn, contentDisposition } = {}) {
+    const [url] = await this.bucket.file(key).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: Date.now() + expiresIn * 1000,
+      ...(contentDisposition && { responseDisposition: contentDisposition })
+    })
+    return url
+  }
+
+  async setPublic (key, isPublic) {
+    const file = this.bucket.file(key)
+    await (isPublic ? file.makePublic() : file.makePrivate())
+    return isPublic
+  }
+
+  async setCacheControl (key, cacheControl) {
+    await this.bucket.file(key).setMetadata({ cacheControl })
+  }
+
+  async download (key, localPath) {
+    await this.bucket.file(key).download({ destination: localPath })
+  }
+
+  async delete (key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true })
+  }
+
+  async exists (key) {
+    const [exists] = await this.bucket.file(key).exists()
+    return exists
+  }
+
+  async stat (key) {
+    if (!await this.exists(key)) return null
+    const [metadata] = await this.bucket.file(key).getMetadata()
+    return {
+      size: Number(metadata.size),
+      contentType: metadata.contentType,
+      updatedAt: new Date(metadata.updated),
+      etag: metadata.etag
+    }
+  }
+}
+
+module.exports = GcsStorageDriver
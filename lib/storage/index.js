@@ -0,0 +1,129 @@
+const fs = require('fs').promises
+const __config = require('../../config')
+const { contentTypeFor } = require('./contentTypes')
+const GcsStorageDriver = require('./gcsDriver')
+const S3StorageDriver = require('./s3Driver')
+const AzureStorageDriver = require('./azureDriver')
+const LocalStorageDriver = require('./localDriver')
+
+// A storage driver exposes:
+//   type                                   value recorded as storage.type ('gcs', 's3', 'azure', 'local')
+//   isConfigured()                         false when required settings are missing
+//   upload(localPath, key, options)        stores the file under key; options { contentType, cacheControl, public, fileSize }
+//                                          resolves with { type, bucketName, fileName, publicUrl, isPublic, fileSize, contentType }
+//   setPublic(key, isPublic)               publishes or hides the object, resolves with the visibility that now applies
+//   setCacheControl(key, cacheControl)     rewrites the object's Cache-Control header
+//   getSignedUrl(key, { expiresIn })       time-limited read URL (expiresIn in seconds)
+//   download(key, localPath)               writes the object to localPath
+//   delete(key), exists(key)
+//   stat(key)                              { size, contentType, updatedAt, etag }, or null when missing
+//   getPublicUrl(key)
+const DRIVERS = {
+  gcs: GcsStorageDriver,
+  s3: S3StorageDriver,
+  azure: AzureStorageDriver,
+  local: LocalStorageDriver
+}
+
+class StorageService {
+  constructor () {
+    this.options = __config.storage
+    this.local = new LocalStorageDriver(this.options.local)
+    this.drivers = { local: this.local }
+
+    const Driver = DRIVERS[this.options.driver]
+    if (!Driver) {
+      console.warn(`StorageService, unknown STORAGE_DRIVER "${this.options.driver}", using local storage`)
+    }
+    this.driver = Driver ? this.getDriver(this.options.driver) : this.local
+    if (!this.driver.isConfigured()) {
+      console.warn(`StorageService, ${this.driver.type} storage is not configured, using local storage`)
+      this.driver = this.local
+    }
+    // Signed local URLs must verify in every API process and survive restarts
+    if (!this.options.local.signingSecret) {
+      if (this.driver === this.local) {
+        throw new Error('StorageService, STORAGE_LOCAL_SIGNING_SECRET is required with local storage')
+      }
+      console.warn('StorageService, no STORAGE_LOCAL_SIGNING_SECRET configured, files stored locally after a failed upload cannot be signed')
+    }
+  }
+
+  // Drivers are created lazily so records stored with an earlier driver can
+  // still be signed or deleted after STORAGE_DRIVER changes
+  getDriver (type) {
+    if (!this.drivers[type]) {
+      this.drivers[type] = new DRIVERS[type](this.options[type] || {})
+    }
+    return this.drivers[type]
+  }
+
+  // Upload with the configured driver, falling back to local storage (with
+  // uploadError set) so a storage outage does not fail the whole animation
+  async upload (localPath, key, options = {}) {
+    const stats = await fs.stat(localPath)
+    const isPublic = options.public === undefined ? this.options.publicByDefault : options.public
+    const uploadOptions = {
+      contentType: options.contentType || contentTypeFor(key),
+      cacheControl: options.cacheControl || this.cacheControlFor(isPublic),
+      public: isPublic,
+      fileSize: stats.size
+    }
+
+    let driver = this.driver
+    let stored
+    try {
+      stored = await driver.upload(localPath, key, uploadOptions)
+    } catch (err) {
+      if (driver === this.local) throw err
+      console.error(`StorageService.upload, ${driver.type} upload of ${key} failed, storing locally`, err.message)
+      driver = this.local
+      stored = { ...await driver.upload(localPath, key, uploadOptions), uploadError: err.message }
+    }
+
+    // drivers whose visibility is fixed (Azure containers, public-read local
+    // storage) may store the object with another visibility than requested
+    if (!options.cacheControl && Boolean(stored.isPublic) !== Boolean(isPublic)) {
+      await driver.setCacheControl(key, this.cacheControlFor(stored.isPublic))
+    }
+    return { ...stored, uploadedAt: new Date() }
+  }
+
+  // Private objects must never be kept by a CDN or shared cache, or
+  // unpublishing them could not take them back
+  cacheControlFor (isPublic) {
+    return isPublic ? this.options.cacheControl : this.options.privateCacheControl
+  }
+
+  // The helpers below take the storage info saved on a record, so they act on
+  // whichever backend that object was actually written to
+  getSignedUrl (storage, options = {}) {
+    return this.getDriver(storage.type).getSignedUrl(storage.fileName, { expiresIn: this.options.signedUrlExpiry, ...options })
+  }
+
+  // The Cache-Control header follows the visibility that now applies
+  async setPublic (storage, isPublic) {
+    const driver = this.getDriver(storage.type)
+    const applied = await driver.setPublic(storage.fileName, isPublic)
+    await driver.setCacheControl(storage.fileName, this.cacheControlFor(applied))
+    return applied
+  }
+
+  download (storage, localPath) {
+    return this.getDriver(storage.type).download(storage.fileName, localPath)
+  }
+
+  delete (storage) {
+    return this.getDriver(storage.type).delete(storage.fileName)
+  }
+
+  exists (storage) {
+    return this.getDriver(storage.type).exists(storage.fileName)
+  }
+
+  stat (storage) {
+    return this.getDriver(storage.type).stat(storage.fileName)
+  }
+}
+
+module.exports = new StorageService()
@@ -0,0 +1,129 @@
+const crypto = require('crypto')
+const fs = require('fs').promises
+const path = require('path')
+const { contentTypeFor } = require('./contentTypes')
+
+// Files on the local disk, served by the app itself (GET /api/storage/files/<key>).
+// Signed URLs carry an expiry and an HMAC of the key, checked by that route.
+// A published file has an empty ".public.<name>" marker next to it (dotfiles
+// are never served); `publicRead` makes every file readable without one.
+// It is also where uploads land when the configured remote driver fails.
+class LocalStorageDriver {
+  constructor (options) {
+    this.type = 'local'
+    this.options = options
+    this.root = path.resolve(options.root)
+    this.signingSecret = options.signingSecret
+  }
+
+  isConfigured () {
+    return true
+  }
+
+  // Absolute path of a key, refusing keys that would escape the storage root
+  resolvePath (key) {
+    const filePath = path.resolve(this.root, key)
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+    return filePath
+  }
+
+  getPublicUrl (key) {
+    return `${this.options.baseUrl.replace(/\/$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`
+  }
+
+  markerPath (key) {
+    const filePath = this.resolvePath(key)
+    return path.join(path.dirname(filePath), `.public.${path.basename(filePath)}`)
+  }
+
+  async upload (localPath, key, { contentType, public: isPublic = false, fileSize }) {
+    const filePath = this.resolvePath(key)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.copyFile(localPath, filePath)
+    await this.setPublic(key, isPublic)
+
+    return {
+      type: this.type,
+      fileName: key,
+      publicUrl: this.getPublicUrl(key),
+      isPublic: isPublic || this.options.publicRead,
+      fileSize: fileSize,
+      contentType: contentType
+    }
+  }
+
+  async setPublic (key, isPublic) {
+    if (isPublic) {
+      await fs.writeFile(this.markerPath(key), '')
+    } else {
+      await fs.rm(this.markerPath(key), { force: true })
+    }
+    return isPublic || this.options.publicRead
+  }
+
+  // Served files get their Cache-Control from the visibility at request time
+  // (see serveFile), so there is nothing stored to rewrite
+  async setCacheControl (key, cacheControl) {}
+
+  async isPublic (key) {
+    if (this.options.publicRead) return true
+    try {
+      await fs.access(this.markerPath(key))
+      return true
+    } catch (err) {
+      return false
+    }
+  }
+
+  // StorageService refuses to start the local driver without a secret, but it
+  // is still created as the fallback of remote drivers
+  sign (key, expires) {
+    if (!this.signingSecret) throw new Error('STORAGE_LOCAL_SIGNING_SECRET is not configured, cannot sign local storage URLs')
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex')
+  }
+
+  async getSignedUrl (key, { expiresIn } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn
+    return `${this.getPublicUrl(key)}?expires=${expires}&signature=${this.sign(key, expires)}`
+  }
+
+  verifySignature (key, expires, signature) {
+    if (!this.signingSecret || !expires || !signature || Number(expires) < Date.now() / 1000) return false
+    const expected = Buffer.from(this.sign(key, expires))
+    const received = Buffer.from(String(signature))
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+  }
+
+  async download (key, localPath) {
+    await fs.copyFile(this.resolvePath(key), localPath)
+  }
+
+  async delete (key) {
+    await fs.rm(this.resolvePath(key), { force: true })
+    await fs.rm(this.markerPath(key), { force: true })
+  }
+
+  async exists (key) {
+    return (await this.stat(key)) !== null
+  }
+
+  async stat (key) {
+    try {
+      const stats = await fs.stat(this.resolvePath(key))
+      if (!stats.isFile()) return null
+      return {
+        size: stats.size,
+        contentType: contentTypeFor(key),
+        updatedAt: stats.mtime,
+        etag: `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+}
+
+module.exports = LocalStorageDriver
@@ -0,0 +1,122 @@
+const fs = require('fs')
+const { pipeline } = require('stream/promises')
+const { S3Client, PutObjectCommand, PutObjectTaggingCommand, CopyObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3')
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner')
+
+// Amazon S3 and S3-compatible servers (MinIO, R2, ...). Set `endpoint` and
+// `forcePathStyle` for MinIO. Object ACLs are not used because new AWS
+// buckets reject them; objects are tagged visibility=public|private instead
+// and a bucket policy on s3:ExistingObjectTag/visibility grants the reads.
+class S3StorageDriver {
+  constructor (options) {
+    this.type = 's3'
+    this.options = options
+    this.bucketName = options.bucket
+    if (this.isConfigured()) {
+      this.client = new S3Client({
+        region: options.region,
+        endpoint: options.endpoint || undefined,
+        forcePathStyle: options.forcePathStyle,
+        // falls back to the default AWS credential chain (env, profile, instance role)
+        credentials: options.accessKeyId ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey } : undefined
+      })
+    }
+  }
+
+  isConfigured () {
+    return Boolean(this.bucketName)
+  }
+
+  getPublicUrl (key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/')
+    if (this.options.publicBaseUrl) return `${this.options.publicBaseUrl.replace(/\/$/, '')}/${encodedKey}`
+    if (this.options.endpoint) return `${this.options.endpoint.replace(/\/$/, '')}/${this.bucketName}/${encodedKey}`
+    return `https://${this.bucketName}.s3.${this.options.region}.amazonaws.com/${encodedKey}`
+  }
+
+  async upload (localPath, key, { contentType, cacheControl, public: isPublic = false, fileSize }) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      Body: fs.createReadStream(localPath),
+      ContentLength: fileSize,
+      ContentType: contentType,
+      CacheControl: cacheControl,
+      Tagging: `visibility=${isPublic ? 'public' : 'private'}`
+    }))
+
+    return {
+      type: this.type,
+      bucketName: this.bucketName,
+      fileName: key,
+      publicUrl: this.getPublicUrl(key),
+      isPublic: isPublic,
+      fileSize: fileSize,
+      contentType: contentType
+    }
+  }
+
+  async getSignedUrl (key, { expiresIn, contentDisposition } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      ...(contentDisposition && { ResponseContentDisposition: contentDisposition })
+    })
+    return getSignedUrl(this.client, command, { expiresIn })
+  }
+
+  async setPublic (key, isPublic) {
+    await this.client.send(new PutObjectTaggingCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      Tagging: { TagSet: [{ Key: 'visibility', Value: isPublic ? 'public' : 'private' }] }
+    }))
+    return isPublic
+  }
+
+  // S3 headers can only be changed by copying the object onto itself; the
+  // content type and user metadata are carried over, the tags are kept
+  async setCacheControl (key, cacheControl) {
+    const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }))
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      CopySource: `${this.bucketName}/${key.split('/').map(encodeURIComponent).join('/')}`,
+      MetadataDirective: 'REPLACE',
+      TaggingDirective: 'COPY',
+      ContentType: head.ContentType,
+      Metadata: head.Metadata,
+      CacheControl: cacheControl
+    }))
+  }
+
+  async download (key, localPath) {
+    const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: key }))
+    await pipeline(Body, fs.createWriteStream(localPath))
+  }
+
+  async delete (key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: key }))
+  }
+
+  async exists (key) {
+    return (await this.stat(key)) !== null
+  }
+
+  async stat (key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }))
+      return {
+        size: head.ContentLength,
+        contentType: head.ContentType,
+        updatedAt: head.LastModified,
+        etag: head.ETag
+      }
+    } catch (err) {
+      if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return null
+      throw err
+    }
+  }
+}
+
+module.exports = S3StorageDriver
@@ -0,0 +1,40 @@
+const { spawn } = require('child_process')
+
+// Runs a command line tool (ffmpeg, ffprobe, a TTS engine) without blocking the
+// event loop and resolves, never rejects, with the fields spawnSync returns:
+// { status, stdout, stderr, error }. status is null when the command could not
+// be started. Piped output is collected as `encoding` text; `input` is written
+// to the child's stdin.
+function runProcess (command, args = [], { input, stdio = 'pipe', encoding = 'utf8' } = {}) {
+  return new Promise(resolve => {
+    const stdout = []
+    const stderr = []
+    let settled = false
+    const finish = (status, error) => {
+      if (settled) return
+      settled = true
+      const decode = (chunks) => encoding ? Buffer.concat(chunks).toString(encoding) : Buffer.concat(chunks)
+      resolve({ status, stdout: decode(stdout), stderr: decode(stderr), error })
+    }
+
+    // stdin has to be a pipe to pass input, whatever the caller does with the output
+    const stdioOption = input === undefined ? stdio : ['pipe', ...(Array.isArray(stdio) ? stdio.slice(1) : [stdio, stdio])]
+    let child
+    try {
+      child = spawn(command, args, { stdio: stdioOption })
+    } catch (error) {
+      return finish(null, error)
+    }
+
+    if (child.stdout) child.stdout.on('data', chunk => stdout.push(chunk))
+    if (child.stderr) child.stderr.on('data', chunk => stderr.push(chunk))
+    child.on('error', error => finish(null, error))
+    child.on('close', status => finish(status, undefined))
+    if (child.stdin) {
+      child.stdin.on('error', () => {}) // the child may exit before reading all of it
+      child.stdin.end(input)
+    }
+  })
+}
+
+module.exports = { runProcess }
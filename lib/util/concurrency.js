@@ -0,0 +1,64 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Runs iteratee over items with at most `limit` calls in flight and resolves
+// with the results in input order. The first rejection stops new items from
+// being started and rejects the whole call once the running ones settle.
+async function mapWithConcurrency (items, limit, iteratee) {
+  const results = new Array(items.length)
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length))
+  let nextIndex = 0
+  let failure = null
+
+  const worker = async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++
+      try {
+        results[index] = await iteratee(items[index], index)
+      } catch (err) {
+        failure = failure || err
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker))
+  if (failure) throw failure
+  return results
+}
+
+// Limits calls to one external provider: no more than maxConcurrent at once
+// and at least minInterval ms between the start of two calls.
+class RateLimiter {
+  constructor ({ maxConcurrent = 1, minInterval = 0 } = {}) {
+    this.maxConcurrent = maxConcurrent
+    this.minInterval = minInterval
+    this.active = 0
+    this.waiting = []
+    this.nextStartAt = 0
+  }
+
+  async schedule (task) {
+    await this.acquire()
+    try {
+      return await task()
+    } finally {
+      // the slot passes straight to the next waiter, so a caller arriving
+      // in between cannot take it and exceed maxConcurrent
+      if (this.waiting.length) this.waiting.shift()()
+      else this.active--
+    }
+  }
+
+  async acquire () {
+    if (this.active >= this.maxConcurrent) {
+      await new Promise(resolve => this.waiting.push(resolve))
+    } else {
+      this.active++
+    }
+    // reserve the start slot before waiting so queued callers space out
+    const startAt = Math.max(Date.now(), this.nextStartAt)
+    this.nextStartAt = startAt + this.minInterval
+    if (startAt > Date.now()) await sleep(startAt - Date.now())
+  }
+}
+
+module.exports = { mapWithConcurrency, RateLimiter }
@@ -2,6 +2,8 @@
 module.exports = {
     Trim :require('./trim'),
     UniqueIdGenerator :require('./uniqueIdGenerator'),
-    rejectionHandler :require('./rejectionHandler')
+    rejectionHandler :require('./rejectionHandler'),
+    concurrency :require('./concurrency'),
+    childProcess :require('./childProcess')
 }
 
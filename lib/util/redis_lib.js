@@ -276,5 +276,56 @@ class redis_lib {
       }
     })
   }
+
+  // Pushes value to the head of the list.
+  list_push (key, value) {
+    return new Promise((resolve, reject) => {
+      if (this.connection) {
+        this.connection.lpush(key, value, (err, result) => {
+          if (err) { reject(err) } else { resolve(result) }
+        })
+      } else {
+        reject(new Error('redis connection failed'))
+      }
+    })
+  }
+
+  // Atomically pops the tail of source and pushes it to the head of destination.
+  list_pop_push (source, destination) {
+    return new Promise((resolve, reject) => {
+      if (this.connection) {
+        this.connection.rpoplpush(source, destination, (err, result) => {
+          if (err) { reject(err) } else { resolve(result) }
+        })
+      } else {
+        reject(new Error('redis connection failed'))
+      }
+    })
+  }
+
+  // Removes all occurrences of value from the list.
+  list_remove (key, value) {
+    return new Promise((resolve, reject) => {
+      if (this.connection) {
+        this.connection.lrem(key, 0, value, (err, result) => {
+          if (err) { reject(err) } else { resolve(result) }
+        })
+      } else {
+        reject(new Error('redis connection failed'))
+      }
+    })
+  }
+
+  list_range (key, start, stop) {
+    return new Promise((resolve, reject) => {
+      if (this.connection) {
+        this.connection.lrange(key, start, stop, (err, result) => {
+          if (err) { reject(err) } else { resolve(result) }
+        })
+      } else {
+        reject(new Error('redis connection failed'))
+      }
+    })
+  }
 }
 module.exports = redis_lib
@@ -71,8 +71,8 @@ class Authentication {
     if (authConfig.internal && authConfig.internal.allow) setJwtStrategy(this.opts)
   }
 
-  authenticate (strategy, options) {
-    return passport.authenticate(strategy, options)
+  authenticate (strategy, options, callback) {
+    return passport.authenticate(strategy, options, callback)
   }
 
   setToken (data, expirySeconds) {
@@ -2,6 +2,58 @@
 const mongoose = require('mongoose')
 const Schema = mongoose.Schema
 const timestamps = require('mongoose-timestamp-plugin')
+const { CALLOUT_TYPES } = require('../services/animation/calloutOptions')
+const { THUMBNAIL_SOURCES } = require('../services/animation/thumbnailOptions')
+
+// Add storage schema for tracking where videos are stored
+const storageSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['local', 'gcs', 's3', 'azure'],
+    required: true,
+    default: 'local'
+  },
+  bucketName: {
+    type: String,
+    required: false // Only required for cloud storage
+  },
+  fileName: {
+    type: String,
+    required: false // Only required for cloud storage
+  },
+  publicUrl: {
+    type: String,
+    required: true
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: {
+    type: Date,
+    required: false // Set while the object is published
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  uploadError: {
+    type: String,
+    required: false // Only set if upload failed
+  },
+  fileSize: {
+    type: Number,
+    required: false // File size in bytes
+  },
+  contentType: {
+    type: String,
+    default: 'video/mp4'
+  },
+  checksum: {
+    type: String,
+    required: false // MD5 of the stored file, used to skip unchanged re-uploads
+  }
+}, { _id: false })
 
 const characterSchema = new Schema({
   name: {
@@ -19,6 +71,146 @@ const characterSchema = new Schema({
   role: {
     type: String,
     required: true
+  },
+  // Voice-casting hints from the story model
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'unspecified'],
+    required: false
+  },
+  ageGroup: {
+    type: String,
+    enum: ['child', 'young', 'adult', 'senior'],
+    required: false
+  },
+  voice: {
+    type: String,
+    required: false // voice chosen by an editor, kept over the automatic casting
+  },
+  masterImage: {
+    type: storageSchema,
+    required: false
+  },
+  // Mood name -> expression sheet generated from the master image
+  expressionImages: {
+    type: Map,
+    of: storageSchema,
+    required: false
+  }
+}, { _id: false })
+
+// How a scene clip was fitted to its narration (see audioMastering.planTimeFit)
+const timeFitSchema = new Schema({
+  mode: {
+    type: String,
+    enum: ['none', 'pad', 'slow', 'freeze', 'loop'],
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true // seconds of the processed clip
+  },
+  leadIn: {
+    type: Number,
+    required: false // seconds before the narration starts, the transition into the clip
+  },
+  slowdown: {
+    type: Number,
+    required: false
+  },
+  extension: {
+    type: Number,
+    required: false // seconds of frozen or looped video after the slowed clip
+  },
+  padding: {
+    type: Number,
+    required: false // seconds of room tone after the narration
+  }
+}, { _id: false })
+
+// Stored files and generation details of a single scene
+const sceneAssetsSchema = new Schema({
+  image: {
+    type: storageSchema,
+    required: false
+  },
+  rawClip: {
+    type: storageSchema,
+    required: false // clip as returned by the video provider
+  },
+  processedClip: {
+    type: storageSchema,
+    required: false // trimmed clip with narration and subtitles, as used in the final video
+  },
+  narrationAudio: {
+    type: storageSchema,
+    required: false // not set for scenes without narration, which are kept with a silent track
+  },
+  dialogueAudio: {
+    type: storageSchema,
+    required: false // only set for scenes with dialogue, layered over the narration
+  },
+  ttsProvider: {
+    type: String,
+    required: false
+  },
+  narrationLoudness: {
+    type: Number,
+    required: false // integrated loudness (LUFS) of the narration before it was normalized
+  },
+  timeFit: {
+    type: timeFitSchema,
+    required: false
+  },
+  transition: {
+    type: String,
+    required: false // style of the transition into the scene (see transitionOptions); not set for the first scene or a cut
+  },
+  musicTrack: {
+    type: String,
+    required: false // background music under the scene ("<mood>/<name>" or "generated/<mood>")
+  },
+  motionPrompt: {
+    type: String,
+    required: false
+  },
+  videoProvider: {
+    type: String,
+    required: false
+  },
+  providerTaskId: {
+    type: String,
+    required: false
+  }
+}, { _id: false })
+
+// A line spoken by a character of the scene, after the narration
+const dialogueLineSchema = new Schema({
+  character: {
+    type: String,
+    required: true
+  },
+  line: {
+    type: String,
+    required: true
+  }
+}, { _id: false })
+
+// On-screen text of a scene (see calloutOptions); detail is what a figure
+// measures, who is quoted or what happened on a date
+const calloutSchema = new Schema({
+  type: {
+    type: String,
+    enum: CALLOUT_TYPES,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  detail: {
+    type: String,
+    required: false
   }
 }, { _id: false })
 
@@ -50,51 +242,459 @@ const sceneSchema = new Schema({
     type: String,
     required: true
   },
+  dialogue: [dialogueLineSchema],
+  callouts: [calloutSchema],
   duration: {
     type: Number,
     default: 5
+  },
+  assets: {
+    type: sceneAssetsSchema,
+    required: false
   }
 }, { _id: false })
 
-// Add storage schema for tracking where videos are stored
-const storageSchema = new Schema({
+// Tracks the background job that renders the animation
+const jobSchema = new Schema({
+  id: {
+    type: String,
+    required: true
+  },
   type: {
     type: String,
-    enum: ['local', 'gcs', 's3', 'azure'],
-    required: true,
-    default: 'local'
+    required: true
   },
-  bucketName: {
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date,
+    required: false
+  },
+  finishedAt: {
+    type: Date,
+    required: false
+  },
+  lastError: {
     type: String,
-    required: false // Only required for cloud storage
+    required: false
+  }
+}, { _id: false })
+
+// Records which generation phases finished and the checkpoint each one left,
+// so a failed or interrupted animation can be resumed instead of restarted
+const pipelineSchema = new Schema({
+  completedPhases: [{
+    type: String
+  }],
+  currentPhase: {
+    type: String,
+    required: false
   },
-  fileName: {
+  failedPhase: {
     type: String,
-    required: false // Only required for cloud storage
+    required: false
   },
-  publicUrl: {
+  lastError: {
+    type: String,
+    required: false
+  },
+  checkpoints: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false })
+
+// Timing of a single pipeline phase
+const phaseTimingSchema = new Schema({
+  phase: {
     type: String,
     required: true
   },
+  startedAt: {
+    type: Date,
+    required: false
+  },
+  finishedAt: {
+    type: Date,
+    required: false
+  },
+  durationMs: {
+    type: Number,
+    required: false
+  },
+  restored: {
+    type: Boolean,
+    default: false // true when the phase was reused from a checkpoint
+  }
+}, { _id: false })
+
+// Live progress of the generation pipeline, polled by clients and streamed over SSE
+const progressSchema = new Schema({
+  phase: {
+    type: String,
+    required: false
+  },
+  phaseIndex: {
+    type: Number,
+    default: 0
+  },
+  totalPhases: {
+    type: Number,
+    default: 0
+  },
+  sceneIndex: {
+    type: Number,
+    default: 0
+  },
+  sceneTotal: {
+    type: Number,
+    default: 0
+  },
+  percent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  message: {
+    type: String,
+    required: false
+  },
+  phaseTimings: [phaseTimingSchema],
+  updatedAt: {
+    type: Date,
+    required: false
+  }
+}, { _id: false })
+
+// Editorial review of the generated story before any images are rendered
+const storyboardSchema = new Schema({
+  submittedAt: {
+    type: Date,
+    required: false
+  },
+  revision: {
+    type: Number,
+    default: 0 // incremented on every edit
+  },
+  editedAt: {
+    type: Date,
+    required: false
+  },
+  editedBy: {
+    type: String,
+    required: false
+  },
+  approvedAt: {
+    type: Date,
+    required: false
+  },
+  approvedBy: {
+    type: String,
+    required: false
+  },
+  comment: {
+    type: String,
+    required: false
+  }
+}, { _id: false })
+
+// Animatic rendered from the still scene images in draft mode, kept after the
+// draft is promoted to full motion video
+const draftSchema = new Schema({
+  videoUrl: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: storageSchema,
+    required: false
+  },
+  renderedAt: {
+    type: Date,
+    default: Date.now
+  },
+  promotedAt: {
+    type: Date,
+    required: false
+  }
+}, { _id: false })
+
+// One output format of the final video. The master (generated natively in
+// its aspect ratio) is listed too; the others are cropped or padded from it.
+const renditionSchema = new Schema({
+  aspectRatio: {
+    type: String,
+    enum: ['16:9', '9:16', '1:1'],
+    required: true
+  },
+  width: {
+    type: Number,
+    required: true
+  },
+  height: {
+    type: Number,
+    required: true
+  },
+  master: {
+    type: Boolean,
+    default: false
+  },
+  fit: {
+    type: String,
+    enum: ['native', 'crop', 'pad'],
+    default: 'native'
+  },
+  videoUrl: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: storageSchema,
+    required: true
+  }
+}, { _id: false })
+
+// A playlist or manifest of the adaptive streaming package
+const streamManifestSchema = new Schema({
+  manifestUrl: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: storageSchema,
+    required: true
+  }
+}, { _id: false })
+
+// HLS ladder (and optional DASH manifest) packaged from the master video. The
+// segments are stored next to the manifests under keyPrefix; files lists every
+// stored key so the package can be published or deleted as a whole.
+const streamingSchema = new Schema({
+  hls: {
+    type: streamManifestSchema,
+    required: false
+  },
+  dash: {
+    type: streamManifestSchema,
+    required: false // Only set with STREAMING_DASH_ENABLED=true
+  },
+  ladder: [{
+    _id: false,
+    name: String,
+    width: Number,
+    height: Number,
+    videoBitrate: Number // kbit/s
+  }],
+  segmentDuration: {
+    type: Number,
+    required: false
+  },
+  storageType: {
+    type: String,
+    enum: ['local', 'gcs', 's3', 'azure'],
+    required: true
+  },
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  files: [{
+    type: String
+  }],
   isPublic: {
     type: Boolean,
     default: false
   },
-  uploadedAt: {
+  packagedAt: {
     type: Date,
-    default: Date.now
+    required: false
+  }
+}, { _id: false })
+
+// Sidecar captions of the final video, timed from the narration audio
+const subtitlesSchema = new Schema({
+  vtt: {
+    type: storageSchema,
+    required: true
   },
-  uploadError: {
+  srt: {
+    type: storageSchema,
+    required: true
+  },
+  cueCount: {
+    type: Number,
+    required: false
+  },
+  timing: {
     type: String,
-    required: false // Only set if upload failed
+    enum: ['sentence', 'word'],
+    default: 'sentence'
   },
-  fileSize: {
+  burnedIn: {
+    type: Boolean,
+    default: true // false when the video was rendered without burned-in captions
+  },
+  language: {
+    type: String,
+    default: 'en' // narration language the captions are in
+  }
+}, { _id: false })
+
+// An additional narration language (see generationOptions.languages). Its audio
+// is either an extra track of the final video (audioTrack) or a separate
+// localized video; its captions are always stored as sidecars.
+const localizationSchema = new Schema({
+  language: {
+    type: String,
+    required: true
+  },
+  audioTrack: {
+    type: Boolean,
+    default: true
+  },
+  videoUrl: {
+    type: String,
+    required: false // Only set for separate localized videos
+  },
+  storage: {
+    type: storageSchema,
+    required: false // Only set for separate localized videos
+  },
+  subtitles: {
+    type: subtitlesSchema,
+    required: true
+  }
+}, { _id: false })
+
+// Voices of the narrator and of every character (see ttsProviders/voices)
+const castVoiceSchema = new Schema({
+  character: {
+    type: String,
+    required: true
+  },
+  voice: {
+    type: String,
+    required: true
+  },
+  gender: {
+    type: String,
+    required: false
+  },
+  ageGroup: {
+    type: String,
+    required: false
+  },
+  source: {
+    type: String,
+    enum: ['auto', 'storyboard'],
+    default: 'auto'
+  }
+}, { _id: false })
+
+const voiceCastingSchema = new Schema({
+  narrator: {
+    type: String,
+    required: true
+  },
+  narratorSource: {
+    type: String,
+    enum: ['request', 'brand', 'mood', 'default'],
+    required: false
+  },
+  characters: [castVoiceSchema]
+}, { _id: false })
+
+// Brand profile layers applied to the assembled video (see brandingService)
+const brandingSchema = new Schema({
+  profile: {
+    type: String,
+    required: true
+  },
+  watermark: {
+    type: Boolean,
+    default: false
+  },
+  intro: {
+    type: Boolean,
+    default: false
+  },
+  outro: {
+    type: Boolean,
+    default: false
+  },
+  lowerThirds: [{
+    type: String // characters introduced with a lower third, in order
+  }]
+}, { _id: false })
+
+// One size of the poster (see THUMBNAIL_SIZES)
+const posterSizeSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  width: {
     type: Number,
-    required: false // File size in bytes
+    required: true
   },
-  contentType: {
+  height: {
+    type: Number,
+    required: true
+  },
+  storage: {
+    type: storageSchema,
+    required: true
+  }
+}, { _id: false })
+
+const sceneThumbnailSchema = new Schema({
+  sceneNumber: {
+    type: Number,
+    required: true
+  },
+  time: {
+    type: Number,
+    required: false // seconds into the scene video the frame was taken at
+  },
+  score: {
+    type: Number,
+    required: false // sharpness and face presence of the frame, 0 to 1
+  },
+  width: Number,
+  height: Number,
+  storage: {
+    type: storageSchema,
+    required: true
+  }
+}, { _id: false })
+
+// Poster and scene thumbnails, stored with the final video's visibility
+const thumbnailsSchema = new Schema({
+  source: {
     type: String,
-    default: 'video/mp4'
+    enum: THUMBNAIL_SOURCES,
+    required: true
+  },
+  sceneNumber: {
+    type: Number,
+    required: false // scene the poster was taken from
+  },
+  time: {
+    type: Number,
+    required: false // seconds into that scene's video; not set for a title card
+  },
+  sizes: [posterSizeSchema],
+  scenes: [sceneThumbnailSchema],
+  generatedAt: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: false })
 
@@ -121,11 +721,13 @@ const animationSchema = new Schema({
   scenes: [sceneSchema],
   videoUrl: {
     type: String,
-    required: true
+    // placeholder records created for queued jobs have no video yet
+    required: function () { return this.status === 'completed' },
+    default: ''
   },
   status: {
     type: String,
-    enum: ['processing', 'completed', 'failed'],
+    enum: ['processing', 'awaiting_review', 'draft_ready', 'completed', 'failed'],
     default: 'processing'
   },
   processingTime: {
@@ -145,6 +747,56 @@ const animationSchema = new Schema({
     type: storageSchema,
     required: false // Optional for backward compatibility
   },
+  // Every output format of the final video, master first (see generationOptions.outputFormats)
+  renditions: [renditionSchema],
+  subtitles: {
+    type: subtitlesSchema,
+    required: false
+  },
+  // Additional narration languages; the primary language is the one of videoUrl and subtitles
+  localizations: [localizationSchema],
+  voiceCasting: {
+    type: voiceCastingSchema,
+    required: false // set when the audio phase runs
+  },
+  branding: {
+    type: brandingSchema,
+    required: false // set when the video is assembled with a brand profile
+  },
+  thumbnails: {
+    type: thumbnailsSchema,
+    required: false // set when the video is uploaded
+  },
+  // Adaptive streaming package of the master, next to videoUrl
+  streaming: {
+    type: streamingSchema,
+    required: false
+  },
+  job: {
+    type: jobSchema,
+    required: false // Only set for animations generated through the job queue
+  },
+  storyboard: {
+    type: storyboardSchema,
+    required: false // Only set when the storyboard review gate is enabled
+  },
+  draft: {
+    type: draftSchema,
+    required: false // Only set for animations generated with mode 'draft'
+  },
+  // Request options the pipeline honours (e.g. mode, reviewStoryboard, videoProviders), kept so resumed runs use them too
+  generationOptions: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  pipeline: {
+    type: pipelineSchema,
+    default: () => ({})
+  },
+  progress: {
+    type: progressSchema,
+    default: () => ({})
+  },
   // Add mood and country context information
   overallMood: {
     type: String,
@@ -179,13 +831,15 @@ animationSchema.index({ title: 'text', theme: 'text' })
 animationSchema.index({ 'storage.type': 1 })
 animationSchema.index({ 'storage.isPublic': 1 })
 animationSchema.index({ overallMood: 1 })
+animationSchema.index({ 'job.id': 1 })
 
-// Add virtual for public access URL
+// Add virtual for public access URL; unpublished videos have none and are
+// played through a signed URL from GET /api/animation/:animationId/playbackUrl
 animationSchema.virtual('publicVideoUrl').get(function() {
-  if (this.storage && this.storage.isPublic) {
-    return this.storage.publicUrl;
+  if (!this.storage) {
+    return this.videoUrl || null; // records from before storage info was kept
   }
-  return this.videoUrl;
+  return this.storage.isPublic ? this.storage.publicUrl : null;
 });
 
 // Add method to check if video is stored in cloud
@@ -206,7 +860,8 @@ animationSchema.methods.getStorageInfo = function() {
   return {
     type: this.storage.type,
     isPublic: this.storage.isPublic,
-    url: this.storage.publicUrl,
+    publishedAt: this.storage.publishedAt,
+    url: this.publicVideoUrl,
     bucketName: this.storage.bucketName,
     fileName: this.storage.fileName,
     uploadedAt: this.storage.uploadedAt,
@@ -0,0 +1,120 @@
+// mongooseSchema/BrandProfile.js - Channel branding of a brand or desk (sports, politics, business, ...)
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+const timestamps = require('mongoose-timestamp-plugin')
+const { LOGO_POSITIONS, COLOR_PATTERN, FONT_NAME_PATTERN, DEFAULT_LOGO, DEFAULT_PALETTE, DEFAULT_FONTS } = require('../services/animation/brandingOptions')
+
+const colorMatch = [new RegExp(COLOR_PATTERN), '{PATH} must be a #RRGGBB colour']
+// drawn with ffmpeg's drawtext, so profiles written around the API are checked too
+const fontMatch = [new RegExp(FONT_NAME_PATTERN), '{PATH} is not a valid font family name']
+
+const logoSchema = new Schema({
+  url: {
+    type: String,
+    required: true // PNG with transparency works best
+  },
+  position: {
+    type: String,
+    enum: LOGO_POSITIONS,
+    default: DEFAULT_LOGO.position
+  },
+  opacity: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: DEFAULT_LOGO.opacity
+  },
+  scale: {
+    type: Number,
+    min: 0.05,
+    max: 0.4,
+    default: DEFAULT_LOGO.scale // logo width as a fraction of the frame width
+  }
+}, { _id: false })
+
+// Colours are '#RRGGBB' (see brandingOptions for how the lower thirds use them)
+const paletteSchema = new Schema({
+  primary: {
+    type: String,
+    match: colorMatch,
+    default: DEFAULT_PALETTE.primary
+  },
+  secondary: {
+    type: String,
+    match: colorMatch,
+    default: DEFAULT_PALETTE.secondary
+  },
+  accent: {
+    type: String,
+    match: colorMatch,
+    default: DEFAULT_PALETTE.accent
+  },
+  text: {
+    type: String,
+    match: colorMatch,
+    default: DEFAULT_PALETTE.text
+  }
+}, { _id: false })
+
+const fontsSchema = new Schema({
+  heading: {
+    type: String,
+    match: fontMatch,
+    default: DEFAULT_FONTS.heading
+  },
+  body: {
+    type: String,
+    match: fontMatch,
+    default: DEFAULT_FONTS.body
+  }
+}, { _id: false })
+
+const schema = new Schema({
+  // Matched with the "brand" (or "branding.profile") of a generate request
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  displayName: {
+    type: String,
+    required: false
+  },
+  logo: {
+    type: logoSchema,
+    required: false
+  },
+  introUrl: {
+    type: String,
+    required: false // bumper clip played before the animation
+  },
+  outroUrl: {
+    type: String,
+    required: false // bumper clip played after the animation
+  },
+  palette: {
+    type: paletteSchema,
+    default: () => ({})
+  },
+  fonts: {
+    type: fontsSchema,
+    default: () => ({})
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+})
+
+const timestampsAppendObj = {
+  createdName: 'createdAt',
+  updatedName: 'updatedAt',
+  disableCreated: false,
+  disableUpdated: false
+}
+
+schema.plugin(timestamps, timestampsAppendObj)
+
+module.exports = mongoose.model('BrandProfile', schema)
@@ -0,0 +1,363 @@
+// services/animation/animationJobService.js - Durable background jobs for animation generation
+const axios = require('axios');
+const __constants = require('../../config/constants');
+const jobQueue = require('../../lib/queue');
+const Animation = require('../../mongooseSchema/Animation');
+const animationService = require('./animationService');
+
+const JOB_TYPES = __constants.JOB_QUEUE.TYPES;
+
+class AnimationJobService {
+  // Register job handlers on the queue (called by the worker process, or by
+  // the API process when JOB_QUEUE_RUN_INLINE is enabled)
+  registerHandlers() {
+    jobQueue.process(JOB_TYPES.GENERATE_ANIMATION, (job) => this.processGenerateAnimationJob(job), {
+      onExhausted: (job, error) => this.handleExhaustedJob(job, error)
+    });
+    jobQueue.process(JOB_TYPES.REGENERATE_SCENE, (job) => this.processRegenerateSceneJob(job), {
+      onExhausted: (job, error) => this.handleExhaustedJob(job, error)
+    });
+  }
+
+  // Queue an animation that already has a placeholder record
+  async enqueueAnimationGeneration(animationId, { article, sceneCount, callbackUrl }) {
+    const job = await jobQueue.add(JOB_TYPES.GENERATE_ANIMATION, {
+      animationId: animationId.toString(),
+      article,
+      sceneCount,
+      callbackUrl
+    });
+
+    await Animation.findByIdAndUpdate(animationId, {
+      job: {
+        id: job.id,
+        type: job.type,
+        attempts: 0,
+        queuedAt: new Date(job.createdAt)
+      },
+      'progress.message': 'Waiting for a worker',
+      'progress.updatedAt': new Date()
+    });
+
+    console.log(`📥 Animation ${animationId} queued as job ${job.id}`);
+    return job;
+  }
+
+  // Job handler: runs the full pipeline for a queued animation
+  async processGenerateAnimationJob(job) {
+    const { animationId, article, sceneCount, callbackUrl } = job.payload;
+    const startTime = Date.now();
+
+    const animation = await Animation.findById(animationId);
+    if (!animation) {
+      console.warn(`⚠️ Animation ${animationId} no longer exists, dropping job ${job.id}`);
+      return;
+    }
+    if (animation.status === 'completed') {
+      console.log(`ℹ️ Animation ${animationId} already completed, skipping job ${job.id}`);
+      return;
+    }
+    if (animation.status === 'awaiting_review') {
+      console.log(`ℹ️ Animation ${animationId} is waiting for storyboard approval, skipping job ${job.id}`);
+      return;
+    }
+    if (animation.status === 'draft_ready' && animation.generationOptions && animation.generationOptions.mode === 'draft') {
+      console.log(`ℹ️ Animation ${animationId} draft already rendered, skipping job ${job.id}`);
+      return;
+    }
+
+    await Animation.findByIdAndUpdate(animationId, {
+      status: 'processing',
+      'job.attempts': job.attempts,
+      'job.startedAt': new Date(job.startedAt)
+    });
+
+    try {
+      console.log(`Starting queued animation generation for ID: ${animationId} (job ${job.id}, attempt ${job.attempts})`);
+
+      // The pipeline writes its results (and per-phase checkpoints) straight to the record
+      const result = await animationService.generateAnimation(article, sceneCount, { animationId });
+      const processingTime = Date.now() - startTime;
+
+      await Animation.findByIdAndUpdate(animationId, {
+        'job.finishedAt': new Date()
+      });
+
+      console.log(`Queued animation generation completed for ID: ${animationId}`);
+
+      await this.sendWebhook(callbackUrl, {
+        jobId: animationId,
+        status: result.status,
+        result: result,
+        processingTime: processingTime
+      });
+
+    } catch (error) {
+      console.error(`Queued animation generation failed for ID: ${animationId}:`, error);
+      await this.markFailed(animationId, error, Date.now() - startTime);
+
+      await this.sendWebhook(callbackUrl, {
+        jobId: animationId,
+        status: 'failed',
+        error: error.message,
+        processingTime: Date.now() - startTime
+      });
+    }
+  }
+
+  // Re-queue a failed or orphaned animation. The pipeline skips every phase
+  // that already has a checkpoint, so only the remaining work is redone.
+  async resumeAnimation(animationId, { callbackUrl } = {}) {
+    const animation = await Animation.findById(animationId);
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (animation.status === 'completed') {
+      return { success: false, reason: 'already_completed' };
+    }
+    if (animation.status === 'draft_ready') {
+      return { success: false, reason: 'draft_ready' };
+    }
+    if (animation.status === 'awaiting_review') {
+      return { success: false, reason: 'awaiting_review' };
+    }
+
+    if (animation.status === 'processing' && animation.job && animation.job.id) {
+      const queuedJob = await jobQueue.getJob(animation.job.id);
+      if (queuedJob) {
+        return { success: false, reason: 'in_progress', jobId: queuedJob.id };
+      }
+    }
+
+    await Animation.findByIdAndUpdate(animationId, {
+      status: 'processing',
+      'pipeline.failedPhase': null,
+      'pipeline.lastError': null
+    });
+
+    const job = await this.enqueueAnimationGeneration(animationId, {
+      article: animation.article,
+      sceneCount: animation.sceneCount,
+      callbackUrl: callbackUrl
+    });
+
+    return {
+      success: true,
+      jobId: job.id,
+      completedPhases: animation.pipeline ? animation.pipeline.completedPhases : []
+    };
+  }
+
+  // Render full motion video for a finished draft. The story, character,
+  // scene image and narration checkpoints are kept; only the scene videos and
+  // everything assembled from them are regenerated.
+  async promoteDraft(animationId, { callbackUrl, videoProviders } = {}) {
+    const animation = await Animation.findById(animationId);
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (animation.status !== 'draft_ready') {
+      return { success: false, reason: 'not_draft', status: animation.status };
+    }
+
+    await animationService.invalidateCheckpoints(animationId, ['sceneVideos']);
+
+    const update = {
+      status: 'processing',
+      'generationOptions.mode': 'full',
+      'draft.promotedAt': new Date(),
+      'pipeline.failedPhase': null,
+      'pipeline.lastError': null
+    };
+    if (videoProviders) {
+      update['generationOptions.videoProviders'] = videoProviders;
+    }
+    await Animation.findByIdAndUpdate(animationId, update);
+
+    const job = await this.enqueueAnimationGeneration(animationId, {
+      article: animation.article,
+      sceneCount: animation.sceneCount,
+      callbackUrl: callbackUrl
+    });
+
+    console.log(`🚀 Draft ${animationId} promoted to full motion video (job ${job.id})`);
+    return {
+      success: true,
+      jobId: job.id,
+      draftVideoUrl: animation.draft ? animation.draft.videoUrl : null
+    };
+  }
+
+  // Queue the regeneration of one scene of a completed animation (or a finished draft)
+  async regenerateScene(animationId, sceneNumber, { target, description, narration, videoProviders, callbackUrl } = {}) {
+    const animation = await Animation.findById(animationId);
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (!['completed', 'draft_ready'].includes(animation.status)) {
+      return { success: false, reason: 'not_finished', status: animation.status };
+    }
+
+    const checkpoints = (animation.pipeline && animation.pipeline.checkpoints) || {};
+    const requiredCheckpoints = ['story', 'characters', 'sceneImages', 'sceneVideos', 'audio'];
+    if (requiredCheckpoints.some(phase => !checkpoints[phase])) {
+      return { success: false, reason: 'assets_missing' };
+    }
+    if (!checkpoints.story.scenes.some(scene => scene.sceneNumber === sceneNumber)) {
+      return { success: false, reason: 'scene_not_found' };
+    }
+
+    const job = await jobQueue.add(JOB_TYPES.REGENERATE_SCENE, {
+      animationId: animationId.toString(),
+      sceneNumber,
+      target,
+      description,
+      narration,
+      videoProviders,
+      previousStatus: animation.status,
+      callbackUrl
+    });
+
+    await Animation.findByIdAndUpdate(animationId, {
+      status: 'processing',
+      job: {
+        id: job.id,
+        type: job.type,
+        attempts: 0,
+        queuedAt: new Date(job.createdAt)
+      },
+      'progress.message': `Waiting for a worker to regenerate scene ${sceneNumber}`,
+      'progress.updatedAt': new Date()
+    });
+
+    console.log(`📥 Scene ${sceneNumber} of animation ${animationId} queued for ${target} regeneration as job ${job.id}`);
+    return { success: true, jobId: job.id };
+  }
+
+  // Job handler: regenerates the scene assets, then runs the pipeline, which
+  // restores every other phase from its checkpoint and re-assembles and re-uploads
+  async processRegenerateSceneJob(job) {
+    const { animationId, sceneNumber, target, description, narration, videoProviders, previousStatus, callbackUrl } = job.payload;
+    const startTime = Date.now();
+
+    const animation = await Animation.findById(animationId);
+    if (!animation) {
+      console.warn(`⚠️ Animation ${animationId} no longer exists, dropping job ${job.id}`);
+      return;
+    }
+
+    await Animation.findByIdAndUpdate(animationId, {
+      status: 'processing',
+      'job.attempts': job.attempts,
+      'job.startedAt': new Date(job.startedAt)
+    });
+
+    try {
+      await animationService.regenerateSceneAssets(animationId, sceneNumber, { target, description, narration, videoProviders });
+    } catch (error) {
+      console.error(`Scene ${sceneNumber} regeneration failed for ID: ${animationId}:`, error);
+      if (error.checkpointsReplaced) {
+        // The new scene is checkpointed but not assembled yet; resuming
+        // re-assembles the video with it
+        await this.markFailed(animationId, error, Date.now() - startTime);
+        await this.sendWebhook(callbackUrl, {
+          jobId: animationId,
+          sceneNumber: sceneNumber,
+          status: 'failed',
+          error: error.message,
+          processingTime: Date.now() - startTime
+        });
+        return;
+      }
+
+      // Nothing was replaced yet, so the previous video is still valid
+      await Animation.findByIdAndUpdate(animationId, {
+        status: previousStatus,
+        'job.finishedAt': new Date(),
+        'job.lastError': error.message,
+        'progress.message': `Scene ${sceneNumber} regeneration failed: ${error.message}`,
+        'progress.updatedAt': new Date()
+      });
+      await this.sendWebhook(callbackUrl, {
+        jobId: animationId,
+        sceneNumber: sceneNumber,
+        status: 'failed',
+        error: error.message,
+        processingTime: Date.now() - startTime
+      });
+      return;
+    }
+
+    try {
+      const result = await animationService.generateAnimation(animation.article, animation.sceneCount, { animationId });
+
+      await Animation.findByIdAndUpdate(animationId, {
+        'job.finishedAt': new Date()
+      });
+
+      await this.sendWebhook(callbackUrl, {
+        jobId: animationId,
+        sceneNumber: sceneNumber,
+        status: result.status,
+        result: result,
+        processingTime: Date.now() - startTime
+      });
+
+    } catch (error) {
+      // The pipeline kept its checkpoints, so resumeAnimation finishes the re-assembly
+      console.error(`Re-assembly after scene ${sceneNumber} regeneration failed for ID: ${animationId}:`, error);
+      await this.markFailed(animationId, error, Date.now() - startTime);
+
+      await this.sendWebhook(callbackUrl, {
+        jobId: animationId,
+        sceneNumber: sceneNumber,
+        status: 'failed',
+        error: error.message,
+        processingTime: Date.now() - startTime
+      });
+    }
+  }
+
+  // Called when every worker that picked the job up died while running it
+  async handleExhaustedJob(job, error) {
+    const { animationId, callbackUrl } = job.payload;
+    console.error(`❌ Job ${job.id} for animation ${animationId} gave up after ${job.attempts} attempts`);
+
+    await this.markFailed(animationId, error, 0);
+    await this.sendWebhook(callbackUrl, {
+      jobId: animationId,
+      status: 'failed',
+      error: error.message
+    });
+  }
+
+  async markFailed(animationId, error, processingTime) {
+    try {
+      await Animation.findByIdAndUpdate(animationId, {
+        status: 'failed',
+        processingTime: processingTime,
+        'job.finishedAt': new Date(),
+        'job.lastError': error.message
+      });
+    } catch (updateError) {
+      console.error(`Failed to mark animation ${animationId} as failed:`, updateError);
+    }
+  }
+
+  async sendWebhook(callbackUrl, body) {
+    if (!callbackUrl) return;
+
+    try {
+      await axios.post(callbackUrl, body, {
+        timeout: 10000,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (webhookError) {
+      console.error(`Failed to send ${body.status} webhook notification:`, webhookError.message);
+    }
+  }
+}
+
+module.exports = new AnimationJobService();
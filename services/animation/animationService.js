@@ -2,33 +2,69 @@
 const OpenAI = require('openai');
 const { toFile } = require('openai');
 const axios = require('axios');
-const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('node:async_hooks');
 const { v4: uuidv4 } = require('uuid');
 const { z } = require('zod');
 const { zodTextFormat } = require('openai/helpers/zod');
 const Animation = require('../../mongooseSchema/Animation');
+const storage = require('../../lib/storage');
 const KlingAI = require('./klingAIService');
+const ProgressTracker = require('./progressTracker');
+const videoProviders = require('./videoProviders');
+const ttsProviders = require('./ttsProviders');
+const { CHARACTER_GENDERS, CHARACTER_AGE_GROUPS, resolveNarratorVoice, castVoices, getCharacterVoice } = require('./ttsProviders/voices');
+const playbackService = require('./playbackService');
+const renditionRenderer = require('./renditionRenderer');
+const streamPackager = require('./streamPackager');
+const subtitleService = require('./subtitleService');
+const { resolveSubtitleOptions } = require('./subtitleStyles');
+const { getOutputFormat, resolveOutputFormats } = require('./outputFormats');
+const { DEFAULT_LANGUAGE, getLanguage, resolveLanguages } = require('./languages');
+const narrationTranslator = require('./narrationTranslator');
+const musicLibrary = require('./musicLibrary');
+const { resolveMusicOptions } = require('./musicOptions');
+const audioMastering = require('./audioMastering');
+const { resolveTransitionOptions, resolveSceneTransition } = require('./transitionOptions');
+const brandingService = require('./brandingService');
+const { resolveBrandingOptions } = require('./brandingOptions');
+const calloutRenderer = require('./calloutRenderer');
+const { CALLOUT_TYPES, MAX_CALLOUTS_PER_SCENE, resolveCalloutOptions } = require('./calloutOptions');
+const thumbnailService = require('./thumbnailService');
+const { resolveThumbnailOptions } = require('./thumbnailOptions');
+const __config = require('../../config');
+const { mapWithConcurrency, RateLimiter } = require('../../lib/util/concurrency');
+const crypto = require('crypto');
 const { encoding_for_model } = require('tiktoken');
-const { Storage } = require('@google-cloud/storage');
 
 // Add required imports for audio-video sync
-const { execSync, spawnSync } = require("node:child_process");
+const { runProcess } = require("../../lib/util/childProcess");
 const { accessSync, unlinkSync, writeFileSync, readFileSync, constants: fsConstants } = require("node:fs");
 const { access } = require("node:fs/promises");
 
-// Helper function to execute shell commands
-const sh = (cmd) => execSync(cmd, { stdio: ["ignore", "pipe", "inherit"] })
-                    .toString().trim();
-
 // Define Zod schemas for structured responses
 const CharacterSchema = z.object({
   name: z.string(),
   description: z.string(),
   personality: z.string(),
-  role: z.string()
+  role: z.string(),
+  gender: z.enum(CHARACTER_GENDERS),
+  ageGroup: z.enum(CHARACTER_AGE_GROUPS)
+});
+
+// A line a character speaks in a scene, voiced by the character's cast voice
+const DialogueLineSchema = z.object({
+  character: z.string(),
+  line: z.string()
+});
+
+// On-screen text of a scene, taken from the article (see calloutOptions)
+const CalloutSchema = z.object({
+  type: z.enum(CALLOUT_TYPES),
+  text: z.string(),
+  detail: z.string().nullable()
 });
 
 const SceneSchema = z.object({
@@ -39,6 +75,8 @@ const SceneSchema = z.object({
   mood: z.string(),
   cameraAngle: z.string(),
   narration: z.string(),
+  dialogue: z.array(DialogueLineSchema),
+  callouts: z.array(CalloutSchema),
   duration: z.number(),
   sceneType: z.enum(['action', 'dialogue', 'landscape', 'emotional', 'standard']),
   moodIntensity: z.number().min(1).max(10),
@@ -58,6 +96,57 @@ const MotionDescriptionSchema = z.object({
   motionDescription: z.string().max(150)
 });
 
+// Pipeline phases in execution order; each one is checkpointed on the Animation record
+const PIPELINE_PHASES = ['story', 'characters', 'sceneImages', 'sceneVideos', 'audio', 'assembly', 'packaging', 'thumbnails', 'upload'];
+
+// Inputs of each phase. Re-running a phase invalidates the checkpoints of every
+// phase that (transitively) depends on it, and nothing else, so e.g. new scene
+// videos keep the narration audio.
+const PHASE_DEPENDENCIES = {
+  story: [],
+  characters: ['story'],
+  sceneImages: ['story', 'characters'],
+  sceneVideos: ['sceneImages'],
+  audio: ['story'],
+  assembly: ['sceneVideos', 'audio'],
+  packaging: ['assembly'],
+  // frames come from the scene videos, but a regenerated scene only
+  // invalidates the assembly, so the thumbnails follow it
+  thumbnails: ['sceneImages', 'assembly'],
+  upload: ['assembly', 'packaging', 'thumbnails']
+};
+
+// The phase itself plus every phase whose output depends on it
+const phaseWithDependents = (phase) => {
+  const affected = new Set([phase]);
+  PIPELINE_PHASES.forEach(candidate => {
+    if (PHASE_DEPENDENCIES[candidate].some(dependency => affected.has(dependency))) {
+      affected.add(candidate);
+    }
+  });
+  return PIPELINE_PHASES.filter(candidate => affected.has(candidate));
+};
+
+// scenes[].assets entries the upload phase stores from each phase's files
+// (see storeSceneAssets); the characters phase's go on characters[]
+const STORED_SCENE_ASSETS = {
+  sceneImages: ['image'],
+  sceneVideos: ['rawClip'],
+  audio: ['narrationAudio', 'dialogueAudio']
+};
+
+// Translated narration may run this much past its target before it is shortened
+const NARRATION_TIMING_TOLERANCE = 1.05;
+// Fastest speed-up applied to a translated voice-over that is still too long
+const MAX_NARRATION_TEMPO = 1.25;
+
+// Pause before a scene's dialogue (after its narration) and between its lines, in seconds
+const DIALOGUE_LEAD_IN = 0.4;
+const DIALOGUE_LINE_GAP = 0.3;
+
+// Seconds a scene clip runs on after its narration ends
+const NARRATION_TAIL = 0.3;
+
 // New schema for country detection
 const CountryDetectionSchema = z.object({
   primaryCountry: z.string(),
@@ -73,15 +162,24 @@ class AnimationService {
     this.openai = new OpenAI({
       apiKey: process.env.OPENAI_API_KEY
     });
-    this.elevenLabsApiKey = process.env.ELEVENLABS_API_KEY;
-    this.aivaApiKey = process.env.AIVA_API_KEY;
     this.imagekitApiKey = process.env.IMAGEKIT_API_KEY;
     this.imagekitPrivateKey = process.env.IMAGEKIT_PRIVATE_KEY;
     this.imagekitEndpoint = process.env.IMAGEKIT_ENDPOINT;
     
-    this.workingDir = path.join(__dirname, '../../temp');
-    this.ensureDirectoryExists();
-    this.initializeGoogleCloudStorage();
+    // Every run works in its own temp/<runId>/ (see withWorkingDir), so runs
+    // in parallel never see or delete each other's files
+    this.tempRoot = path.join(__dirname, '../../temp');
+    this.runContext = new AsyncLocalStorage();
+    this.defaultRun = this.createRun(this.tempRoot);
+    this.checkpointRoot = path.join(__dirname, '../../checkpoints');
+
+    // Scenes are generated in parallel; each provider gets its own limiter so
+    // the pool never exceeds what that API tolerates (video and TTS providers
+    // are limited by the registries in ./videoProviders and ./ttsProviders)
+    this.sceneConcurrency = __config.animationConcurrency.scenes;
+    this.rateLimiters = {
+      openaiImages: new RateLimiter(__config.animationConcurrency.providers.openaiImages)
+    };
 
     // Initialize tiktoken encoder for GPT-4
     try {
@@ -92,13 +190,6 @@ class AnimationService {
       this.tokenEncoder = null;
     }
 
-    // Token tracking
-    this.tokenUsage = {
-      total: 0,
-      byFunction: {},
-      byAPICall: []
-    };
-
     // Define comprehensive mood configurations for every aspect of generation
     this.moodConfigurations = {
       'serious': {
@@ -118,7 +209,9 @@ class AnimationService {
           pace: 'deliberate, measured movements with purpose',
           camera: 'steady, stable camera work with minimal, controlled movement',
           character: 'purposeful gestures, formal posture, professional demeanor',
-          transitions: 'smooth, professional transitions without abrupt changes'
+          transitions: 'smooth, professional transitions without abrupt changes',
+          // transition into scenes of this mood when they are assembled (see transitionOptions)
+          transition: { style: 'crossfade', duration: 0.6 }
         },
         keywords: ['professional', 'focused', 'authoritative', 'formal', 'measured', 'respectful', 'dignified'],
         voice: {
@@ -144,7 +237,8 @@ class AnimationService {
           pace: 'smooth, flowing movements with gentle energy',
           camera: 'gentle upward camera movements, slow pushes creating optimism',
           character: 'open gestures, upright posture, genuine smiles, positive energy',
-          transitions: 'smooth, uplifting transitions with gentle momentum'
+          transitions: 'smooth, uplifting transitions with gentle momentum',
+          transition: { style: 'dip-to-white', duration: 0.8 }
         },
         keywords: ['optimistic', 'bright', 'uplifting', 'warm', 'encouraging', 'positive', 'inspiring'],
         voice: {
@@ -170,7 +264,8 @@ class AnimationService {
           pace: 'careful, thoughtful movements showing consideration',
           camera: 'slow, deliberate camera movements with respectful distance',
           character: 'contemplative gestures, attentive posture, caring expressions',
-          transitions: 'gentle, respectful transitions maintaining emotional tone'
+          transitions: 'gentle, respectful transitions maintaining emotional tone',
+          transition: { style: 'crossfade', duration: 0.8 }
         },
         keywords: ['thoughtful', 'contemplative', 'careful', 'attentive', 'respectful', 'considerate', 'empathetic'],
         voice: {
@@ -196,7 +291,8 @@ class AnimationService {
           pace: 'purposeful, efficient movements with controlled energy',
           camera: 'steady but energetic camera work with focus',
           character: 'alert posture, focused gestures, professional urgency',
-          transitions: 'crisp, efficient transitions maintaining momentum'
+          transitions: 'crisp, efficient transitions maintaining momentum',
+          transition: { style: 'wipe', duration: 0.4 }
         },
         keywords: ['important', 'focused', 'alert', 'efficient', 'purposeful', 'timely', 'professional'],
         voice: {
@@ -222,7 +318,8 @@ class AnimationService {
           pace: 'steady, clear movements supporting information delivery',
           camera: 'stable, professional camera work enhancing comprehension',
           character: 'clear, professional gestures and posture',
-          transitions: 'smooth, professional transitions maintaining flow'
+          transitions: 'smooth, professional transitions maintaining flow',
+          transition: { style: 'slide', duration: 0.5 }
         },
         keywords: ['clear', 'professional', 'informative', 'educational', 'accessible', 'comprehensive'],
         voice: {
@@ -248,7 +345,8 @@ class AnimationService {
           pace: 'joyful, energetic movements with positive momentum',
           camera: 'celebratory camera movements with gentle energy',
           character: 'joyful expressions, celebratory gestures, positive energy',
-          transitions: 'uplifting transitions with celebratory feel'
+          transitions: 'uplifting transitions with celebratory feel',
+          transition: { style: 'zoom', duration: 0.5 }
         },
         keywords: ['joyful', 'celebratory', 'positive', 'energetic', 'uplifting', 'festive', 'triumphant'],
         voice: {
@@ -274,7 +372,8 @@ class AnimationService {
           pace: 'slow, contemplative movements encouraging thought',
           camera: 'gentle, reflective camera work',
           character: 'thoughtful expressions, contemplative posture',
-          transitions: 'gentle, reflective transitions maintaining contemplative mood'
+          transitions: 'gentle, reflective transitions maintaining contemplative mood',
+          transition: { style: 'crossfade', duration: 1 }
         },
         keywords: ['contemplative', 'thoughtful', 'introspective', 'reflective', 'peaceful', 'meditative'],
         voice: {
@@ -300,7 +399,8 @@ class AnimationService {
           pace: 'professional, competent movements',
           camera: 'business-standard camera work',
           character: 'professional demeanor, competent posture',
-          transitions: 'professional transitions maintaining business standards'
+          transitions: 'professional transitions maintaining business standards',
+          transition: { style: 'crossfade', duration: 0.5 }
         },
         keywords: ['competent', 'reliable', 'professional', 'business-appropriate', 'skilled', 'experienced'],
         voice: {
@@ -312,86 +412,8 @@ class AnimationService {
     };
   }
 
-  initializeGoogleCloudStorage() {
-    try {
-      // Initialize Google Cloud Storage
-      this.gcsStorage = new Storage({
-        projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-        keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE, // Path to service account key file
-        // Alternatively, if using environment variables for credentials:
-        // credentials: {
-        //   client_email: process.env.GOOGLE_CLOUD_CLIENT_EMAIL,
-        //   private_key: process.env.GOOGLE_CLOUD_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-        // }
-      });
-
-      this.gcsBucketName = process.env.GOOGLE_CLOUD_STORAGE_BUCKET;
-      
-      if (!this.gcsBucketName) {
-        console.warn('⚠️ Google Cloud Storage bucket name not configured. Videos will be stored locally only.');
-        this.gcsEnabled = false;
-      } else {
-        this.gcsBucket = this.gcsStorage.bucket(this.gcsBucketName);
-        this.gcsEnabled = true;
-        console.log(`✅ Google Cloud Storage initialized with bucket: ${this.gcsBucketName}`);
-      }
-    } catch (error) {
-      console.warn('⚠️ Failed to initialize Google Cloud Storage:', error.message);
-      console.warn('Videos will be stored locally only.');
-      this.gcsEnabled = false;
-    }
-  }
-
-  // Add this new method to upload files to Google Cloud Storage
-  async uploadToGoogleCloudStorage(localFilePath, destinationFileName, contentType = 'video/mp4') {
-    if (!this.gcsEnabled) {
-      throw new Error('Google Cloud Storage is not configured');
-    }
-
-    try {
-      console.log(`📤 Uploading ${destinationFileName} to Google Cloud Storage...`);
-      
-      const file = this.gcsBucket.file(destinationFileName);
-      
-      // Upload options
-      const uploadOptions = {
-        metadata: {
-          contentType: contentType,
-          cacheControl: 'public, max-age=31536000', // 1 year cache
-        },
-        public: true, // Make the file publicly accessible
-        resumable: false, // Use simple upload for smaller files
-      };
-
-      // Upload the file
-      await this.gcsBucket.upload(localFilePath, {
-        destination: destinationFileName,
-        ...uploadOptions
-      });
-
-      // Make the file public (if not already set in uploadOptions)
-      await file.makePublic();
-
-      // Get the public URL
-      const publicUrl = `https://storage.googleapis.com/${this.gcsBucketName}/${destinationFileName}`;
-      
-      console.log(`✅ File uploaded successfully to: ${publicUrl}`);
-      
-      return {
-        success: true,
-        publicUrl: publicUrl,
-        bucketName: this.gcsBucketName,
-        fileName: destinationFileName
-      };
-
-    } catch (error) {
-      console.error('❌ Error uploading to Google Cloud Storage:', error);
-      throw new Error(`Failed to upload to Google Cloud Storage: ${error.message}`);
-    }
-  }
-
-  // Add this new method to generate a unique filename for GCS
-  generateGCSFileName(originalFileName, animationId) {
+  // Storage key for a file of this animation, unique per upload
+  generateStorageKey(originalFileName, animationId) {
     const timestamp = Date.now();
     const randomSuffix = Math.random().toString(36).substring(2, 8);
     const extension = path.extname(originalFileName);
@@ -400,47 +422,19 @@ class AnimationService {
     return `animations/${animationId}/${timestamp}_${randomSuffix}_${baseName}${extension}`;
   }
 
-  // Add this new method to upload animation video and get public URL
-  async uploadAnimationVideo(localVideoPath, animationId, title) {
-    try {
-      if (!this.gcsEnabled) {
-        console.warn('⚠️ Google Cloud Storage not configured, returning local path');
-        return {
-          success: false,
-          publicUrl: localVideoPath,
-          isLocal: true
-        };
-      }
-
-      // Generate a unique filename for GCS
-      const gcsFileName = this.generateGCSFileName(`${title.replace(/[^a-zA-Z0-9]/g, '_')}_animation.mp4`, animationId);
-      
-      // Upload to GCS
-      const uploadResult = await this.uploadToGoogleCloudStorage(
-        localVideoPath,
-        gcsFileName,
-        'video/mp4'
-      );
+  // Upload the final video with the configured storage driver (STORAGE_DRIVER);
+  // the storage service falls back to local storage when the upload fails.
+  // Videos are private unless isPublic is given (or STORAGE_PUBLIC_BY_DEFAULT).
+  async uploadAnimationVideo(localVideoPath, animationId, title, isPublic = undefined) {
+    const storageKey = this.generateStorageKey(`${title.replace(/[^a-zA-Z0-9]/g, '_')}_animation.mp4`, animationId);
 
-      return {
-        ...uploadResult,
-        isLocal: false
-      };
+    console.log(`📤 Uploading ${storageKey} to ${storage.driver.type} storage...`);
+    const stored = await storage.upload(localVideoPath, storageKey, { contentType: 'video/mp4', public: isPublic });
+    console.log(`✅ File uploaded successfully to: ${stored.publicUrl}`);
 
-    } catch (error) {
-      console.error('❌ Error uploading animation video:', error);
-      // Fallback to local storage
-      console.warn('⚠️ Falling back to local storage due to upload failure');
-      return {
-        success: false,
-        publicUrl: localVideoPath,
-        isLocal: true,
-        error: error.message
-      };
-    }
+    return stored;
   }
 
-
   // Token counting helper methods
   countTokens(text, functionName = 'unknown') {
     if (!this.tokenEncoder || !text) {
@@ -558,6 +552,43 @@ class AnimationService {
     return (tokenCount / 1000000) * costPer1MTokens;
   }
 
+  // Working dir of the run the current call belongs to
+  get workingDir() {
+    return (this.runContext.getStore() || this.defaultRun).workingDir;
+  }
+
+  // Generated background music of the current run (see resolveMusicTrack)
+  get generatedMusic() {
+    return (this.runContext.getStore() || this.defaultRun).generatedMusic;
+  }
+
+  // Token tracking of the current run, so parallel runs count separately
+  get tokenUsage() {
+    return (this.runContext.getStore() || this.defaultRun).tokenUsage;
+  }
+
+  createRun(workingDir) {
+    return {
+      workingDir: workingDir,
+      generatedMusic: new Map(),
+      tokenUsage: { total: 0, byFunction: {}, byAPICall: [] }
+    };
+  }
+
+  // Run `task` with temp/<runId>/ as its working dir, removed once the task
+  // settles; whatever a later run needs has been copied to the checkpoints
+  async withWorkingDir(runId, task) {
+    const run = this.createRun(path.join(this.tempRoot, runId));
+    return this.runContext.run(run, async () => {
+      await this.ensureDirectoryExists();
+      try {
+        return await task();
+      } finally {
+        await this.cleanupTempFiles();
+      }
+    });
+  }
+
   async ensureDirectoryExists() {
     try {
       await fs.mkdir(this.workingDir, { recursive: true });
@@ -673,63 +704,63 @@ class AnimationService {
     }
   }
 
-  // Helper function to trim and mux video with audio and subtitles
-  async trimAndMux({ video, audio, subtitleText, out, idx, totalClips, fadeTime = 0.5 }) {
+  // Helper function to fit and mux video with audio and subtitles. The clip
+  // runs as long as the narration (plus NARRATION_TAIL) or the video, whichever
+  // is longer (see audioMastering.planTimeFit). The narration starts after the
+  // transition into the clip (transitionIn seconds) and the clip is lengthened
+  // by the transition out of it, so no voice is under a transition; the cues
+  // are expected on that timing. callouts (see calloutRenderer.buildFilters)
+  // are drawn between the transitions, under the captions. Resolves with the
+  // clip duration and its time fit.
+  async trimAndMux({ video, audio, cues, out, idx, totalClips, fadeTime = 0.5, transitionIn = 0, transitionOut = 0, outputFormat = getOutputFormat(), videoFilter = null, subtitleOptions = resolveSubtitleOptions(), callouts = null }) {
     try {
       // 1. Make sure inputs exist
       await access(video);
       await access(audio);
 
-      // 2. Get duration of audio file (in seconds, may be fractional)
-      const durOutput = sh(`ffprobe -v error -show_entries format=duration \
-                       -of default=noprint_wrappers=1:nokey=1 "${audio}"`);
-      const dur = parseFloat(durOutput);
+      // 2. Get durations of the audio and video files (in seconds, may be fractional)
+      const audioDuration = await subtitleService.getDuration(audio);
       
-      if (isNaN(dur)) {
-        console.error(`[Debug ${idx+1}] Failed to get duration for ${audio}. ffprobe output: "${durOutput}"`);
+      if (!audioDuration) {
+        console.error(`[Debug ${idx+1}] Failed to get duration for ${audio}`);
         throw new Error(`Failed to parse duration for ${audio}`);
       }
+
+      const timeFit = audioMastering.planTimeFit(await subtitleService.getDuration(video), audioDuration, {
+        leadIn: transitionIn,
+        tail: NARRATION_TAIL + transitionOut
+      });
+      const dur = Number(timeFit.duration.toFixed(3));
       
-      console.log(`→ Audio duration for scene ${idx+1}: ${dur}s`);
+      console.log(`→ Scene ${idx+1}: audio ${audioDuration}s, clip ${dur}s (${timeFit.mode}${timeFit.slowdown > 1 ? `, slowed ${timeFit.slowdown}x` : ''})`);
 
-      // 3. Create SRT subtitle file
+      // 3. Write the clip's timed cues as SRT for the subtitles filter (skipped without burn-in)
       const srtPath = path.join(this.workingDir, `subtitle${idx + 1}.srt`);
-      
-      const formatTime = (totalSeconds) => {
-        if (isNaN(totalSeconds) || totalSeconds < 0) {
-          console.warn(`[Debug ${idx+1}] Invalid totalSeconds for formatTime: ${totalSeconds}. Defaulting to 0.`);
-          totalSeconds = 0;
-        }
-        const date = new Date(Math.round(totalSeconds * 1000));
-        const timeStr = date.toISOString().slice(11, 23); 
-        return timeStr.replace('.', ',');
-      };
+      let subtitleFilter = '';
 
-      const srtContent = `1\n00:00:00,000 --> ${formatTime(Number(dur) + 0.35)}\n${subtitleText}\n\n`;
-      writeFileSync(srtPath, srtContent, "utf8");
+      if (subtitleOptions.burnIn && cues.length > 0) {
+        await fs.writeFile(srtPath, subtitleService.toSrt(cues), "utf8");
+        console.log(`[Debug ${idx+1}] Wrote ${cues.length} cues to: ${srtPath}`);
 
-      console.log(`[Debug ${idx+1}] Wrote SRT to: ${srtPath}`);
-      
-      // 4. Verify SRT file was created
-      let srtFileExistsAfterWrite = false;
-      try {
-        accessSync(srtPath, fsConstants.F_OK);
-        srtFileExistsAfterWrite = true;
-      } catch (e) {
-        srtFileExistsAfterWrite = false;
-      }
-      
-      console.log(`[Debug ${idx+1}] SRT Exists? ${srtFileExistsAfterWrite}`);
-      if (!srtFileExistsAfterWrite) {
-        throw new Error(`CRITICAL: SRT file ${srtPath} was NOT found immediately after writing!`);
+        // Escape special characters of the path for the filter
+        let srtPathForFilter = srtPath.replace(/\\/g, '/');
+        srtPathForFilter = srtPathForFilter.replace(/:/g, '\\:');
+        srtPathForFilter = srtPathForFilter.replace(/'/g, "'\\''");
+        subtitleFilter = `,subtitles='${srtPathForFilter}':force_style='${subtitleService.forceStyle(subtitleOptions.style, outputFormat)}'`;
       }
 
-      // 5. Prepare SRT path for FFmpeg filter (escape special characters)
-      let srtPathForFilter = srtPath.replace(/\\/g, '/');
-      srtPathForFilter = srtPathForFilter.replace(/:/g, '\\:');
-      srtPathForFilter = srtPathForFilter.replace(/'/g, "'\\''");
+      const calloutFilters = callouts
+        ? await calloutRenderer.buildFilters(callouts, {
+          outputFormat: outputFormat,
+          start: transitionIn,
+          end: dur - transitionOut,
+          textPrefix: out.replace(/\.mp4$/, '')
+        })
+        : [];
+      const calloutFilter = calloutFilters.map(filter => `,${filter}`).join("");
 
-      // 6. Calculate fade effects based on clip position
+      // 4. Calculate fade effects based on clip position; the video fades in
+      // from black and out to black, the scenes in between are joined by transitions
       let fadeEffects = "";
       let audioFadeEffects = "";
       const isFirstClip = idx === 0;
@@ -749,29 +780,39 @@ class AnimationService {
         audioFadeEffects = `afade=t=out:st=${dur - fadeTime}:d=${fadeTime}`;
       }
       
-      // 7. Build FFmpeg command arguments
+      // 5. Build FFmpeg command arguments; the video is stretched and the
+      // narration padded to the clip duration
+      const videoFilters = [
+        ...audioMastering.timeFitFilter(timeFit),
+        "fps=30",
+        videoFilter || renditionRenderer.fitFilter(outputFormat)
+      ].join(",");
+      const audioGraph = audioMastering.timeFitAudioGraph(timeFit, "[1:a]", audioFadeEffects ? "fitted" : "a");
       const ffArgs = [
-        "-ss", "0", "-t", (Number(dur) + 0.3).toString(), "-i", video,
+        ...(timeFit.mode === "loop" ? ["-stream_loop", "-1"] : []), "-i", video,
         "-i", audio,
-        "-map", "0:v", "-map", "1:a",
+        "-filter_complex", [
+          `[0:v]${videoFilters},format=yuv420p${calloutFilter}${subtitleFilter}${fadeEffects}[v]`,
+          audioGraph,
+          ...(audioFadeEffects ? [`[fitted]${audioFadeEffects}[a]`] : [])
+        ].join(";"),
+        "-map", "[v]", "-map", "[a]",
         "-c:v", "libx264", "-crf", "20", "-preset", "fast",
         "-c:a", "aac", "-ac", "2",
-        "-vf", `fps=30,scale=1920:1080,format=yuv420p,subtitles='${srtPathForFilter}':force_style='FontName=Arial,FontSize=16,PrimaryColour=&Hffffff,OutlineColour=&H000000,BorderStyle=1,Outline=1,Shadow=0,MarginV=30'${fadeEffects}`,
-        ...(audioFadeEffects ? ["-af", audioFadeEffects] : []),
-        "-shortest", out
+        "-t", String(dur), out
       ];
 
       console.log(`[Debug ${idx+1}] Running ffmpeg with args: ffmpeg ${ffArgs.join(' ')}`);
 
-      // 8. Execute FFmpeg command
-      const { status, error } = spawnSync("ffmpeg", ffArgs, { stdio: "inherit" });
+      // 6. Execute FFmpeg command
+      const { status, error } = await runProcess("ffmpeg", ffArgs, { stdio: "inherit" });
       
       if (status !== 0) {
         console.error(`[Debug ${idx+1}] ffmpeg failed for ${video}. Status: ${status}`, error);
         throw new Error(`ffmpeg failed on ${video}. Status: ${status}`);
       }
 
-      // 9. Cleanup SRT file
+      // 7. Cleanup SRT file
       let srtFileExistsBeforeUnlink = false;
       try {
         accessSync(srtPath, fsConstants.F_OK);
@@ -785,7 +826,7 @@ class AnimationService {
       }
 
       console.log(`✅ Scene ${idx+1} processed successfully - Duration: ${dur}s`);
-      return dur;
+      return { duration: dur, timeFit: timeFit };
 
     } catch (error) {
       console.error(`❌ Error processing scene ${idx+1}:`, error);
@@ -794,12 +835,23 @@ class AnimationService {
   }
 
   // UPDATED: Phase 1: Story Development with Enhanced Mood Integration
-  async generateStoryStructure(article, sceneCount) {
+  async generateStoryStructure(article, sceneCount, narrationLanguage = DEFAULT_LANGUAGE, { callouts = false } = {}) {
     const functionName = 'generateStoryStructure';
     
     // First, detect the country context
     const countryContext = await this.detectCountryContext(article);
 
+    // Narration is voiced and captioned in the primary language; every other field
+    // feeds the English image and motion prompts
+    const narrationLanguageRequirement = narrationLanguage !== DEFAULT_LANGUAGE
+      ? `\n    - Write every scene's narration${callouts ? ', dialogue lines and callouts' : ' and dialogue lines'} in ${getLanguage(narrationLanguage).name}; all other fields stay in English`
+      : '';
+
+    // Callouts are shown on screen exactly as written, so they are only ever copied from the article
+    const calloutRequirement = callouts
+      ? `\n    - On-screen callouts for scenes with a fact worth showing as text (at most ${MAX_CALLOUTS_PER_SCENE} per scene, most scenes need none): a headline (text: a short headline, detail: null), a stat (text: the figure exactly as the article gives it, e.g. "₹4,200 crore" or "72%", detail: what it measures, e.g. "turnout"), a quote (text: words the article quotes verbatim, detail: who said them) or a date (text: the date, detail: what happened then). Copy figures, names and dates from the article exactly; never round, convert or invent them, and keep each callout under 60 characters`
+      : `\n    - Leave every scene's callouts empty`;
+
     const systemPrompt = `You are a professional news animator who creates Disney/Pixar-style 3D animated news stories with sophisticated mood and emotional progression. Your job is to transform real news articles into visually appealing animated content while maintaining journalistic accuracy and creating appropriate emotional resonance through carefully crafted mood progression.
 
     CRITICAL MOOD REQUIREMENTS:
@@ -864,11 +916,13 @@ class AnimationService {
     
     Create:
     - Realistic character descriptions with ACTUAL NAMES when public figures are mentioned
+    - Each character's gender (male, female, or unspecified when unknown) and ageGroup (child, young, adult, senior), used to cast their voice
     - **Characters MUST have empty hands and no artifacts/objects**
     - Factual scene descriptions based on actual events in the article
     - DETAILED MOOD SPECIFICATIONS for each scene including mood type, intensity, and emotional tone
-    - Professional, news-appropriate narration that matches the specified mood
-    - Scene types optimized for the specified mood and emotional progression
+    - Professional, news-appropriate narration that matches the specified mood${narrationLanguageRequirement}
+    - Optional scene dialogue: only where the article quotes (or directly reports) what a character said, add short lines to that scene's dialogue, each attributed to one of the scene's characters by their exact name and spoken after the narration. Never invent quotes; leave dialogue empty otherwise, and keep narration plus dialogue within the scene's length
+    - Scene types optimized for the specified mood and emotional progression${calloutRequirement}
     - Each scene should be 10 seconds duration for clarity, but for narration text, it should be as if each respective clip is 6-8s long
     - Overall mood progression that creates compelling emotional storytelling while remaining factual`;
 
@@ -877,7 +931,9 @@ class AnimationService {
       model: 'gpt-4o-2024-08-06',
       sceneCount,
       articleLength: article.length,
-      countryContext: countryContext.primaryCountry
+      countryContext: countryContext.primaryCountry,
+      narrationLanguage,
+      callouts
     });
 
     try {
@@ -907,6 +963,8 @@ class AnimationService {
       // Validate and enhance mood data for each scene
       storyData.scenes = storyData.scenes.map(scene => ({
         ...scene,
+        dialogue: (scene.dialogue || []).filter(entry => entry.line && entry.line.trim()),
+        callouts: callouts ? (scene.callouts || []).filter(entry => entry.text && entry.text.trim()).slice(0, MAX_CALLOUTS_PER_SCENE) : [],
         moodIntensity: scene.moodIntensity || 5,
         emotionalTone: scene.emotionalTone || scene.mood,
         moodConfig: this.getMoodConfiguration(scene.mood)
@@ -935,7 +993,7 @@ class AnimationService {
   }
 
   // UPDATED: Phase 2: Character Generation with Mood Awareness
-  async generateCharacterAssets(characters, countryContext) {
+  async generateCharacterAssets(characters, countryContext, progress = null) {
     const characterAssets = {};
 
     for (const character of characters) {
@@ -1024,6 +1082,10 @@ class AnimationService {
         await fs.copyFile(masterImagePath, permanentPath);
         
         console.log(`✅ Generated ${countryContext.primaryCountry}-appropriate mood-capable character ${character.name} with ${moodExpressions.length} mood expressions`);
+
+        if (progress) {
+          await progress.updateScene(Object.keys(characterAssets).length, characters.length, `Character ${character.name} generated`);
+        }
         
       } catch (error) {
         console.error(`Error generating character ${character.name}:`, error);
@@ -1035,10 +1097,12 @@ class AnimationService {
   }
 
   // UPDATED: Phase 3: Enhanced Scene Generation with Comprehensive Mood Integration
-  async generateSceneImages(scenes, characterAssets, countryContext) {
+  async generateSceneImages(scenes, characterAssets, countryContext, progress = null, outputFormat = getOutputFormat()) {
     const sceneImages = [];
 
-    for (const scene of scenes) {
+    // Character masters are all generated in phase 2, so scenes can run in
+    // parallel while still sharing the same reference images
+    await mapWithConcurrency(scenes, this.sceneConcurrency, async (scene) => {
       try {
         console.log(`🎬 Generating mood-enhanced scene ${scene.sceneNumber} (${scene.mood}, intensity: ${scene.moodIntensity}): ${scene.description.substring(0, 50)}...`);
 
@@ -1102,7 +1166,7 @@ class AnimationService {
         const lightingDetails = this.generateMoodAwareLightingDescription(scene, countryContext, moodConfig);
         
         // Generate mood-enhanced composition and camera specifications
-        const compositionDetails = this.generateMoodAwareCompositionDescription(scene, countryContext, moodConfig);
+        const compositionDetails = this.generateMoodAwareCompositionDescription(scene, countryContext, moodConfig, outputFormat);
 
         // Build complete mood-enhanced scene prompt
         let fullScenePrompt = `
@@ -1230,7 +1294,7 @@ class AnimationService {
             referenceImagesCount: referenceImages.length
           });
 
-          sceneImagePath = await this.generateImageWithReference(referenceImages, fullScenePrompt);
+          sceneImagePath = await this.generateImageWithReference(referenceImages, fullScenePrompt, outputFormat.imageSize);
         } else {
           // Generate scene without character references but with mood enhancement
           console.log(`   Generating ${scene.mood} mood scene without character references`);
@@ -1243,7 +1307,7 @@ class AnimationService {
             moodIntensity: scene.moodIntensity
           });
 
-          sceneImagePath = await this.generateImage(fullScenePrompt);
+          sceneImagePath = await this.generateImage(fullScenePrompt, outputFormat.imageSize);
         }
         
         sceneImages.push({
@@ -1254,6 +1318,7 @@ class AnimationService {
           narration: scene.narration,
           duration: scene.duration || 5,
           sceneType: scene.sceneType || 'standard',
+          cameraAngle: scene.cameraAngle,
           charactersUsed: scene.characters || [],
           contentModified: wasModified,
           countryContext: countryContext,
@@ -1275,13 +1340,17 @@ class AnimationService {
           console.log(`✅ ${scene.mood} mood scene ${scene.sceneNumber} generated with ${scene.characters?.length || 0} mood-appropriate character references`);
         }
 
+        if (progress) {
+          await progress.updateScene(sceneImages.length, scenes.length, `Scene ${scene.sceneNumber} image generated`);
+        }
+
       } catch (error) {
         console.error(`Error generating mood-enhanced scene ${scene.sceneNumber}:`, error);
         throw new Error(`Failed to generate mood-enhanced scene: ${scene.sceneNumber}`);
       }
-    }
+    });
 
-    return sceneImages;
+    return sceneImages.sort((a, b) => a.sceneNumber - b.sceneNumber);
   }
 
   // NEW: Generate mood-aware character descriptions
@@ -1392,7 +1461,7 @@ class AnimationService {
   }
 
   // NEW: Generate mood-aware composition descriptions
-  generateMoodAwareCompositionDescription(scene, countryContext, moodConfig) {
+  generateMoodAwareCompositionDescription(scene, countryContext, moodConfig, outputFormat = getOutputFormat()) {
     const cameraAngles = {
       'close-up': 'framing focusing on character expressions and emotions',
       'medium shot': 'balanced composition showing characters from waist up',
@@ -1419,7 +1488,7 @@ class AnimationService {
     - COMPOSITION STYLE: ${moodConfig.composition.framing}
     - COLOR TREATMENT: ${moodConfig.composition.colors} palette supporting ${scene.mood} mood
     - DEPTH OF FIELD: ${moodConfig.composition.depth} based on ${scene.mood} mood requirements
-    - ASPECT RATIO: 16:9 professional format optimized for ${scene.mood} mood presentation
+    - ASPECT RATIO: ${outputFormat.aspectRatio} ${outputFormat.orientation} professional format optimized for ${scene.mood} mood presentation
     - RULE OF THIRDS: Strategic placement supporting ${scene.mood} emotional impact
     - LEADING LINES: Environmental elements guiding attention with ${scene.mood} mood support
     - VISUAL BALANCE: Harmonious distribution supporting ${scene.mood} mood (intensity: ${scene.moodIntensity}/10)
@@ -1519,124 +1588,150 @@ class AnimationService {
   }
 
   // UPDATED: Phase 4: Video Generation with Enhanced Mood Integration
-  async generateSceneVideos(sceneImages) {
+  async generateSceneVideos(sceneImages, progress = null, options = {}) {
     const sceneVideos = [];
+    const localOnly = videoProviders.isLocalOnly(options.videoProviders);
+    const { master: outputFormat } = resolveOutputFormats(options);
 
-    for (const scene of sceneImages) {
+    await mapWithConcurrency(sceneImages, this.sceneConcurrency, async (scene) => {
       try {
         console.log(`🎥 Generating ${scene.mood} mood video for scene ${scene.sceneNumber} (intensity: ${scene.moodIntensity}/10)`);
 
         // Get mood configuration for enhanced motion generation
         const moodConfig = scene.moodConfig || this.getMoodConfiguration(scene.mood);
 
-        // Generate motion description using GPT-4 with enhanced mood integration
-        const functionName = 'generateSceneVideos';
-        
-        const motionSystemPrompt = `You are a professional Disney animation director specializing in mood-based motion design. Create motion descriptions that perfectly capture specific moods while maintaining family-friendly, professional content suitable for news animation. Focus on how camera movement, character motion, and environmental elements should move to convey the exact mood specified.
-
-        MOOD EXPERTISE: You understand how different moods require different motion approaches:
-        - SERIOUS: Steady, measured movements conveying authority and importance
-        - HOPEFUL: Gentle, uplifting movements with positive energy
-        - CONCERNED: Careful, thoughtful movements showing consideration
-        - URGENT: Focused, efficient movements without chaos or alarm
-        - INFORMATIVE: Clear, stable movements supporting comprehension
-        - CELEBRATORY: Joyful, energetic movements with positive momentum
-        - REFLECTIVE: Slow, contemplative movements encouraging thought
-        - PROFESSIONAL: Competent, reliable movements maintaining business standards`;
-        
-        const motionUserPrompt = `Create mood-specific motion for this ${scene.mood.toUpperCase()} scene (intensity: ${scene.moodIntensity}/10):
-        ${scene.description}
-        
-        MOOD-SPECIFIC MOTION REQUIREMENTS for ${scene.mood}:
-        - Mood Character: ${moodConfig.keywords.join(', ')}
-        - Motion Style: ${moodConfig.motion.pace}
-        - Camera Work: ${moodConfig.motion.camera}
-        - Character Movement: ${moodConfig.motion.character}
-        - Transitions: ${moodConfig.motion.transitions}
-        - Intensity Level: ${scene.moodIntensity}/10 (adjust motion intensity accordingly)
-        - Emotional Tone: ${scene.emotionalTone}
-        
-        SCENE CONTEXT:
-        - Scene type: ${scene.sceneType}
-        - Scene duration: ${scene.duration} seconds
-        - Cultural context: Appropriate for professional news content
-        
-        FAMILY-FRIENDLY REQUIREMENTS:
-        - Focus ONLY on positive coordination, planning, and community cooperation
-        - Show professional collaboration and constructive teamwork
-        - Emphasize helpful assistance and positive civic engagement
-        - All activities should appear constructive and supportive
-        - Present all interactions as positive professional coordination
-        - Focus on community support and collaborative problem-solving
-        
-        MOOD-APPROPRIATE MOVEMENT GUIDELINES:
-        For ${scene.mood} mood specifically:
-        ${this.getMoodSpecificMotionGuidelines(scene.mood, scene.moodIntensity)}
-        
-        Provide a mood-appropriate motion description (max 150 characters) that perfectly captures ${scene.mood} mood with ${scene.moodIntensity}/10 intensity while maintaining professional, family-friendly content.`;
+        // Remote providers need a GPT motion prompt and the image as a data URL;
+        // the local renderer needs neither, so local-only runs stay offline
+        let enhancedPrompt = null;
+        let imageUrl = null;
+        if (!localOnly) {
+          enhancedPrompt = await this.generateSceneMotionPrompt(scene, moodConfig);
+          imageUrl = await this.convertLocalImageForKlingAI(scene.image);
+        }
 
-        // Log token usage for motion generation
-        this.logTokenUsage(functionName, motionSystemPrompt, motionUserPrompt, {
-          model: 'gpt-4o-2024-08-06',
+        // Generate the clip through the provider registry (remote providers first,
+        // local Ken Burns render as the last resort) and download it locally
+        const videoPath = path.join(this.workingDir, 'videos', `scene_${scene.sceneNumber}_${scene.mood}_${uuidv4()}.mp4`);
+        const result = await videoProviders.generateVideo({
           sceneNumber: scene.sceneNumber,
+          imagePath: scene.image,
+          imageUrl: imageUrl,
+          prompt: enhancedPrompt,
+          duration: scene.duration,
+          sceneType: scene.sceneType,
           mood: scene.mood,
           moodIntensity: scene.moodIntensity,
-          sceneType: scene.sceneType
+          aspectRatio: outputFormat.aspectRatio,
+          scene: scene,
+          // local providers render straight into the run's working dir
+          outputDir: path.dirname(videoPath)
+        }, {
+          providers: options.videoProviders,
+          outputPath: videoPath
         });
-
-        const motionResponse = await this.openai.responses.parse({
-          model: "gpt-4o-2024-08-06",
-          input: [
-            { role: "system", content: motionSystemPrompt },
-            { role: "user", content: motionUserPrompt }
-          ],
-          text: {
-            format: zodTextFormat(MotionDescriptionSchema, "motion")
-          }
-        });
-
-        let motionDescription = motionResponse.output_parsed.motionDescription;
-
-        // Enhance prompt for mood-specific Disney quality
-        const enhancedPrompt = this.enhancePromptForMoodSpecificDisney(motionDescription, scene, moodConfig);
-
-        // Convert local image file to a format APIs can use
-        const imageUrl = await this.convertLocalImageForKlingAI(scene.image);
-
-        // Generate video using Kling AI with mood-specific settings
-        const result = await KlingAI.generateVideoWithFallback(
-          imageUrl,
-          enhancedPrompt,
-          scene.duration,
-          scene.sceneType,
-          scene.mood,
-          scene.moodIntensity
-        );
-
-        // Download video locally
-        const videoPath = path.join(this.workingDir, 'videos', `scene_${scene.sceneNumber}_${scene.mood}_${uuidv4()}.mp4`);
-        await KlingAI.downloadVideo(result.videoUrl, videoPath);
         
         sceneVideos.push({
           sceneNumber: scene.sceneNumber,
-          videoPath: videoPath,
+          videoPath: result.videoPath,
           narration: scene.narration,
           duration: scene.duration,
           klingTaskId: result.taskId,
+          sourceUrl: result.sourceUrl,
+          provider: result.provider,
+          motionPrompt: enhancedPrompt,
+          estimatedCost: result.estimatedCost,
           mood: scene.mood,
           moodIntensity: scene.moodIntensity,
           emotionalTone: scene.emotionalTone
         });
 
-        console.log(`✅ ${scene.mood} mood scene ${scene.sceneNumber} video generated successfully (intensity: ${scene.moodIntensity}/10)`);
+        console.log(`✅ ${scene.mood} mood scene ${scene.sceneNumber} video generated successfully via ${result.provider} (intensity: ${scene.moodIntensity}/10)`);
+
+        if (progress) {
+          await progress.updateScene(sceneVideos.length, sceneImages.length, `Scene ${scene.sceneNumber} video generated`);
+        }
 
       } catch (error) {
         console.error(`Error generating ${scene.mood} mood video for scene ${scene.sceneNumber}:`, error);
         throw new Error(`Failed to generate mood-enhanced video for scene: ${scene.sceneNumber}`);
       }
-    }
+    });
 
-    return sceneVideos;
+    return sceneVideos.sort((a, b) => a.sceneNumber - b.sceneNumber);
+  }
+
+  // Phase 4 helper: GPT motion description for a scene, enhanced into the image-to-video prompt
+  async generateSceneMotionPrompt(scene, moodConfig) {
+    // Generate motion description using GPT-4 with enhanced mood integration
+    const functionName = 'generateSceneVideos';
+    
+    const motionSystemPrompt = `You are a professional Disney animation director specializing in mood-based motion design. Create motion descriptions that perfectly capture specific moods while maintaining family-friendly, professional content suitable for news animation. Focus on how camera movement, character motion, and environmental elements should move to convey the exact mood specified.
+
+    MOOD EXPERTISE: You understand how different moods require different motion approaches:
+    - SERIOUS: Steady, measured movements conveying authority and importance
+    - HOPEFUL: Gentle, uplifting movements with positive energy
+    - CONCERNED: Careful, thoughtful movements showing consideration
+    - URGENT: Focused, efficient movements without chaos or alarm
+    - INFORMATIVE: Clear, stable movements supporting comprehension
+    - CELEBRATORY: Joyful, energetic movements with positive momentum
+    - REFLECTIVE: Slow, contemplative movements encouraging thought
+    - PROFESSIONAL: Competent, reliable movements maintaining business standards`;
+    
+    const motionUserPrompt = `Create mood-specific motion for this ${scene.mood.toUpperCase()} scene (intensity: ${scene.moodIntensity}/10):
+    ${scene.description}
+    
+    MOOD-SPECIFIC MOTION REQUIREMENTS for ${scene.mood}:
+    - Mood Character: ${moodConfig.keywords.join(', ')}
+    - Motion Style: ${moodConfig.motion.pace}
+    - Camera Work: ${moodConfig.motion.camera}
+    - Character Movement: ${moodConfig.motion.character}
+    - Transitions: ${moodConfig.motion.transitions}
+    - Intensity Level: ${scene.moodIntensity}/10 (adjust motion intensity accordingly)
+    - Emotional Tone: ${scene.emotionalTone}
+    
+    SCENE CONTEXT:
+    - Scene type: ${scene.sceneType}
+    - Scene duration: ${scene.duration} seconds
+    - Cultural context: Appropriate for professional news content
+    
+    FAMILY-FRIENDLY REQUIREMENTS:
+    - Focus ONLY on positive coordination, planning, and community cooperation
+    - Show professional collaboration and constructive teamwork
+    - Emphasize helpful assistance and positive civic engagement
+    - All activities should appear constructive and supportive
+    - Present all interactions as positive professional coordination
+    - Focus on community support and collaborative problem-solving
+    
+    MOOD-APPROPRIATE MOVEMENT GUIDELINES:
+    For ${scene.mood} mood specifically:
+    ${this.getMoodSpecificMotionGuidelines(scene.mood, scene.moodIntensity)}
+    
+    Provide a mood-appropriate motion description (max 150 characters) that perfectly captures ${scene.mood} mood with ${scene.moodIntensity}/10 intensity while maintaining professional, family-friendly content.`;
+
+    // Log token usage for motion generation
+    this.logTokenUsage(functionName, motionSystemPrompt, motionUserPrompt, {
+      model: 'gpt-4o-2024-08-06',
+      sceneNumber: scene.sceneNumber,
+      mood: scene.mood,
+      moodIntensity: scene.moodIntensity,
+      sceneType: scene.sceneType
+    });
+
+    const motionResponse = await this.openai.responses.parse({
+      model: "gpt-4o-2024-08-06",
+      input: [
+        { role: "system", content: motionSystemPrompt },
+        { role: "user", content: motionUserPrompt }
+      ],
+      text: {
+        format: zodTextFormat(MotionDescriptionSchema, "motion")
+      }
+    });
+
+    let motionDescription = motionResponse.output_parsed.motionDescription;
+
+    // Enhance prompt for mood-specific Disney quality
+    return this.enhancePromptForMoodSpecificDisney(motionDescription, scene, moodConfig);
   }
 
   // NEW: Get mood-specific motion guidelines
@@ -1751,59 +1846,101 @@ class AnimationService {
   }
 
   // UPDATED: Phase 5: Audio Generation with Mood Integration
-  async generateAudioAssets(scenes, overallMood) {
+  // casting is the voice-casting table (see castVoices): the narrator voices the
+  // narration and every dialogue line gets its character's voice, on a separate
+  // track layered over the narration at assembly.
+  // options are the generation options (languages, ttsProviders)
+  async generateAudioAssets(scenes, casting, progress = null, options = {}) {
     try {
       console.log('🎵 Generating mood-enhanced audio assets...');
+      const languages = resolveLanguages(options);
 
       // Generate narration for each scene with mood-appropriate voice settings
       const narrationPaths = [];
+      const dialogueTracks = [];
 
-      const voiceIds = [
-        'EXAVITQu4vr4xnSDxMaL', // Sarah
-        'pFZP5JQG7iQjIQuC4Bku', // Lily
-        'aXbjk4JoIDXdCNz29TrS', // Sunny
-        'onwK4e9ZLuTAKqWW03F9' // Daniel
-      ];
+      const selectedVoice = casting.narrator;
+      console.log(`🎤 Narrator voice ${selectedVoice} (${casting.narratorSource}), cast: ${casting.characters.map(entry => `${entry.character} → ${entry.voice}`).join(', ') || 'none'}`);
       
-      // Select voice based on overall mood
-      const moodVoiceMapping = {
-        'serious': 'onwK4e9ZLuTAKqWW03F9', // Daniel - more authoritative
-        'hopeful': 'aXbjk4JoIDXdCNz29TrS', // Sunny - optimistic
-        'concerned': 'EXAVITQu4vr4xnSDxMaL', // Sarah - caring
-        'urgent': 'onwK4e9ZLuTAKqWW03F9', // Daniel - clear
-        'informative': 'pFZP5JQG7iQjIQuC4Bku', // Lily - educational
-        'celebratory': 'aXbjk4JoIDXdCNz29TrS', // Sunny - joyful
-        'reflective': 'EXAVITQu4vr4xnSDxMaL', // Sarah - thoughtful
-        'professional': 'onwK4e9ZLuTAKqWW03F9' // Daniel - professional
-      };
-      
-      const selectedVoiceId = moodVoiceMapping[overallMood] || voiceIds[Math.floor(Math.random() * voiceIds.length)];
-      console.log(`🎤 Selected ${overallMood} mood-appropriate voice`);
-      
-      for (const scene of scenes) {
-        if (scene.narration && scene.narration.trim()) {
-          const audioPath = await this.generateMoodAwareVoice(
-            scene.narration, 
-            scene.sceneNumber, 
-            selectedVoiceId,
+      let completedScenes = 0;
+      await mapWithConcurrency(scenes, this.sceneConcurrency, async (scene) => {
+        const voiced = scene.narration && scene.narration.trim()
+          ? await this.generateMoodAwareVoice(
+            scene.narration,
+            scene.sceneNumber,
+            selectedVoice,
             scene.mood,
             scene.moodIntensity,
-            scene.emotionalTone
-          );
-          if (audioPath) {
-            narrationPaths.push({
-              sceneNumber: scene.sceneNumber,
-              audioPath: audioPath,
-              duration: scene.duration,
-              mood: scene.mood,
-              moodIntensity: scene.moodIntensity
-            });
-          }
+            scene.emotionalTone,
+            { language: languages.primary, providers: options.ttsProviders }
+          )
+          : null;
+
+        let sceneNarration;
+        if (voiced) {
+          // every scene at the same loudness, whatever its voice settings
+          const { audioPath, loudness } = await audioMastering.normalize(voiced.audioPath);
+          // word timings of the narration, which the captions are cut from
+          const timing = await subtitleService.alignNarration(audioPath, scene.narration);
+          sceneNarration = {
+            sceneNumber: scene.sceneNumber,
+            audioPath: audioPath,
+            duration: scene.duration,
+            mood: scene.mood,
+            moodIntensity: scene.moodIntensity,
+            words: timing.words,
+            wordTimingSource: timing.source,
+            ttsProvider: voiced.provider,
+            voice: voiced.voice,
+            loudness: loudness
+          };
+        } else {
+          // the scene is kept, with a silent track, instead of being dropped
+          console.warn(`⚠️ Scene ${scene.sceneNumber} has no narration audio, using ${scene.duration}s of silence`);
+          sceneNarration = {
+            sceneNumber: scene.sceneNumber,
+            audioPath: await this.createSilentNarration(scene.sceneNumber, scene.duration),
+            duration: scene.duration,
+            mood: scene.mood,
+            moodIntensity: scene.moodIntensity,
+            words: [],
+            wordTimingSource: 'none',
+            silent: true
+          };
+        }
+        narrationPaths.push(sceneNarration);
+
+        const dialogue = await this.generateDialogueTrack(scene, casting, sceneNarration, {
+          language: languages.primary,
+          providers: options.ttsProviders
+        });
+        if (dialogue) {
+          dialogueTracks.push(dialogue);
+        }
+
+        completedScenes++;
+        if (progress) {
+          await progress.updateScene(completedScenes, scenes.length, `Scene ${scene.sceneNumber} narration generated`);
+        }
+      });
+
+      const narration = narrationPaths.sort((a, b) => a.sceneNumber - b.sceneNumber);
+
+      // Translated narration per additional language, voiced with the same voice
+      const tracks = {};
+      for (const language of languages.additional) {
+        if (progress) {
+          await progress.log(`Translating narration to ${getLanguage(language).name}`);
         }
+        tracks[language] = await this.generateNarrationTrack(scenes, language, languages.primary, selectedVoice, narration, options.ttsProviders);
       }
 
       return {
-        narration: narrationPaths,
+        narration: narration,
+        tracks: tracks,
+        // dialogue stays in the primary language on every language's track, like a sound bite
+        dialogue: dialogueTracks.sort((a, b) => a.sceneNumber - b.sceneNumber),
+        casting: casting
       };
 
     } catch (error) {
@@ -1812,44 +1949,236 @@ class AnimationService {
     }
   }
 
-  // NEW: Generate mood-aware voice with appropriate settings
-  async generateMoodAwareVoice(text, sceneNumber, selectedVoiceId, mood, moodIntensity, emotionalTone) {
+  // Phase 5 helper: a scene's dialogue as one track to layer over its narration.
+  // Each line is voiced with its speaker's cast voice, and the lines follow the
+  // narration one after another; a line that cannot be voiced is left out.
+  // Resolves with null for scenes without (voiced) dialogue.
+  async generateDialogueTrack(scene, casting, sceneNarration, { language = DEFAULT_LANGUAGE, providers = null } = {}) {
+    const lines = (scene.dialogue || []).filter(entry => entry.line && entry.line.trim());
+    if (lines.length === 0) {
+      return null;
+    }
+
+    // voiced in order, as every line starts where the one before it ends
+    let start = sceneNarration.silent ? 0 : await subtitleService.getDuration(sceneNarration.audioPath) + DIALOGUE_LEAD_IN;
+    const voicedLines = [];
+    for (const [index, entry] of lines.entries()) {
+      const voiced = await this.generateMoodAwareVoice(
+        entry.line,
+        scene.sceneNumber,
+        getCharacterVoice(casting, entry.character),
+        scene.mood,
+        scene.moodIntensity,
+        scene.emotionalTone,
+        { language, providers, fileName: `dialogue_${scene.sceneNumber}_${index + 1}_${language}.mp3` }
+      );
+      if (!voiced) {
+        console.warn(`⚠️ Dialogue line ${index + 1} of scene ${scene.sceneNumber} (${entry.character}) could not be voiced, leaving it out`);
+        continue;
+      }
+
+      // each speaker's voice at the narration's loudness
+      const { audioPath: lineAudioPath } = await audioMastering.normalize(voiced.audioPath);
+      const duration = await subtitleService.getDuration(lineAudioPath);
+      const timing = await subtitleService.alignNarration(lineAudioPath, entry.line);
+      voicedLines.push({
+        character: entry.character,
+        text: entry.line,
+        voice: voiced.voice,
+        ttsProvider: voiced.provider,
+        audioPath: lineAudioPath,
+        start: start,
+        end: start + duration,
+        words: timing.words.map(word => ({ ...word, start: word.start + start, end: word.end + start }))
+      });
+      start += duration + DIALOGUE_LINE_GAP;
+    }
+    if (voicedLines.length === 0) {
+      return null;
+    }
+
+    const audioPath = path.join(this.workingDir, 'audio', `dialogue_${scene.sceneNumber}_${language}.mp3`);
+    const filters = voicedLines.map((line, index) =>
+      `[${index}:a]aresample=44100,aformat=channel_layouts=stereo,adelay=${Math.round(line.start * 1000)}:all=1[l${index}]`);
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      ...voicedLines.flatMap(line => ['-i', line.audioPath]),
+      '-filter_complex', [
+        ...filters,
+        `${voicedLines.map((line, index) => `[l${index}]`).join('')}amix=inputs=${voicedLines.length}:duration=longest:normalize=0[dialogue]`
+      ].join(';'),
+      '-map', '[dialogue]',
+      '-c:a', 'libmp3lame', '-q:a', '4',
+      audioPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      console.warn(`⚠️ Could not build the dialogue track of scene ${scene.sceneNumber} (status ${status}), keeping its narration only`);
+      return null;
+    }
+
+    console.log(`🗣️ Scene ${scene.sceneNumber} dialogue: ${voicedLines.length}/${lines.length} lines (${[...new Set(voicedLines.map(line => line.character))].join(', ')})`);
+    return {
+      sceneNumber: scene.sceneNumber,
+      audioPath: audioPath,
+      duration: voicedLines[voicedLines.length - 1].end,
+      words: voicedLines.flatMap(line => line.words),
+      lines: voicedLines.map(({ audioPath: lineAudioPath, words, ...line }) => line)
+    };
+  }
+
+  // Phase 5 helper: the narration of every scene in another language. Each
+  // translation is sized to the time its scene's primary narration takes (and
+  // never more than the scene duration); a voice-over that still runs long is
+  // condensed once and then sped up by at most MAX_NARRATION_TEMPO.
+  async generateNarrationTrack(scenes, language, sourceLanguage, voice, primaryNarration, ttsProviders = null) {
+    const spokenScenes = scenes.filter(scene => scene.narration && scene.narration.trim());
+    const targetSeconds = new Map();
+    for (const scene of spokenScenes) {
+      const primary = primaryNarration.find(entry => entry.sceneNumber === scene.sceneNumber);
+      const primarySeconds = primary ? await subtitleService.getDuration(primary.audioPath) : 0;
+      targetSeconds.set(scene.sceneNumber, primarySeconds > 0 ? Math.min(scene.duration, primarySeconds) : scene.duration);
+    }
+
+    const translations = await narrationTranslator.translateScenes(spokenScenes.map(scene => ({
+      sceneNumber: scene.sceneNumber,
+      narration: scene.narration,
+      targetSeconds: targetSeconds.get(scene.sceneNumber)
+    })), language, sourceLanguage);
+
+    const speak = (text, scene) => this.generateMoodAwareVoice(
+      text,
+      scene.sceneNumber,
+      voice,
+      scene.mood,
+      scene.moodIntensity,
+      scene.emotionalTone,
+      { language, providers: ttsProviders }
+    );
+
+    const track = [];
+    await mapWithConcurrency(spokenScenes, this.sceneConcurrency, async (scene) => {
+      const maxSeconds = targetSeconds.get(scene.sceneNumber);
+      let text = translations.get(scene.sceneNumber);
+      let voiced = await speak(text, scene);
+      if (!voiced) return;
+
+      const spokenSeconds = await subtitleService.getDuration(voiced.audioPath);
+      if (spokenSeconds > maxSeconds * NARRATION_TIMING_TOLERANCE) {
+        console.log(`✂️ Scene ${scene.sceneNumber} ${language} narration runs ${spokenSeconds.toFixed(1)}s of ${maxSeconds.toFixed(1)}s, condensing`);
+        const condensed = await narrationTranslator.condense(text, language, maxSeconds, spokenSeconds);
+        const condensedVoice = await speak(condensed, scene);
+        if (condensedVoice) {
+          text = condensed;
+          voiced = condensedVoice;
+        }
+      }
+      const { audioPath, loudness } = await audioMastering.normalize(await this.fitNarrationToDuration(voiced.audioPath, maxSeconds));
+
+      const timing = await subtitleService.alignNarration(audioPath, text);
+      track.push({
+        sceneNumber: scene.sceneNumber,
+        audioPath: audioPath,
+        duration: scene.duration,
+        mood: scene.mood,
+        moodIntensity: scene.moodIntensity,
+        narration: text,
+        words: timing.words,
+        wordTimingSource: timing.source,
+        ttsProvider: voiced.provider,
+        voice: voiced.voice,
+        loudness: loudness
+      });
+    });
+
+    return track.sort((a, b) => a.sceneNumber - b.sceneNumber);
+  }
+
+  // A scene's narration with its dialogue track mixed on top; the dialogue
+  // track starts with the silence that puts its lines after the narration
+  async layerDialogue(narrationPath, dialogue, fileSuffix = '') {
+    const layeredPath = path.join(this.workingDir, 'audio', `layered_${dialogue.sceneNumber}${fileSuffix}.mp3`);
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      '-i', narrationPath,
+      '-i', dialogue.audioPath,
+      '-filter_complex', [
+        '[0:a]aresample=44100,aformat=channel_layouts=stereo[narration]',
+        '[1:a]aresample=44100,aformat=channel_layouts=stereo[dialogue]',
+        '[narration][dialogue]amix=inputs=2:duration=longest:normalize=0[mixed]'
+      ].join(';'),
+      '-map', '[mixed]',
+      '-c:a', 'libmp3lame', '-q:a', '4',
+      layeredPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      throw new Error(`Layering the dialogue of scene ${dialogue.sceneNumber} failed with status ${status}`);
+    }
+    return layeredPath;
+  }
+
+  // Speed a voice-over up so it ends within maxSeconds, by at most
+  // MAX_NARRATION_TEMPO so the voice stays natural
+  async fitNarrationToDuration(audioPath, maxSeconds) {
+    const spokenSeconds = await subtitleService.getDuration(audioPath);
+    if (!spokenSeconds || spokenSeconds <= maxSeconds * NARRATION_TIMING_TOLERANCE) {
+      return audioPath;
+    }
+
+    const tempo = Math.min(spokenSeconds / maxSeconds, MAX_NARRATION_TEMPO);
+    const fittedPath = audioPath.replace(/\.mp3$/, '_fitted.mp3');
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      '-i', audioPath,
+      '-filter:a', `atempo=${tempo.toFixed(3)}`,
+      fittedPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      console.warn(`⚠️ Could not speed up ${audioPath}, keeping it at ${spokenSeconds.toFixed(1)}s`);
+      return audioPath;
+    }
+
+    if (spokenSeconds / tempo > maxSeconds * NARRATION_TIMING_TOLERANCE) {
+      console.warn(`⚠️ ${path.basename(audioPath)} still runs ${(spokenSeconds / tempo).toFixed(1)}s of ${maxSeconds.toFixed(1)}s after speeding it up`);
+    }
+    return fittedPath;
+  }
+
+  // NEW: Generate mood-aware voice with appropriate settings. The TTS
+  // providers are tried in order (see ./ttsProviders); resolves with
+  // { provider, audioPath, voice }, or null when none of them could voice it.
+  // fileName overrides the default narration file name (e.g. for dialogue lines).
+  async generateMoodAwareVoice(text, sceneNumber, voice, mood, moodIntensity, emotionalTone, { language = DEFAULT_LANGUAGE, providers = null, fileName = null } = {}) {
     try {
       console.log(`🎤 Generating ${mood} mood voice for scene ${sceneNumber} (intensity: ${moodIntensity}/10)`);
-      
-      if (!this.elevenLabsApiKey) {
-        console.warn('ElevenLabs API key not found, skipping voice generation');
-        return null;
-      }
 
       // Get mood configuration for voice settings
       const moodConfig = this.getMoodConfiguration(mood);
       
-      // Adjust voice settings based on mood
-      const voiceSettings = this.getMoodVoiceSettings(mood, moodIntensity, moodConfig);
-
-      const response = await axios.post(
-        `https://api.elevenlabs.io/v1/text-to-speech/${selectedVoiceId}`,
-        {
-          text: text,
-          model_id: 'eleven_multilingual_v2',
-          voice_settings: voiceSettings
-        },
-        {
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': this.elevenLabsApiKey
-          },
-          responseType: 'arraybuffer'
-        }
-      );
+      // Adjust voice settings based on mood; each provider maps them onto its own controls
+      const delivery = {
+        ...this.getMoodVoiceSettings(mood, moodIntensity, moodConfig),
+        tone: moodConfig.voice.tone,
+        pace: moodConfig.voice.pace,
+        emphasis: moodConfig.voice.emphasis,
+        emotionalTone: emotionalTone || mood
+      };
 
-      const audioPath = path.join(this.workingDir, 'audio', `narration_${sceneNumber}_${mood}.mp3`);
-      await fs.writeFile(audioPath, Buffer.from(response.data));
+      const audioPath = path.join(this.workingDir, 'audio', fileName || `narration_${sceneNumber}_${mood}_${language}.mp3`);
+      const result = await ttsProviders.synthesize({
+        text: text,
+        sceneNumber: sceneNumber,
+        voice: voice,
+        language: language,
+        mood: mood,
+        moodIntensity: moodIntensity,
+        delivery: delivery
+      }, {
+        providers: providers,
+        outputPath: audioPath
+      });
       
-      console.log(`✅ Generated ${mood} mood voice for scene ${sceneNumber}`);
-      return audioPath;
+      console.log(`✅ Generated ${mood} mood voice for scene ${sceneNumber} (${result.provider})`);
+      return result;
 
     } catch (error) {
       console.error('Error generating mood-aware voice:', error);
@@ -1857,56 +2186,82 @@ class AnimationService {
     }
   }
 
+  // A silent narration track, so a scene without (or with failed) narration is
+  // still assembled at its full duration
+  async createSilentNarration(sceneNumber, duration) {
+    const audioPath = path.join(this.workingDir, 'audio', `silence_${sceneNumber}_${duration}s.mp3`);
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      '-f', 'lavfi', '-t', String(duration), '-i', 'anullsrc=r=44100:cl=stereo',
+      '-c:a', 'libmp3lame', '-q:a', '9',
+      audioPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      throw new Error(`Could not create ${duration}s of silence for scene ${sceneNumber} (status ${status})`);
+    }
+    return audioPath;
+  }
+
   // NEW: Get mood-specific voice settings
+  // stability, similarity_boost, style and use_speaker_boost are ElevenLabs'
+  // scales; speakingRate is relative to the voice's normal pace
   getMoodVoiceSettings(mood, intensity, moodConfig) {
     const baseMoodSettings = {
       'serious': {
         stability: 0.7,
         similarity_boost: 0.8,
         style: 0.2,
-        use_speaker_boost: true
+        use_speaker_boost: true,
+        speakingRate: 0.97
       },
       'hopeful': {
         stability: 0.5,
         similarity_boost: 0.75,
         style: 0.3,
-        use_speaker_boost: true
+        use_speaker_boost: true,
+        speakingRate: 1.0
       },
       'concerned': {
         stability: 0.6,
         similarity_boost: 0.8,
         style: 0.1,
-        use_speaker_boost: true
+        use_speaker_boost: true,
+        speakingRate: 0.95
       },
       'urgent': {
         stability: 0.8,
         similarity_boost: 0.85,
         style: 0.4,
-        use_speaker_boost: true
+        use_speaker_boost: true,
+        speakingRate: 1.08
       },
       'informative': {
         stability: 0.75,
         similarity_boost: 0.8,
         style: 0.0,
-        use_speaker_boost: true
+        use_speaker_boost: true,
+        speakingRate: 1.0
       },
       'celebratory': {
         stability: 0.4,
         similarity_boost: 0.7,
         style: 0.5,
-        use_speaker_boost: true
+        use_speaker_boost: true,
+        speakingRate: 1.05
       },
       'reflective': {
         stability: 0.8,
         similarity_boost: 0.85,
         style: 0.1,
-        use_speaker_boost: true
+        use_speaker_boost: true,
+        speakingRate: 0.92
       },
       'professional': {
         stability: 0.75,
         similarity_boost: 0.8,
         style: 0.2,
-        use_speaker_boost: true
+        use_speaker_boost: true,
+        speakingRate: 1.0
       }
     };
 
@@ -1926,128 +2281,461 @@ class AnimationService {
     return settings;
   }
 
-  // Phase 6: Updated Video Assembly (unchanged)
-  async assembleAnimation(sceneVideos, audioAssets, storyData) {
+  // Phase 6: Updated Video Assembly. The per-scene clips (trimmed, muxed with
+  // narration and subtitled) are pushed onto `processedClips` for the caller.
+  // output.format is the frame the clips are fitted to (the master format by
+  // default); output.sourceFormat and output.fit are set for derived renditions.
+  // output.subtitles are the caption options (see subtitleStyles); each
+  // processed clip carries its clip-relative cues for the sidecar tracks.
+  // output.language names a localized assembly (audioAssets then holds that
+  // language's narration, with the primary language's dialogue).
+  // output.music (see musicOptions) lays a background music bed under the voices.
+  // output.transitions (see transitionOptions) picks the transitions between
+  // scenes, which otherwise come from each scene's mood.
+  // output.branding is the run's branding (see brandingService.prepare), laid
+  // over the joined animation; null leaves the video unbranded.
+  // output.callouts (see calloutOptions) draws each scene's callouts from the
+  // story over its clip, in the brand's palette and fonts when it is branded.
+  async assembleAnimation(sceneVideos, audioAssets, storyData, progress = null, processedClips = [], output = {}) {
     try {
-      console.log('🎬 Assembling final mood-enhanced animation with audio-video sync and subtitles...');
+      const outputFormat = output.format || getOutputFormat();
+      const isRendition = Boolean(output.sourceFormat) && output.sourceFormat.aspectRatio !== outputFormat.aspectRatio;
+      const fileSuffix = `${isRendition ? `_${outputFormat.aspectRatio.replace(':', 'x')}` : ''}${output.language ? `_${output.language}` : ''}`;
+      const subtitleOptions = output.subtitles || resolveSubtitleOptions();
+      console.log(`🎬 Assembling final mood-enhanced animation (${outputFormat.aspectRatio}) with audio-video sync and subtitles...`);
       
       const processedClipsDir = path.join(this.workingDir, 'processed');
       await fs.mkdir(processedClipsDir, { recursive: true });
       
-      const processedClips = [];
       const totalClips = sceneVideos.length;
 
+      // The transition into every scene but the first (null for a cut)
+      const transitions = sceneVideos.map((sceneVideo, index) => index === 0
+        ? null
+        : resolveSceneTransition(output.transitions, this.getMoodConfiguration(sceneVideo.mood || 'professional').motion.transition));
+      const transitionDuration = transition => transition ? transition.duration : 0;
+
       // Step 1: Process each scene with mood information
       console.log('📝 Processing individual mood-enhanced scenes...');
       
       for (let i = 0; i < sceneVideos.length; i++) {
         const sceneVideo = sceneVideos[i];
-        const sceneAudio = audioAssets.narration.find(n => n.sceneNumber === sceneVideo.sceneNumber);
+        let sceneAudio = audioAssets.narration.find(n => n.sceneNumber === sceneVideo.sceneNumber);
         
         if (!sceneAudio || !sceneAudio.audioPath) {
-          console.warn(`⚠️ No audio found for scene ${sceneVideo.sceneNumber}, skipping processing`);
-          continue;
+          // e.g. a scene whose translation could not be voiced; it stays in the video, silent
+          console.warn(`⚠️ No audio found for scene ${sceneVideo.sceneNumber}, using a silent track`);
+          const duration = sceneVideo.duration || 10;
+          sceneAudio = { sceneNumber: sceneVideo.sceneNumber, audioPath: await this.createSilentNarration(sceneVideo.sceneNumber, duration), duration: duration, words: [], silent: true };
         }
 
         console.log(`🔧 Processing ${sceneVideo.mood} mood scene ${sceneVideo.sceneNumber}/${totalClips} (intensity: ${sceneVideo.moodIntensity}/10)...`);
         
-        const processedClipPath = path.join(processedClipsDir, `processed_scene_${sceneVideo.sceneNumber}_${sceneVideo.mood}.mp4`);
+        const processedClipPath = path.join(processedClipsDir, `processed_scene_${sceneVideo.sceneNumber}_${sceneVideo.mood}${fileSuffix}.mp4`);
+
+        // Renditions crop each scene where its detail is, or pad it
+        let videoFilter = null;
+        if (isRendition) {
+          const focus = output.fit === 'pad' ? undefined : await renditionRenderer.analyzeFocus(sceneVideo.videoPath, output.sourceFormat, outputFormat);
+          videoFilter = renditionRenderer.fitFilter(outputFormat, output.fit, focus);
+        }
         
-        // Trim and mux with subtitles
-        const actualDuration = await this.trimAndMux({
+        // Narration checkpointed before word timings were kept gets estimated ones
+        const words = sceneAudio.silent ? [] : sceneAudio.words && sceneAudio.words.length > 0
+          ? sceneAudio.words
+          : subtitleService.estimateWordTimings(sceneAudio.narration || sceneVideo.narration, await subtitleService.getDuration(sceneAudio.audioPath));
+
+        // The scene's dialogue is layered over its narration and captioned after
+        // it; the voices start once the transition into the scene is over
+        const dialogue = (audioAssets.dialogue || []).find(track => track.sceneNumber === sceneVideo.sceneNumber);
+        const leadIn = transitionDuration(transitions[i]);
+        const storyScene = (storyData.scenes || []).find(scene => scene.sceneNumber === sceneVideo.sceneNumber);
+        const callouts = output.callouts && output.callouts.enabled && storyScene && (storyScene.callouts || []).length > 0
+          ? {
+            items: storyScene.callouts,
+            template: output.callouts.template,
+            palette: output.branding ? output.branding.palette : null,
+            fonts: output.branding ? output.branding.fonts : null
+          }
+          : null;
+        const cues = subtitleService.buildCues((dialogue ? [...words, ...dialogue.words] : words)
+          .map(word => ({ ...word, start: word.start + leadIn, end: word.end + leadIn })), subtitleOptions);
+
+        // Fit and mux with subtitles
+        const { duration: actualDuration, timeFit } = await this.trimAndMux({
           video: sceneVideo.videoPath,
-          audio: sceneAudio.audioPath,
-          subtitleText: sceneVideo.narration,
+          audio: dialogue ? await this.layerDialogue(sceneAudio.audioPath, dialogue, fileSuffix) : sceneAudio.audioPath,
+          cues: cues,
           out: processedClipPath,
           idx: i,
           totalClips: totalClips,
-          fadeTime: 0.5
+          fadeTime: 0.5,
+          transitionIn: leadIn,
+          transitionOut: transitionDuration(transitions[i + 1]),
+          outputFormat: outputFormat,
+          videoFilter: videoFilter,
+          subtitleOptions: subtitleOptions,
+          callouts: callouts
         });
 
         processedClips.push({
           sceneNumber: sceneVideo.sceneNumber,
           path: processedClipPath,
           duration: actualDuration,
+          timeFit: timeFit,
+          transition: transitions[i],
           mood: sceneVideo.mood,
-          moodIntensity: sceneVideo.moodIntensity
+          moodIntensity: sceneVideo.moodIntensity,
+          cues: cues
         });
 
         console.log(`✅ ${sceneVideo.mood} mood scene ${sceneVideo.sceneNumber} processed (${actualDuration}s, intensity: ${sceneVideo.moodIntensity}/10)`);
+
+        if (progress) {
+          await progress.updateScene(i + 1, totalClips, `Scene ${sceneVideo.sceneNumber} clip processed`);
+        }
       }
 
       if (processedClips.length === 0) {
         throw new Error('No clips were successfully processed');
       }
 
-      // Step 2: Create concat file for FFmpeg
-      console.log('🔗 Concatenating mood-enhanced processed clips...');
+      // Step 2: Background music on the clip timings
+      const musicBed = await this.buildMusicBed(processedClips, storyData, output.music, fileSuffix);
+
+      // Step 3: Join the clips with their transitions; the audio crossfades with the picture
+      console.log('🔗 Joining mood-enhanced processed clips...');
+
+      const orderedClips = [...processedClips].sort((a, b) => a.sceneNumber - b.sceneNumber);
+      const videoJoin = this.buildTransitionFilters(orderedClips, orderedClips.map((clip, index) => `[v${index}]`), 'video');
+      const audioJoin = this.buildTransitionFilters(orderedClips, orderedClips.map((clip, index) => `[a${index}]`), 'audio');
+      const filterComplex = [
+        ...orderedClips.map((clip, index) => `[${index}:v]settb=AVTB,setpts=PTS-STARTPTS[v${index}]`),
+        ...orderedClips.map((clip, index) => `[${index}:a]aresample=48000,aformat=channel_layouts=stereo,asetpts=PTS-STARTPTS[a${index}]`),
+        ...videoJoin.filters,
+        ...audioJoin.filters
+      ].join(';');
+      console.log(`📋 Transitions: ${orderedClips.slice(1).map(clip => clip.transition ? `${clip.transition.style} (${clip.transition.duration}s)` : 'cut').join(', ') || 'none'}`);
+
+      // Step 4: Render the joined video
+      const outputPath = path.join(this.workingDir, `mood_enhanced_animation${fileSuffix}_${uuidv4()}.mp4`);
       
-      const concatFilePath = path.join(this.workingDir, 'concat_list.txt');
-      const concatContent = processedClips
-        .sort((a, b) => a.sceneNumber - b.sceneNumber)
-        .map(clip => `file '${clip.path.replace(/\\/g, '/')}'`)
-        .join('\n');
+      const ffArgs = [
+        ...orderedClips.flatMap(clip => ['-i', clip.path]),
+        '-filter_complex', filterComplex,
+        '-map', videoJoin.output, '-map', audioJoin.output,
+        '-c:v', 'libx264', '-crf', '20', '-preset', 'fast', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-ac', '2',
+        '-movflags', '+faststart',
+        outputPath
+      ];
+
+      console.log(`🎞️ Final mood-enhanced join: ffmpeg ${ffArgs.join(' ')}`);
+
+      const { status, error } = await runProcess('ffmpeg', ffArgs, { stdio: 'inherit' });
       
-      writeFileSync(concatFilePath, concatContent, 'utf8');
-      console.log(`📋 Concat file created with ${processedClips.length} mood-enhanced clips`);
+      if (status !== 0) {
+        console.error('❌ Final join failed:', error);
+        throw new Error(`Final join failed with status ${status}`);
+      }
+
+      const mixedPath = musicBed ? await this.mixMusicBed(outputPath, musicBed) : outputPath;
+      const finalPath = output.branding
+        ? await brandingService.applyBranding(mixedPath, output.branding, {
+          outputFormat: outputFormat,
+          lowerThirds: output.branding.lowerThirds ? this.planLowerThirds(processedClips, storyData) : [],
+          fileSuffix: fileSuffix
+        })
+        : mixedPath;
 
-      // Step 3: Concatenate all processed clips
-      const outputPath = path.join(this.workingDir, `mood_enhanced_animation_${uuidv4()}.mp4`);
+      const totalDuration = processedClips.reduce((sum, clip) => sum + clip.duration - transitionDuration(clip.transition), 0);
+      const moodProgression = processedClips.map(clip => `${clip.mood}(${clip.moodIntensity}/10)`).join(' → ');
       
-      return new Promise((resolve, reject) => {
-        const ffArgs = [
-          '-f', 'concat',
-          '-safe', '0',
-          '-i', concatFilePath,
-          '-c', 'copy',
-          '-movflags', '+faststart',
-          outputPath
-        ];
+      console.log(`✅ Mood-enhanced animation assembly completed! Total duration: ${totalDuration.toFixed(1)}s`);
+      console.log(`🎭 Mood progression: ${moodProgression}`);
+      console.log(`📁 Output: ${finalPath}`);
+      
+      return finalPath;
+
+    } catch (error) {
+      console.error('❌ Error assembling mood-enhanced animation:', error);
+      throw new Error(`Failed to assemble mood-enhanced animation: ${error.message}`);
+    }
+  }
 
-        console.log(`🎞️ Final mood-enhanced concatenation: ffmpeg ${ffArgs.join(' ')}`);
+  // Filters joining one stream of every clip in order ('video' or 'audio',
+  // labels are the clips' streams): the transition into a clip (clip.transition)
+  // is drawn with xfade or, for the audio, crossfaded with acrossfade over its
+  // duration; a clip without one is cut to. Returns the filters and the label
+  // of the joined stream.
+  buildTransitionFilters(clips, labels, type) {
+    const filters = [];
+    let joined = labels[0];
+    let length = clips[0].duration;
+    for (let index = 1; index < clips.length; index++) {
+      const transition = clips[index].transition;
+      const output = `[${type === 'video' ? 'v' : 'a'}x${index}]`;
+      if (!transition) {
+        filters.push(`${joined}${labels[index]}concat=n=2:v=${type === 'video' ? 1 : 0}:a=${type === 'video' ? 0 : 1}${output}`);
+      } else if (type === 'video') {
+        filters.push(`${joined}${labels[index]}xfade=transition=${transition.xfade}:duration=${transition.duration}:offset=${Math.max(0, length - transition.duration).toFixed(3)}${output}`);
+      } else {
+        filters.push(`${joined}${labels[index]}acrossfade=d=${transition.duration}:c1=tri:c2=tri${output}`);
+      }
+      length += clips[index].duration - (transition ? transition.duration : 0);
+      joined = output;
+    }
+    return { filters, output: joined };
+  }
 
-        const { status, error } = spawnSync('ffmpeg', ffArgs, { stdio: 'inherit' });
-        
-        if (status !== 0) {
-          console.error('❌ Final concatenation failed:', error);
-          reject(new Error(`Final concatenation failed with status ${status}`));
+  // The lower thirds of the assembled clips: every story character is named
+  // in the first scene it appears in, once the transition into that scene is
+  // over, newcomers of one scene following each other; a character whose
+  // lower third would outlast the scene waits for its next one. Starts are on
+  // the joined animation's timeline, as subtitleService.mergeClipCues lays it out.
+  planLowerThirds(processedClips, storyData) {
+    const duration = __config.branding.lowerThirdDuration;
+    const introduced = new Set();
+    const lowerThirds = [];
+    let offset = 0;
+    [...processedClips].sort((a, b) => a.sceneNumber - b.sceneNumber).forEach(clip => {
+      const leadIn = clip.transition ? clip.transition.duration : 0;
+      offset -= leadIn;
+      const scene = (storyData.scenes || []).find(entry => entry.sceneNumber === clip.sceneNumber);
+      let start = leadIn;
+      ((scene && scene.characters) || []).forEach(name => {
+        const character = (storyData.characters || []).find(entry => entry.name.toLowerCase() === String(name).toLowerCase());
+        if (!character || introduced.has(character.name) || start + duration > clip.duration) {
           return;
         }
-
-        // Cleanup concat file
-        try {
-          unlinkSync(concatFilePath);
-        } catch (cleanupError) {
-          console.warn('Warning: Could not cleanup concat file:', cleanupError.message);
-        }
-
-        const totalDuration = processedClips.reduce((sum, clip) => sum + clip.duration, 0);
-        const moodProgression = processedClips.map(clip => `${clip.mood}(${clip.moodIntensity}/10)`).join(' → ');
-        
-        console.log(`✅ Mood-enhanced animation assembly completed! Total duration: ${totalDuration.toFixed(1)}s`);
-        console.log(`🎭 Mood progression: ${moodProgression}`);
-        console.log(`📁 Output: ${outputPath}`);
-        
-        resolve(outputPath);
+        introduced.add(character.name);
+        lowerThirds.push({ name: character.name, role: character.role, start: offset + start });
+        start += duration;
       });
+      offset += clip.duration;
+    });
+    return lowerThirds;
+  }
 
-    } catch (error) {
-      console.error('❌ Error assembling mood-enhanced animation:', error);
-      throw new Error(`Failed to assemble mood-enhanced animation: ${error.message}`);
+  // Phase 6 helper: assemble every extra output format from the same scene clips
+  // and narration (and music, branding and callouts) as the master, one rendition at a time
+  async assembleRenditions(sceneVideos, audioAssets, storyData, formats, progress = null, subtitleOptions = resolveSubtitleOptions(), music = null, transitions = null, branding = null, callouts = null) {
+    const renditions = [];
+    for (const format of formats.renditions) {
+      if (progress) {
+        await progress.log(`Assembling ${format.aspectRatio} rendition (${formats.fit})`);
+      }
+      const videoPath = await this.assembleAnimation(sceneVideos, audioAssets, storyData, null, [], {
+        format: format,
+        sourceFormat: formats.master,
+        fit: formats.fit,
+        subtitles: subtitleOptions,
+        music: music,
+        transitions: transitions,
+        branding: branding,
+        callouts: callouts
+      });
+      renditions.push({
+        aspectRatio: format.aspectRatio,
+        width: format.width,
+        height: format.height,
+        fit: formats.fit,
+        videoPath: videoPath
+      });
     }
+    return renditions;
   }
 
-  // Content safety methods (unchanged but with mood awareness)
-  sanitizeSceneForContentPolicy(sceneDescription, sceneType) {
-    // Determine story type to apply appropriate visual adaptations
-    const storyType = this.detectStoryType(sceneDescription);
-    
-    let sanitizedDescription = sceneDescription;
-    let wasModified = false;
+  // Phase 6 helper: the cues of all processed clips on one timeline, written
+  // as the sidecar WebVTT and SRT of the animation (in the narration language);
+  // offset is where the animation starts in the video (after an intro bumper)
+  async writeSubtitleTracks(processedClips, subtitleOptions, language = DEFAULT_LANGUAGE, offset = 0) {
+    const cues = subtitleService.mergeClipCues(processedClips, offset);
+    const basePath = path.join(this.workingDir, `subtitles_${uuidv4()}`);
+    await fs.writeFile(`${basePath}.vtt`, subtitleService.toVtt(cues, subtitleOptions.style), 'utf8');
+    await fs.writeFile(`${basePath}.srt`, subtitleService.toSrt(cues), 'utf8');
+    console.log(`📝 Wrote ${cues.length} ${language} subtitle cues (${subtitleOptions.timing} timing)`);
 
-    // Apply story-type specific visual adaptations (keep narration intact)
-    switch (storyType) {
-      case 'crime':
+    return {
+      language: language,
+      vttPath: `${basePath}.vtt`,
+      srtPath: `${basePath}.srt`,
+      cueCount: cues.length,
+      timing: subtitleOptions.timing,
+      burnedIn: subtitleOptions.burnIn
+    };
+  }
+
+  // Phase 6 helper: the additional narration languages. 'separate' assembles a
+  // localized MP4 per language from the same scene clips; 'tracks' lays each
+  // language's narration on the master's clip timings and muxes it, with its
+  // captions, into the master as extra audio and subtitle streams. Either way
+  // each language gets the master's background music, transitions, branding
+  // and callouts. Resolves with the video to use as the master and the
+  // per-language outputs.
+  async assembleLanguages(masterPath, processedClips, sceneVideos, audioAssets, storyData, languages, outputFormat, subtitleOptions, subtitles, progress = null, music = null, transitions = null, branding = null, callouts = null) {
+    if (languages.additional.length === 0) {
+      return { videoPath: masterPath, localizations: [] };
+    }
+
+    const programOffset = brandingService.getProgramOffset(branding);
+
+    const localizations = [];
+    for (const language of languages.additional) {
+      const track = (audioAssets.tracks || {})[language] || [];
+      if (progress) {
+        await progress.log(`Assembling ${getLanguage(language).name} narration (${languages.output})`);
+      }
+
+      if (languages.output === 'separate') {
+        const localizedClips = [];
+        const videoPath = await this.assembleAnimation(sceneVideos, { narration: track, dialogue: audioAssets.dialogue }, storyData, null, localizedClips, {
+          format: outputFormat,
+          subtitles: subtitleOptions,
+          language: language,
+          music: music,
+          transitions: transitions,
+          branding: branding,
+          callouts: callouts
+        });
+        localizations.push({ language, videoPath, audioPath: null, subtitles: await this.writeSubtitleTracks(localizedClips, subtitleOptions, language, programOffset) });
+      } else {
+        // built from copies, as the master clips keep their own music tracks
+        const musicBed = await this.buildMusicBed(processedClips.map(clip => ({ ...clip })), storyData, music, `_${language}`);
+        const { audioPath, clips } = await this.buildLanguageAudioTrack(processedClips, track, language, subtitleOptions, audioAssets.dialogue || [], musicBed);
+        localizations.push({
+          language,
+          videoPath: null,
+          audioPath: branding ? await brandingService.wrapAudioTrack(audioPath, branding) : audioPath,
+          subtitles: await this.writeSubtitleTracks(clips, subtitleOptions, language, programOffset)
+        });
+      }
+    }
+
+    const videoPath = languages.output === 'tracks'
+      ? await this.muxLanguageTracks(masterPath, languages.primary, subtitles, localizations)
+      : masterPath;
+    return { videoPath, localizations };
+  }
+
+  // One language's narration as a single audio track matching the master: each
+  // scene's voice-over starts with its clip (after the transition into it) and
+  // is padded (or cut) to the clip's duration, with silence for scenes that have
+  // no translation, and the clips crossfade as the master's do. The scene's
+  // dialogue is layered on top, and the music bed mixed under it, as in the
+  // master. The returned clips carry that language's cues on the same timings.
+  async buildLanguageAudioTrack(processedClips, track, language, subtitleOptions, dialogue = [], musicBed = null) {
+    const clips = [];
+    for (const clip of [...processedClips].sort((a, b) => a.sceneNumber - b.sceneNumber)) {
+      const sceneAudio = track.find(entry => entry.sceneNumber === clip.sceneNumber);
+      const sceneDialogue = dialogue.find(entry => entry.sceneNumber === clip.sceneNumber);
+      const words = !sceneAudio ? [] : sceneAudio.words && sceneAudio.words.length > 0
+        ? sceneAudio.words
+        : subtitleService.estimateWordTimings(sceneAudio.narration, await subtitleService.getDuration(sceneAudio.audioPath));
+      const leadIn = clip.transition ? clip.transition.duration : 0;
+
+      let audioPath = sceneAudio ? sceneAudio.audioPath : null;
+      if (sceneDialogue) {
+        audioPath = await this.layerDialogue(audioPath || await this.createSilentNarration(clip.sceneNumber, clip.duration), sceneDialogue, `_${language}`);
+      }
+      clips.push({
+        sceneNumber: clip.sceneNumber,
+        duration: clip.duration,
+        transition: clip.transition,
+        leadIn: leadIn,
+        audioPath: audioPath,
+        cues: subtitleService.buildCues((sceneDialogue ? [...words, ...sceneDialogue.words] : words)
+          .map(word => ({ ...word, start: word.start + leadIn, end: word.end + leadIn })), subtitleOptions)
+      });
+    }
+
+    const inputs = clips.flatMap(clip => clip.audioPath
+      ? ['-i', clip.audioPath]
+      : ['-f', 'lavfi', '-t', String(clip.duration), '-i', 'anullsrc=r=48000:cl=stereo']);
+    const filters = clips.map((clip, index) => {
+      const delay = clip.leadIn > 0 ? `adelay=${Math.round(clip.leadIn * 1000)}:all=1,` : '';
+      return `[${index}:a]aresample=48000,aformat=channel_layouts=stereo,${delay}apad=whole_dur=${clip.duration},atrim=0:${clip.duration},asetpts=N/SR/TB[a${index}]`;
+    });
+    const join = this.buildTransitionFilters(clips, clips.map((clip, index) => `[a${index}]`), 'audio');
+    const filterComplex = [...filters, ...join.filters].join(';');
+
+    const audioPath = path.join(this.workingDir, `narration_track_${language}_${uuidv4()}.m4a`);
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      ...inputs,
+      '-filter_complex', filterComplex,
+      '-map', join.output,
+      '-c:a', 'aac', '-b:a', '128k',
+      audioPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      throw new Error(`Building the ${language} narration track failed with status ${status}`);
+    }
+
+    console.log(`🌐 Built ${language} narration track from ${clips.filter(clip => clip.audioPath).length}/${clips.length} scenes`);
+    return { audioPath: musicBed ? await this.mixMusicBed(audioPath, musicBed, false) : audioPath, clips };
+  }
+
+  // The master with every language's narration and captions as extra streams;
+  // the primary language stays the default audio track and captions are off
+  // until the viewer picks a subtitle stream
+  async muxLanguageTracks(masterPath, primaryLanguage, subtitles, localizations) {
+    const languageTracks = [
+      { language: primaryLanguage, srtPath: subtitles && subtitles.cueCount > 0 ? subtitles.srtPath : null },
+      ...localizations.map(localization => ({
+        language: localization.language,
+        audioPath: localization.audioPath,
+        srtPath: localization.subtitles.cueCount > 0 ? localization.subtitles.srtPath : null
+      }))
+    ];
+    const audioTracks = languageTracks.slice(1);
+    const subtitleTracks = languageTracks.filter(track => track.srtPath);
+
+    const outputPath = masterPath.replace(/\.mp4$/, '_multilang.mp4');
+    const ffArgs = [
+      '-v', 'error', '-y',
+      '-i', masterPath,
+      ...audioTracks.flatMap(track => ['-i', track.audioPath]),
+      ...subtitleTracks.flatMap(track => ['-i', track.srtPath]),
+      '-map', '0:v', '-map', '0:a',
+      ...audioTracks.flatMap((track, index) => ['-map', `${index + 1}:a`]),
+      ...subtitleTracks.flatMap((track, index) => ['-map', `${audioTracks.length + index + 1}:s`]),
+      '-c:v', 'copy', '-c:a', 'copy', '-c:s', 'mov_text',
+      ...languageTracks.flatMap((track, index) => [
+        `-metadata:s:a:${index}`, `language=${getLanguage(track.language).iso6392}`,
+        `-metadata:s:a:${index}`, `title=${getLanguage(track.language).name}`,
+        `-disposition:a:${index}`, index === 0 ? 'default' : '0'
+      ]),
+      ...subtitleTracks.flatMap((track, index) => [
+        `-metadata:s:s:${index}`, `language=${getLanguage(track.language).iso6392}`,
+        `-metadata:s:s:${index}`, `title=${getLanguage(track.language).name}`,
+        `-disposition:s:${index}`, '0'
+      ]),
+      '-movflags', '+faststart',
+      outputPath
+    ];
+
+    console.log(`🌐 Muxing language tracks: ffmpeg ${ffArgs.join(' ')}`);
+    const { status } = await runProcess('ffmpeg', ffArgs, { stdio: 'inherit' });
+    if (status !== 0) {
+      throw new Error(`Muxing the language tracks failed with status ${status}`);
+    }
+
+    console.log(`✅ Master carries ${languageTracks.length} audio and ${subtitleTracks.length} subtitle streams (${languageTracks.map(track => track.language).join(', ')})`);
+    return outputPath;
+  }
+
+  // Content safety methods (unchanged but with mood awareness)
+  sanitizeSceneForContentPolicy(sceneDescription, sceneType) {
+    // Determine story type to apply appropriate visual adaptations
+    const storyType = this.detectStoryType(sceneDescription);
+    
+    let sanitizedDescription = sceneDescription;
+    let wasModified = false;
+
+    // Apply story-type specific visual adaptations (keep narration intact)
+    switch (storyType) {
+      case 'crime':
         ({ sanitizedDescription, wasModified } = this.adaptCrimeSceneVisuals(sceneDescription));
         break;
       case 'accident':
@@ -2286,16 +2974,16 @@ class AnimationService {
   }
 
   // Helper methods (enhanced with mood awareness)
-  async generateImage(prompt) {
+  async generateImage(prompt, size = '1536x1024') {
     try {
-      const response = await this.openai.images.generate({
+      const response = await this.rateLimiters.openaiImages.schedule(() => this.openai.images.generate({
         model: 'gpt-image-1',
         prompt: prompt,
-        size: '1536x1024',
+        size: size,
         quality: 'medium',
         n: 1,
         moderation: 'low'
-      });
+      }));
 
       const base64Data = response.data[0].b64_json;
       const imageBuffer = Buffer.from(base64Data, 'base64');
@@ -2312,7 +3000,7 @@ class AnimationService {
     }
   }
 
-  async generateImageWithReference(referenceImagePaths, prompt) {
+  async generateImageWithReference(referenceImagePaths, prompt, size = '1536x1024') {
     try {
       console.log(`🖼️ Generating image with ${referenceImagePaths.length} reference images`);
 
@@ -2324,13 +3012,13 @@ class AnimationService {
         })
       );
 
-      const response = await this.openai.images.edit({
+      const response = await this.rateLimiters.openaiImages.schedule(() => this.openai.images.edit({
         model: 'gpt-image-1',
         image: imageFiles,
         prompt: prompt,
-        size: '1536x1024',
+        size: size,
         quality: 'medium',
-      });
+      }));
 
       const base64Data = response.data[0].b64_json;
       const imageBuffer = Buffer.from(base64Data, 'base64');
@@ -2344,29 +3032,152 @@ class AnimationService {
     } catch (error) {
       console.error('Error generating image with reference:', error);
       console.log('🔄 Falling back to generation without reference images');
-      return await this.generateImage(prompt);
+      return await this.generateImage(prompt, size);
     }
   }
 
-  async generateBackgroundMusic(mood, duration) {
-    try {
-      const musicPath = path.join(this.workingDir, 'audio', 'background_music.mp3');
-      
-      return new Promise((resolve, reject) => {
-        ffmpeg()
-          .input('anullsrc=channel_layout=stereo:sample_rate=48000')
-          .inputFormat('lavfi')
-          .duration(duration)
-          .output(musicPath)
-          .on('end', () => resolve(musicPath))
-          .on('error', reject)
-          .run();
+  // Phase 6 helper: the background music under one assembled video. Runs of
+  // consecutive scenes with the same mood (moodProgression) share a track,
+  // looped to their length; the tracks crossfade where the mood changes and
+  // the bed is normalized to MUSIC_TARGET_LUFS plus the requested volume. Sets
+  // musicTrack on every clip; resolves with the bed, or null without music.
+  async buildMusicBed(clips, storyData, music, fileSuffix = '') {
+    if (!music || !music.enabled || clips.length === 0) {
+      return null;
+    }
+
+    const ordered = [...clips].sort((a, b) => a.sceneNumber - b.sceneNumber);
+    const progression = storyData.moodProgression && storyData.moodProgression.length === ordered.length
+      ? storyData.moodProgression
+      : ordered.map(clip => clip.mood);
+
+    const segments = [];
+    ordered.forEach((clip, index) => {
+      const mood = this.getMoodKey(progression[index] || clip.mood);
+      const last = segments[segments.length - 1];
+      // the transition into a clip overlaps the clip before it
+      const duration = clip.duration - (clip.transition ? clip.transition.duration : 0);
+      // a requested track plays through the whole video
+      if (last && (music.track || last.mood === mood)) {
+        last.duration += duration;
+        last.clips.push(clip);
+      } else {
+        segments.push({ mood, duration, clips: [clip] });
+      }
+    });
+
+    for (const [index, segment] of segments.entries()) {
+      segment.track = await this.resolveMusicTrack(segment, music, `${storyData.title}:${index}`);
+      segment.clips.forEach(clip => {
+        clip.musicTrack = segment.track ? segment.track.id : null;
       });
+    }
+    if (!segments.some(segment => segment.track)) {
+      console.warn('⚠️ No background music available (empty music library), assembling without music');
+      return null;
+    }
 
-    } catch (error) {
-      console.error('Error generating background music:', error);
+    const totalDuration = segments.reduce((total, segment) => total + segment.duration, 0);
+    const crossfade = Math.min(__config.music.crossfade, ...segments.map(segment => segment.duration / 2));
+    const inputs = segments.flatMap(segment => segment.track
+      ? ['-stream_loop', '-1', '-i', segment.track.path]
+      : ['-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=stereo']);
+    // every segment but the last runs on for the crossfade into the next one
+    const filters = segments.map((segment, index) => {
+      const length = segment.duration + (index < segments.length - 1 ? crossfade : 0);
+      return `[${index}:a]aresample=48000,aformat=channel_layouts=stereo,atrim=0:${length.toFixed(3)},asetpts=N/SR/TB[s${index}]`;
+    });
+    let bed = '[s0]';
+    for (let index = 1; index < segments.length; index++) {
+      filters.push(`${bed}[s${index}]acrossfade=d=${crossfade.toFixed(3)}:c1=tri:c2=tri[x${index}]`);
+      bed = `[x${index}]`;
+    }
+    filters.push(`${bed}loudnorm=I=${__config.music.targetLoudness + music.volume}:TP=-2:LRA=11,aresample=48000,` +
+      `afade=t=in:d=1,afade=t=out:st=${Math.max(0, totalDuration - 2).toFixed(3)}:d=2[music]`);
+
+    const bedPath = path.join(this.workingDir, 'audio', `music_bed${fileSuffix}_${uuidv4()}.wav`);
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      ...inputs,
+      '-filter_complex', filters.join(';'),
+      '-map', '[music]',
+      '-t', totalDuration.toFixed(3),
+      '-c:a', 'pcm_s16le',
+      bedPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      console.warn(`⚠️ Building the music bed failed with status ${status}, assembling without music`);
+      ordered.forEach(clip => {
+        clip.musicTrack = null;
+      });
       return null;
     }
+
+    console.log(`🎼 Music bed: ${segments.map(segment => `${segment.track ? segment.track.id : 'silence'} (${segment.duration.toFixed(1)}s)`).join(' → ')}`);
+    return bedPath;
+  }
+
+  // The track of one music segment: the requested library track, else a
+  // generated one (source 'generated'), else a library track for the mood.
+  // Generated tracks are kept for the run, so renditions get the same music.
+  async resolveMusicTrack(segment, music, seed) {
+    if (music.track) {
+      const track = musicLibrary.getTrack(music.track);
+      if (track) return track;
+      console.warn(`⚠️ Music track "${music.track}" is not in the library, picking one by mood`);
+    }
+
+    if (music.source === 'generated' && musicLibrary.isGeneratorConfigured()) {
+      const key = `${seed}:${segment.mood}:${Math.ceil(segment.duration)}`;
+      if (!this.generatedMusic.has(key)) {
+        try {
+          const outputPath = path.join(this.workingDir, 'audio', `music_generated_${segment.mood}_${uuidv4()}.mp3`);
+          const description = this.getMoodConfiguration(segment.mood).keywords.join(', ');
+          await musicLibrary.generateTrack(segment.mood, segment.duration, description, outputPath);
+          this.generatedMusic.set(key, { id: `generated/${segment.mood}`, mood: segment.mood, path: outputPath });
+        } catch (error) {
+          console.warn(`⚠️ Music generation for ${segment.mood} failed (${error.message}), using the library`);
+        }
+      }
+      if (this.generatedMusic.has(key)) return this.generatedMusic.get(key);
+    }
+
+    return musicLibrary.pickTrack(segment.mood, seed);
+  }
+
+  // Duck the music bed under the voices (the narration and dialogue key a
+  // sidechain compressor) and mix it into the media's audio. Keeps the video
+  // stream as it is; without a mix the media is used as it was.
+  async mixMusicBed(mediaPath, bedPath, hasVideo = true) {
+    const { threshold, ratio, attack, release } = __config.music.ducking;
+    const extension = path.extname(mediaPath);
+    const mixedPath = `${mediaPath.slice(0, -extension.length)}_music${extension}`;
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      '-i', mediaPath,
+      '-i', bedPath,
+      '-filter_complex', [
+        '[0:a]aresample=48000,aformat=channel_layouts=stereo,asplit=2[voice][key]',
+        `[1:a][key]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked]`,
+        '[voice][ducked]amix=inputs=2:duration=first:normalize=0[mixed]'
+      ].join(';'),
+      ...(hasVideo ? ['-map', '0:v', '-c:v', 'copy'] : []),
+      '-map', '[mixed]',
+      '-c:a', 'aac', '-b:a', '192k',
+      ...(hasVideo ? ['-movflags', '+faststart'] : []),
+      mixedPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      console.warn(`⚠️ Mixing the music into ${path.basename(mediaPath)} failed with status ${status}, keeping it without music`);
+      return mediaPath;
+    }
+    return mixedPath;
+  }
+
+  // The moodConfigurations key (and music library folder) of a mood name
+  getMoodKey(mood) {
+    const moodConfig = this.getMoodConfiguration(mood);
+    return Object.keys(this.moodConfigurations).find(key => this.moodConfigurations[key] === moodConfig);
   }
 
   async convertLocalImageForKlingAI(localImagePath) {
@@ -2449,179 +3260,1210 @@ class AnimationService {
     }
   }
 
-  async saveAnimationToDatabase(animationData, finalVideoUrl, uploadInfo = null) {
+  // Create the record the pipeline checkpoints into before any phase runs
+  async createAnimationRecord(article, sceneCount, generationOptions = {}) {
     try {
-      // Enhanced animation data with mood information and GCS details
-      const animationDoc = {
-        title: animationData.title,
-        theme: animationData.theme,
-        article: animationData.originalArticle,
-        sceneCount: animationData.scenes.length,
-        characters: animationData.characters,
-        scenes: animationData.scenes.map(scene => ({
+      const animation = new Animation({
+        title: 'Processing...',
+        theme: 'Processing...',
+        article: article,
+        sceneCount: sceneCount,
+        generationOptions: generationOptions,
+        characters: [],
+        scenes: [],
+        videoUrl: '',
+        status: 'processing',
+        processingTime: 0
+      });
+      await animation.save();
+      return animation;
+    } catch (error) {
+      console.error('Error creating animation record:', error);
+      throw new Error('Failed to create animation record');
+    }
+  }
+
+  // Store the story fields on the record as soon as phase 1 completes
+  async saveStoryToDatabase(animationId, storyData) {
+    try {
+      await Animation.findByIdAndUpdate(animationId, {
+        title: storyData.title,
+        theme: storyData.theme,
+        characters: storyData.characters,
+        scenes: storyData.scenes.map(scene => ({
           ...scene,
           mood: scene.mood,
           moodIntensity: scene.moodIntensity || 5,
           emotionalTone: scene.emotionalTone || scene.mood
         })),
-        videoUrl: finalVideoUrl,
+        overallMood: storyData.overallMood,
+        moodProgression: storyData.moodProgression || [],
+        countryContext: storyData.countryContext
+      });
+    } catch (error) {
+      console.error('Error saving story to database:', error);
+      throw new Error('Failed to save story to database');
+    }
+  }
+
+  // Park the animation after the story phase until an editor approves the
+  // storyboard; approval re-queues it and the story is restored from its checkpoint
+  async pauseForStoryboardReview(pipeline, storyData, processingTime) {
+    await Animation.findByIdAndUpdate(pipeline.animationId, {
+      status: 'awaiting_review',
+      processingTime: processingTime,
+      'storyboard.submittedAt': new Date(),
+      'pipeline.currentPhase': null
+    });
+    await pipeline.progress.log('Waiting for storyboard approval');
+
+    console.log(`📝 Storyboard for "${storyData.title}" is awaiting editorial review (animation ${pipeline.animationId})`);
+
+    return {
+      success: true,
+      animationId: pipeline.animationId,
+      status: 'awaiting_review',
+      title: storyData.title,
+      sceneCount: storyData.scenes.length,
+      processingTime: processingTime,
+      tokenUsage: this.getTokenUsageSummary()
+    };
+  }
+
+  // Draft runs stop after the animatic is uploaded; the checkpoints stay so the
+  // draft can be promoted to full motion video later
+  async saveDraftToDatabase(animationId, processingTime, draftVideo) {
+    try {
+      const animation = await Animation.findByIdAndUpdate(animationId, {
+        draft: {
+          videoUrl: draftVideo.videoUrl,
+          storage: draftVideo.storage,
+          renderedAt: new Date()
+        },
+        thumbnails: draftVideo.thumbnails || null,
+        status: 'draft_ready',
+        processingTime: processingTime,
+        'pipeline.currentPhase': null,
+        'pipeline.failedPhase': null,
+        'pipeline.lastError': null
+      }, { new: true });
+
+      console.log(`💾 Draft animatic saved to database with ${draftVideo.storage.type} storage info`);
+
+      return animation;
+
+    } catch (error) {
+      console.error('Error saving draft to database:', error);
+      throw new Error('Failed to save draft to database');
+    }
+  }
+
+  async saveAnimationToDatabase(animationId, processingTime, finalVideo) {
+    try {
+      const animation = await Animation.findByIdAndUpdate(animationId, {
+        videoUrl: finalVideo.videoUrl,
+        storage: finalVideo.storage,
+        renditions: finalVideo.renditions || [],
+        streaming: finalVideo.streaming || null,
+        subtitles: finalVideo.subtitles || null,
+        localizations: finalVideo.localizations || [],
+        thumbnails: finalVideo.thumbnails || null,
         status: 'completed',
         generatedAt: new Date(),
-        processingTime: animationData.processingTime,
-        overallMood: animationData.overallMood,
-        moodProgression: animationData.moodProgression || [],
-        countryContext: animationData.countryContext
-      };
+        processingTime: processingTime,
+        'pipeline.currentPhase': null,
+        'pipeline.failedPhase': null,
+        'pipeline.lastError': null
+      }, { new: true });
+
+      console.log(`💾 Animation saved to database with ${finalVideo.storage.type} storage info`);
+
+      return animation;
+
+    } catch (error) {
+      console.error('Error saving animation to database:', error);
+      throw new Error('Failed to save animation to database');
+    }
+  }
+
+  // Phase 9 helper: upload the final video and its renditions. A re-assembled
+  // video keeps the visibility of the one it replaces, and the replaced copies
+  // are deleted so an unpublished animation has no older public copy left behind.
+  async storeFinalVideo(finalVideoPath, animationId, title, isDraft = false, renditions = [], masterFormat = getOutputFormat()) {
+    const animation = await Animation.findById(animationId).select('storage draft renditions').lean();
+    const previous = isDraft ? animation?.draft?.storage : animation?.storage;
+    const previousRenditions = isDraft ? [] : (animation?.renditions || []).filter(rendition => !rendition.master);
+    const isPublic = previous ? previous.isPublic : undefined;
+    const publishedAt = previous && previous.isPublic ? previous.publishedAt : undefined;
+
+    // Locally stored videos are streamed by GET /api/animation/:animationId/video
+    const videoUrlFor = (stored, aspectRatio = null) => stored.type === 'local'
+      ? playbackService.getVideoRouteUrl(animationId, isDraft ? 'draft' : null, aspectRatio)
+      : stored.publicUrl;
+
+    const stored = await this.uploadAnimationVideo(finalVideoPath, animationId, title, isPublic);
+    if (stored.uploadError) {
+      console.warn(`⚠️ Upload to ${storage.driver.type} failed, final video stored locally: ${stored.uploadError}`);
+    }
+    if (publishedAt) stored.publishedAt = publishedAt;
+
+    // The master is listed with the derived renditions so every format is looked up the same way
+    const storedRenditions = [{
+      aspectRatio: masterFormat.aspectRatio,
+      width: masterFormat.width,
+      height: masterFormat.height,
+      fit: 'native',
+      master: true,
+      videoUrl: videoUrlFor(stored),
+      storage: stored
+    }];
+    for (const rendition of renditions) {
+      const renditionStored = await this.uploadAnimationVideo(rendition.videoPath, animationId, `${title}_${rendition.aspectRatio.replace(':', 'x')}`, isPublic);
+      if (publishedAt) renditionStored.publishedAt = publishedAt;
+      storedRenditions.push({
+        aspectRatio: rendition.aspectRatio,
+        width: rendition.width,
+        height: rendition.height,
+        fit: rendition.fit,
+        master: false,
+        videoUrl: videoUrlFor(renditionStored, rendition.aspectRatio),
+        storage: renditionStored
+      });
+    }
 
-      // Add GCS-specific fields if upload was successful
-      if (uploadInfo) {
-        animationDoc.storage = {
-          type: uploadInfo.isLocal ? 'local' : 'gcs',
-          bucketName: uploadInfo.bucketName || null,
-          fileName: uploadInfo.fileName || null,
-          publicUrl: uploadInfo.publicUrl,
-          uploadedAt: new Date(),
-          isPublic: !uploadInfo.isLocal
+    for (const replaced of [previous, ...previousRenditions.map(rendition => rendition.storage)]) {
+      if (replaced && replaced.fileName) {
+        await storage.delete(replaced).catch(error => console.warn(`⚠️ Could not delete replaced video ${replaced.fileName}: ${error.message}`));
+      }
+    }
+
+    return {
+      videoUrl: videoUrlFor(stored),
+      isLocal: stored.type === 'local',
+      storage: stored,
+      renditions: storedRenditions
+    };
+  }
+
+  // Phase 9 helper: upload the adaptive streaming package. Playlists reference
+  // their segments by relative path, so every file goes under one key prefix
+  // with the final video's visibility. The package it replaces is deleted, and
+  // so is a package without a replacement (packaging skipped or failed).
+  async storeStreamingPackage(animationId, packaging, isPublic) {
+    const animation = await Animation.findById(animationId).select('streaming').lean();
+    const previous = animation?.streaming;
+
+    let streaming = null;
+    if (packaging) {
+      const keyPrefix = `animations/${animationId}/streams/${Date.now()}`;
+      const storedFiles = await mapWithConcurrency(packaging.files, this.sceneConcurrency, async (file) =>
+        storage.upload(path.join(packaging.outputDir, file), `${keyPrefix}/${file}`, { public: isPublic }));
+
+      const storageType = storedFiles[0].type;
+      if (storedFiles.some(stored => stored.type !== storageType)) {
+        // segments split across backends cannot be resolved from the playlists
+        console.warn(`⚠️ Streaming package of animation ${animationId} was only partly uploaded to ${storage.driver.type}, discarding it`);
+        await this.deleteStreamingFiles(storedFiles);
+      } else {
+        const manifest = (file) => {
+          const stored = storedFiles[packaging.files.indexOf(file)];
+          return { manifestUrl: stored.publicUrl, storage: stored };
         };
+        streaming = {
+          hls: packaging.hlsManifest ? manifest(packaging.hlsManifest) : null,
+          dash: packaging.dashManifest ? manifest(packaging.dashManifest) : null,
+          ladder: packaging.ladder,
+          segmentDuration: packaging.segmentDuration,
+          storageType: storageType,
+          keyPrefix: keyPrefix,
+          files: storedFiles.map(stored => stored.fileName),
+          isPublic: storedFiles[0].isPublic,
+          packagedAt: new Date()
+        };
+        console.log(`☁️ Stored ${storedFiles.length} streaming files under ${keyPrefix}`);
+      }
+    }
+
+    if (previous && previous.files) {
+      await this.deleteStreamingFiles(previous.files.map(fileName => ({ type: previous.storageType, fileName })));
+    }
+    return streaming;
+  }
+
+  // Phase 9 helper: upload the sidecar WebVTT and SRT with the final video's
+  // visibility, replacing the previous tracks
+  async storeSubtitleTracks(animationId, subtitles, isPublic) {
+    const animation = await Animation.findById(animationId).select('subtitles').lean();
+    const previous = animation?.subtitles;
+
+    let stored = null;
+    if (subtitles) {
+      const keyPrefix = `animations/${animationId}/subtitles/${Date.now()}`;
+      stored = {
+        vtt: await storage.upload(subtitles.vttPath, `${keyPrefix}/subtitles.vtt`, { public: isPublic }),
+        srt: await storage.upload(subtitles.srtPath, `${keyPrefix}/subtitles.srt`, { public: isPublic }),
+        cueCount: subtitles.cueCount,
+        timing: subtitles.timing,
+        burnedIn: subtitles.burnedIn,
+        language: subtitles.language || DEFAULT_LANGUAGE
+      };
+    }
+
+    for (const replaced of previous ? [previous.vtt, previous.srt] : []) {
+      if (replaced && replaced.fileName) {
+        await storage.delete(replaced).catch(error => console.warn(`⚠️ Could not delete replaced subtitles ${replaced.fileName}: ${error.message}`));
+      }
+    }
+    return stored;
+  }
+
+  // Phase 9 helper: upload the poster in every size and the scene thumbnails
+  // with the final video's visibility, replacing the previous ones
+  async storeThumbnails(animationId, thumbnails, isPublic) {
+    const animation = await Animation.findById(animationId).select('thumbnails').lean();
+    const previous = animation?.thumbnails;
+
+    const keyPrefix = `animations/${animationId}/thumbnails/${Date.now()}`;
+    const sizes = [];
+    for (const file of thumbnails.poster.files) {
+      sizes.push({
+        name: file.name,
+        width: file.width,
+        height: file.height,
+        storage: await storage.upload(file.path, `${keyPrefix}/poster_${file.name}.jpg`, { public: isPublic })
+      });
+    }
+    const scenes = [];
+    for (const scene of thumbnails.scenes) {
+      scenes.push({
+        sceneNumber: scene.sceneNumber,
+        time: scene.time,
+        score: scene.score,
+        width: scene.width,
+        height: scene.height,
+        storage: await storage.upload(scene.path, `${keyPrefix}/scene_${scene.sceneNumber}.jpg`, { public: isPublic })
+      });
+    }
 
-        if (uploadInfo.error) {
-          animationDoc.storage.uploadError = uploadInfo.error;
+    const replaced = previous ? [...(previous.sizes || []), ...(previous.scenes || [])].map(thumbnail => thumbnail.storage) : [];
+    for (const stored of replaced) {
+      if (stored && stored.fileName) {
+        await storage.delete(stored).catch(error => console.warn(`⚠️ Could not delete replaced thumbnail ${stored.fileName}: ${error.message}`));
+      }
+    }
+
+    return {
+      source: thumbnails.source,
+      sceneNumber: thumbnails.poster.sceneNumber,
+      time: thumbnails.poster.time,
+      sizes: sizes,
+      scenes: scenes,
+      generatedAt: new Date()
+    };
+  }
+
+  // Phase 9 helper: upload the additional languages — the localized videos of
+  // 'separate' output and every language's sidecar captions — with the final
+  // video's visibility, replacing the previous ones
+  async storeLocalizations(animationId, localizations, languageOutput, title, isPublic) {
+    const animation = await Animation.findById(animationId).select('localizations').lean();
+    const previous = animation?.localizations || [];
+
+    const keyPrefix = `animations/${animationId}/subtitles/${Date.now()}`;
+    const stored = [];
+    for (const localization of localizations) {
+      const video = localization.videoPath
+        ? await this.uploadAnimationVideo(localization.videoPath, animationId, `${title}_${localization.language}`, isPublic)
+        : null;
+      if (video && video.uploadError) {
+        console.warn(`⚠️ Upload to ${storage.driver.type} failed, ${localization.language} video stored locally: ${video.uploadError}`);
+      }
+      const subtitles = localization.subtitles;
+      stored.push({
+        language: localization.language,
+        audioTrack: languageOutput === 'tracks',
+        videoUrl: video && (video.type === 'local' ? playbackService.getVideoRouteUrl(animationId, null, null, localization.language) : video.publicUrl),
+        storage: video,
+        subtitles: {
+          vtt: await storage.upload(subtitles.vttPath, `${keyPrefix}/subtitles_${localization.language}.vtt`, { public: isPublic }),
+          srt: await storage.upload(subtitles.srtPath, `${keyPrefix}/subtitles_${localization.language}.srt`, { public: isPublic }),
+          cueCount: subtitles.cueCount,
+          timing: subtitles.timing,
+          burnedIn: subtitles.burnedIn,
+          language: localization.language
         }
+      });
+    }
+    if (stored.length > 0) {
+      console.log(`☁️ Stored ${stored.length} localizations (${stored.map(localization => localization.language).join(', ')})`);
+    }
+
+    const replacedFiles = previous.flatMap(localization => [localization.storage, localization.subtitles?.vtt, localization.subtitles?.srt]);
+    for (const replaced of replacedFiles) {
+      if (replaced && replaced.fileName) {
+        await storage.delete(replaced).catch(error => console.warn(`⚠️ Could not delete replaced localization ${replaced.fileName}: ${error.message}`));
       }
+    }
+    return stored;
+  }
 
-      const animation = new Animation(animationDoc);
-      await animation.save();
-      
-      console.log(`💾 Animation saved to database with ${uploadInfo?.isLocal ? 'local' : 'GCS'} storage info`);
-      
-      return animation;
+  async deleteStreamingFiles(storedFiles) {
+    await mapWithConcurrency(storedFiles, this.sceneConcurrency, async (stored) =>
+      storage.delete(stored).catch(error => console.warn(`⚠️ Could not delete streaming file ${stored.fileName}: ${error.message}`)));
+  }
+
+  // Phase 9 helper: store one pipeline file (scene still, clip, narration,
+  // character sheet) next to the final video. `assetPath` is relative to the
+  // animation's asset folder; the checksum goes into the stored name so a
+  // regenerated file never hits a cached copy of the old one, and the copy it
+  // replaces is deleted.
+  async storeAnimationAsset(localPath, animationId, assetPath, previous = null) {
+    const content = await fs.readFile(localPath);
+    const checksum = crypto.createHash('md5').update(content).digest('hex');
+    if (previous && previous.checksum === checksum) {
+      return previous;
+    }
+
+    const extension = path.extname(assetPath);
+    const storedName = `${assetPath.slice(0, -extension.length || undefined)}_${checksum.slice(0, 8)}${extension}`;
+    const stored = await storage.upload(localPath, `animations/${animationId}/assets/${storedName}`);
+
+    if (previous && previous.fileName) {
+      await storage.delete(previous).catch(error => console.warn(`⚠️ Could not delete replaced asset ${previous.fileName}: ${error.message}`));
+    }
+
+    return { ...stored, checksum: checksum };
+  }
+
+  // Phase 9 helper: store every per-scene and per-character file from the
+  // checkpoints and record where they went on the scene and character entries.
+  // Files whose checksum did not change since the last upload are not re-sent.
+  async storeSceneAssets(animationId, checkpoints, processedClips, progress = null) {
+    const animation = await Animation.findById(animationId).select('scenes characters').lean();
+    const previousScenes = new Map(animation.scenes.map(scene => [scene.sceneNumber, scene.assets || {}]));
+    const previousCharacters = new Map(animation.characters.map(character => [character.name, character]));
+    const findScene = (entries, sceneNumber) => (entries || []).find(entry => entry.sceneNumber === sceneNumber) || {};
+
+    let storedScenes = 0;
+    const scenes = await mapWithConcurrency(animation.scenes, this.sceneConcurrency, async (scene) => {
+      const previous = previousScenes.get(scene.sceneNumber);
+      const sceneImage = findScene(checkpoints.sceneImages, scene.sceneNumber);
+      const sceneVideo = findScene(checkpoints.sceneVideos, scene.sceneNumber);
+      const sceneAudio = findScene(checkpoints.audio && checkpoints.audio.narration, scene.sceneNumber);
+      const sceneDialogue = findScene(checkpoints.audio && checkpoints.audio.dialogue, scene.sceneNumber);
+      const processedClip = findScene(processedClips, scene.sceneNumber);
+      const folder = `scenes/${scene.sceneNumber}`;
+
+      const assets = {
+        image: sceneImage.image ? await this.storeAnimationAsset(sceneImage.image, animationId, `${folder}/image.png`, previous.image) : null,
+        rawClip: sceneVideo.videoPath ? await this.storeAnimationAsset(sceneVideo.videoPath, animationId, `${folder}/raw_clip.mp4`, previous.rawClip) : null,
+        processedClip: processedClip.videoPath ? await this.storeAnimationAsset(processedClip.videoPath, animationId, `${folder}/clip.mp4`, previous.processedClip) : null,
+        narrationAudio: sceneAudio.audioPath && !sceneAudio.silent ? await this.storeAnimationAsset(sceneAudio.audioPath, animationId, `${folder}/narration.mp3`, previous.narrationAudio) : null,
+        dialogueAudio: sceneDialogue.audioPath ? await this.storeAnimationAsset(sceneDialogue.audioPath, animationId, `${folder}/dialogue.mp3`, previous.dialogueAudio) : null,
+        ttsProvider: sceneAudio.ttsProvider || null,
+        narrationLoudness: typeof sceneAudio.loudness === 'number' ? sceneAudio.loudness : null,
+        timeFit: processedClip.timeFit || null,
+        transition: processedClip.transition ? processedClip.transition.style : null,
+        musicTrack: processedClip.musicTrack || null,
+        motionPrompt: sceneVideo.motionPrompt || null,
+        videoProvider: sceneVideo.provider || null,
+        providerTaskId: sceneVideo.klingTaskId || null
+      };
+
+      if (progress) {
+        await progress.updateScene(++storedScenes, animation.scenes.length, `Scene ${scene.sceneNumber} assets stored`);
+      }
+      return assets;
+    });
+
+    const characters = [];
+    for (const character of animation.characters) {
+      const checkpoint = (checkpoints.characters || {})[character.name];
+      if (!checkpoint) {
+        characters.push({});
+        continue;
+      }
+
+      const previous = previousCharacters.get(character.name) || {};
+      const folder = `characters/${character.name.replace(/[^a-zA-Z0-9]/g, '_')}`;
+      const expressionImages = {};
+      for (const [mood, expressionPath] of Object.entries(checkpoint.expressions || {})) {
+        const previousExpression = previous.expressionImages ? previous.expressionImages[mood] : null;
+        expressionImages[mood] = await this.storeAnimationAsset(expressionPath, animationId, `${folder}/${mood}.png`, previousExpression);
+      }
+      characters.push({
+        masterImage: await this.storeAnimationAsset(checkpoint.master, animationId, `${folder}/master.png`, previous.masterImage),
+        expressionImages: expressionImages
+      });
+    }
+
+    const update = {};
+    scenes.forEach((assets, index) => {
+      update[`scenes.${index}.assets`] = assets;
+    });
+    characters.forEach((assets, index) => {
+      if (assets.masterImage) update[`characters.${index}.masterImage`] = assets.masterImage;
+      if (assets.expressionImages) update[`characters.${index}.expressionImages`] = assets.expressionImages;
+    });
+    await Animation.findByIdAndUpdate(animationId, { $set: update });
+
+    console.log(`☁️ Stored assets for ${scenes.length} scenes and ${characters.length} characters`);
+    return { scenes, characters };
+  }
+
+  // Checkpoint helpers: each phase stores its output on the Animation record
+  // (pipeline.checkpoints.<phase>) and copies the files it produced into
+  // checkpoints/<animationId>/, outside the run's temp dir that cleanupTempFiles wipes
+  getCheckpointDir(animationId) {
+    return path.join(this.checkpointRoot, animationId.toString());
+  }
+
+  async persistCheckpointFile(animationId, filePath) {
+    const checkpointDir = this.getCheckpointDir(animationId);
+    if (path.dirname(filePath) === checkpointDir) {
+      return filePath;
+    }
+
+    await fs.mkdir(checkpointDir, { recursive: true });
+    const checkpointPath = path.join(checkpointDir, path.basename(filePath));
+    await fs.copyFile(filePath, checkpointPath);
+    return checkpointPath;
+  }
+
+  async checkpointFilesExist(filePaths) {
+    for (const filePath of filePaths) {
+      if (!filePath) return false;
+      const exists = await fs.access(filePath).then(() => true).catch(() => false);
+      if (!exists) return false;
+    }
+    return true;
+  }
+
+  // The copies of the scene and character files the upload phase stored (see
+  // storeSceneAssets), by scene number and character name; empty before it ran
+  async getStoredAssets(animationId) {
+    const animation = await Animation.findById(animationId)
+      .select('scenes.sceneNumber scenes.assets characters.name characters.masterImage characters.expressionImages')
+      .lean();
+    return {
+      scenes: new Map(((animation && animation.scenes) || []).map(scene => [scene.sceneNumber, scene.assets || {}])),
+      characters: new Map(((animation && animation.characters) || []).map(character => [character.name, character]))
+    };
+  }
+
+  // A checkpoint file that is not on this host (the run resumes on another
+  // worker, or the checkpoint dir was cleared) is fetched again: from its
+  // stored copy, else from the provider URL of a clip so it is not paid for
+  // twice. Resolves with the local path, or null when it cannot be had and
+  // the phase is regenerated; `label` names the file in the log.
+  async restoreCheckpointFile(animationId, filePath, label, { stored = null, sourceUrl = null } = {}) {
+    if (await this.checkpointFilesExist([filePath])) {
+      return filePath;
+    }
+
+    const fileName = filePath ? path.basename(filePath) : stored && stored.fileName && path.basename(stored.fileName);
+    const sources = [
+      stored && stored.fileName && { from: `stored asset ${stored.fileName}`, download: (outputPath) => storage.download(stored, outputPath) },
+      sourceUrl && { from: 'the provider URL', download: (outputPath) => KlingAI.downloadVideo(sourceUrl, outputPath) }
+    ].filter(Boolean);
+    if (fileName) {
+      const checkpointPath = path.join(this.getCheckpointDir(animationId), fileName);
+      for (const source of sources) {
+        // downloaded beside it first, so an interrupted download never passes for the file
+        const partialPath = `${checkpointPath}.part`;
+        try {
+          await fs.mkdir(path.dirname(checkpointPath), { recursive: true });
+          await source.download(partialPath);
+          await fs.rename(partialPath, checkpointPath);
+          console.log(`♻️ Restored the ${label} from ${source.from}`);
+          return checkpointPath;
+        } catch (error) {
+          await fs.rm(partialPath, { force: true });
+          console.warn(`⚠️ Could not restore the ${label} from ${source.from}: ${error.message}`);
+        }
+      }
+    }
+
+    console.warn(`⚠️ Dropping the checkpoint with the ${label}: ${fileName || 'its file'} is not on this host and ${sources.length > 0 ? 'could not be fetched again' : 'has no stored copy'}`);
+    return null;
+  }
+
+  // Run one pipeline phase, or reuse its checkpoint when resuming. Once a phase
+  // actually runs, the checkpoints of the phases depending on it are stale and
+  // are discarded.
+  async runPhase(pipeline, phase, execute, restore) {
+    const checkpoint = pipeline.checkpoints[phase];
+
+    if (checkpoint !== undefined && checkpoint !== null) {
+      const restored = await restore(checkpoint);
+      if (restored) {
+        console.log(`♻️ Resuming from ${phase} checkpoint`);
+        await pipeline.progress.completePhase(phase, { restored: true });
+        return restored;
+      }
+      console.warn(`⚠️ ${phase} checkpoint is incomplete, regenerating phase`);
+    }
 
+    await this.startPhase(pipeline, phase);
+    await pipeline.progress.startPhase(phase);
+
+    const { result, checkpoint: newCheckpoint } = await execute(pipeline.progress);
+    await this.saveCheckpoint(pipeline, phase, newCheckpoint);
+    await pipeline.progress.completePhase(phase);
+    return result;
+  }
+
+  async startPhase(pipeline, phase) {
+    const stalePhases = phaseWithDependents(phase);
+    const update = {
+      $set: { 'pipeline.currentPhase': phase },
+      $pull: { 'pipeline.completedPhases': { $in: stalePhases } }
+    };
+
+    const staleCheckpoints = stalePhases.filter(stalePhase => pipeline.checkpoints[stalePhase] !== undefined);
+    if (staleCheckpoints.length > 0) {
+      update.$unset = {};
+      staleCheckpoints.forEach(stalePhase => {
+        update.$unset[`pipeline.checkpoints.${stalePhase}`] = '';
+        delete pipeline.checkpoints[stalePhase];
+      });
+    }
+
+    await Animation.findByIdAndUpdate(pipeline.animationId, update);
+    await this.discardStoredAssets(pipeline.animationId, stalePhases);
+  }
+
+  // Once a phase runs again, the copies of its files the upload phase stored no
+  // longer match its checkpoint and must not be restored in its place (see
+  // restoreCheckpointFile). They are deleted and stored again by the next
+  // upload; sceneNumber limits this to one scene's files.
+  async discardStoredAssets(animationId, phases, sceneNumber = null) {
+    const sceneFields = phases.flatMap(phase => STORED_SCENE_ASSETS[phase] || []);
+    const characterFields = phases.includes('characters') ? ['masterImage', 'expressionImages'] : [];
+    if (sceneFields.length === 0 && characterFields.length === 0) return;
+
+    const animation = await Animation.findById(animationId)
+      .select('scenes.sceneNumber scenes.assets characters.masterImage characters.expressionImages')
+      .lean();
+    if (!animation) return;
+
+    // [field, stored objects] pairs
+    const stale = [];
+    (animation.scenes || []).forEach((scene, index) => {
+      if (sceneNumber !== null && scene.sceneNumber !== sceneNumber) return;
+      sceneFields.forEach(field => {
+        const asset = scene.assets && scene.assets[field];
+        if (asset && asset.fileName) stale.push([`scenes.${index}.assets.${field}`, [asset]]);
+      });
+    });
+    (animation.characters || []).forEach((character, index) => {
+      characterFields.forEach(field => {
+        const assets = field === 'expressionImages' ? Object.values(character[field] || {}) : [character[field]];
+        if (assets.some(asset => asset && asset.fileName)) stale.push([`characters.${index}.${field}`, assets.filter(asset => asset && asset.fileName)]);
+      });
+    });
+    if (stale.length === 0) return;
+
+    for (const [, assets] of stale) {
+      for (const asset of assets) {
+        await storage.delete(asset).catch(error => console.warn(`⚠️ Could not delete outdated asset ${asset.fileName}: ${error.message}`));
+      }
+    }
+    await Animation.findByIdAndUpdate(animationId, { $unset: Object.fromEntries(stale.map(([field]) => [field, ''])) });
+    console.log(`🗑️ Discarded ${stale.length} stored asset entries outdated by the ${phases.join(', ')} phase${sceneNumber !== null ? ` of scene ${sceneNumber}` : ''}`);
+  }
+
+  // Discard the checkpoints of the given phases (and their dependents) so the
+  // next run of the pipeline regenerates them
+  async invalidateCheckpoints(animationId, phases) {
+    const stalePhases = PIPELINE_PHASES.filter(phase => phases.some(invalidated => phaseWithDependents(invalidated).includes(phase)));
+    const update = {
+      $pull: { 'pipeline.completedPhases': { $in: stalePhases } },
+      $unset: {}
+    };
+    stalePhases.forEach(stalePhase => {
+      update.$unset[`pipeline.checkpoints.${stalePhase}`] = '';
+    });
+
+    await Animation.findByIdAndUpdate(animationId, update);
+    return stalePhases;
+  }
+
+  async saveCheckpoint(pipeline, phase, checkpoint) {
+    pipeline.checkpoints[phase] = checkpoint;
+    await Animation.findByIdAndUpdate(pipeline.animationId, {
+      $set: { [`pipeline.checkpoints.${phase}`]: checkpoint },
+      $addToSet: { 'pipeline.completedPhases': phase }
+    });
+    console.log(`💾 Checkpoint saved for ${phase} phase`);
+  }
+
+  async markPipelineFailed(pipeline, error) {
+    try {
+      const animation = await Animation.findById(pipeline.animationId).select('pipeline.currentPhase');
+      await Animation.findByIdAndUpdate(pipeline.animationId, {
+        status: 'failed',
+        'pipeline.failedPhase': animation?.pipeline?.currentPhase || null,
+        'pipeline.lastError': error.message
+      });
+    } catch (updateError) {
+      console.error('Error recording pipeline failure:', updateError);
+    }
+  }
+
+  // Phase checkpoint (de)serialisation. Derived data such as moodConfig and
+  // countryContext is dropped from checkpoints and rebuilt on restore.
+  serializeStory(storyData) {
+    return {
+      ...storyData,
+      scenes: storyData.scenes.map(({ moodConfig, ...scene }) => scene)
+    };
+  }
+
+  restoreStory(checkpoint) {
+    return {
+      ...checkpoint,
+      scenes: checkpoint.scenes.map(scene => ({
+        ...scene,
+        moodConfig: this.getMoodConfiguration(scene.mood)
+      }))
+    };
+  }
+
+  async checkpointCharacterAssets(animationId, characterAssets) {
+    const checkpoint = {};
+    for (const [name, asset] of Object.entries(characterAssets)) {
+      const expressions = {};
+      for (const [mood, expressionPath] of Object.entries(asset.expressions || {})) {
+        expressions[mood] = await this.persistCheckpointFile(animationId, expressionPath);
+      }
+      checkpoint[name] = {
+        master: await this.persistCheckpointFile(animationId, asset.master),
+        expressions: expressions,
+        description: asset.description,
+        moodCapable: asset.moodCapable
+      };
+    }
+    return checkpoint;
+  }
+
+  async restoreCharacterAssets(checkpoint, countryContext, animationId) {
+    const storedAssets = await this.getStoredAssets(animationId);
+    const characterAssets = {};
+    for (const [name, asset] of Object.entries(checkpoint)) {
+      const stored = storedAssets.characters.get(name) || {};
+      const master = await this.restoreCheckpointFile(animationId, asset.master, `master image of ${name}`, { stored: stored.masterImage });
+      if (!master) return null;
+      const expressions = {};
+      for (const [mood, expressionPath] of Object.entries(asset.expressions || {})) {
+        expressions[mood] = await this.restoreCheckpointFile(animationId, expressionPath, `${mood} image of ${name}`, {
+          stored: stored.expressionImages && stored.expressionImages[mood]
+        });
+        if (!expressions[mood]) return null;
+      }
+      characterAssets[name] = { ...asset, master: master, expressions: expressions, countryContext: countryContext };
+    }
+    return characterAssets;
+  }
+
+  async checkpointSceneImages(animationId, sceneImages) {
+    const checkpoint = [];
+    for (const { moodConfig, countryContext, ...sceneImage } of sceneImages) {
+      checkpoint.push({
+        ...sceneImage,
+        image: await this.persistCheckpointFile(animationId, sceneImage.image)
+      });
+    }
+    return checkpoint;
+  }
+
+  async restoreSceneImages(checkpoint, countryContext, animationId) {
+    const storedAssets = await this.getStoredAssets(animationId);
+    const sceneImages = [];
+    for (const sceneImage of checkpoint) {
+      const stored = storedAssets.scenes.get(sceneImage.sceneNumber) || {};
+      const image = await this.restoreCheckpointFile(animationId, sceneImage.image, `scene ${sceneImage.sceneNumber} image`, { stored: stored.image });
+      if (!image) return null;
+      sceneImages.push({
+        ...sceneImage,
+        image: image,
+        countryContext: countryContext,
+        moodConfig: this.getMoodConfiguration(sceneImage.mood)
+      });
+    }
+    return sceneImages;
+  }
+
+  async checkpointSceneVideos(animationId, sceneVideos) {
+    const checkpoint = [];
+    for (const sceneVideo of sceneVideos) {
+      checkpoint.push({
+        ...sceneVideo,
+        videoPath: await this.persistCheckpointFile(animationId, sceneVideo.videoPath)
+      });
+    }
+    return checkpoint;
+  }
+
+  // Clips that went missing locally come from their stored raw clip or the
+  // provider URL recorded with the video task
+  async restoreSceneVideos(checkpoint, animationId) {
+    const storedAssets = await this.getStoredAssets(animationId);
+    const sceneVideos = [];
+    for (const sceneVideo of checkpoint) {
+      const stored = storedAssets.scenes.get(sceneVideo.sceneNumber) || {};
+      const videoPath = await this.restoreCheckpointFile(animationId, sceneVideo.videoPath, `scene ${sceneVideo.sceneNumber} video`, {
+        stored: stored.rawClip,
+        sourceUrl: sceneVideo.sourceUrl
+      });
+      if (!videoPath) return null;
+      sceneVideos.push({ ...sceneVideo, videoPath: videoPath });
+    }
+    return sceneVideos;
+  }
+
+  async checkpointAssembly(animationId, assembledPath, processedClips, renditions = [], subtitles = null, localizations = [], languageOutput = 'tracks', music = null, transitions = null, branding = null, callouts = null) {
+    const clips = [];
+    for (const clip of processedClips) {
+      clips.push({
+        sceneNumber: clip.sceneNumber,
+        videoPath: await this.persistCheckpointFile(animationId, clip.path),
+        duration: clip.duration,
+        timeFit: clip.timeFit || null,
+        transition: clip.transition || null,
+        musicTrack: clip.musicTrack || null
+      });
+    }
+    const renditionCheckpoints = [];
+    for (const rendition of renditions) {
+      renditionCheckpoints.push({ ...rendition, videoPath: await this.persistCheckpointFile(animationId, rendition.videoPath) });
+    }
+    const persistSubtitles = async (tracks) => tracks && {
+      ...tracks,
+      vttPath: await this.persistCheckpointFile(animationId, tracks.vttPath),
+      srtPath: await this.persistCheckpointFile(animationId, tracks.srtPath)
+    };
+    // the audio of 'tracks' localizations is already part of the master
+    const localizationCheckpoints = [];
+    for (const localization of localizations) {
+      localizationCheckpoints.push({
+        language: localization.language,
+        videoPath: localization.videoPath && await this.persistCheckpointFile(animationId, localization.videoPath),
+        subtitles: await persistSubtitles(localization.subtitles)
+      });
+    }
+    return {
+      videoPath: await this.persistCheckpointFile(animationId, assembledPath),
+      processedClips: clips,
+      renditions: renditionCheckpoints,
+      subtitles: await persistSubtitles(subtitles),
+      languageOutput: languageOutput,
+      localizations: localizationCheckpoints,
+      music: music,
+      transitions: transitions,
+      branding: branding,
+      callouts: callouts
+    };
+  }
+
+  async checkpointAudioAssets(animationId, audioAssets) {
+    const narration = [];
+    for (const sceneAudio of audioAssets.narration) {
+      narration.push({
+        ...sceneAudio,
+        audioPath: await this.persistCheckpointFile(animationId, sceneAudio.audioPath)
+      });
+    }
+    const tracks = {};
+    for (const [language, track] of Object.entries(audioAssets.tracks || {})) {
+      tracks[language] = [];
+      for (const sceneAudio of track) {
+        tracks[language].push({
+          ...sceneAudio,
+          audioPath: await this.persistCheckpointFile(animationId, sceneAudio.audioPath)
+        });
+      }
+    }
+    const dialogue = [];
+    for (const sceneDialogue of audioAssets.dialogue || []) {
+      dialogue.push({
+        ...sceneDialogue,
+        audioPath: await this.persistCheckpointFile(animationId, sceneDialogue.audioPath)
+      });
+    }
+    return { narration, tracks, dialogue, casting: audioAssets.casting };
+  }
+
+  // languages (see resolveLanguages) are the narration languages the caller
+  // needs; a checkpoint missing one of them is regenerated. Only the primary
+  // narration and the dialogue are stored, so missing translated narration
+  // always regenerates the phase.
+  async restoreAudioAssets(checkpoint, languages = null, animationId) {
+    const tracks = checkpoint.tracks || {};
+    const missingLanguage = languages && languages.additional.find(language => !tracks[language]);
+    if (missingLanguage) {
+      console.warn(`⚠️ Dropping the audio checkpoint: it has no ${missingLanguage} narration`);
+      return null;
+    }
+
+    const storedAssets = await this.getStoredAssets(animationId);
+    const restoreEntries = async (entries, label, storedName = null) => {
+      const restored = [];
+      for (const sceneAudio of entries) {
+        const stored = storedName && (storedAssets.scenes.get(sceneAudio.sceneNumber) || {})[storedName];
+        const audioPath = await this.restoreCheckpointFile(animationId, sceneAudio.audioPath, `scene ${sceneAudio.sceneNumber} ${label}`, { stored: stored });
+        if (!audioPath) return null;
+        restored.push({ ...sceneAudio, audioPath: audioPath });
+      }
+      return restored;
+    };
+
+    // silent narration is never stored (see storeSceneAssets)
+    const narration = await restoreEntries(checkpoint.narration, 'narration', 'narrationAudio');
+    if (!narration) return null;
+    const restoredTracks = {};
+    for (const [language, track] of Object.entries(tracks)) {
+      restoredTracks[language] = await restoreEntries(track, `${language} narration`);
+      if (!restoredTracks[language]) return null;
+    }
+    const dialogue = await restoreEntries(checkpoint.dialogue || [], 'dialogue', 'dialogueAudio');
+    if (!dialogue) return null;
+    return { ...checkpoint, narration, tracks: restoredTracks, dialogue };
+  }
+
+  // Redo one scene of a finished animation from its checkpoints: the still
+  // image (and the clip animated from it), the motion video only, or the
+  // narration. The new assets replace the scene's checkpoint entries and the
+  // assembly checkpoint is dropped, so the next pipeline run re-assembles and
+  // re-uploads without touching the other scenes.
+  async regenerateSceneAssets(animationId, sceneNumber, options = {}) {
+    return this.withWorkingDir(`${animationId}_scene_${sceneNumber}`, () => this.runSceneRegeneration(animationId, sceneNumber, options));
+  }
+
+  async runSceneRegeneration(animationId, sceneNumber, { target, description, narration, videoProviders: requestedProviders } = {}) {
+    const animation = await Animation.findById(animationId);
+    if (!animation) {
+      throw new Error(`Animation ${animationId} not found`);
+    }
+
+    const checkpoints = animation.pipeline?.checkpoints || {};
+    const story = this.restoreStory(checkpoints.story);
+    const scene = story.scenes.find(candidate => candidate.sceneNumber === sceneNumber);
+    if (!scene) {
+      throw new Error(`Scene ${sceneNumber} does not exist`);
+    }
+
+    const characterAssets = await this.restoreCharacterAssets(checkpoints.characters, story.countryContext, animationId);
+    const sceneImages = await this.restoreSceneImages(checkpoints.sceneImages, story.countryContext, animationId);
+    const sceneVideos = await this.restoreSceneVideos(checkpoints.sceneVideos, animationId);
+    const audioAssets = await this.restoreAudioAssets(checkpoints.audio, null, animationId);
+    if (!characterAssets || !sceneImages || !sceneVideos || !audioAssets) {
+      throw new Error('The stored scene assets of this animation are incomplete, regenerate the whole animation instead');
+    }
+
+    if (description !== undefined) scene.description = description;
+    if (narration !== undefined) scene.narration = narration;
+
+    const regenerateImage = target === 'image';
+    const regenerateVideo = target === 'image' || target === 'video';
+    // an edited narration always needs new audio, whatever else is redone
+    const regenerateNarration = target === 'narration' || narration !== undefined;
+
+    const progress = new ProgressTracker(animationId, animation.toObject().progress);
+    const replaceScene = (entries, entry) => entries.map(existing => existing.sceneNumber === sceneNumber ? entry : existing);
+
+    let sceneImage = sceneImages.find(candidate => candidate.sceneNumber === sceneNumber);
+    if (regenerateImage) {
+      await progress.log(`Regenerating scene ${sceneNumber} image`);
+      const [image] = await this.generateSceneImages([scene], characterAssets, story.countryContext, null, resolveOutputFormats(animation.generationOptions || {}).master);
+      const [imageCheckpoint] = await this.checkpointSceneImages(animationId, [image]);
+      checkpoints.sceneImages = replaceScene(checkpoints.sceneImages, imageCheckpoint);
+      sceneImage = image;
+    } else if (narration !== undefined) {
+      sceneImage = { ...sceneImage, narration: narration };
+      checkpoints.sceneImages = replaceScene(checkpoints.sceneImages, (await this.checkpointSceneImages(animationId, [sceneImage]))[0]);
+    }
+
+    let sceneVideo = sceneVideos.find(candidate => candidate.sceneNumber === sceneNumber);
+    if (regenerateVideo) {
+      await progress.log(`Regenerating scene ${sceneNumber} video`);
+      const generationOptions = { ...(animation.generationOptions || {}) };
+      if (requestedProviders) generationOptions.videoProviders = requestedProviders;
+      const [video] = await this.generateSceneVideos([sceneImage], null, this.getVideoOptions(generationOptions));
+      [sceneVideo] = await this.checkpointSceneVideos(animationId, [video]);
+    } else if (narration !== undefined) {
+      // the clip is reused, only the subtitle text changes
+      sceneVideo = { ...sceneVideo, narration: narration };
+    }
+    checkpoints.sceneVideos = replaceScene(checkpoints.sceneVideos, sceneVideo);
+
+    if (regenerateNarration) {
+      await progress.log(`Regenerating scene ${sceneNumber} narration`);
+      // the scene is re-translated into every additional language as well, and
+      // its dialogue is re-voiced by the same cast
+      const casting = audioAssets.casting || castVoices(story.characters, resolveNarratorVoice(animation.generationOptions || {}, story.overallMood));
+      const sceneAudio = await this.generateAudioAssets([scene], casting, null, animation.generationOptions || {});
+      const { narration: [narrationCheckpoint], tracks, dialogue: [dialogueCheckpoint] } = await this.checkpointAudioAssets(animationId, sceneAudio);
+      const updatedTracks = { ...(checkpoints.audio.tracks || {}) };
+      Object.entries(tracks).forEach(([language, [trackCheckpoint]]) => {
+        if (trackCheckpoint) updatedTracks[language] = replaceScene(updatedTracks[language] || [], trackCheckpoint);
+      });
+      const otherDialogue = (checkpoints.audio.dialogue || []).filter(entry => entry.sceneNumber !== sceneNumber);
+      checkpoints.audio = {
+        ...checkpoints.audio,
+        narration: replaceScene(checkpoints.audio.narration, narrationCheckpoint),
+        tracks: updatedTracks,
+        dialogue: (dialogueCheckpoint ? [...otherDialogue, dialogueCheckpoint] : otherDialogue).sort((a, b) => a.sceneNumber - b.sceneNumber),
+        casting: casting
+      };
+    }
+
+    // The assembly checkpoint goes first: without it a later run re-assembles,
+    // which is harmless while the old scene checkpoints are still in place
+    await this.invalidateCheckpoints(animationId, ['assembly']);
+
+    const storyCheckpoint = this.serializeStory(story);
+    await Animation.findByIdAndUpdate(animationId, {
+      $set: {
+        'pipeline.checkpoints.story': storyCheckpoint,
+        'pipeline.checkpoints.sceneImages': checkpoints.sceneImages,
+        'pipeline.checkpoints.sceneVideos': checkpoints.sceneVideos,
+        'pipeline.checkpoints.audio': checkpoints.audio,
+        ...(checkpoints.audio.casting && { voiceCasting: checkpoints.audio.casting })
+      }
+    });
+
+    // From here on the checkpoints no longer match the assembled video, so a
+    // failure must not leave the animation in its previous status
+    try {
+      if (description !== undefined || narration !== undefined) {
+        await this.saveStoryToDatabase(animationId, storyCheckpoint);
+      }
+      await this.discardStoredAssets(animationId, [
+        regenerateImage && 'sceneImages',
+        regenerateVideo && 'sceneVideos',
+        regenerateNarration && 'audio'
+      ].filter(Boolean), sceneNumber);
     } catch (error) {
-      console.error('Error saving animation to database:', error);
-      throw new Error('Failed to save animation to database');
+      error.checkpointsReplaced = true;
+      throw error;
     }
+
+    console.log(`✅ Scene ${sceneNumber} of animation ${animationId} regenerated (${target})`);
+    return { sceneNumber, target, regenerated: { image: regenerateImage, video: regenerateVideo, narration: regenerateNarration } };
   }
 
+  // Drafts always animate the stills locally, whatever providers were requested
+  getVideoOptions(generationOptions) {
+    return generationOptions.mode === 'draft'
+      ? { ...generationOptions, videoProviders: [videoProviders.fallbackProvider] }
+      : generationOptions;
+  }
 
-  // UPDATED: Main pipeline execution with comprehensive mood integration and token tracking
-  async generateAnimation(article, sceneCount) {
+  // UPDATED: Main pipeline execution with comprehensive mood integration, token tracking and
+  // per-phase checkpoints. Pass options.animationId to run against (or resume) an existing record;
+  // every other option (e.g. mode, videoProviders) is a generation option stored on the record.
+  // With mode 'draft' the scene videos are rendered locally from the stills (no paid video
+  // generation) and the run stops at status 'draft_ready'.
+  async generateAnimation(article, sceneCount, options = {}) {
+    const { animationId: existingAnimationId, ...requestOptions } = options;
     const startTime = Date.now();
+
+    // token tracking starts afresh in the run's own context (withWorkingDir)
+    const animation = existingAnimationId
+      ? await Animation.findById(existingAnimationId)
+      : await this.createAnimationRecord(article, sceneCount, requestOptions);
+
+    if (!animation) {
+      throw new Error(`Animation ${existingAnimationId} not found`);
+    }
+
+    return this.withWorkingDir(animation._id.toString(), () => this.runPipeline(animation, article, sceneCount, requestOptions, startTime));
+  }
+
+  // The phases of generateAnimation, run in the animation's own working dir
+  async runPipeline(animation, article, sceneCount, requestOptions, startTime) {
+    const animationId = animation._id.toString();
     let finalVideoPath = null;
-    let uploadInfo = null;
-    
-    // Reset token tracking for this generation
-    this.tokenUsage = {
-      total: 0,
-      byFunction: {},
-      byAPICall: []
+    const generationOptions = { ...(animation.generationOptions || {}), ...requestOptions };
+    const isDraft = generationOptions.mode === 'draft';
+    const outputFormats = resolveOutputFormats(generationOptions);
+    const subtitleOptions = resolveSubtitleOptions(generationOptions);
+    const languages = resolveLanguages(generationOptions);
+    const musicOptions = resolveMusicOptions(generationOptions);
+    const transitionOptions = resolveTransitionOptions(generationOptions);
+    const brandingOptions = resolveBrandingOptions(generationOptions);
+    const calloutOptions = resolveCalloutOptions(generationOptions);
+    const thumbnailOptions = resolveThumbnailOptions(generationOptions);
+    const pipeline = {
+      animationId: animationId,
+      checkpoints: { ...(animation.pipeline?.checkpoints || {}) },
+      progress: new ProgressTracker(animationId, animation.toObject().progress)
     };
+
+    await Animation.findByIdAndUpdate(animationId, { status: 'processing' });
     
     try {
       console.log('🎬 Starting comprehensive mood-enhanced Disney animation generation pipeline with token tracking...');
       console.log(`📄 Article length: ${article.length} characters`);
-      console.log(`🎭 Scenes to generate: ${sceneCount}`);
+      console.log(`🎭 Scenes to generate: ${sceneCount}${isDraft ? ' (draft animatic)' : ''}`);
+      console.log(`🆔 Animation ID: ${animationId} (completed phases: ${(animation.pipeline?.completedPhases || []).join(', ') || 'none'})`);
 
       // Phase 1: Story Development with Enhanced Mood Integration
       console.log('\n📝 Phase 1: Generating mood-enhanced story structure...');
-      const storyData = await this.generateStoryStructure(article, sceneCount);
+      const storyData = await this.runPhase(pipeline, 'story', async () => {
+        const story = await this.generateStoryStructure(article, sceneCount, languages.primary, { callouts: calloutOptions.enabled });
+        await this.saveStoryToDatabase(animationId, story);
+        return { result: story, checkpoint: this.serializeStory(story) };
+      }, async (checkpoint) => this.restoreStory(checkpoint));
       storyData.originalArticle = article;
       console.log(`✅ Story created: "${storyData.title}"`);
       console.log(`🌍 Country context: ${storyData.countryContext.primaryCountry}`);
       console.log(`🎭 Overall mood: ${storyData.overallMood}`);
       console.log(`🎬 Mood progression: ${storyData.scenes.map(s => `${s.mood}(${s.moodIntensity}/10)`).join(' → ')}`);
 
+      // Optional editorial gate: stop until the storyboard is approved
+      if (generationOptions.reviewStoryboard && !animation.storyboard?.approvedAt) {
+        return await this.pauseForStoryboardReview(pipeline, storyData, Date.now() - startTime);
+      }
+
       // Phase 2: Character Generation with Mood Capabilities
       console.log('\n🎭 Phase 2: Generating mood-capable character assets...');
-      const characterAssets = await this.generateCharacterAssets(storyData.characters, storyData.countryContext);
+      const characterAssets = await this.runPhase(pipeline, 'characters', async (progress) => {
+        const assets = await this.generateCharacterAssets(storyData.characters, storyData.countryContext, progress);
+        const checkpoint = await this.checkpointCharacterAssets(animationId, assets);
+        return { result: await this.restoreCharacterAssets(checkpoint, storyData.countryContext, animationId), checkpoint };
+      }, async (checkpoint) => this.restoreCharacterAssets(checkpoint, storyData.countryContext, animationId));
       console.log(`✅ Generated ${Object.keys(characterAssets).length} mood-capable characters for ${storyData.countryContext.primaryCountry}`);
 
       // Phase 3: Scene Generation with Comprehensive Mood Enhancement
       console.log('\n🖼️ Phase 3: Generating mood-enhanced scene images...');
-      const sceneImages = await this.generateSceneImages(storyData.scenes, characterAssets, storyData.countryContext);
+      const sceneImages = await this.runPhase(pipeline, 'sceneImages', async (progress) => {
+        const images = await this.generateSceneImages(storyData.scenes, characterAssets, storyData.countryContext, progress, outputFormats.master);
+        const checkpoint = await this.checkpointSceneImages(animationId, images);
+        return { result: await this.restoreSceneImages(checkpoint, storyData.countryContext, animationId), checkpoint };
+      }, async (checkpoint) => this.restoreSceneImages(checkpoint, storyData.countryContext, animationId));
       console.log(`✅ Generated ${sceneImages.length} mood-enhanced scene images`);
 
-      // Phase 4: Video Generation with Mood-Specific Motion
-      console.log('\n🎥 Phase 4: Generating mood-specific scene videos...');
-      const sceneVideos = await this.generateSceneVideos(sceneImages);
+      // Phase 4: Video Generation with Mood-Specific Motion (drafts animate the stills locally)
+      console.log(`\n🎥 Phase 4: Generating ${isDraft ? 'draft animatic clips from the stills' : 'mood-specific scene videos'}...`);
+      const sceneVideos = await this.runPhase(pipeline, 'sceneVideos', async (progress) => {
+        const videos = await this.generateSceneVideos(sceneImages, progress, this.getVideoOptions(generationOptions));
+        const checkpoint = await this.checkpointSceneVideos(animationId, videos);
+        return { result: checkpoint, checkpoint };
+      }, async (checkpoint) => this.restoreSceneVideos(checkpoint, animationId));
       console.log(`✅ Generated ${sceneVideos.length} mood-enhanced scene videos`);
 
       // Phase 5: Audio Generation with Mood-Appropriate Voice Settings
       console.log('\n🎵 Phase 5: Generating mood-enhanced audio assets...');
-      const audioAssets = await this.generateAudioAssets(storyData.scenes, storyData.overallMood);
+      const audioAssets = await this.runPhase(pipeline, 'audio', async (progress) => {
+        const casting = castVoices(storyData.characters, resolveNarratorVoice(generationOptions, storyData.overallMood));
+        await Animation.findByIdAndUpdate(animationId, { voiceCasting: casting });
+        const assets = await this.generateAudioAssets(storyData.scenes, casting, progress, generationOptions);
+        const checkpoint = await this.checkpointAudioAssets(animationId, assets);
+        return { result: checkpoint, checkpoint };
+      }, async (checkpoint) => this.restoreAudioAssets(checkpoint, languages, animationId));
       console.log(`✅ Generated mood-appropriate audio for ${audioAssets.narration.length} scenes`);
 
       // Phase 6: Video Assembly with Mood Progression
       console.log('\n🎬 Phase 6: Assembling final mood-enhanced animation...');
-      finalVideoPath = await this.assembleAnimation(sceneVideos, audioAssets, storyData);
+      const assembly = await this.runPhase(pipeline, 'assembly', async (progress) => {
+        const processedClips = [];
+        const branding = await brandingService.prepare(brandingOptions, this.workingDir);
+        const assembledPath = await this.assembleAnimation(sceneVideos, audioAssets, storyData, progress, processedClips, { format: outputFormats.master, subtitles: subtitleOptions, music: musicOptions, transitions: transitionOptions, branding: branding, callouts: calloutOptions });
+        await Animation.findByIdAndUpdate(animationId, { branding: brandingService.summarize(branding, this.planLowerThirds(processedClips, storyData)) });
+        // drafts are only rendered in the master format
+        const renditions = isDraft ? [] : await this.assembleRenditions(sceneVideos, audioAssets, storyData, outputFormats, progress, subtitleOptions, musicOptions, transitionOptions, branding, calloutOptions);
+        const subtitles = await this.writeSubtitleTracks(processedClips, subtitleOptions, languages.primary, brandingService.getProgramOffset(branding));
+        // drafts are only reviewed in the primary language
+        const localized = isDraft
+          ? { videoPath: assembledPath, localizations: [] }
+          : await this.assembleLanguages(assembledPath, processedClips, sceneVideos, audioAssets, storyData, languages, outputFormats.master, subtitleOptions, subtitles, progress, musicOptions, transitionOptions, branding, calloutOptions);
+        const checkpoint = await this.checkpointAssembly(animationId, localized.videoPath, processedClips, renditions, subtitles, localized.localizations, languages.output, musicOptions, transitionOptions, brandingOptions, calloutOptions);
+        return { result: checkpoint, checkpoint };
+      }, async (checkpoint) => {
+        const localizations = checkpoint.localizations || [];
+        const languagesMissing = languages.additional.some(language => !localizations.some(localization => localization.language === language));
+        if (!isDraft && (languagesMissing || (localizations.length > 0 && checkpoint.languageOutput !== languages.output))) {
+          return null;
+        }
+        // other music options need a new mix, other transitions a new join,
+        // another brand profile (or other layers of it) new branding and
+        // other callout options new scene clips
+        if (JSON.stringify(checkpoint.music || null) !== JSON.stringify(musicOptions) ||
+          JSON.stringify(checkpoint.transitions || null) !== JSON.stringify(transitionOptions) ||
+          JSON.stringify(checkpoint.branding || null) !== JSON.stringify(brandingOptions) ||
+          JSON.stringify(checkpoint.callouts || null) !== JSON.stringify(calloutOptions)) {
+          return null;
+        }
+        const files = [
+          checkpoint.videoPath,
+          ...(checkpoint.renditions || []).map(rendition => rendition.videoPath),
+          ...(checkpoint.subtitles ? [checkpoint.subtitles.vttPath, checkpoint.subtitles.srtPath] : []),
+          ...localizations.flatMap(localization => [localization.videoPath, localization.subtitles.vttPath, localization.subtitles.srtPath].filter(Boolean))
+        ];
+        return (await this.checkpointFilesExist(files)) ? checkpoint : null;
+      });
+      finalVideoPath = assembly.videoPath;
       console.log('✅ Mood-enhanced animation assembly completed', finalVideoPath);
 
-      // Save to database first to get animation ID
-      const processingTime = Date.now() - startTime;
-      storyData.processingTime = processingTime;
-      
-      // Create a temporary animation record to get the ID
-      const tempAnimation = await this.saveAnimationToDatabase(storyData, finalVideoPath);
-      const animationId = tempAnimation._id.toString();
+      // Phase 7: HLS / DASH packaging of the master video
+      console.log('\n📦 Phase 7: Packaging adaptive streams...');
+      const packaging = await this.runPhase(pipeline, 'packaging', async () => {
+        // drafts are only reviewed as MP4
+        const checkpoint = isDraft || !streamPackager.isEnabled()
+          ? { skipped: true }
+          : await streamPackager.packageVideo(finalVideoPath, path.join(this.getCheckpointDir(animationId), 'streams'), outputFormats.master);
+        return { result: checkpoint, checkpoint };
+      }, async (checkpoint) => {
+        if (checkpoint.skipped) return checkpoint;
+        const files = checkpoint.files.map(file => path.join(checkpoint.outputDir, file));
+        return (await this.checkpointFilesExist(files)) ? checkpoint : null;
+      });
 
-      // Phase 7: Upload to Google Cloud Storage
-      console.log('\n☁️ Phase 7: Uploading to Google Cloud Storage...');
-      uploadInfo = await this.uploadAnimationVideo(finalVideoPath, animationId, storyData.title);
-      
-      if (uploadInfo.success && !uploadInfo.isLocal) {
-        console.log(`✅ Video uploaded to GCS: ${uploadInfo.publicUrl}`);
-        
-        // Update the animation record with GCS URL
-        await Animation.findByIdAndUpdate(animationId, {
-          videoUrl: uploadInfo.publicUrl,
-          storage: {
-            type: 'gcs',
-            bucketName: uploadInfo.bucketName,
-            fileName: uploadInfo.fileName,
-            publicUrl: uploadInfo.publicUrl,
-            uploadedAt: new Date(),
-            isPublic: true
-          }
-        });
-        
-        // Also save to local public directory as backup
-        const outputDir = path.join(process.cwd(), 'public', 'animations');
-        await fs.mkdir(outputDir, { recursive: true });
-        
-        const permanentVideoFileName = `mood_animation_${animationId}_${Date.now()}.mp4`;
-        const permanentVideoPath = path.join(outputDir, permanentVideoFileName);
-        
-        await fs.copyFile(finalVideoPath, permanentVideoPath);
-        console.log(`📁 Backup copy saved locally to: ${permanentVideoPath}`);
-        
-      } else {
-        console.log(`⚠️ Using local storage: ${uploadInfo.publicUrl}`);
-        
-        // Save to permanent location locally
-        const outputDir = path.join(process.cwd(), 'public', 'animations');
-        await fs.mkdir(outputDir, { recursive: true });
-        
-        const permanentVideoFileName = `mood_animation_${animationId}_${Date.now()}.mp4`;
-        const permanentVideoPath = path.join(outputDir, permanentVideoFileName);
-        
-        await fs.copyFile(finalVideoPath, permanentVideoPath);
-        
-        // Update the animation record with local URL
-        await Animation.findByIdAndUpdate(animationId, {
-          videoUrl: permanentVideoPath,
-          storage: {
-            type: 'local',
-            publicUrl: permanentVideoPath,
-            uploadedAt: new Date(),
-            isPublic: false,
-            ...(uploadInfo.error && { uploadError: uploadInfo.error })
-          }
+      // Phase 8: Poster frame and scene thumbnails
+      console.log('\n🖼️ Phase 8: Picking the poster frame and scene thumbnails...');
+      const thumbnails = await this.runPhase(pipeline, 'thumbnails', async () => {
+        // a title card is lettered in the brand's palette and fonts
+        const profile = thumbnailOptions.source === 'title-card' && brandingOptions.profile ? await brandingService.getProfile(brandingOptions.profile) : null;
+        const rendered = await thumbnailService.render(sceneVideos, sceneImages, {
+          title: storyData.title,
+          options: thumbnailOptions,
+          outputFormat: outputFormats.master,
+          style: profile,
+          outputDir: path.join(this.getCheckpointDir(animationId), 'thumbnails'),
+          workingDir: this.workingDir
         });
-        
-        console.log(`📁 Final video saved locally to: ${permanentVideoPath}`);
-      }
+        const checkpoint = { ...rendered, options: thumbnailOptions };
+        return { result: checkpoint, checkpoint };
+      }, async (checkpoint) => {
+        // another source or other sizes need new thumbnails
+        if (JSON.stringify(checkpoint.options || null) !== JSON.stringify(thumbnailOptions)) {
+          return null;
+        }
+        const files = [...checkpoint.poster.files, ...checkpoint.scenes].map(thumbnail => thumbnail.path);
+        return (await this.checkpointFilesExist(files)) ? checkpoint : null;
+      });
 
-      // Get the updated animation record
-      const finalAnimationRecord = await Animation.findById(animationId);
+      // Phase 9: Upload to the configured storage backend
+      console.log(`\n☁️ Phase 9: Uploading to ${storage.driver.type} storage...`);
+      const finalVideo = await this.runPhase(pipeline, 'upload', async (progress) => {
+        const storedVideo = await this.storeFinalVideo(finalVideoPath, animationId, storyData.title, isDraft, assembly.renditions || [], outputFormats.master);
+        if (!isDraft) {
+          storedVideo.streaming = await this.storeStreamingPackage(animationId, packaging.skipped ? null : packaging, storedVideo.storage.isPublic);
+          storedVideo.subtitles = await this.storeSubtitleTracks(animationId, assembly.subtitles, storedVideo.storage.isPublic);
+          storedVideo.localizations = await this.storeLocalizations(animationId, assembly.localizations || [], assembly.languageOutput, storyData.title, storedVideo.storage.isPublic);
+        }
+        storedVideo.thumbnails = await this.storeThumbnails(animationId, thumbnails, storedVideo.storage.isPublic);
+        await this.storeSceneAssets(animationId, pipeline.checkpoints, assembly.processedClips, progress);
+        return { result: storedVideo, checkpoint: storedVideo };
+      }, async (checkpoint) => checkpoint);
+
+      const processingTime = Date.now() - startTime;
+      const finalAnimationRecord = isDraft
+        ? await this.saveDraftToDatabase(animationId, processingTime, finalVideo)
+        : await this.saveAnimationToDatabase(animationId, processingTime, finalVideo);
+      await pipeline.progress.complete();
 
       // Get comprehensive token usage summary
       const tokenSummary = this.getTokenUsageSummary();
@@ -2632,18 +4474,17 @@ class AnimationService {
       console.log(`🎬 Mood progression: ${storyData.scenes.map(s => `${s.mood}(${s.moodIntensity}/10)`).join(' → ')}`);
       console.log(`🎨 Mood-specific visual and audio treatment applied throughout`);
       console.log(`🛡️ Content safety with mood preservation maintained`);
-      console.log(`☁️ Storage: ${uploadInfo?.isLocal ? 'Local filesystem' : 'Google Cloud Storage'}`);
+      console.log(`☁️ Storage: ${finalVideo.storage.type}`);
       console.log(`⏱️ Total processing time: ${(processingTime / 1000 / 60).toFixed(1)} minutes`);
-      console.log(`🔗 Video URL: ${finalAnimationRecord.videoUrl}`);
+      console.log(`🔗 Video URL: ${finalVideo.videoUrl}`);
 
-      console.log("Cleaning Up Temp Files")
-      await this.cleanupTempFiles()
-      
       return {
         success: true,
         animationId: finalAnimationRecord._id,
-        videoPath: finalAnimationRecord.videoUrl,
-        videoUrl: finalAnimationRecord.videoUrl,
+        status: finalAnimationRecord.status,
+        mode: isDraft ? 'draft' : 'full',
+        videoPath: finalVideo.videoUrl,
+        videoUrl: finalVideo.videoUrl,
         title: storyData.title,
         processingTime: processingTime,
         sceneCount: storyData.scenes.length,
@@ -2656,11 +4497,37 @@ class AnimationService {
           emotionalTone: s.emotionalTone
         })),
         moodEnhanced: true,
+        voiceCasting: audioAssets.casting || null,
+        branding: finalAnimationRecord.branding || null,
+        thumbnails: playbackService.describeThumbnails(finalAnimationRecord._id, finalAnimationRecord.thumbnails),
         tokenUsage: tokenSummary,
         storage: {
-          type: uploadInfo?.isLocal ? 'local' : 'gcs',
-          isPublic: !uploadInfo?.isLocal,
-          url: finalAnimationRecord.videoUrl
+          type: finalVideo.storage.type,
+          isPublic: finalVideo.storage.isPublic,
+          url: finalVideo.videoUrl
+        },
+        renditions: (finalVideo.renditions || []).map(rendition => ({
+          aspectRatio: rendition.aspectRatio,
+          master: rendition.master,
+          videoUrl: rendition.videoUrl
+        })),
+        subtitles: finalVideo.subtitles ? {
+          vttUrl: playbackService.getSubtitlesRouteUrl(finalAnimationRecord._id, 'vtt'),
+          burnedIn: finalVideo.subtitles.burnedIn
+        } : null,
+        streaming: finalVideo.streaming ? {
+          hlsUrl: finalVideo.streaming.hls ? finalVideo.streaming.hls.manifestUrl : null,
+          dashUrl: finalVideo.streaming.dash ? finalVideo.streaming.dash.manifestUrl : null
+        } : null,
+        languages: {
+          primary: languages.primary,
+          output: languages.output,
+          localizations: (finalVideo.localizations || []).map(localization => ({
+            language: localization.language,
+            audioTrack: localization.audioTrack,
+            videoUrl: localization.videoUrl,
+            vttUrl: playbackService.getSubtitlesRouteUrl(finalAnimationRecord._id, 'vtt', localization.language)
+          }))
         }
       };
 
@@ -2672,41 +4539,30 @@ class AnimationService {
       console.log('\n📊 Token usage summary (despite failure):');
       console.log(`   Total Tokens Used: ${tokenSummary.totalTokens.toLocaleString()}`);
       console.log(`   Estimated Cost: $${tokenSummary.estimatedCost.toFixed(4)}`);
+
+      // Checkpoints are kept so the animation can be resumed from the failed phase
+      await this.markPipelineFailed(pipeline, error);
+      await pipeline.progress.fail(error);
       
-      // Cleanup on error
-      if (finalVideoPath) {
-        try {
-          await fs.unlink(finalVideoPath);
-        } catch (cleanupError) {
-          console.error('Error cleaning up video file:', cleanupError);
-        }
-      }
-      
-      throw new Error(`Mood-enhanced animation generation failed: ${error.message}`);
+      const failure = new Error(`Mood-enhanced animation generation failed: ${error.message}`);
+      failure.animationId = animationId;
+      throw failure;
     }
   }
 
+  // Remove the working dir of the current run. Checkpoint files are kept as
+  // the per-scene assets used to resume and to regenerate single scenes.
   async cleanupTempFiles() {
+    const workingDir = this.workingDir;
+    if (workingDir === this.tempRoot) {
+      // outside a run the dir is shared with every other run
+      return;
+    }
+
     try {
-      console.log('🧹 Cleaning up all temporary files and directories...');
-      
-      // Since the final video is now saved in public/animations/, 
-      // we can safely delete the entire temp working directory
-      const tempDirExists = await fs.access(this.workingDir).then(() => true).catch(() => false);
-      
-      if (tempDirExists) {
-        // Remove the entire temp working directory and all its contents
-        await fs.rm(this.workingDir, { recursive: true, force: true });
-        console.log(`✅ Deleted entire temp directory: ${this.workingDir}`);
-        
-        // Recreate the basic structure for next use
-        await this.ensureDirectoryExists();
-        console.log('📁 Recreated basic temp directory structure');
-      } else {
-        console.log('ℹ️ Temp directory does not exist, skipping cleanup');
-      }
-      
-      console.log('✅ Cleanup completed - Final video preserved in public/animations/');
+      await fs.rm(workingDir, { recursive: true, force: true });
+      this.generatedMusic.clear();
+      console.log(`🧹 Deleted temp directory ${workingDir}`);
     } catch (error) {
       console.error('❌ Error during temp files cleanup:', error);
       // Don't throw error as this is cleanup - log and continue
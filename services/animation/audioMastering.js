@@ -0,0 +1,153 @@
+// services/animation/audioMastering.js - Loudness normalization of voice tracks and fitting scene clips to their narration
+//
+// Voice tracks are measured with ffmpeg's loudnorm (EBU R128) and normalized in
+// a second, linear pass to the configured target (NARRATION_TARGET_LUFS), so
+// scenes voiced by different providers, voices or mood settings play at the
+// same level. A clip is as long as the longer of its video and its narration:
+// short narration is padded with room tone, short video is slowed down (up to
+// VIDEO_MAX_SLOWDOWN) and then extended by freezing its last frame or looping it.
+const { runProcess } = require('../../lib/util/childProcess');
+const __config = require('../../config');
+
+// Anything quieter than this (in LUFS) is treated as silence and left alone
+const SILENCE_THRESHOLD = -70;
+// Tracks already this close to the target (in LU) are not re-encoded
+const NORMALIZED_TOLERANCE = 0.5;
+// Durations closer than this (in seconds) need no fitting
+const FIT_TOLERANCE = 0.05;
+
+class AudioMastering {
+  constructor() {
+    this.options = __config.audioMastering;
+  }
+
+  // Integrated loudness, true peak and loudness range of a track, or null when
+  // it could not be measured. loudnorm prints them as JSON after the stats.
+  async measureLoudness(audioPath) {
+    const { targetLoudness, truePeak, loudnessRange } = this.options;
+    const { status, stderr } = await runProcess('ffmpeg', [
+      '-hide_banner', '-nostats',
+      '-i', audioPath,
+      '-af', `loudnorm=I=${targetLoudness}:TP=${truePeak}:LRA=${loudnessRange}:print_format=json`,
+      '-f', 'null', '-'
+    ]);
+
+    const json = status === 0 && stderr ? stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1) : '';
+    try {
+      const stats = JSON.parse(json);
+      return {
+        integrated: parseFloat(stats.input_i),
+        truePeak: parseFloat(stats.input_tp),
+        loudnessRange: parseFloat(stats.input_lra),
+        threshold: parseFloat(stats.input_thresh),
+        offset: parseFloat(stats.target_offset)
+      };
+    } catch (error) {
+      console.warn(`⚠️ Could not measure the loudness of ${audioPath}`);
+      return null;
+    }
+  }
+
+  // Normalize a voice track to the target loudness. Returns the path of
+  // the normalized MP3 (the original when it needs no change or normalizing
+  // fails) and the loudness measured before, in LUFS.
+  async normalize(audioPath) {
+    if (!this.options.normalize) {
+      return { audioPath: audioPath, loudness: null };
+    }
+
+    const measured = await this.measureLoudness(audioPath);
+    if (!measured || !Number.isFinite(measured.integrated) || measured.integrated < SILENCE_THRESHOLD) {
+      return { audioPath: audioPath, loudness: null };
+    }
+
+    const { targetLoudness, truePeak, loudnessRange } = this.options;
+    const loudness = Number(measured.integrated.toFixed(1));
+    if (Math.abs(measured.integrated - targetLoudness) <= NORMALIZED_TOLERANCE && measured.truePeak <= truePeak) {
+      return { audioPath: audioPath, loudness: loudness };
+    }
+
+    const normalizedPath = audioPath.replace(/(\.[^./]+)?$/, '_normalized.mp3');
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      '-i', audioPath,
+      '-af', [
+        `loudnorm=I=${targetLoudness}:TP=${truePeak}:LRA=${loudnessRange}`,
+        `measured_I=${measured.integrated}:measured_TP=${measured.truePeak}`,
+        `measured_LRA=${measured.loudnessRange}:measured_thresh=${measured.threshold}`,
+        `offset=${measured.offset}:linear=true`
+      ].join(':') + ',aresample=44100',
+      '-c:a', 'libmp3lame', '-q:a', '2',
+      normalizedPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      console.warn(`⚠️ Could not normalize ${audioPath} (status ${status}), keeping it at ${loudness} LUFS`);
+      return { audioPath: audioPath, loudness: loudness };
+    }
+
+    console.log(`🔊 Normalized ${audioPath.split(/[\\/]/).pop()} from ${loudness} to ${targetLoudness} LUFS`);
+    return { audioPath: normalizedPath, loudness: loudness };
+  }
+
+  // How a clip of videoDuration seconds is fitted to audioDuration seconds of
+  // narration, starting leadIn seconds into the clip and followed by tail
+  // seconds. The clip runs for `duration`; the video is slowed by `slowdown`
+  // and then extended by `extension` seconds (frozen, or looped in 'loop'
+  // mode); in 'pad' mode the narration gets `padding` seconds of room tone so
+  // the whole video is shown.
+  planTimeFit(videoDuration, audioDuration, { leadIn = 0, tail = 0 } = {}) {
+    const spoken = leadIn + audioDuration + tail;
+    if (!videoDuration || Math.abs(videoDuration - spoken) <= FIT_TOLERANCE) {
+      return { mode: 'none', duration: spoken, leadIn: leadIn, slowdown: 1, extension: 0, padding: tail };
+    }
+
+    if (videoDuration > spoken) {
+      return { mode: 'pad', duration: videoDuration, leadIn: leadIn, slowdown: 1, extension: 0, padding: videoDuration - leadIn - audioDuration };
+    }
+
+    const slowdown = Math.min(spoken / videoDuration, this.options.maxSlowdown);
+    const extension = Math.max(0, spoken - videoDuration * slowdown);
+    return {
+      mode: extension > FIT_TOLERANCE ? this.options.extendVideo : 'slow',
+      duration: spoken,
+      leadIn: leadIn,
+      slowdown: Number(slowdown.toFixed(3)),
+      extension: Number(extension.toFixed(3)),
+      padding: tail
+    };
+  }
+
+  // Video filters (before the frame rate and format filters) that stretch a
+  // clip as planned; a 'loop' plan loops the input instead (-stream_loop)
+  timeFitFilter(plan) {
+    const filters = [];
+    if (plan.slowdown > 1) {
+      filters.push(`setpts=${plan.slowdown}*PTS`);
+    }
+    if (plan.extension > 0 && plan.mode !== 'loop') {
+      filters.push(`tpad=stop_mode=clone:stop_duration=${plan.extension}`);
+    }
+    return filters;
+  }
+
+  // Audio filter graph taking input `input` to the clip duration: the voice is
+  // delayed by the lead-in and padded and, when enabled, low room tone runs
+  // under the whole clip so the gaps are not dead digital silence. Ends in the
+  // label `output`.
+  timeFitAudioGraph(plan, input, output) {
+    const delay = plan.leadIn > 0 ? `,adelay=${Math.round(plan.leadIn * 1000)}:all=1` : '';
+    const voice = `${input}aresample=44100,aformat=channel_layouts=stereo${delay},apad=whole_dur=${plan.duration}`;
+    if (!this.options.roomTone || plan.padding + plan.leadIn <= FIT_TOLERANCE) {
+      return `${voice},atrim=0:${plan.duration}[${output}]`;
+    }
+
+    const amplitude = Math.pow(10, this.options.roomToneLevel / 20).toFixed(6);
+    return [
+      `${voice}[voice]`,
+      `anoisesrc=r=44100:color=brown:amplitude=${amplitude}:duration=${plan.duration},aformat=channel_layouts=stereo[tone]`,
+      `[voice][tone]amix=inputs=2:duration=first:normalize=0,atrim=0:${plan.duration}[${output}]`
+    ].join(';');
+  }
+}
+
+module.exports = new AudioMastering();
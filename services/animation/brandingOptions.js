@@ -0,0 +1,60 @@
+// services/animation/brandingOptions.js - Branding options a generate request can set (generationOptions.branding)
+const __config = require('../../config');
+
+// Brand profile names, e.g. 'sports' or 'business-desk'
+const PROFILE_NAME_PATTERN = '^[a-z0-9-]+$';
+
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// scale is the logo width as a fraction of the frame width
+const DEFAULT_LOGO = { position: 'top-right', opacity: 0.8, scale: 0.12 };
+
+// Palette colours and font family names of a profile. Fonts are passed to
+// ffmpeg's drawtext, so no separators or quotes.
+const COLOR_PATTERN = '^#[0-9a-fA-F]{6}$';
+const FONT_NAME_PATTERN = '^[A-Za-z0-9 ._-]{1,64}$';
+
+// Colours are '#RRGGBB'; lower thirds draw their bar in primary with an accent
+// edge and letter it in text
+const DEFAULT_PALETTE = { primary: '#1A1A2E', secondary: '#16213E', accent: '#E94560', text: '#FFFFFF' };
+
+// Font family names as fontconfig knows them on the render machines
+const DEFAULT_FONTS = { heading: 'Arial', body: 'Arial' };
+
+// Logo and bumper URLs are fetched by the render machines, so only https URLs
+// on a BRANDING_ALLOWED_HOSTS host are accepted
+const isAllowedMediaUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  return parsed.protocol === 'https:' && !parsed.username && !parsed.password &&
+    __config.branding.allowedHosts.includes(parsed.hostname.toLowerCase());
+};
+
+// profile names a BrandProfile; without one the request's "brand" (the desk
+// that also picks the narrator) is used, then BRANDING_DEFAULT_PROFILE. Each
+// layer of the profile can be switched off on its own.
+const resolveBrandingOptions = (generationOptions = {}) => {
+  const requested = generationOptions.branding || {};
+  return {
+    profile: requested.profile || generationOptions.brand || __config.branding.defaultProfile || null,
+    watermark: requested.watermark !== false,
+    bumpers: requested.bumpers !== false,
+    lowerThirds: requested.lowerThirds !== false
+  };
+};
+
+module.exports = {
+  PROFILE_NAME_PATTERN,
+  LOGO_POSITIONS,
+  COLOR_PATTERN,
+  FONT_NAME_PATTERN,
+  DEFAULT_LOGO,
+  DEFAULT_PALETTE,
+  DEFAULT_FONTS,
+  isAllowedMediaUrl,
+  resolveBrandingOptions
+};
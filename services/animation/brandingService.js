@@ -0,0 +1,308 @@
+// services/animation/brandingService.js - Brand profile layers of an assembled video: logo watermark, lower thirds and intro / outro bumpers
+//
+// A profile's logo and bumpers are https URLs on a BRANDING_ALLOWED_HOSTS host
+// (e.g. the brand's CDN), fetched once per run by prepare(). The layers are rendered over the finished animation,
+// so everything timed on the animation (captions, language tracks) moves by
+// the intro's duration; see getProgramOffset.
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { runProcess } = require('../../lib/util/childProcess');
+const BrandProfile = require('../../mongooseSchema/BrandProfile');
+const renditionRenderer = require('./renditionRenderer');
+const subtitleService = require('./subtitleService');
+const { DEFAULT_LOGO, DEFAULT_PALETTE, DEFAULT_FONTS, isAllowedMediaUrl } = require('./brandingOptions');
+const __config = require('../../config');
+
+// Gap between the logo and the frame edges, as a fraction of the frame width
+const LOGO_MARGIN = 0.03;
+// Lower thirds fade their lettering in and out over this many seconds
+const LOWER_THIRD_FADE = 0.3;
+// Longest role shown under a name
+const MAX_ROLE_LENGTH = 60;
+
+class BrandingService {
+  constructor() {
+    this.options = __config.branding;
+  }
+
+  async getProfile(name) {
+    return BrandProfile.findOne({ name: name.toLowerCase(), isActive: true }).lean();
+  }
+
+  // The branding of one run for the layers `options` keeps (see
+  // brandingOptions): the profile's logo and bumpers downloaded into
+  // workingDir, the bumpers probed. Resolves with null when no profile
+  // applies, so the video is assembled unbranded; a file that cannot be
+  // fetched only drops its own layer.
+  async prepare(options, workingDir) {
+    if (!options || !options.profile) {
+      return null;
+    }
+
+    const profile = await this.getProfile(options.profile);
+    if (!profile) {
+      console.warn(`⚠️ Brand profile "${options.profile}" not found, assembling without branding`);
+      return null;
+    }
+
+    const brandingDir = path.join(workingDir, 'branding');
+    await fs.mkdir(brandingDir, { recursive: true });
+
+    const download = async (url, kind) => {
+      // checked again here for profiles saved before BRANDING_ALLOWED_HOSTS changed
+      if (!isAllowedMediaUrl(url)) {
+        console.warn(`⚠️ The ${kind} of brand profile ${profile.name} is not on an allowed host (BRANDING_ALLOWED_HOSTS), leaving it out`);
+        return null;
+      }
+      try {
+        // no redirects, which could lead off the allowed hosts
+        const response = await axios.get(url, {
+          responseType: 'arraybuffer',
+          timeout: this.options.downloadTimeout,
+          maxContentLength: this.options.maxDownloadSize,
+          maxRedirects: 0
+        });
+        const filePath = path.join(brandingDir, `${profile.name}_${kind}${path.extname(new URL(url).pathname)}`);
+        await fs.writeFile(filePath, Buffer.from(response.data));
+        return filePath;
+      } catch (error) {
+        console.warn(`⚠️ Could not download the ${kind} of brand profile ${profile.name}: ${error.message}`);
+        return null;
+      }
+    };
+    const bumper = async (url, kind) => {
+      const filePath = url ? await download(url, kind) : null;
+      if (!filePath) return null;
+      const duration = await subtitleService.getDuration(filePath);
+      if (!duration) {
+        console.warn(`⚠️ The ${kind} of brand profile ${profile.name} is not a playable clip, leaving it out`);
+        return null;
+      }
+      return { path: filePath, duration: duration, hasAudio: await this.hasAudio(filePath), rendered: {} };
+    };
+
+    const logoPath = options.watermark && profile.logo ? await download(profile.logo.url, 'logo') : null;
+    const branding = {
+      profile: profile.name,
+      logo: logoPath ? { ...DEFAULT_LOGO, ...profile.logo, path: logoPath } : null,
+      intro: options.bumpers ? await bumper(profile.introUrl, 'intro') : null,
+      outro: options.bumpers ? await bumper(profile.outroUrl, 'outro') : null,
+      lowerThirds: options.lowerThirds,
+      palette: { ...DEFAULT_PALETTE, ...(profile.palette || {}) },
+      fonts: { ...DEFAULT_FONTS, ...(profile.fonts || {}) }
+    };
+
+    console.log(`🏷️ Brand profile ${profile.name}: ${[branding.logo && 'watermark', branding.intro && 'intro', branding.outro && 'outro', branding.lowerThirds && 'lower thirds'].filter(Boolean).join(', ') || 'no layers'}`);
+    return branding;
+  }
+
+  async hasAudio(mediaPath) {
+    const { stdout } = await runProcess('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'a',
+      '-show_entries', 'stream=index',
+      '-of', 'csv=p=0',
+      mediaPath
+    ]);
+    return Boolean(stdout && stdout.trim());
+  }
+
+  // Where the animation starts in the branded video
+  getProgramOffset(branding) {
+    return branding && branding.intro ? branding.intro.duration : 0;
+  }
+
+  // What was applied, as stored on the Animation record (branding)
+  summarize(branding, lowerThirds = []) {
+    if (!branding) {
+      return null;
+    }
+    return {
+      profile: branding.profile,
+      watermark: Boolean(branding.logo),
+      intro: Boolean(branding.intro),
+      outro: Boolean(branding.outro),
+      lowerThirds: branding.lowerThirds ? lowerThirds.map(lowerThird => lowerThird.name) : []
+    };
+  }
+
+  // The animation at videoPath with the brand's layers: lower thirds and the
+  // logo over the animation itself, the bumpers before and after it.
+  // lowerThirds are { name, role, start } on the animation's timeline. Returns
+  // the branded video, or the original one when rendering fails.
+  async applyBranding(videoPath, branding, { outputFormat, lowerThirds = [], fileSuffix = '' }) {
+    const [intro, outro] = await Promise.all([branding.intro, branding.outro].map(bumper => bumper && this.renderBumper(bumper, outputFormat)));
+
+    const inputs = ['-i', videoPath];
+    // index of the input added for file
+    const addInput = file => inputs.push('-i', file) / 2 - 1;
+    const filters = [];
+    let program = '[0:v]';
+
+    const overlays = branding.lowerThirds ? await this.lowerThirdFilters(lowerThirds, branding, outputFormat, path.dirname(videoPath), fileSuffix) : [];
+    if (overlays.length > 0) {
+      filters.push(`${program}${overlays.join(',')}[titled]`);
+      program = '[titled]';
+    }
+    if (branding.logo) {
+      const logoInput = addInput(branding.logo.path);
+      const logoWidth = Math.round(outputFormat.width * branding.logo.scale / 2) * 2;
+      filters.push(`[${logoInput}:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${branding.logo.opacity}[logo]`);
+      filters.push(`${program}[logo]${this.logoOverlay(branding.logo.position, outputFormat)}[branded]`);
+      program = '[branded]';
+    }
+    if (filters.length === 0 && !intro && !outro) {
+      return videoPath;
+    }
+
+    // the bumpers are already in the output format, with an audio track
+    const segments = [];
+    if (intro) {
+      const introInput = addInput(intro);
+      segments.push(`[${introInput}:v][${introInput}:a]`);
+    }
+    filters.push(`${program}setsar=1[program]`);
+    segments.push('[program][0:a]');
+    if (outro) {
+      const outroInput = addInput(outro);
+      segments.push(`[${outroInput}:v][${outroInput}:a]`);
+    }
+    filters.push(`${segments.join('')}concat=n=${segments.length}:v=1:a=1[v][a]`);
+
+    const brandedPath = videoPath.replace(/\.mp4$/, `_branded${fileSuffix}.mp4`);
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      ...inputs,
+      '-filter_complex', filters.join(';'),
+      '-map', '[v]', '-map', '[a]',
+      '-c:v', 'libx264', '-crf', '20', '-preset', 'fast', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-ac', '2',
+      '-movflags', '+faststart',
+      brandedPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      console.warn(`⚠️ Branding with profile ${branding.profile} failed with status ${status}, keeping the unbranded video`);
+      return videoPath;
+    }
+
+    console.log(`🏷️ Branded ${path.basename(videoPath)} with profile ${branding.profile} (${lowerThirds.length} lower thirds)`);
+    return brandedPath;
+  }
+
+  // A bumper fitted (padded, never cropped) to the output format at the
+  // animation's frame rate, with silence when it has no sound of its own;
+  // rendered once per format (renditions share the render in progress).
+  // Resolves with null when it cannot be rendered.
+  renderBumper(bumper, outputFormat) {
+    const key = `${outputFormat.width}x${outputFormat.height}`;
+    if (bumper.rendered[key] === undefined) {
+      bumper.rendered[key] = this.renderBumperFormat(bumper, outputFormat, key);
+    }
+    return bumper.rendered[key];
+  }
+
+  async renderBumperFormat(bumper, outputFormat, key) {
+    const renderedPath = bumper.path.replace(/(\.[^./]+)?$/, `_${key}.mp4`);
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      '-i', bumper.path,
+      ...(bumper.hasAudio ? [] : ['-f', 'lavfi', '-t', String(bumper.duration), '-i', 'anullsrc=r=48000:cl=stereo']),
+      '-filter_complex', `[0:v]fps=30,${renditionRenderer.fitFilter(outputFormat, 'pad')},format=yuv420p[v]`,
+      '-map', '[v]', '-map', bumper.hasAudio ? '0:a' : '1:a',
+      '-c:v', 'libx264', '-crf', '20', '-preset', 'fast',
+      '-c:a', 'aac', '-ac', '2', '-ar', '48000',
+      '-t', String(bumper.duration),
+      renderedPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      console.warn(`⚠️ Could not render bumper ${path.basename(bumper.path)} for ${key} (status ${status}), leaving it out`);
+    }
+    return status === 0 ? renderedPath : null;
+  }
+
+  // A language's narration track (see buildLanguageAudioTrack) lined up with
+  // the branded master: the bumpers' sound (or silence) before and after it
+  async wrapAudioTrack(audioPath, branding) {
+    const bumpers = [branding.intro, branding.outro].filter(Boolean);
+    if (bumpers.length === 0) {
+      return audioPath;
+    }
+
+    const bumperInput = bumper => bumper.hasAudio
+      ? ['-i', bumper.path]
+      : ['-f', 'lavfi', '-t', String(bumper.duration), '-i', 'anullsrc=r=48000:cl=stereo'];
+    const inputs = [
+      ...(branding.intro ? bumperInput(branding.intro) : []),
+      '-i', audioPath,
+      ...(branding.outro ? bumperInput(branding.outro) : [])
+    ];
+    const segments = Array.from({ length: bumpers.length + 1 }, (value, index) => index);
+    const filters = [
+      ...segments.map(index => `[${index}:a]aresample=48000,aformat=channel_layouts=stereo[s${index}]`),
+      `${segments.map(index => `[s${index}]`).join('')}concat=n=${segments.length}:v=0:a=1[track]`
+    ];
+
+    const wrappedPath = audioPath.replace(/(\.[^./]+)?$/, '_branded.m4a');
+    const { status } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      ...inputs,
+      '-filter_complex', filters.join(';'),
+      '-map', '[track]',
+      '-c:a', 'aac', '-b:a', '128k',
+      wrappedPath
+    ], { stdio: 'inherit' });
+    if (status !== 0) {
+      throw new Error(`Adding the bumpers to ${path.basename(audioPath)} failed with status ${status}`);
+    }
+    return wrappedPath;
+  }
+
+  // overlay filter putting the logo in a corner, LOGO_MARGIN from the edges
+  logoOverlay(position, outputFormat) {
+    const margin = Math.round(outputFormat.width * LOGO_MARGIN);
+    const x = position.endsWith('left') ? String(margin) : `W-w-${margin}`;
+    const y = position.startsWith('top') ? String(margin) : `H-h-${margin}`;
+    return `overlay=${x}:${y}`;
+  }
+
+  // drawbox / drawtext filters of the lower thirds: a bar in the brand's
+  // primary colour with an accent edge above the captions, the name in the
+  // heading font and the role under it in the body font. The text is written
+  // to files (and drawn without expansion) so names need no escaping.
+  async lowerThirdFilters(lowerThirds, branding, outputFormat, textDir, fileSuffix = '') {
+    const { width, height } = outputFormat;
+    const portrait = height > width;
+    const barX = Math.round(width * 0.05);
+    const barY = Math.round(height * (portrait ? 0.62 : 0.66));
+    const barWidth = Math.round(width * (portrait ? 0.9 : 0.45));
+    const barHeight = Math.round(height * (portrait ? 0.07 : 0.12));
+    const edge = Math.max(4, Math.round(width * 0.006));
+    const color = (hex, opacity = 1) => `0x${hex.replace('#', '')}@${opacity}`;
+    const duration = this.options.lowerThirdDuration;
+
+    const filters = await Promise.all(lowerThirds.map(async (lowerThird, index) => {
+      const start = lowerThird.start.toFixed(3);
+      const end = (lowerThird.start + duration).toFixed(3);
+      const enable = `enable='between(t,${start},${end})'`;
+      const alpha = `alpha='min(1,min((t-${start})/${LOWER_THIRD_FADE},(${end}-t)/${LOWER_THIRD_FADE}))'`;
+      const nameFile = path.join(textDir, `lower_third_${index + 1}${fileSuffix}_name.txt`);
+      const roleFile = path.join(textDir, `lower_third_${index + 1}${fileSuffix}_role.txt`);
+      const role = (lowerThird.role || '').length > MAX_ROLE_LENGTH ? `${lowerThird.role.slice(0, MAX_ROLE_LENGTH - 1).trim()}…` : lowerThird.role || '';
+      await fs.writeFile(nameFile, lowerThird.name, 'utf8');
+      await fs.writeFile(roleFile, role, 'utf8');
+
+      return [
+        `drawbox=x=${barX}:y=${barY}:w=${barWidth}:h=${barHeight}:color=${color(branding.palette.primary, 0.85)}:t=fill:${enable}`,
+        `drawbox=x=${barX}:y=${barY}:w=${edge}:h=${barHeight}:color=${color(branding.palette.accent)}:t=fill:${enable}`,
+        `drawtext=textfile='${subtitleService.escapeFilterPath(nameFile)}':expansion=none:font='${subtitleService.escapeFilterValue(branding.fonts.heading)}':fontsize=${Math.round(barHeight * 0.4)}:` +
+          `fontcolor=${color(branding.palette.text)}:x=${barX + edge * 4}:y=${barY + Math.round(barHeight * 0.12)}:${alpha}:${enable}`,
+        ...(role ? [`drawtext=textfile='${subtitleService.escapeFilterPath(roleFile)}':expansion=none:font='${subtitleService.escapeFilterValue(branding.fonts.body)}':fontsize=${Math.round(barHeight * 0.24)}:` +
+          `fontcolor=${color(branding.palette.text, 0.85)}:x=${barX + edge * 4}:y=${barY + Math.round(barHeight * 0.62)}:${alpha}:${enable}`] : [])
+      ];
+    }));
+    return filters.flat();
+  }
+}
+
+module.exports = new BrandingService();
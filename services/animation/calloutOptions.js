@@ -0,0 +1,40 @@
+// services/animation/calloutOptions.js - On-screen callout options a generate request can set (generationOptions.callouts)
+const __config = require('../../config');
+
+// What a callout shows: text is the headline, the figure ("72%"), the quote or
+// the date; detail is what the figure counts ("turnout"), who is quoted or what
+// happened on the date, and empty for a headline
+const CALLOUT_TYPES = ['headline', 'stat', 'quote', 'date'];
+
+// Most callouts shown in one scene; each gets an equal share of the scene
+const MAX_CALLOUTS_PER_SCENE = 2;
+
+// How each template draws a callout: on a box (in the palette's primary colour
+// for 'primary', its accent for 'accent') or outlined over the picture, the
+// motion the text enters with ('slide' in from the left, 'rise' from below or
+// only 'fade') and the size of the lettering relative to the default
+const CALLOUT_TEMPLATES = {
+  'news-card': { box: 'primary', motion: 'slide', scale: 1 },
+  minimal: { box: null, motion: 'fade', scale: 0.9 },
+  bold: { box: 'accent', motion: 'rise', scale: 1.25 }
+};
+
+const DEFAULT_CALLOUT_TEMPLATE = 'news-card';
+
+// enabled defaults to CALLOUTS_ENABLED, template to CALLOUT_TEMPLATE
+const resolveCalloutOptions = (generationOptions = {}) => {
+  const requested = generationOptions.callouts || {};
+  const isTemplate = template => Object.prototype.hasOwnProperty.call(CALLOUT_TEMPLATES, template);
+  return {
+    enabled: requested.enabled !== undefined ? requested.enabled : __config.callouts.enabled,
+    template: [requested.template, __config.callouts.template].find(isTemplate) || DEFAULT_CALLOUT_TEMPLATE
+  };
+};
+
+module.exports = {
+  CALLOUT_TYPES,
+  MAX_CALLOUTS_PER_SCENE,
+  CALLOUT_TEMPLATES,
+  DEFAULT_CALLOUT_TEMPLATE,
+  resolveCalloutOptions
+};
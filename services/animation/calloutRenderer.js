@@ -0,0 +1,151 @@
+// services/animation/calloutRenderer.js - Animated on-screen callouts (headlines, figures, quotes, dates) of a scene clip
+const fs = require('fs').promises;
+const subtitleService = require('./subtitleService');
+const { CALLOUT_TEMPLATES, DEFAULT_CALLOUT_TEMPLATE, MAX_CALLOUTS_PER_SCENE } = require('./calloutOptions');
+const { DEFAULT_PALETTE, DEFAULT_FONTS } = require('./brandingOptions');
+const __config = require('../../config');
+
+// Seconds the callouts wait after the start of their window and keep clear of its end
+const CALLOUT_DELAY = 0.5;
+const CALLOUT_END_GAP = 0.3;
+// A callout that would be on screen for less than this is left out
+const MIN_CALLOUT_DURATION = 1.5;
+// Seconds of the entrance and exit motion
+const CALLOUT_MOTION = 0.4;
+// Gap between the callout and the frame edges, as a fraction of the frame width
+const CALLOUT_MARGIN = 0.05;
+
+// Where each callout type sits and how large it is: y is a fraction of the
+// frame height, the font sizes of its shorter side (so portrait frames get the
+// lettering of a landscape one), maxLineLength is in characters for landscape
+// and portrait frames. Headlines and dates go top left (clear of the lower
+// thirds and captions), figures to the right, quotes centred.
+const LAYOUTS = {
+  headline: { align: 'left', y: 0.08, size: 0.055, detailSize: 0.035, maxLineLength: [38, 20] },
+  date: { align: 'left', y: 0.08, size: 0.045, detailSize: 0.032, maxLineLength: [32, 18] },
+  stat: { align: 'right', y: 0.3, size: 0.11, detailSize: 0.04, maxLineLength: [14, 10] },
+  quote: { align: 'center', y: 0.14, size: 0.045, detailSize: 0.032, maxLineLength: [44, 24] }
+};
+
+class CalloutRenderer {
+  constructor() {
+    this.options = __config.callouts;
+  }
+
+  // drawtext filters showing a scene clip's callouts one after another between
+  // start and end (seconds of the clip). callouts are { items, template,
+  // palette, fonts }; the palette and fonts are the brand's when the video is
+  // branded. The text is written to files starting with textPrefix.
+  async buildFilters(callouts, { outputFormat, start, end, textPrefix }) {
+    const items = (callouts.items || []).filter(callout => LAYOUTS[callout.type] && callout.text && callout.text.trim());
+    if (items.length === 0) {
+      return [];
+    }
+
+    const windowStart = start + CALLOUT_DELAY;
+    const windowEnd = end - CALLOUT_END_GAP;
+    let count = Math.min(items.length, MAX_CALLOUTS_PER_SCENE);
+    while (count > 0 && (windowEnd - windowStart) / count < MIN_CALLOUT_DURATION) {
+      count--;
+    }
+    if (count < items.length) {
+      console.warn(`⚠️ Only ${count} of ${items.length} callouts fit the scene, leaving the rest out`);
+    }
+
+    const slot = (windowEnd - windowStart) / Math.max(count, 1);
+    const duration = Math.min(this.options.maxDuration, slot - 0.2);
+    const style = {
+      template: CALLOUT_TEMPLATES[callouts.template] || CALLOUT_TEMPLATES[DEFAULT_CALLOUT_TEMPLATE],
+      palette: { ...DEFAULT_PALETTE, ...(callouts.palette || {}) },
+      fonts: { ...DEFAULT_FONTS, ...(callouts.fonts || {}) }
+    };
+
+    const filters = await Promise.all(items.slice(0, count).map((callout, index) => {
+      const calloutStart = windowStart + index * slot;
+      return this.calloutFilters(callout, style, outputFormat, calloutStart, calloutStart + duration, `${textPrefix}_callout_${index + 1}`);
+    }));
+    return filters.flat();
+  }
+
+  // The drawtext filters of one callout: its text and, under it, its detail
+  async calloutFilters(callout, { template, palette, fonts }, outputFormat, start, end, textPrefix) {
+    const { width, height } = outputFormat;
+    const layout = LAYOUTS[callout.type];
+    const maxLineLength = layout.maxLineLength[height > width ? 1 : 0];
+    const fontSize = Math.round(Math.min(width, height) * layout.size * template.scale);
+    const detailSize = Math.round(Math.min(width, height) * layout.detailSize * template.scale);
+    const text = callout.type === 'quote' ? `“${callout.text.trim()}”` : callout.text.trim();
+    const detail = (callout.detail || '').trim()
+      ? `${callout.type === 'quote' ? '— ' : ''}${callout.detail.trim()}`
+      : '';
+
+    const lines = subtitleService.wrapLines(text, maxLineLength);
+    const padding = template.box ? Math.round(fontSize * 0.35) : 0;
+    const lineSpacing = Math.round(fontSize * 0.2);
+    const y = Math.round(height * layout.y);
+    const detailY = y + lines.length * (fontSize + lineSpacing) + padding * 2 + Math.round(detailSize * 0.4);
+
+    const color = (hex, opacity = 1) => `0x${hex.replace('#', '')}@${opacity}`;
+    const filters = [await this.drawText(lines.join('\n'), `${textPrefix}_text.txt`, {
+      font: fonts.heading,
+      fontSize: fontSize,
+      fontColor: color(palette.text),
+      box: template.box && color(palette[template.box], 0.85),
+      padding: padding,
+      lineSpacing: lineSpacing,
+      align: layout.align,
+      y: y
+    }, template, outputFormat, start, end)];
+
+    if (detail) {
+      const detailLines = subtitleService.wrapLines(detail, Math.round(maxLineLength * layout.size / layout.detailSize));
+      filters.push(await this.drawText(detailLines.join('\n'), `${textPrefix}_detail.txt`, {
+        font: fonts.body,
+        fontSize: detailSize,
+        // on a primary box the detail is in the accent colour, which may not read over the picture
+        fontColor: template.box ? color(template.box === 'primary' ? palette.accent : palette.text) : color(palette.text, 0.9),
+        box: template.box && color(palette.primary, 0.85),
+        padding: template.box ? Math.round(detailSize * 0.35) : 0,
+        lineSpacing: Math.round(detailSize * 0.2),
+        align: layout.align,
+        y: detailY
+      }, template, outputFormat, start, end));
+    }
+    return filters;
+  }
+
+  // One drawtext filter entering with the template's motion and fading out by
+  // `end`. The text goes through a file (and no expansion) so figures like
+  // "72%" and quotes need no escaping.
+  async drawText(text, textFile, { font, fontSize, fontColor, box, padding, lineSpacing, align, y }, template, outputFormat, start, end) {
+    await fs.writeFile(textFile, text, 'utf8');
+
+    const margin = Math.round(outputFormat.width * CALLOUT_MARGIN) + padding;
+    const x = { left: String(margin), right: `w-tw-${margin}`, center: '(w-tw)/2' }[align];
+    // eases from 1 to 0 over the entrance
+    const remaining = `pow(1-min(1,(t-${start.toFixed(3)})/${CALLOUT_MOTION}),2)`;
+    let xExpr = x;
+    let yExpr = String(y);
+    if (template.motion === 'slide') {
+      xExpr = align === 'right' ? `${x}+(${margin}+tw)*${remaining}` : `${x}-(${x}+tw)*${remaining}`;
+    } else if (template.motion === 'rise') {
+      yExpr = `${y}+h*0.04*${remaining}`;
+    }
+    const alpha = `min(1,min((t-${start.toFixed(3)})/${CALLOUT_MOTION},(${end.toFixed(3)}-t)/${CALLOUT_MOTION}))`;
+
+    return [
+      `drawtext=textfile='${subtitleService.escapeFilterPath(textFile)}':expansion=none`,
+      `font='${subtitleService.escapeFilterValue(font)}'`,
+      `fontsize=${fontSize}`,
+      `fontcolor=${fontColor}`,
+      `line_spacing=${lineSpacing}`,
+      ...(box ? ['box=1', `boxcolor=${box}`, `boxborderw=${padding}`] : ['borderw=2', 'bordercolor=0x000000@0.7']),
+      `x='${xExpr}'`,
+      `y='${yExpr}'`,
+      `alpha='${alpha}'`,
+      `enable='between(t,${start.toFixed(3)},${end.toFixed(3)})'`
+    ].join(':');
+  }
+}
+
+module.exports = new CalloutRenderer();
@@ -0,0 +1,207 @@
+// services/animation/kenBurnsRenderer.js - Local Ken Burns / parallax renderer that turns a still scene image into a clip
+const fs = require('fs').promises;
+const path = require('path');
+const { runProcess } = require('../../lib/util/childProcess');
+
+// Base zoom / pan travel per scene type (fraction of the frame covered over the clip)
+const SCENE_TYPE_MOTION = {
+  action: { type: 'parallax', amount: 0.25 },
+  landscape: { type: 'pan-right', amount: 0.15 },
+  emotional: { type: 'push-in', amount: 0.15 },
+  dialogue: { type: 'push-in', amount: 0.08 },
+  standard: { type: null, amount: 0.12 }
+};
+
+// Camera angle keywords from the story structure, checked in order
+const CAMERA_ANGLE_MOTION = [
+  { keywords: ['close-up', 'close up', 'closeup'], type: 'push-in' },
+  { keywords: ['establishing', 'wide', 'long shot', 'panoramic'], type: 'pan-right' },
+  { keywords: ['low angle', 'low-angle', 'worm'], type: 'pan-up' },
+  { keywords: ['high angle', 'high-angle', 'aerial', 'bird', 'overhead'], type: 'pull-out' },
+  { keywords: ['over-the-shoulder', 'over the shoulder'], type: 'pan-left' },
+  { keywords: ['tracking', 'dolly', 'panning'], type: 'pan-right' }
+];
+
+// The second shot used for the crossfade on longer clips
+const SECONDARY_MOTION = {
+  'push-in': 'pan-right',
+  'pull-out': 'push-in',
+  'pan-left': 'push-in',
+  'pan-right': 'push-in',
+  'pan-up': 'pull-out',
+  'pan-down': 'push-in',
+  parallax: 'push-in'
+};
+
+class KenBurnsRenderer {
+  constructor() {
+    this.fps = 30;
+    this.crossfadeDuration = 1;
+    // Clips at least this long are split into two shots joined by a crossfade
+    this.crossfadeMinDuration = 8;
+  }
+
+  // Pick the camera move for a scene from its cameraAngle, then its sceneType,
+  // then the mood's motion.camera description. Mood intensity and the camera
+  // description scale how far the camera travels.
+  selectMotion(scene = {}) {
+    const angle = (scene.cameraAngle || '').toLowerCase();
+    const camera = ((scene.moodConfig && scene.moodConfig.motion && scene.moodConfig.motion.camera) || '').toLowerCase();
+    const sceneTypeMotion = SCENE_TYPE_MOTION[scene.sceneType] || SCENE_TYPE_MOTION.standard;
+
+    let type = null;
+    const angleMatch = CAMERA_ANGLE_MOTION.find(entry => entry.keywords.some(keyword => angle.includes(keyword)));
+    if (angleMatch) type = angleMatch.type;
+    if (!type) type = sceneTypeMotion.type;
+    if (!type) {
+      if (camera.includes('upward')) type = 'pan-up';
+      else if (camera.includes('push')) type = 'push-in';
+      else if (camera.includes('reflective') || camera.includes('distance')) type = 'pull-out';
+      else type = 'push-in';
+    }
+
+    let amount = sceneTypeMotion.amount;
+    if (/minimal|steady|stable|controlled/.test(camera)) amount *= 0.6;
+    if (/energetic|celebratory/.test(camera)) amount *= 1.3;
+    const intensity = Math.min(10, Math.max(1, scene.moodIntensity || 5));
+    amount *= 0.7 + (intensity / 10) * 0.6;
+
+    return {
+      type,
+      amount: Number(Math.min(0.35, Math.max(0.04, amount)).toFixed(3)),
+      secondaryType: SECONDARY_MOTION[type] || 'push-in'
+    };
+  }
+
+  // Crop the still to the output aspect ratio at twice the output size so
+  // zoompan has enough pixels to move without visible stepping
+  prepareFilter(width, height) {
+    return `scale=${width * 2}:${height * 2}:force_original_aspect_ratio=increase,crop=${width * 2}:${height * 2},setsar=1`;
+  }
+
+  // zoompan for a single camera move over `frames` frames, eased with smoothstep
+  zoompanFilter(type, amount, frames, width, height) {
+    const p = `(on/${frames})`;
+    const ease = `(${p}*${p}*(3-2*${p}))`;
+    const centerX = 'iw/2-(iw/zoom/2)';
+    const centerY = 'ih/2-(ih/zoom/2)';
+    const panZoom = (1 + amount).toFixed(3);
+
+    let z;
+    let x = centerX;
+    let y = centerY;
+    switch (type) {
+      case 'pull-out':
+        z = `${panZoom}-${amount}*${ease}`;
+        break;
+      case 'pan-left':
+        z = panZoom;
+        x = `(iw-iw/zoom)*(1-${ease})`;
+        break;
+      case 'pan-right':
+        z = panZoom;
+        x = `(iw-iw/zoom)*${ease}`;
+        break;
+      case 'pan-up':
+        z = panZoom;
+        y = `(ih-ih/zoom)*(1-${ease})`;
+        break;
+      case 'pan-down':
+        z = panZoom;
+        y = `(ih-ih/zoom)*${ease}`;
+        break;
+      case 'push-in':
+      default:
+        z = `1+${amount}*${ease}`;
+        break;
+    }
+
+    return `zoompan=z='${z}':x='${x}':y='${y}':d=${frames}:s=${width}x${height}:fps=${this.fps}`;
+  }
+
+  // Two-layer parallax: the full frame drifts slowly while the lower band of
+  // the image (usually the ground and characters) is enlarged and slides
+  // faster, with a feathered top edge so the seam is not visible
+  parallaxFilter(input, duration, amount, width, height, label) {
+    const bgWidth = Math.round(width * (1 + amount / 2));
+    const bgHeight = Math.round(height * (1 + amount / 2));
+    const fgWidth = Math.round(width * (1 + amount * 1.5));
+    const bandHeight = Math.round(height * 0.45);
+    const d = duration.toFixed(3);
+
+    return [
+      `[${input}]scale=${bgWidth}:${bgHeight}:force_original_aspect_ratio=increase,crop=${bgWidth}:${bgHeight},setsar=1,split[${label}bgsrc][${label}fgsrc]`,
+      `[${label}bgsrc]crop=${width}:${height}:x='(iw-ow)*t/${d}':y='(ih-oh)/2'[${label}bg]`,
+      `[${label}fgsrc]trim=end_frame=1,crop=iw:ih*0.45:0:ih*0.55,scale=${fgWidth}:-2,format=rgba,` +
+        `geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='255*min(1,Y/(H*0.3))',loop=loop=-1:size=1:start=0,setpts=N/${this.fps}/TB[${label}fg]`,
+      `[${label}bg][${label}fg]overlay=x='-(overlay_w-main_w)*t/${d}':y=main_h-${bandHeight}:shortest=1,fps=${this.fps},trim=duration=${d}[${label}]`
+    ].join(';');
+  }
+
+  // zoompan expands one input frame into the whole shot; the parallax overlay
+  // animates on time instead, so it needs the still looped for the duration
+  inputArgs(imagePath, type, duration) {
+    if (type === 'parallax') {
+      return ['-loop', '1', '-framerate', String(this.fps), '-t', duration.toFixed(3), '-i', imagePath];
+    }
+    return ['-i', imagePath];
+  }
+
+  shotFilter(input, type, amount, duration, width, height, label) {
+    if (type === 'parallax') {
+      return this.parallaxFilter(input, duration, amount, width, height, label);
+    }
+    const frames = Math.round(duration * this.fps);
+    return `[${input}]${this.prepareFilter(width, height)},${this.zoompanFilter(type, amount, frames, width, height)},trim=duration=${duration.toFixed(3)}[${label}]`;
+  }
+
+  // Render `imagePath` into an mp4 of `duration` seconds at width x height.
+  // options.motion overrides the motion picked from the scene.
+  async render({ imagePath, outputPath, duration, scene = {}, width = 1920, height = 1080, motion = null, crossfade = true }) {
+    await fs.access(imagePath);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+    const selected = motion || this.selectMotion(scene);
+    const useCrossfade = crossfade && duration >= this.crossfadeMinDuration;
+
+    const filters = [];
+    const inputArgs = [];
+
+    if (useCrossfade) {
+      // two shots overlapping by the crossfade duration
+      const shotDuration = (duration + this.crossfadeDuration) / 2;
+      inputArgs.push(...this.inputArgs(imagePath, selected.type, shotDuration));
+      inputArgs.push(...this.inputArgs(imagePath, selected.secondaryType, shotDuration));
+      filters.push(this.shotFilter('0:v', selected.type, selected.amount, shotDuration, width, height, 'shota'));
+      filters.push(this.shotFilter('1:v', selected.secondaryType, selected.amount * 0.7, shotDuration, width, height, 'shotb'));
+      filters.push(`[shota][shotb]xfade=transition=fade:duration=${this.crossfadeDuration}:offset=${(shotDuration - this.crossfadeDuration).toFixed(3)},format=yuv420p[out]`);
+    } else {
+      inputArgs.push(...this.inputArgs(imagePath, selected.type, duration));
+      filters.push(this.shotFilter('0:v', selected.type, selected.amount, duration, width, height, 'shota'));
+      filters.push('[shota]format=yuv420p[out]');
+    }
+
+    const ffArgs = [
+      '-y',
+      ...inputArgs,
+      '-filter_complex', filters.join(';'),
+      '-map', '[out]',
+      '-t', duration.toFixed(3),
+      '-r', String(this.fps),
+      '-c:v', 'libx264', '-crf', '20', '-preset', 'fast',
+      '-pix_fmt', 'yuv420p',
+      '-an',
+      outputPath
+    ];
+
+    console.log(`🎞️ Rendering ${selected.type}${useCrossfade ? ` → ${selected.secondaryType}` : ''} Ken Burns clip (${duration}s, travel ${selected.amount})`);
+    const { status, error } = await runProcess('ffmpeg', ffArgs, { stdio: 'inherit' });
+    if (status !== 0) {
+      throw new Error(`ffmpeg Ken Burns render failed with status ${status}${error ? `: ${error.message}` : ''}`);
+    }
+
+    return { outputPath, motion: selected, duration };
+  }
+}
+
+module.exports = new KenBurnsRenderer();
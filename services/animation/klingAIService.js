@@ -577,6 +577,7 @@ class KlingAIService {
         image: imageUrl,
         prompt: moodEnhancedPrompt,
         duration: "10",
+        aspect_ratio: aspectRatio,
         mode: moodSettings.preferredMode,
         cfg_scale: moodSettings.cfg_scale
       };
@@ -604,6 +605,53 @@ class KlingAIService {
     }
   }
 
+  // Submit an image-to-video task to the direct Kling AI API without waiting for it
+  async submitVideoViaDirect(imageUrl, prompt, mood = 'professional', moodIntensity = 5, aspectRatio = '16:9') {
+    const moodSettings = this.getMoodSettings(mood, moodIntensity);
+    const moodEnhancedPrompt = this.enhancePromptWithMoodCharacteristics(prompt, mood, moodSettings);
+
+    const response = await this.makeAuthenticatedRequest('POST', '/videos/image2video', {
+      model_name: 'kling-v1-6',
+      image: imageUrl,
+      prompt: moodEnhancedPrompt,
+      duration: "10",
+      aspect_ratio: aspectRatio,
+      mode: moodSettings.preferredMode,
+      cfg_scale: moodSettings.cfg_scale
+    });
+
+    if (response.code !== 0) {
+      throw new Error(`${mood} mood video submission failed: ${response.message}`);
+    }
+
+    console.log(`✅ Direct API ${mood} mood video task submitted with ID: ${response.data.task_id}`);
+    return response.data.task_id;
+  }
+
+  // Single status check of a direct Kling AI task
+  async getVideoGenerationStatus(taskId) {
+    const response = await this.makeAuthenticatedRequest('GET', `/videos/generations/${taskId}`);
+    if (response.code !== 0) {
+      throw new Error(`Failed to read task ${taskId}: ${response.message}`);
+    }
+
+    const task = response.data;
+    if (task.status === 'succeed') {
+      return {
+        status: 'succeeded',
+        videoUrl: task.task_result.videos[0].url,
+        duration: task.task_result.duration || 5
+      };
+    }
+    if (task.status === 'failed') {
+      return {
+        status: 'failed',
+        error: task.task_result?.fail_reason || 'Unknown error'
+      };
+    }
+    return { status: 'pending' };
+  }
+
   // Poll video generation status
   async pollVideoGeneration(taskId) {
     let attempts = 0;
@@ -696,7 +744,7 @@ class KlingAIService {
   }
 
   // UPDATED: Enhanced video generation with mood-aware fallbacks (now uses Fal.ai as primary)
-  async generateVideoWithFallback(imageUrl, motionDescription, duration, sceneType = 'standard', mood = 'professional', moodIntensity = 5) {
+  async generateVideoWithFallback(imageUrl, motionDescription, duration, sceneType = 'standard', mood = 'professional', moodIntensity = 5, aspectRatio = '16:9') {
     const maxRetries = 3;
     let lastError;
 
@@ -713,19 +761,19 @@ class KlingAIService {
             imageUrl, 
             motionDescription, 
             duration, 
-            '16:9',
+            aspectRatio,
             'std',
             mood,
             moodIntensity
           );
         } else if (attempt === 2) {
           // Second try with direct Kling AI API
-          return await this.generateVideo(imageUrl, motionDescription, duration, '16:9', 'std', mood, moodIntensity);
+          return await this.generateVideo(imageUrl, motionDescription, duration, aspectRatio, 'std', mood, moodIntensity);
         } else {
           // Final fallback: simplified prompt with mood but reduced intensity
           const simplifiedMoodIntensity = Math.max(1, moodIntensity - 2);
           const simplePrompt = `Disney animation: ${motionDescription.split(',')[0]} with ${mood} mood`;
-          return await this.generateVideo(imageUrl, simplePrompt, duration, '16:9', 'std', mood, simplifiedMoodIntensity);
+          return await this.generateVideo(imageUrl, simplePrompt, duration, aspectRatio, 'std', mood, simplifiedMoodIntensity);
         }
         
       } catch (error) {
@@ -0,0 +1,53 @@
+// services/animation/languages.js - Narration languages an animation can be produced in
+//
+// The first entry of generationOptions.languages is the primary language: the story's
+// narration is written in it and the master video carries its voice and captions. Every
+// other entry gets a translated narration, voiced with the same (multilingual) voice.
+
+// iso6392 is the code written to the MP4 stream metadata; wordsPerSecond is a natural
+// narration pace, used to keep translations within the scene duration
+const LANGUAGES = {
+  en: { code: 'en', name: 'English', iso6392: 'eng', wordsPerSecond: 2.5 },
+  hi: { code: 'hi', name: 'Hindi', iso6392: 'hin', wordsPerSecond: 2.3 },
+  bn: { code: 'bn', name: 'Bengali', iso6392: 'ben', wordsPerSecond: 2.1 },
+  mr: { code: 'mr', name: 'Marathi', iso6392: 'mar', wordsPerSecond: 2.0 },
+  ta: { code: 'ta', name: 'Tamil', iso6392: 'tam', wordsPerSecond: 1.8 },
+  te: { code: 'te', name: 'Telugu', iso6392: 'tel', wordsPerSecond: 1.9 },
+  gu: { code: 'gu', name: 'Gujarati', iso6392: 'guj', wordsPerSecond: 2.1 },
+  kn: { code: 'kn', name: 'Kannada', iso6392: 'kan', wordsPerSecond: 1.8 },
+  ml: { code: 'ml', name: 'Malayalam', iso6392: 'mal', wordsPerSecond: 1.7 },
+  ur: { code: 'ur', name: 'Urdu', iso6392: 'urd', wordsPerSecond: 2.3 },
+  es: { code: 'es', name: 'Spanish', iso6392: 'spa', wordsPerSecond: 2.7 },
+  pt: { code: 'pt', name: 'Portuguese', iso6392: 'por', wordsPerSecond: 2.6 },
+  fr: { code: 'fr', name: 'French', iso6392: 'fra', wordsPerSecond: 2.6 },
+  de: { code: 'de', name: 'German', iso6392: 'deu', wordsPerSecond: 2.2 },
+  ar: { code: 'ar', name: 'Arabic', iso6392: 'ara', wordsPerSecond: 2.1 },
+  id: { code: 'id', name: 'Indonesian', iso6392: 'ind', wordsPerSecond: 2.4 }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// 'tracks' muxes every language into the master MP4 as extra audio and subtitle
+// streams; 'separate' renders a localized MP4 per language
+const LANGUAGE_OUTPUTS = ['tracks', 'separate'];
+
+const getLanguage = (code) => LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+
+const resolveLanguages = (generationOptions = {}) => {
+  const requested = [...new Set(generationOptions.languages || [])].filter(code => LANGUAGES[code]);
+  const [primary = DEFAULT_LANGUAGE, ...additional] = requested;
+
+  return {
+    primary: primary,
+    additional: additional,
+    output: LANGUAGE_OUTPUTS.includes(generationOptions.languageOutput) ? generationOptions.languageOutput : 'tracks'
+  };
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_OUTPUTS,
+  getLanguage,
+  resolveLanguages
+};
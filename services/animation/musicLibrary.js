@@ -0,0 +1,98 @@
+// services/animation/musicLibrary.js - Royalty-free background music by mood, with an optional remote generator
+//
+// The library is a directory (MUSIC_LIBRARY_DIR, default assets/music) with a
+// folder per mood, named like the keys of moodConfigurations (serious,
+// hopeful, ...), holding MP3 / M4A / WAV / OGG tracks. A track's id is
+// "<mood>/<file name without extension>".
+//
+// The generator is any HTTP endpoint (e.g. a proxy in front of AIVA) that takes
+// a POST of { mood, duration, description } and answers with the audio file.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const __config = require('../../config');
+
+const TRACK_EXTENSIONS = ['.mp3', '.m4a', '.wav', '.ogg'];
+
+// Library of the mood-neutral tracks used for a mood without any of its own
+const FALLBACK_MOOD = 'professional';
+
+class MusicLibrary {
+  constructor() {
+    this.options = __config.music;
+    this.libraryDir = this.options.libraryDir || path.join(__dirname, '../../assets/music');
+    this.index = null;
+  }
+
+  // Indexed once per process; tracks added later are picked up after a restart
+  getIndex() {
+    if (!this.index) {
+      this.index = new Map();
+      if (fs.existsSync(this.libraryDir)) {
+        fs.readdirSync(this.libraryDir, { withFileTypes: true })
+          .filter(entry => entry.isDirectory())
+          .forEach(entry => {
+            const mood = entry.name.toLowerCase();
+            const tracks = fs.readdirSync(path.join(this.libraryDir, entry.name))
+              .filter(file => TRACK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+              .sort()
+              .map(file => ({
+                id: `${mood}/${path.parse(file).name}`,
+                mood: mood,
+                path: path.join(this.libraryDir, entry.name, file)
+              }));
+            if (tracks.length > 0) this.index.set(mood, tracks);
+          });
+      }
+      console.log(`🎼 Music library ${this.libraryDir}: ${this.listTracks().length} tracks for ${this.index.size} moods`);
+    }
+    return this.index;
+  }
+
+  listTracks(mood = null) {
+    const index = this.getIndex();
+    return mood ? index.get(mood) || [] : [...index.values()].flat();
+  }
+
+  getTrack(id) {
+    return this.listTracks().find(track => track.id === id) || null;
+  }
+
+  // The same seed always picks the same track, so a re-assembled animation
+  // keeps its music. Moods without tracks use the FALLBACK_MOOD ones.
+  pickTrack(mood, seed) {
+    const tracks = this.listTracks(mood).length > 0 ? this.listTracks(mood) : this.listTracks(FALLBACK_MOOD);
+    if (tracks.length === 0) {
+      return null;
+    }
+    const hash = crypto.createHash('md5').update(`${mood}:${seed}`).digest();
+    return tracks[hash.readUInt32BE(0) % tracks.length];
+  }
+
+  isGeneratorConfigured() {
+    return Boolean(this.options.generator.url);
+  }
+
+  // Ask the generator for duration seconds of music for the mood and write it to outputPath
+  async generateTrack(mood, duration, description, outputPath) {
+    const { url, apiKey, timeout } = this.options.generator;
+    const response = await axios.post(url, {
+      mood: mood,
+      duration: Math.ceil(duration),
+      description: description
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      },
+      responseType: 'arraybuffer',
+      timeout: timeout
+    });
+
+    await fs.promises.writeFile(outputPath, Buffer.from(response.data));
+    return outputPath;
+  }
+}
+
+module.exports = new MusicLibrary();
@@ -0,0 +1,29 @@
+// services/animation/musicOptions.js - Background music options a generate request can set (generationOptions.music)
+const __config = require('../../config');
+
+// 'library' picks royalty-free tracks from the local library by mood;
+// 'generated' asks the music generator (MUSIC_GENERATOR_URL) first and falls
+// back to the library
+const MUSIC_SOURCES = ['library', 'generated'];
+
+// volume is in dB around the configured music loudness (MUSIC_TARGET_LUFS)
+const MUSIC_VOLUME_RANGE = { min: -20, max: 10 };
+
+// track is a library track id ("<mood>/<name>") used for the whole video
+// instead of a track per mood
+const resolveMusicOptions = (generationOptions = {}) => {
+  const requested = generationOptions.music || {};
+  const volume = Number(requested.volume) || 0;
+  return {
+    enabled: requested.enabled !== undefined ? requested.enabled : __config.music.enabled,
+    source: MUSIC_SOURCES.includes(requested.source) ? requested.source : __config.music.generator.url ? 'generated' : 'library',
+    track: requested.track || null,
+    volume: Math.min(MUSIC_VOLUME_RANGE.max, Math.max(MUSIC_VOLUME_RANGE.min, volume))
+  };
+};
+
+module.exports = {
+  MUSIC_SOURCES,
+  MUSIC_VOLUME_RANGE,
+  resolveMusicOptions
+};
@@ -0,0 +1,80 @@
+// services/animation/narrationTranslator.js - Translates scene narration so the voice-over still fits each scene
+const OpenAI = require('openai');
+const { z } = require('zod');
+const { zodTextFormat } = require('openai/helpers/zod');
+const { getLanguage } = require('./languages');
+
+const TranslationSchema = z.object({
+  scenes: z.array(z.object({
+    sceneNumber: z.number(),
+    narration: z.string()
+  }))
+});
+
+const CondensedSchema = z.object({
+  narration: z.string()
+});
+
+class NarrationTranslator {
+  constructor() {
+    this.openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+    this.model = 'gpt-4o-2024-08-06';
+  }
+
+  // Longest narration, in words, that can be spoken in `seconds` at a natural pace
+  maxWords(language, seconds) {
+    return Math.max(3, Math.floor(getLanguage(language).wordsPerSecond * seconds));
+  }
+
+  // Translate every scene in one request so names and terms stay consistent
+  // across scenes. scenes are { sceneNumber, narration, targetSeconds }; resolves
+  // with a Map of sceneNumber to the translated narration.
+  async translateScenes(scenes, targetLanguage, sourceLanguage) {
+    const target = getLanguage(targetLanguage);
+    const source = getLanguage(sourceLanguage);
+    console.log(`🌐 Translating narration of ${scenes.length} scenes from ${source.name} to ${target.name}`);
+
+    const systemPrompt = `You translate the voice-over of animated news stories from ${source.name} to ${target.name}. Keep the facts, names, numbers and the tone of each scene exactly. Write natural spoken ${target.name} for a professional news narrator, in its usual script. Every scene has a word limit so the voice-over fits the scene: stay within it, shortening the wording rather than dropping facts.`;
+    const userPrompt = scenes.map(scene =>
+      `Scene ${scene.sceneNumber} (at most ${this.maxWords(targetLanguage, scene.targetSeconds)} words, spoken within ${scene.targetSeconds.toFixed(1)}s):\n${scene.narration}`
+    ).join('\n\n');
+
+    const response = await this.openai.responses.parse({
+      model: this.model,
+      input: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      text: {
+        format: zodTextFormat(TranslationSchema, 'translation')
+      }
+    });
+
+    const translations = new Map(response.output_parsed.scenes.map(scene => [scene.sceneNumber, scene.narration.trim()]));
+    const missing = scenes.filter(scene => !translations.get(scene.sceneNumber));
+    if (missing.length > 0) {
+      throw new Error(`${target.name} translation is missing scenes ${missing.map(scene => scene.sceneNumber).join(', ')}`);
+    }
+    return translations;
+  }
+
+  // Shorter rewrite of a translation whose voice-over ran past the scene
+  async condense(narration, language, targetSeconds, spokenSeconds) {
+    const { name } = getLanguage(language);
+    const response = await this.openai.responses.parse({
+      model: this.model,
+      input: [
+        { role: 'system', content: `You shorten ${name} news voice-over so it can be spoken in the given time. Keep the facts, names and tone; answer in ${name}.` },
+        { role: 'user', content: `This narration takes ${spokenSeconds.toFixed(1)}s to speak but must fit in ${targetSeconds.toFixed(1)}s (at most ${this.maxWords(language, targetSeconds)} words):\n${narration}` }
+      ],
+      text: {
+        format: zodTextFormat(CondensedSchema, 'condensed')
+      }
+    });
+    return response.output_parsed.narration.trim();
+  }
+}
+
+module.exports = new NarrationTranslator();
@@ -0,0 +1,39 @@
+// services/animation/outputFormats.js - Aspect ratios an animation can be rendered in
+//
+// The first entry of generationOptions.outputFormats is the master: scene images and
+// clips are generated natively in it. Every other entry is a rendition derived from the
+// master's scene clips by cropping or padding (see renditionRenderer).
+
+// imageSize is the gpt-image-1 size closest to the aspect ratio; the subtitle values are
+// libass units (relative to a 288 line high script), so portrait frames need smaller text
+const OUTPUT_FORMATS = {
+  '16:9': { aspectRatio: '16:9', orientation: 'landscape', width: 1920, height: 1080, imageSize: '1536x1024', subtitleFontSize: 16, subtitleMarginV: 30 },
+  '9:16': { aspectRatio: '9:16', orientation: 'vertical', width: 1080, height: 1920, imageSize: '1024x1536', subtitleFontSize: 9, subtitleMarginV: 40 },
+  '1:1': { aspectRatio: '1:1', orientation: 'square', width: 1080, height: 1080, imageSize: '1024x1024', subtitleFontSize: 12, subtitleMarginV: 30 }
+};
+
+const DEFAULT_OUTPUT_FORMAT = '16:9';
+
+// crop keeps the busiest part of each scene; pad fits the whole frame over a blurred fill
+const RENDITION_FITS = ['crop', 'pad'];
+
+const getOutputFormat = (aspectRatio) => OUTPUT_FORMATS[aspectRatio] || OUTPUT_FORMATS[DEFAULT_OUTPUT_FORMAT];
+
+const resolveOutputFormats = (generationOptions = {}) => {
+  const requested = [...new Set(generationOptions.outputFormats || [])].filter(aspectRatio => OUTPUT_FORMATS[aspectRatio]);
+  const [master = DEFAULT_OUTPUT_FORMAT, ...renditions] = requested;
+
+  return {
+    master: OUTPUT_FORMATS[master],
+    renditions: renditions.map(aspectRatio => OUTPUT_FORMATS[aspectRatio]),
+    fit: RENDITION_FITS.includes(generationOptions.renditionFit) ? generationOptions.renditionFit : 'crop'
+  };
+};
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_FORMAT,
+  RENDITION_FITS,
+  getOutputFormat,
+  resolveOutputFormats
+};
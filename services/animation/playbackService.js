@@ -0,0 +1,398 @@
+// services/animation/playbackService.js - Signed playback URLs and publishing of finished animations
+const path = require('path');
+const axios = require('axios');
+const __config = require('../../config');
+const Animation = require('../../mongooseSchema/Animation');
+const storage = require('../../lib/storage');
+const { contentTypeFor } = require('../../lib/storage/contentTypes');
+const { resolveLanguages } = require('./languages');
+
+// Where final videos were copied before storage drivers existed; those records
+// have the absolute file path as videoUrl and no storage key
+const LEGACY_VIDEO_DIR = path.join(process.cwd(), 'public', 'animations');
+
+class PlaybackService {
+  constructor() {
+    this.expiresIn = __config.storage.playbackUrlExpiry;
+  }
+
+  // Resolvable URL of the video route, stored as videoUrl for locally stored
+  // videos instead of a path on this server
+  getVideoRouteUrl(animationId, variant = null, format = null, language = null) {
+    const query = [
+      variant === 'draft' ? 'variant=draft' : null,
+      format ? `format=${encodeURIComponent(format)}` : null,
+      language ? `language=${encodeURIComponent(language)}` : null
+    ].filter(Boolean).join('&');
+    return `${this.getAnimationRouteUrl(animationId)}/video${query ? `?${query}` : ''}`;
+  }
+
+  // GET /:animationId/subtitles.vtt (or .srt); players load captions from it
+  getSubtitlesRouteUrl(animationId, format = 'vtt', language = null) {
+    return `${this.getAnimationRouteUrl(animationId)}/subtitles.${format}${language ? `?language=${encodeURIComponent(language)}` : ''}`;
+  }
+
+  // GET /:animationId/thumbnail.jpg: the poster in `size` (the first of
+  // THUMBNAIL_SIZES when not given) or the thumbnail of a scene
+  getThumbnailRouteUrl(animationId, { size = null, sceneNumber = null } = {}) {
+    const query = [
+      size ? `size=${encodeURIComponent(size)}` : null,
+      sceneNumber ? `scene=${sceneNumber}` : null
+    ].filter(Boolean).join('&');
+    return `${this.getAnimationRouteUrl(animationId)}/thumbnail.jpg${query ? `?${query}` : ''}`;
+  }
+
+  // The thumbnails of a record as the API returns them; lists leave out the scenes
+  describeThumbnails(animationId, thumbnails, { scenes = true } = {}) {
+    if (!thumbnails || !thumbnails.sizes) {
+      return null;
+    }
+    return {
+      source: thumbnails.source,
+      sceneNumber: thumbnails.sceneNumber,
+      posterUrl: thumbnails.sizes.length > 0 ? this.getThumbnailRouteUrl(animationId) : null,
+      sizes: thumbnails.sizes.map(size => ({
+        name: size.name,
+        width: size.width,
+        height: size.height,
+        url: this.getThumbnailRouteUrl(animationId, { size: size.name })
+      })),
+      ...(scenes && {
+        scenes: (thumbnails.scenes || []).map(scene => ({
+          sceneNumber: scene.sceneNumber,
+          time: scene.time,
+          score: scene.score,
+          url: this.getThumbnailRouteUrl(animationId, { sceneNumber: scene.sceneNumber })
+        }))
+      })
+    };
+  }
+
+  getAnimationRouteUrl(animationId) {
+    const apiPrefix = __config.addBaseUrlPrefix === true ? '/' + __config.api_prefix : '';
+    return `${__config.base_url}${apiPrefix}/api/animation/${animationId}`;
+  }
+
+  // The video a request refers to: the draft animatic while the animation is
+  // draft_ready (or when variant is 'draft'), otherwise the final video in the
+  // requested rendition format (the master when no format is given). Another
+  // narration language is the master itself when it is muxed in as an audio
+  // track, otherwise its localized video; it has no drafts or renditions.
+  selectVideo(animation, { variant = null, format = null, language = null } = {}) {
+    const primaryLanguage = resolveLanguages(animation.generationOptions || {}).primary;
+    const useDraft = variant === 'draft' || (!variant && animation.status === 'draft_ready');
+    if (language && language !== primaryLanguage) {
+      const localization = (animation.localizations || []).find(candidate => candidate.language === language);
+      if (useDraft || format || !localization) {
+        return { variant: useDraft ? 'draft' : 'final', format: format, language: language, videoStorage: null, videoUrl: null };
+      }
+      return localization.audioTrack
+        ? { variant: 'final', format: null, language: language, videoStorage: animation.storage, videoUrl: animation.videoUrl }
+        : { variant: 'final', format: null, language: language, videoStorage: localization.storage, videoUrl: localization.videoUrl };
+    }
+
+    if (useDraft) {
+      return { variant: 'draft', format: null, language: primaryLanguage, videoStorage: animation.draft?.storage, videoUrl: animation.draft?.videoUrl };
+    }
+
+    if (format) {
+      const rendition = (animation.renditions || []).find(candidate => candidate.aspectRatio === format);
+      return rendition
+        ? { variant: 'final', format: format, language: primaryLanguage, videoStorage: rendition.storage, videoUrl: rendition.videoUrl }
+        : { variant: 'final', format: format, language: primaryLanguage, videoStorage: null, videoUrl: null };
+    }
+
+    return { variant: 'final', format: null, language: primaryLanguage, videoStorage: animation.storage, videoUrl: animation.videoUrl };
+  }
+
+  // Published videos can be played by anyone. Unpublished ones need an
+  // authenticated caller, unless AUTHENTICATION_ALLOW_ANONYMOUS opts out.
+  // Without JWT authentication there is never a user, so they are refused.
+  isAuthorized(videoStorage, user) {
+    if (videoStorage && videoStorage.isPublic) return true;
+    if (user) return true;
+    return __config.authentication.allowAnonymous === true;
+  }
+
+  // URL to play the video picked by selectVideo. Private videos get a signed
+  // URL that expires after STORAGE_PLAYBACK_URL_EXPIRY seconds.
+  async getPlaybackUrl(animationId, { variant = null, format = null, language = null, user = null } = {}) {
+    const animation = await Animation.findById(animationId).select('status videoUrl storage draft renditions streaming subtitles localizations generationOptions');
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    const selected = this.selectVideo(animation, { variant, format, language });
+    const { videoStorage, videoUrl } = selected;
+    if (!videoUrl) {
+      return { success: false, reason: 'no_video', status: animation.status };
+    }
+
+    if (!this.isAuthorized(videoStorage, user)) {
+      return { success: false, reason: 'not_authorized' };
+    }
+
+    const playback = {
+      animationId: animation._id,
+      variant: selected.variant,
+      format: selected.format,
+      language: selected.language,
+      isPublic: Boolean(videoStorage && videoStorage.isPublic),
+      contentType: (videoStorage && videoStorage.contentType) || 'video/mp4',
+      url: videoUrl,
+      expiresAt: null,
+      streams: this.getStreams(animation, selected),
+      subtitlesUrl: selected.variant === 'final' && animation.subtitles ? this.getSubtitlesRouteUrl(animation._id, 'vtt', language) : null
+    };
+
+    // Records without a storage key (uploaded before storage info was kept)
+    // can only be played from their stored URL
+    if (!playback.isPublic && videoStorage && videoStorage.fileName) {
+      playback.url = await storage.getSignedUrl(videoStorage, { expiresIn: this.expiresIn });
+      playback.expiresAt = new Date(Date.now() + this.expiresIn * 1000);
+    }
+
+    return { success: true, playback };
+  }
+
+  // What GET /:animationId/video serves: a file on this server for local
+  // storage (including records from before storage info was kept), otherwise
+  // a redirect to the public URL or to a signed URL carrying the disposition
+  async getVideoSource(animationId, { variant = null, format = null, language = null, user = null, download = false } = {}) {
+    const animation = await Animation.findById(animationId).select('title status videoUrl storage draft renditions localizations generationOptions');
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    const selected = this.selectVideo(animation, { variant, format, language });
+    let videoStorage = selected.videoStorage;
+    if (!videoStorage && selected.variant === 'final' && !format && animation.videoUrl) {
+      videoStorage = { type: 'local', publicUrl: animation.videoUrl, isPublic: false };
+    }
+    if (!videoStorage) {
+      return { success: false, reason: 'no_video', status: animation.status };
+    }
+
+    if (!this.isAuthorized(videoStorage, user)) {
+      return { success: false, reason: 'not_authorized' };
+    }
+
+    const source = {
+      isPublic: Boolean(videoStorage.isPublic),
+      contentType: videoStorage.contentType || 'video/mp4',
+      downloadName: `${(animation.title || 'animation').replace(/[^a-zA-Z0-9]+/g, '_')}${selected.variant === 'draft' ? '_draft' : ''}${selected.format ? `_${selected.format.replace(':', 'x')}` : ''}${language ? `_${selected.language}` : ''}.mp4`,
+      localPath: null,
+      redirectUrl: null
+    };
+
+    if (videoStorage.type === 'local') {
+      source.localPath = videoStorage.fileName
+        ? storage.local.resolvePath(videoStorage.fileName)
+        : this.resolveLegacyPath(videoStorage.publicUrl);
+      if (!source.localPath) {
+        return { success: false, reason: 'no_video', status: animation.status };
+      }
+    } else if (source.isPublic && !download) {
+      source.redirectUrl = videoStorage.publicUrl;
+    } else {
+      source.redirectUrl = await storage.getSignedUrl(videoStorage, {
+        expiresIn: this.expiresIn,
+        ...(download && { contentDisposition: `attachment; filename="${source.downloadName}"` })
+      });
+    }
+
+    return { success: true, source };
+  }
+
+  // Manifest URLs of the adaptive streaming package, which is packaged from the
+  // master only. Players fetch the segments by relative URL, so a package can
+  // only be played once it is published; private ones are not returned.
+  getStreams(animation, selected) {
+    const streaming = animation.streaming;
+    if (selected.variant !== 'final' || selected.format || !streaming || !streaming.isPublic) {
+      return null;
+    }
+    return {
+      hls: streaming.hls ? streaming.hls.manifestUrl : null,
+      dash: streaming.dash ? streaming.dash.manifestUrl : null
+    };
+  }
+
+  // What GET /:animationId/subtitles.(vtt|srt) serves, in the primary language
+  // unless another narration language is requested. The captions follow the
+  // video's visibility; remote tracks are read and sent from this server since
+  // caption tracks are loaded by the player, which may not follow redirects to
+  // another origin.
+  async getSubtitleSource(animationId, { format = 'vtt', language = null, user = null } = {}) {
+    const animation = await Animation.findById(animationId).select('status subtitles localizations generationOptions');
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    const primaryLanguage = resolveLanguages(animation.generationOptions || {}).primary;
+    const subtitles = !language || language === primaryLanguage
+      ? animation.subtitles
+      : (animation.localizations || []).find(candidate => candidate.language === language)?.subtitles;
+    const trackStorage = subtitles && subtitles[format];
+    if (!trackStorage || !trackStorage.fileName) {
+      return { success: false, reason: 'no_subtitles', status: animation.status };
+    }
+
+    if (!this.isAuthorized(trackStorage, user)) {
+      return { success: false, reason: 'not_authorized' };
+    }
+
+    const source = {
+      isPublic: Boolean(trackStorage.isPublic),
+      contentType: `${trackStorage.contentType || contentTypeFor(trackStorage.fileName)}; charset=utf-8`,
+      localPath: null,
+      content: null
+    };
+
+    if (trackStorage.type === 'local') {
+      source.localPath = storage.local.resolvePath(trackStorage.fileName);
+    } else {
+      const url = source.isPublic ? trackStorage.publicUrl : await storage.getSignedUrl(trackStorage, { expiresIn: 60 });
+      const response = await axios.get(url, { responseType: 'text', transformResponse: (data) => data });
+      source.content = response.data;
+    }
+
+    return { success: true, source };
+  }
+
+  // What GET /:animationId/thumbnail.jpg serves: the poster in the requested
+  // size or a scene's thumbnail, which follow the video's visibility. Local
+  // files are sent from this server, remote ones redirected to (image tags
+  // follow redirects to other origins).
+  async getThumbnailSource(animationId, { size = null, sceneNumber = null, user = null } = {}) {
+    const animation = await Animation.findById(animationId).select('status thumbnails');
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    const thumbnails = animation.thumbnails;
+    const thumbnail = !thumbnails
+      ? null
+      : sceneNumber
+        ? thumbnails.scenes.find(scene => scene.sceneNumber === sceneNumber)
+        : size ? thumbnails.sizes.find(candidate => candidate.name === size) : thumbnails.sizes[0];
+    const thumbnailStorage = thumbnail && thumbnail.storage;
+    if (!thumbnailStorage || !thumbnailStorage.fileName) {
+      return { success: false, reason: 'no_thumbnail', status: animation.status };
+    }
+
+    if (!this.isAuthorized(thumbnailStorage, user)) {
+      return { success: false, reason: 'not_authorized' };
+    }
+
+    const source = {
+      isPublic: Boolean(thumbnailStorage.isPublic),
+      contentType: thumbnailStorage.contentType || contentTypeFor(thumbnailStorage.fileName),
+      localPath: null,
+      redirectUrl: null
+    };
+
+    if (thumbnailStorage.type === 'local') {
+      source.localPath = storage.local.resolvePath(thumbnailStorage.fileName);
+    } else if (source.isPublic) {
+      source.redirectUrl = thumbnailStorage.publicUrl;
+    } else {
+      source.redirectUrl = await storage.getSignedUrl(thumbnailStorage, { expiresIn: this.expiresIn });
+    }
+
+    return { success: true, source };
+  }
+
+  resolveLegacyPath(filePath) {
+    if (!filePath || !path.isAbsolute(filePath)) return null;
+    const resolved = path.resolve(filePath);
+    return resolved.startsWith(LEGACY_VIDEO_DIR + path.sep) ? resolved : null;
+  }
+
+  // Publish (or unpublish) the final video, its renditions, its streaming
+  // package, its subtitles, its localizations and its thumbnails: the objects' visibility is
+  // changed in storage first, then storage.isPublic is recorded to match
+  async setPublished(animationId, isPublic) {
+    const animation = await Animation.findById(animationId).select('status storage renditions streaming subtitles localizations thumbnails');
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (animation.status !== 'completed') {
+      return { success: false, reason: 'not_completed', status: animation.status };
+    }
+    if (!animation.storage || !animation.storage.fileName) {
+      return { success: false, reason: 'no_storage' };
+    }
+
+    const applied = await storage.setPublic(animation.storage, isPublic);
+    if (applied !== isPublic) {
+      return { success: false, reason: 'visibility_unsupported', storageType: animation.storage.type, isPublic: applied };
+    }
+
+    const publishedAt = isPublic ? (animation.storage.publishedAt || new Date()) : null;
+    const renditions = animation.renditions.map(rendition => rendition.toObject());
+    for (const rendition of renditions) {
+      // the master rendition is the same object as animation.storage
+      if (!rendition.master && rendition.storage.fileName) {
+        await storage.setPublic(rendition.storage, isPublic);
+      }
+      rendition.storage.isPublic = isPublic;
+      rendition.storage.publishedAt = publishedAt;
+    }
+
+    const update = {
+      'storage.isPublic': isPublic,
+      'storage.publishedAt': publishedAt,
+      renditions: renditions
+    };
+    const streaming = animation.streaming;
+    if (streaming && streaming.files.length > 0) {
+      for (const fileName of streaming.files) {
+        await storage.setPublic({ type: streaming.storageType, fileName }, isPublic);
+      }
+      update['streaming.isPublic'] = isPublic;
+      if (streaming.hls) update['streaming.hls.storage.isPublic'] = isPublic;
+      if (streaming.dash) update['streaming.dash.storage.isPublic'] = isPublic;
+    }
+    const subtitles = animation.subtitles;
+    if (subtitles) {
+      for (const format of ['vtt', 'srt']) {
+        await storage.setPublic(subtitles[format], isPublic);
+        update[`subtitles.${format}.isPublic`] = isPublic;
+      }
+    }
+    if (animation.localizations.length > 0) {
+      const localizations = animation.localizations.map(localization => localization.toObject());
+      for (const localization of localizations) {
+        for (const stored of [localization.storage, localization.subtitles.vtt, localization.subtitles.srt]) {
+          if (!stored) continue;
+          await storage.setPublic(stored, isPublic);
+          stored.isPublic = isPublic;
+        }
+        if (localization.storage) localization.storage.publishedAt = publishedAt;
+      }
+      update.localizations = localizations;
+    }
+    if (animation.thumbnails) {
+      const thumbnails = animation.thumbnails.toObject();
+      for (const thumbnail of [...thumbnails.sizes, ...thumbnails.scenes]) {
+        await storage.setPublic(thumbnail.storage, isPublic);
+        thumbnail.storage.isPublic = isPublic;
+      }
+      update.thumbnails = thumbnails;
+    }
+
+    const updated = await Animation.findByIdAndUpdate(animationId, update, { new: true });
+
+    console.log(`${isPublic ? '📢 Published' : '🔒 Unpublished'} animation ${animationId} (${updated.storage.type} storage)`);
+    return {
+      success: true,
+      animationId: updated._id,
+      isPublic: updated.storage.isPublic,
+      publishedAt: updated.storage.publishedAt || null,
+      publicVideoUrl: updated.publicVideoUrl
+    };
+  }
+}
+
+module.exports = new PlaybackService();
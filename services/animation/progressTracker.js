@@ -0,0 +1,130 @@
+// services/animation/progressTracker.js - Structured per-phase progress for a running animation
+const Animation = require('../../mongooseSchema/Animation');
+
+// Share of the overall progress bar taken by each pipeline phase. Scene videos
+// dominate wall-clock time, so they get the largest slice.
+const PHASE_WEIGHTS = {
+  story: 5,
+  characters: 10,
+  sceneImages: 20,
+  sceneVideos: 40,
+  audio: 10,
+  assembly: 10,
+  packaging: 5,
+  thumbnails: 3,
+  upload: 5
+};
+
+const PHASES = Object.keys(PHASE_WEIGHTS);
+const TOTAL_WEIGHT = PHASES.reduce((total, phase) => total + PHASE_WEIGHTS[phase], 0);
+
+class ProgressTracker {
+  // previousProgress is the progress already stored on the record, so a resumed
+  // run keeps the timings of the phases it restores from checkpoints
+  constructor(animationId, previousProgress = null) {
+    this.animationId = animationId;
+    this.phaseTimings = (previousProgress && previousProgress.phaseTimings) || [];
+    this.completedPhases = new Set();
+    this.phaseStartedAt = {};
+    this.currentPhase = null;
+    this.sceneIndex = 0;
+    this.sceneTotal = 0;
+    // Writes are chained so a slow update can never overwrite a newer one
+    this.writeQueue = Promise.resolve();
+  }
+
+  percentComplete() {
+    let weight = 0;
+    for (const phase of this.completedPhases) {
+      weight += PHASE_WEIGHTS[phase] || 0;
+    }
+    if (this.currentPhase && !this.completedPhases.has(this.currentPhase) && this.sceneTotal > 0) {
+      weight += (PHASE_WEIGHTS[this.currentPhase] || 0) * (this.sceneIndex / this.sceneTotal);
+    }
+    return Math.min(100, Math.round((weight / TOTAL_WEIGHT) * 100));
+  }
+
+  async startPhase(phase, message) {
+    this.currentPhase = phase;
+    this.sceneIndex = 0;
+    this.sceneTotal = 0;
+    this.phaseStartedAt[phase] = new Date();
+
+    this.setTiming({
+      phase: phase,
+      startedAt: this.phaseStartedAt[phase]
+    });
+    return this.write(message || `Starting ${phase} phase`);
+  }
+
+  // Report that scene `index` (1-based) of `total` inside the current phase is done
+  async updateScene(index, total, message) {
+    this.sceneIndex = index;
+    this.sceneTotal = total;
+    return this.write(message);
+  }
+
+  async completePhase(phase, { restored = false } = {}) {
+    this.currentPhase = phase;
+    this.completedPhases.add(phase);
+    const finishedAt = new Date();
+    const startedAt = this.phaseStartedAt[phase] || finishedAt;
+
+    // A restored phase keeps the timing recorded when it originally ran
+    if (!restored || !this.phaseTimings.some(timing => timing.phase === phase)) {
+      this.setTiming({
+        phase: phase,
+        startedAt: startedAt,
+        finishedAt: finishedAt,
+        durationMs: finishedAt - startedAt,
+        restored: restored
+      });
+    }
+    return this.write(restored ? `Reused ${phase} checkpoint` : `Finished ${phase} phase`);
+  }
+
+  async log(message) {
+    return this.write(message);
+  }
+
+  async complete() {
+    this.currentPhase = null;
+    PHASES.forEach(phase => this.completedPhases.add(phase));
+    return this.write('Animation completed', { 'progress.phase': 'completed' });
+  }
+
+  async fail(error) {
+    return this.write(`Failed during ${this.currentPhase || 'setup'}: ${error.message}`);
+  }
+
+  // One timing entry per phase; a re-run replaces the previous entry
+  setTiming(timing) {
+    this.phaseTimings = this.phaseTimings
+      .filter(existing => existing.phase !== timing.phase)
+      .concat(timing);
+  }
+
+  write(message, fields = {}) {
+    const update = {
+      'progress.phase': this.currentPhase,
+      'progress.phaseIndex': this.currentPhase ? PHASES.indexOf(this.currentPhase) + 1 : PHASES.length,
+      'progress.totalPhases': PHASES.length,
+      'progress.sceneIndex': this.sceneIndex,
+      'progress.sceneTotal': this.sceneTotal,
+      'progress.percent': this.percentComplete(),
+      'progress.phaseTimings': this.phaseTimings,
+      'progress.updatedAt': new Date(),
+      ...fields
+    };
+    if (message) update['progress.message'] = message;
+
+    this.writeQueue = this.writeQueue
+      .then(() => Animation.findByIdAndUpdate(this.animationId, { $set: update }))
+      .catch(error => console.warn(`⚠️ Failed to record progress for ${this.animationId}: ${error.message}`));
+    return this.writeQueue;
+  }
+}
+
+ProgressTracker.PHASES = PHASES;
+
+module.exports = ProgressTracker;
@@ -0,0 +1,95 @@
+// services/animation/renditionRenderer.js - Fits scene clips into another aspect ratio (smart crop or blurred pad)
+const { runProcess } = require('../../lib/util/childProcess');
+
+const CENTER = { x: 0.5, y: 0.5 };
+
+class RenditionRenderer {
+  constructor() {
+    // Frames are sampled once a second and reduced to a grid x grid edge map
+    this.analysisGrid = 64;
+    this.analysisFrames = 5;
+    // How strongly the crop window is pulled towards the middle of the frame,
+    // so frames without a clear subject stay centred
+    this.centerBias = 0.6;
+    this.padBlur = 24;
+  }
+
+  // Pick where to crop a clip for the target aspect ratio. The edge energy of a
+  // few sampled frames is summed per column (or row, for wider targets) and the
+  // window with the most detail wins; smooth areas such as sky or walls rarely
+  // hold the subject. Returns the window offset as a 0..1 fraction per axis.
+  async analyzeFocus(videoPath, sourceFormat, targetFormat) {
+    const sourceAspect = sourceFormat.width / sourceFormat.height;
+    const targetAspect = targetFormat.width / targetFormat.height;
+    if (Math.abs(sourceAspect - targetAspect) < 0.01) {
+      return CENTER;
+    }
+
+    const horizontal = targetAspect < sourceAspect;
+    const grid = this.analysisGrid;
+    const frameSize = grid * grid;
+    const { status, stdout } = await runProcess('ffmpeg', [
+      '-v', 'error',
+      '-i', videoPath,
+      '-vf', `fps=1,scale=${grid}:${grid},edgedetect,format=gray`,
+      '-frames:v', String(this.analysisFrames),
+      '-f', 'rawvideo', '-'
+    ], { stdio: ['ignore', 'pipe', 'ignore'], encoding: null });
+
+    if (status !== 0 || !stdout || stdout.length < frameSize) {
+      console.warn(`⚠️ Could not analyse ${videoPath} for smart crop, cropping the centre`);
+      return CENTER;
+    }
+
+    const energy = new Array(grid).fill(0);
+    for (let i = 0; i < stdout.length - (stdout.length % frameSize); i++) {
+      const column = i % grid;
+      const row = Math.floor(i / grid) % grid;
+      energy[horizontal ? column : row] += stdout[i];
+    }
+
+    const kept = horizontal ? targetAspect / sourceAspect : sourceAspect / targetAspect;
+    const size = Math.max(1, Math.round(kept * grid));
+    const travel = grid - size;
+    if (travel <= 0) {
+      return CENTER;
+    }
+
+    let bestStart = Math.round(travel / 2);
+    let bestScore = -1;
+    for (let start = 0; start <= travel; start++) {
+      let sum = 0;
+      for (let i = start; i < start + size; i++) sum += energy[i];
+      const distanceFromCenter = Math.abs((start + size / 2) / grid - 0.5);
+      const score = sum * (1 - distanceFromCenter * this.centerBias);
+      if (score > bestScore) {
+        bestScore = score;
+        bestStart = start;
+      }
+    }
+
+    const offset = Number((bestStart / travel).toFixed(3));
+    return horizontal ? { x: offset, y: 0.5 } : { x: 0.5, y: offset };
+  }
+
+  // ffmpeg filter taking a clip to targetFormat's frame size. 'crop' scales the
+  // clip to cover the frame and crops at the focus offsets; 'pad' fits the whole
+  // clip inside the frame over a blurred, cropped copy of itself.
+  fitFilter(targetFormat, fit = 'crop', focus = CENTER) {
+    const { width, height } = targetFormat;
+    const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase`;
+
+    if (fit === 'pad') {
+      return [
+        'split[padbg][padfg]',
+        `[padbg]${cover},crop=${width}:${height},boxblur=${this.padBlur}:2[padblur]`,
+        `[padfg]scale=${width}:${height}:force_original_aspect_ratio=decrease[padfit]`,
+        '[padblur][padfit]overlay=(W-w)/2:(H-h)/2,setsar=1'
+      ].join(';');
+    }
+
+    return `${cover},crop=${width}:${height}:x='(iw-ow)*${focus.x}':y='(ih-oh)*${focus.y}',setsar=1`;
+  }
+}
+
+module.exports = new RenditionRenderer();
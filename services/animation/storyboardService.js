@@ -0,0 +1,207 @@
+// services/animation/storyboardService.js - Editorial review of the story before images and videos are generated
+const Animation = require('../../mongooseSchema/Animation');
+const animationService = require('./animationService');
+const animationJobService = require('./animationJobService');
+
+const EDITABLE_STORY_FIELDS = ['title', 'theme', 'overallMood'];
+const EDITABLE_SCENE_FIELDS = [
+  'description',
+  'characters',
+  'location',
+  'mood',
+  'cameraAngle',
+  'narration',
+  'dialogue',
+  'callouts',
+  'duration',
+  'sceneType',
+  'moodIntensity',
+  'emotionalTone'
+];
+
+class StoryboardService {
+  // The storyboard is the story checkpoint, which is what the rest of the
+  // pipeline is restored from, plus the review state stored on the record
+  async getStoryboard(animationId) {
+    const animation = await Animation.findById(animationId);
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    const story = animation.pipeline?.checkpoints?.story;
+    if (!story) {
+      return { success: false, reason: 'not_ready', status: animation.status };
+    }
+
+    return {
+      success: true,
+      storyboard: this.formatStoryboard(animation, story)
+    };
+  }
+
+  // Apply editor changes to the story. Scenes are matched by sceneNumber and
+  // only the given fields change; characters, when sent, replace the cast.
+  async updateStoryboard(animationId, edits, { editedBy } = {}) {
+    const animation = await Animation.findById(animationId);
+    if (!animation) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (animation.status !== 'awaiting_review') {
+      return { success: false, reason: 'not_awaiting_review', status: animation.status };
+    }
+
+    const story = animation.pipeline.checkpoints.story;
+    const updatedStory = { ...story };
+    const errors = [];
+
+    EDITABLE_STORY_FIELDS.forEach(field => {
+      if (edits[field] !== undefined) updatedStory[field] = edits[field];
+    });
+
+    // gender and age hints not sent are kept from the character of the same name
+    if (edits.characters) {
+      updatedStory.characters = edits.characters.map(character => {
+        const existing = story.characters.find(candidate => candidate.name === character.name) || {};
+        return {
+          name: character.name,
+          description: character.description,
+          personality: character.personality,
+          role: character.role,
+          gender: character.gender || existing.gender || 'unspecified',
+          ageGroup: character.ageGroup || existing.ageGroup || 'adult',
+          ...((character.voice || existing.voice) && { voice: character.voice || existing.voice })
+        };
+      });
+    }
+
+    if (edits.scenes) {
+      updatedStory.scenes = story.scenes.map(scene => ({ ...scene }));
+      edits.scenes.forEach(sceneEdit => {
+        const scene = updatedStory.scenes.find(candidate => candidate.sceneNumber === sceneEdit.sceneNumber);
+        if (!scene) {
+          errors.push(`Scene ${sceneEdit.sceneNumber} does not exist`);
+          return;
+        }
+        EDITABLE_SCENE_FIELDS.forEach(field => {
+          if (sceneEdit[field] !== undefined) scene[field] = sceneEdit[field];
+        });
+      });
+    }
+
+    // Every character a scene mentions, or gives a dialogue line to, must still be part of the cast
+    const castNames = new Set(updatedStory.characters.map(character => character.name));
+    updatedStory.scenes.forEach(scene => {
+      (scene.characters || []).filter(name => !castNames.has(name)).forEach(name => {
+        errors.push(`Scene ${scene.sceneNumber} references unknown character "${name}"`);
+      });
+      (scene.dialogue || []).filter(entry => !castNames.has(entry.character)).forEach(entry => {
+        errors.push(`Scene ${scene.sceneNumber} has dialogue for unknown character "${entry.character}"`);
+      });
+    });
+
+    if (errors.length > 0) {
+      return { success: false, reason: 'invalid', errors };
+    }
+
+    if (edits.overallMood !== undefined || edits.scenes) {
+      updatedStory.moodProgression = updatedStory.scenes.map(scene => scene.mood);
+    }
+
+    // Nothing after the story phase has run while the animation awaits review,
+    // so the story checkpoint is the only one that needs rewriting
+    const updated = await Animation.findOneAndUpdate(
+      { _id: animationId, status: 'awaiting_review' },
+      {
+        $set: {
+          'pipeline.checkpoints.story': updatedStory,
+          'storyboard.editedAt': new Date(),
+          'storyboard.editedBy': editedBy || null
+        },
+        $inc: { 'storyboard.revision': 1 }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return { success: false, reason: 'not_awaiting_review' };
+    }
+    await animationService.saveStoryToDatabase(animationId, updatedStory);
+
+    console.log(`✏️ Storyboard for animation ${animationId} edited (revision ${updated.storyboard.revision})`);
+    return {
+      success: true,
+      storyboard: this.formatStoryboard(updated, updatedStory)
+    };
+  }
+
+  // Record the sign-off and re-queue the animation; the pipeline restores the
+  // (possibly edited) story from its checkpoint and carries on with characters
+  async approveStoryboard(animationId, { approvedBy, comment, callbackUrl } = {}) {
+    const animation = await Animation.findOneAndUpdate(
+      { _id: animationId, status: 'awaiting_review' },
+      {
+        status: 'processing',
+        'storyboard.approvedAt': new Date(),
+        'storyboard.approvedBy': approvedBy,
+        'storyboard.comment': comment || null
+      },
+      { new: true }
+    );
+
+    if (!animation) {
+      const existing = await Animation.findById(animationId).select('status');
+      return existing
+        ? { success: false, reason: 'not_awaiting_review', status: existing.status }
+        : { success: false, reason: 'not_found' };
+    }
+
+    const job = await animationJobService.enqueueAnimationGeneration(animationId, {
+      article: animation.article,
+      sceneCount: animation.sceneCount,
+      callbackUrl: callbackUrl
+    });
+
+    console.log(`✅ Storyboard for animation ${animationId} approved by ${approvedBy} (job ${job.id})`);
+    return { success: true, jobId: job.id };
+  }
+
+  formatStoryboard(animation, story) {
+    const review = animation.storyboard || {};
+    return {
+      animationId: animation._id,
+      status: animation.status,
+      editable: animation.status === 'awaiting_review',
+      title: story.title,
+      theme: story.theme,
+      overallMood: story.overallMood,
+      moodProgression: story.moodProgression || [],
+      countryContext: story.countryContext || null,
+      characters: story.characters,
+      scenes: story.scenes.map(scene => ({
+        sceneNumber: scene.sceneNumber,
+        description: scene.description,
+        characters: scene.characters,
+        location: scene.location,
+        mood: scene.mood,
+        cameraAngle: scene.cameraAngle,
+        narration: scene.narration,
+        dialogue: scene.dialogue || [],
+        callouts: scene.callouts || [],
+        duration: scene.duration,
+        sceneType: scene.sceneType,
+        moodIntensity: scene.moodIntensity,
+        emotionalTone: scene.emotionalTone
+      })),
+      review: {
+        submittedAt: review.submittedAt || null,
+        revision: review.revision || 0,
+        editedAt: review.editedAt || null,
+        editedBy: review.editedBy || null,
+        approvedAt: review.approvedAt || null,
+        approvedBy: review.approvedBy || null,
+        comment: review.comment || null
+      }
+    };
+  }
+}
+
+module.exports = new StoryboardService();
@@ -0,0 +1,133 @@
+// services/animation/streamPackager.js - Packages the final video as an HLS ladder (and optionally DASH) for adaptive streaming
+const fs = require('fs').promises;
+const path = require('path');
+const { runProcess } = require('../../lib/util/childProcess');
+const __config = require('../../config');
+
+// Target video bitrate (kbit/s) per rung, keyed by the short side of the frame
+const RUNG_BITRATES = { 1080: 5000, 720: 2800, 480: 1400, 360: 800, 240: 400 };
+const AUDIO_BITRATE = '128k';
+
+class StreamPackager {
+  constructor() {
+    this.options = __config.streaming;
+  }
+
+  isEnabled() {
+    return Boolean(this.options.hls || this.options.dash);
+  }
+
+  // Rungs no larger than the master, highest first. A master smaller than every
+  // configured rung is packaged at its own size only.
+  buildLadder(format) {
+    const shortSide = Math.min(format.width, format.height);
+    const sizes = [...new Set(this.options.ladder)].filter(size => size <= shortSide).sort((a, b) => b - a);
+    if (sizes.length === 0) sizes.push(shortSide);
+
+    return sizes.map(size => {
+      // libx264 needs even dimensions
+      const scaled = (value) => Math.round(value * size / shortSide / 2) * 2;
+      return {
+        name: `${size}p`,
+        width: scaled(format.width),
+        height: scaled(format.height),
+        videoBitrate: RUNG_BITRATES[size] || Math.round(size * 4.5)
+      };
+    });
+  }
+
+  // Encode every rung in one ffmpeg run. HLS on its own uses MPEG-TS segments
+  // for the widest player support; with DASH enabled both manifests share one
+  // set of fMP4 segments (the DASH muxer writes the HLS playlists as well).
+  // Keyframes are forced on segment boundaries so all rungs switch cleanly.
+  async packageVideo(videoPath, outputDir, format) {
+    const ladder = this.buildLadder(format);
+    const { hls, dash, segmentDuration } = this.options;
+
+    await fs.rm(outputDir, { recursive: true, force: true });
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const split = `[0:v]split=${ladder.length}${ladder.map((rung, index) => `[split${index}]`).join('')}`;
+    const scales = ladder.map((rung, index) => `[split${index}]scale=${rung.width}:${rung.height}[rung${index}]`);
+    const videoArgs = ladder.flatMap((rung, index) => [
+      `-b:v:${index}`, `${rung.videoBitrate}k`,
+      `-maxrate:v:${index}`, `${Math.round(rung.videoBitrate * 1.07)}k`,
+      `-bufsize:v:${index}`, `${Math.round(rung.videoBitrate * 1.5)}k`
+    ]);
+    const encoderArgs = [
+      '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+      '-sc_threshold', '0', '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+      ...videoArgs,
+      '-c:a', 'aac', '-b:a', AUDIO_BITRATE, '-ac', '2'
+    ];
+
+    let outputArgs;
+    if (dash) {
+      outputArgs = [
+        ...ladder.flatMap((rung, index) => ['-map', `[rung${index}]`]),
+        '-map', '0:a:0',
+        ...encoderArgs,
+        '-f', 'dash',
+        '-seg_duration', String(segmentDuration),
+        '-use_template', '1', '-use_timeline', '1',
+        '-adaptation_sets', 'id=0,streams=v id=1,streams=a',
+        '-init_seg_name', 'init_$RepresentationID$.m4s',
+        '-media_seg_name', 'chunk_$RepresentationID$_$Number%05d$.m4s',
+        '-hls_playlist', hls ? '1' : '0',
+        path.join(outputDir, 'manifest.mpd')
+      ];
+    } else {
+      outputArgs = [
+        ...ladder.flatMap((rung, index) => ['-map', `[rung${index}]`, '-map', '0:a:0']),
+        ...encoderArgs,
+        '-f', 'hls',
+        '-hls_time', String(segmentDuration),
+        '-hls_playlist_type', 'vod',
+        '-hls_flags', 'independent_segments',
+        '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%03d.ts'),
+        '-master_pl_name', 'master.m3u8',
+        '-var_stream_map', ladder.map((rung, index) => `v:${index},a:${index},name:${rung.name}`).join(' '),
+        path.join(outputDir, '%v', 'playlist.m3u8')
+      ];
+    }
+
+    console.log(`📦 Packaging ${path.basename(videoPath)} as ${[hls && 'HLS', dash && 'DASH'].filter(Boolean).join(' + ')} (${ladder.map(rung => rung.name).join(', ')})`);
+    const { status, stderr } = await runProcess('ffmpeg', [
+      '-v', 'error', '-y',
+      '-i', videoPath,
+      '-filter_complex', [split, ...scales].join(';'),
+      ...outputArgs
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    if (status !== 0) {
+      throw new Error(`ffmpeg failed to package ${videoPath}: ${(stderr || '').trim().split('\n').pop()}`);
+    }
+
+    const files = await this.listFiles(outputDir);
+    console.log(`✅ Packaged ${files.length} streaming files`);
+    return {
+      outputDir: outputDir,
+      hlsManifest: hls ? 'master.m3u8' : null,
+      dashManifest: dash ? 'manifest.mpd' : null,
+      segmentDuration: segmentDuration,
+      ladder: ladder,
+      files: files
+    };
+  }
+
+  // Paths relative to dir, which is how the playlists reference them
+  async listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(dir, relativePath));
+      } else {
+        files.push(relativePath);
+      }
+    }
+    return files.sort();
+  }
+}
+
+module.exports = new StreamPackager();
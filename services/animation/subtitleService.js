@@ -0,0 +1,281 @@
+// services/animation/subtitleService.js - Timed narration captions, burn-in styles and SRT / WebVTT output
+const fsSync = require('fs');
+const OpenAI = require('openai');
+const { runProcess } = require('../../lib/util/childProcess');
+const __config = require('../../config');
+const { DEFAULT_SUBTITLE_STYLE } = require('./subtitleStyles');
+
+// libass alignment (numpad layout) of each position
+const ASS_ALIGNMENT = { bottom: 2, middle: 5, top: 8 };
+
+// Extra weight of the pause after punctuation when timings are estimated
+const PAUSE_WEIGHT = { sentence: 4, clause: 2 };
+
+// The last cue stays up a little after the narration ends
+const CUE_TAIL = 0.35;
+// Gaps shorter than this are closed so captions do not flicker between cues
+const MIN_CUE_GAP = 0.5;
+
+class SubtitleService {
+  constructor() {
+    this.openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+    this.options = __config.subtitles;
+  }
+
+  // Word timings of a narration clip. The transcript's word timestamps are
+  // mapped onto the script's own words (see mapWordTimings), so captions keep
+  // the script's spelling even where the transcription differs.
+  async alignNarration(audioPath, text) {
+    const scriptWords = this.splitWords(text);
+    if (scriptWords.length === 0) {
+      return { words: [], source: 'none' };
+    }
+
+    if (this.options.transcribe) {
+      try {
+        const transcription = await this.openai.audio.transcriptions.create({
+          file: fsSync.createReadStream(audioPath),
+          model: this.options.transcriptionModel,
+          response_format: 'verbose_json',
+          timestamp_granularities: ['word']
+        });
+        const spoken = transcription.words || [];
+        if (spoken.length > 0) {
+          return { words: this.mapWordTimings(scriptWords, spoken), source: 'transcription' };
+        }
+        console.warn(`⚠️ Transcription of ${audioPath} returned no words, estimating caption timings`);
+      } catch (error) {
+        console.warn(`⚠️ Could not transcribe ${audioPath} for caption timings, estimating them: ${error.message}`);
+      }
+    }
+
+    return { words: this.estimateWordTimings(text, await this.getDuration(audioPath)), source: 'estimated' };
+  }
+
+  // Times the script words with the transcript's words ({ word, start, end }).
+  // Words are matched after normalizing case and punctuation, keeping their
+  // order (longest common subsequence); a matched script word takes its
+  // spoken word's timing. The script words between two matches share the
+  // unmatched spoken words of that gap by position (e.g. "₹4,200" spoken as
+  // several words), or the time between the matches when the gap has none.
+  mapWordTimings(scriptWords, spoken) {
+    const normalize = word => (word || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const script = scriptWords.map(normalize);
+    const heard = spoken.map(word => normalize(word.word));
+
+    // lengths[i][j]: common subsequence of script[i..] and heard[j..]
+    const lengths = Array.from({ length: script.length + 1 }, () => new Array(heard.length + 1).fill(0));
+    for (let i = script.length - 1; i >= 0; i--) {
+      for (let j = heard.length - 1; j >= 0; j--) {
+        lengths[i][j] = script[i] && script[i] === heard[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    const matches = [{ script: -1, spoken: -1 }];
+    for (let i = 0, j = 0; i < script.length && j < heard.length;) {
+      if (script[i] && script[i] === heard[j]) {
+        matches.push({ script: i++, spoken: j++ });
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    matches.push({ script: script.length, spoken: spoken.length });
+
+    const words = new Array(scriptWords.length);
+    matches.forEach((match, index) => {
+      if (match.script >= 0 && match.script < script.length) {
+        const word = spoken[match.spoken];
+        words[match.script] = { text: scriptWords[match.script], start: word.start, end: word.end };
+      }
+      const next = matches[index + 1];
+      if (!next) return;
+
+      const gapWords = scriptWords.slice(match.script + 1, next.script);
+      const gapSpoken = spoken.slice(match.spoken + 1, next.spoken);
+      gapWords.forEach((text, offset) => {
+        let start;
+        let end;
+        if (gapSpoken.length > 0) {
+          const first = Math.floor(offset * gapSpoken.length / gapWords.length);
+          const last = Math.max(first, Math.floor((offset + 1) * gapSpoken.length / gapWords.length) - 1);
+          start = gapSpoken[first].start;
+          end = gapSpoken[last].end;
+        } else {
+          const from = match.spoken >= 0 ? spoken[match.spoken].end : spoken[0].start;
+          const to = next.spoken < spoken.length ? spoken[next.spoken].start : spoken[spoken.length - 1].end;
+          const step = Math.max(0, to - from) / gapWords.length;
+          start = from + offset * step;
+          end = start + step;
+        }
+        words[match.script + 1 + offset] = { text, start, end };
+      });
+    });
+    return words;
+  }
+
+  // Spread the words over the clip by length, with a pause after punctuation
+  estimateWordTimings(text, duration) {
+    const words = this.splitWords(text);
+    const weights = words.map(word => word.length + 1 + (/[.!?]$/.test(word) ? PAUSE_WEIGHT.sentence : /[,;:]$/.test(word) ? PAUSE_WEIGHT.clause : 0));
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0) || 1;
+
+    let elapsed = 0;
+    return words.map((word, index) => {
+      const start = elapsed;
+      elapsed += duration * weights[index] / totalWeight;
+      return { text: word, start: start, end: elapsed };
+    });
+  }
+
+  splitWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean);
+  }
+
+  async getDuration(mediaPath) {
+    const { stdout } = await runProcess('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      mediaPath
+    ]);
+    return parseFloat(stdout) || 0;
+  }
+
+  // Group timed words into cues of at most maxLines lines of maxLineLength
+  // characters ('word' timing: a single line); sentences always end a cue
+  buildCues(words, { timing, style }) {
+    const maxLines = timing === 'word' ? 1 : style.maxLines;
+    const cues = [];
+    let current = [];
+
+    const closeCue = () => {
+      if (current.length === 0) return;
+      const text = current.map(word => word.text).join(' ');
+      cues.push({
+        start: current[0].start,
+        end: current[current.length - 1].end,
+        lines: this.wrapLines(text, style.maxLineLength)
+      });
+      current = [];
+    };
+
+    words.forEach(word => {
+      // measured as wrapped, since wrapping leaves lines short of maxLineLength
+      const text = [...current, word].map(candidate => candidate.text).join(' ');
+      if (current.length > 0 && this.wrapLines(text, style.maxLineLength).length > maxLines) closeCue();
+      current.push(word);
+      if (/[.!?]["')\]]?$/.test(word.text)) closeCue();
+    });
+    closeCue();
+
+    cues.forEach((cue, index) => {
+      const next = cues[index + 1];
+      if (next && next.start - cue.end < MIN_CUE_GAP) {
+        cue.end = next.start;
+      } else if (!next) {
+        cue.end += CUE_TAIL;
+      }
+    });
+    return cues;
+  }
+
+  // Greedy wrap; a single word longer than the limit gets a line of its own
+  wrapLines(text, maxLineLength) {
+    const lines = [];
+    this.splitWords(text).forEach(word => {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && last.length + 1 + word.length <= maxLineLength) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word);
+      }
+    });
+    return lines;
+  }
+
+  // Clip-relative cues of every processed clip on the animation's timeline,
+  // which starts startOffset seconds into the video
+  mergeClipCues(processedClips, startOffset = 0) {
+    let offset = startOffset;
+    const cues = [];
+    [...processedClips].sort((a, b) => a.sceneNumber - b.sceneNumber).forEach(clip => {
+      // a clip starts during the transition into it
+      offset -= clip.transition ? clip.transition.duration : 0;
+      (clip.cues || []).forEach(cue => {
+        cues.push({ ...cue, start: cue.start + offset, end: Math.min(cue.end, clip.duration) + offset });
+      });
+      offset += clip.duration;
+    });
+    return cues;
+  }
+
+  formatTimestamp(totalSeconds, separator) {
+    const milliseconds = Math.max(0, Math.round(totalSeconds * 1000));
+    const hours = Math.floor(milliseconds / 3600000);
+    const minutes = Math.floor(milliseconds / 60000) % 60;
+    const seconds = Math.floor(milliseconds / 1000) % 60;
+    const pad = (value, width = 2) => String(value).padStart(width, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(milliseconds % 1000, 3)}`;
+  }
+
+  toSrt(cues) {
+    return cues.map((cue, index) => [
+      index + 1,
+      `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`,
+      ...cue.lines
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  // The caption position is carried over as a cue setting so players place
+  // sidecar captions where the burned-in ones would be
+  toVtt(cues, style = DEFAULT_SUBTITLE_STYLE) {
+    const settings = { bottom: '', middle: ' line:50%', top: ' line:5%' }[style.position] || '';
+    return ['WEBVTT', ...cues.map(cue => [
+      `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}${settings}`,
+      ...cue.lines
+    ].join('\n'))].join('\n\n') + '\n';
+  }
+
+  // force_style of ffmpeg's subtitles filter. With background the text sits
+  // in an opaque box (BorderStyle 3, which libass fills with OutlineColour).
+  forceStyle(style, outputFormat) {
+    const border = style.background
+      ? ['BorderStyle=3', `OutlineColour=${this.assColor(style.backgroundColor, style.backgroundOpacity)}`, `BackColour=${this.assColor(style.backgroundColor, style.backgroundOpacity)}`]
+      : ['BorderStyle=1', `OutlineColour=${this.assColor(style.outlineColor)}`];
+
+    return [
+      `FontName=${style.fontName}`,
+      `FontSize=${style.fontSize || outputFormat.subtitleFontSize}`,
+      `PrimaryColour=${this.assColor(style.primaryColor)}`,
+      ...border,
+      'Outline=1',
+      'Shadow=0',
+      `Alignment=${ASS_ALIGNMENT[style.position] || ASS_ALIGNMENT.bottom}`,
+      `MarginV=${outputFormat.subtitleMarginV}`
+    ].join(',');
+  }
+
+  // '#RRGGBB' to libass &HAABBGGRR (alpha 00 is opaque)
+  assColor(hexColor, opacity = 1) {
+    const [, red, green, blue] = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hexColor) || [null, 'FF', 'FF', 'FF'];
+    const alpha = Math.round((1 - opacity) * 255).toString(16).padStart(2, '0');
+    return `&H${alpha}${blue}${green}${red}`.toUpperCase();
+  }
+
+  // A value inside a quoted filter option (e.g. a drawtext font name)
+  escapeFilterValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/:/g, '\\:').replace(/'/g, "'\\''");
+  }
+
+  // A file path inside a quoted filter option (subtitles, drawtext textfile)
+  escapeFilterPath(filePath) {
+    return this.escapeFilterValue(filePath.replace(/\\/g, '/'));
+  }
+}
+
+module.exports = new SubtitleService();
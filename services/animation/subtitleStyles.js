@@ -0,0 +1,39 @@
+// services/animation/subtitleStyles.js - Caption options a generate request can set (generationOptions.subtitles)
+
+const SUBTITLE_POSITIONS = ['bottom', 'middle', 'top'];
+
+// 'sentence' shows a sentence at a time (split over more cues when it needs
+// more than maxLines lines); 'word' shows single short lines that follow the
+// words as they are spoken
+const CUE_TIMINGS = ['sentence', 'word'];
+
+// fontSize null uses the output format's size (smaller for portrait frames)
+const DEFAULT_SUBTITLE_STYLE = {
+  fontName: 'Arial',
+  fontSize: null,
+  primaryColor: '#FFFFFF',
+  outlineColor: '#000000',
+  position: 'bottom',
+  background: false,
+  backgroundColor: '#000000',
+  backgroundOpacity: 0.6,
+  maxLineLength: 42,
+  maxLines: 2
+};
+
+// burnIn false keeps the video clean; the sidecar WebVTT / SRT is stored either way
+const resolveSubtitleOptions = (generationOptions = {}) => {
+  const requested = generationOptions.subtitles || {};
+  return {
+    burnIn: requested.burnIn !== false,
+    timing: CUE_TIMINGS.includes(requested.timing) ? requested.timing : 'sentence',
+    style: { ...DEFAULT_SUBTITLE_STYLE, ...(requested.style || {}) }
+  };
+};
+
+module.exports = {
+  SUBTITLE_POSITIONS,
+  CUE_TIMINGS,
+  DEFAULT_SUBTITLE_STYLE,
+  resolveSubtitleOptions
+};
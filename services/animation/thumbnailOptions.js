@@ -0,0 +1,26 @@
+// services/animation/thumbnailOptions.js - Poster frame options a generate request can set (generationOptions.thumbnails)
+const __config = require('../../config');
+
+// Where the poster comes from: the best frame of the scene videos, or the
+// first scene's image with the title drawn on it. Scene thumbnails are always
+// frames.
+const THUMBNAIL_SOURCES = ['frame', 'title-card'];
+
+const DEFAULT_THUMBNAIL_SOURCE = 'frame';
+
+// source defaults to THUMBNAIL_SOURCE; the sizes are THUMBNAIL_SIZES and are
+// part of the options so a changed size list renders the thumbnails again
+const resolveThumbnailOptions = (generationOptions = {}) => {
+  const requested = generationOptions.thumbnails || {};
+  return {
+    source: [requested.source, __config.thumbnails.source].find(source => THUMBNAIL_SOURCES.includes(source)) || DEFAULT_THUMBNAIL_SOURCE,
+    sizes: __config.thumbnails.sizes,
+    sceneSize: __config.thumbnails.sceneSize
+  };
+};
+
+module.exports = {
+  THUMBNAIL_SOURCES,
+  DEFAULT_THUMBNAIL_SOURCE,
+  resolveThumbnailOptions
+};
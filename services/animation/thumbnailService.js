@@ -0,0 +1,288 @@
+// services/animation/thumbnailService.js - Poster frame and scene thumbnails picked from the scene videos
+//
+// Frames are sampled from the scene videos as generated, before captions,
+// callouts and branding are drawn over them, so a thumbnail never carries
+// half a subtitle. Each candidate is scored on sharpness (mean edge strength)
+// and on whether it shows a face (the share of skin-toned pixels); frames
+// that are too dark or blown out are passed over.
+const fs = require('fs').promises;
+const path = require('path');
+const { runProcess } = require('../../lib/util/childProcess');
+const subtitleService = require('./subtitleService');
+const { DEFAULT_PALETTE, DEFAULT_FONTS } = require('./brandingOptions');
+const __config = require('../../config');
+
+// Width candidates are scaled to for scoring, so every clip is judged alike
+const ANALYSIS_WIDTH = 320;
+// Seconds kept clear of the start and end of a clip (where motion starts and settles)
+const CLIP_EDGE = 0.5;
+// Mean luma (0-255) outside which a frame is too dark or too bright to show
+const MIN_LUMA = 30;
+const MAX_LUMA = 225;
+// Share of skin-toned pixels that reads as a face in shot; below it the face
+// score falls off towards none, above it the frame is mostly a close-up or a
+// skin-coloured background
+const FACE_RANGE = [0.02, 0.35];
+// Weight of sharpness against face presence in a frame's score
+const SHARPNESS_WEIGHT = 0.6;
+// Longest title line on the title card, in characters, for landscape and portrait frames
+const TITLE_LINE_LENGTH = [28, 16];
+
+class ThumbnailService {
+  constructor() {
+    this.options = __config.thumbnails;
+  }
+
+  // The poster (in every size of options.sizes) and one thumbnail per scene,
+  // written to outputDir. The poster is the best-scoring frame of the whole
+  // video, or with source 'title-card' the first scene's image with the title
+  // on it, lettered in style's palette and fonts (the brand's when branded).
+  async render(sceneVideos, sceneImages, { title, options, outputFormat, style = null, outputDir, workingDir }) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const sceneSize = options.sizes.find(size => size.name === options.sceneSize) || options.sizes[options.sizes.length - 1];
+
+    const scored = [];
+    for (const sceneVideo of sceneVideos) {
+      const candidates = await this.scoreFrames(sceneVideo.videoPath, path.join(workingDir, `thumbnail_scene_${sceneVideo.sceneNumber}`));
+      scored.push({ sceneNumber: sceneVideo.sceneNumber, videoPath: sceneVideo.videoPath, candidates: candidates });
+    }
+    const bestFrames = await this.pickBestFrames(scored);
+
+    const scenes = [];
+    for (const frame of bestFrames) {
+      const thumbnailPath = path.join(outputDir, `scene_${frame.sceneNumber}.jpg`);
+      const size = this.getSize(sceneSize, outputFormat);
+      await this.extractFrame(frame.videoPath, frame.time, thumbnailPath, size);
+      scenes.push({ sceneNumber: frame.sceneNumber, time: frame.time, score: frame.score, path: thumbnailPath, ...size });
+    }
+
+    const firstImage = sceneImages.find(sceneImage => sceneImage.image);
+    let poster = bestFrames.reduce((best, frame) => (!best || frame.score > best.score ? frame : best), null);
+    let source = 'frame';
+    if (options.source === 'title-card' && firstImage) {
+      poster = { sceneNumber: firstImage.sceneNumber, time: null, score: null };
+      source = 'title-card';
+    } else if (options.source === 'title-card') {
+      console.warn('⚠️ No scene image for the title card, using the best frame as the poster');
+    }
+    if (!poster) {
+      throw new Error('No frame could be taken from the scene videos for the poster');
+    }
+
+    // every size is scaled from one full-size poster
+    const posterPath = path.join(workingDir, 'thumbnail_poster.png');
+    if (source === 'title-card') {
+      await this.renderTitleCard(firstImage.image, title, posterPath, outputFormat, style, workingDir);
+    } else {
+      await this.extractFrame(poster.videoPath, poster.time, posterPath, outputFormat);
+    }
+    const files = [];
+    for (const size of options.sizes) {
+      const filePath = path.join(outputDir, `poster_${size.name}.jpg`);
+      const dimensions = this.getSize(size, outputFormat);
+      await this.scaleImage(posterPath, filePath, dimensions);
+      files.push({ name: size.name, ...dimensions, path: filePath });
+    }
+
+    console.log(`🖼️ Poster ${source === 'title-card' ? 'title card' : `frame from scene ${poster.sceneNumber} at ${poster.time.toFixed(2)}s`} in ${files.length} sizes, ${scenes.length} scene thumbnails`);
+    return {
+      source: source,
+      poster: { sceneNumber: poster.sceneNumber, time: poster.time, score: poster.score, files: files },
+      scenes: scenes
+    };
+  }
+
+  // Samples candidatesPerScene frames spread over the clip and measures each
+  // in one ffmpeg pass: mean edge strength (sharpness), mean luma (exposure)
+  // and the share of skin-toned pixels (Cb 77-127, Cr 133-173). Returns
+  // [{ time, sharpness, luma, skin }], time in seconds of the clip.
+  async scoreFrames(videoPath, filePrefix) {
+    const duration = await subtitleService.getDuration(videoPath);
+    if (!duration) {
+      console.warn(`⚠️ Could not probe ${path.basename(videoPath)}, no thumbnail candidates taken from it`);
+      return [];
+    }
+
+    const edge = Math.min(CLIP_EDGE, duration * 0.1);
+    const window = duration - edge * 2;
+    const rate = (this.options.candidatesPerScene / window).toFixed(4);
+    const files = { sharpness: `${filePrefix}_edges.txt`, luma: `${filePrefix}_luma.txt`, skin: `${filePrefix}_skin.txt` };
+    const measure = (file) => `signalstats,metadata=print:key=lavfi.signalstats.YAVG:file='${subtitleService.escapeFilterPath(file)}'`;
+
+    const { status } = await runProcess('ffmpeg', [
+      '-y',
+      '-ss', edge.toFixed(3),
+      '-t', window.toFixed(3),
+      '-i', videoPath,
+      '-filter_complex', [
+        `[0:v]fps=${rate},scale=${ANALYSIS_WIDTH}:-2,split=3[edges][luma][skin]`,
+        `[edges]edgedetect=low=0.1:high=0.3,${measure(files.sharpness)},nullsink`,
+        `[luma]${measure(files.luma)},nullsink`,
+        `[skin]format=yuv444p,geq=lum='255*between(cb(X,Y),77,127)*between(cr(X,Y),133,173)':cb=128:cr=128,${measure(files.skin)}[out]`
+      ].join(';'),
+      '-map', '[out]',
+      '-f', 'null', '-'
+    ], { stdio: 'inherit' });
+
+    if (status !== 0) {
+      console.warn(`⚠️ Frame analysis of ${path.basename(videoPath)} failed, no thumbnail candidates taken from it`);
+      return [];
+    }
+
+    const [sharpness, luma, skin] = await Promise.all([files.sharpness, files.luma, files.skin].map(file => this.readMetadata(file)));
+    return sharpness.map((frame, index) => ({
+      time: edge + frame.time,
+      sharpness: frame.value,
+      luma: luma[index] ? luma[index].value : 128,
+      skin: skin[index] ? skin[index].value / 255 : 0
+    }));
+  }
+
+  // The frames of a metadata=print file as [{ time, value }]
+  async readMetadata(filePath) {
+    let content = '';
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const frames = [];
+    content.split('\n').forEach(line => {
+      const frame = line.match(/pts_time:([\d.]+)/);
+      if (frame) {
+        frames.push({ time: parseFloat(frame[1]), value: 0 });
+        return;
+      }
+      const value = line.match(/^lavfi\.signalstats\.YAVG=([\d.]+)/);
+      if (value && frames.length > 0) {
+        frames[frames.length - 1].value = parseFloat(value[1]);
+      }
+    });
+    return frames;
+  }
+
+  // The best candidate of every scene, scored against the sharpest frame of
+  // the whole video so scene scores can be compared for the poster. A scene
+  // whose frames are all badly exposed keeps its best one anyway; a scene
+  // without candidates (its clip could not be analysed) gets its middle frame.
+  async pickBestFrames(scenes) {
+    const maxSharpness = Math.max(1, ...scenes.flatMap(scene => scene.candidates.map(candidate => candidate.sharpness)));
+    return Promise.all(scenes.map(async scene => {
+      const exposed = scene.candidates.filter(candidate => candidate.luma >= MIN_LUMA && candidate.luma <= MAX_LUMA);
+      const candidates = exposed.length > 0 ? exposed : scene.candidates;
+      if (candidates.length === 0) {
+        const duration = await subtitleService.getDuration(scene.videoPath) || 0;
+        return { sceneNumber: scene.sceneNumber, videoPath: scene.videoPath, time: duration / 2, score: 0 };
+      }
+
+      const best = candidates
+        .map(candidate => ({
+          time: candidate.time,
+          score: SHARPNESS_WEIGHT * candidate.sharpness / maxSharpness + (1 - SHARPNESS_WEIGHT) * this.faceScore(candidate.skin)
+        }))
+        .reduce((best, candidate) => (candidate.score > best.score ? candidate : best));
+      return { sceneNumber: scene.sceneNumber, videoPath: scene.videoPath, time: best.time, score: Number(best.score.toFixed(4)) };
+    }));
+  }
+
+  // 1 inside FACE_RANGE, falling linearly to 0 at no skin and at twice its upper end
+  faceScore(skinRatio) {
+    const [low, high] = FACE_RANGE;
+    if (skinRatio < low) return skinRatio / low;
+    if (skinRatio > high) return Math.max(0, 1 - (skinRatio - high) / high);
+    return 1;
+  }
+
+  // width x height of a size in the master's aspect ratio (even, as encoders want)
+  getSize(size, outputFormat) {
+    const width = Math.min(size.width, outputFormat.width);
+    return { width: width, height: Math.round(width * outputFormat.height / outputFormat.width / 2) * 2 };
+  }
+
+  async extractFrame(videoPath, time, outputPath, { width, height }) {
+    const { status } = await runProcess('ffmpeg', [
+      '-y',
+      '-ss', time.toFixed(3),
+      '-i', videoPath,
+      '-frames:v', '1',
+      '-vf', `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`,
+      '-q:v', '2',
+      outputPath
+    ], { stdio: 'inherit' });
+
+    if (status !== 0) {
+      throw new Error(`Could not extract the frame at ${time.toFixed(2)}s of ${path.basename(videoPath)}`);
+    }
+    return outputPath;
+  }
+
+  async scaleImage(inputPath, outputPath, { width, height }) {
+    const { status } = await runProcess('ffmpeg', [
+      '-y',
+      '-i', inputPath,
+      '-vf', `scale=${width}:${height}:flags=lanczos`,
+      '-q:v', '3',
+      outputPath
+    ], { stdio: 'inherit' });
+
+    if (status !== 0) {
+      throw new Error(`Could not scale the poster to ${width}x${height}`);
+    }
+    return outputPath;
+  }
+
+  // The scene image in the master format, darkened towards the bottom, with
+  // the title on a bar in the palette's primary colour above an accent rule
+  async renderTitleCard(imagePath, title, outputPath, outputFormat, style, workingDir) {
+    const { width, height } = outputFormat;
+    const palette = { ...DEFAULT_PALETTE, ...((style && style.palette) || {}) };
+    const fonts = { ...DEFAULT_FONTS, ...((style && style.fonts) || {}) };
+    const color = (hex, opacity = 1) => `0x${hex.replace('#', '')}@${opacity}`;
+
+    const lines = subtitleService.wrapLines(title.trim(), TITLE_LINE_LENGTH[height > width ? 1 : 0]);
+    const fontSize = Math.round(Math.min(width, height) * 0.08);
+    const lineSpacing = Math.round(fontSize * 0.25);
+    const padding = Math.round(fontSize * 0.45);
+    const margin = Math.round(width * 0.06);
+    const textHeight = lines.length * fontSize + (lines.length - 1) * lineSpacing;
+    const textY = height - margin - padding - textHeight;
+    const ruleY = textY - padding - Math.round(fontSize * 0.12);
+
+    // the title goes through a file so it needs no escaping
+    const textFile = path.join(workingDir, 'thumbnail_title.txt');
+    await fs.writeFile(textFile, lines.join('\n'), 'utf8');
+
+    const { status } = await runProcess('ffmpeg', [
+      '-y',
+      '-i', imagePath,
+      '-frames:v', '1',
+      '-vf', [
+        `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+        `crop=${width}:${height}`,
+        `drawbox=x=0:y=ih*0.55:w=iw:h=ih*0.45:color=black@0.35:t=fill`,
+        `drawbox=x=${margin - padding}:y=${ruleY}:w=${Math.round(width * 0.12)}:h=${Math.round(fontSize * 0.12)}:color=${color(palette.accent)}:t=fill`,
+        [
+          `drawtext=textfile='${subtitleService.escapeFilterPath(textFile)}':expansion=none`,
+          `font='${subtitleService.escapeFilterValue(fonts.heading)}'`,
+          `fontsize=${fontSize}`,
+          `fontcolor=${color(palette.text)}`,
+          `line_spacing=${lineSpacing}`,
+          'box=1',
+          `boxcolor=${color(palette.primary, 0.85)}`,
+          `boxborderw=${padding}`,
+          `x=${margin}`,
+          `y=${textY}`
+        ].join(':')
+      ].join(','),
+      outputPath
+    ], { stdio: 'inherit' });
+
+    if (status !== 0) {
+      throw new Error('Could not render the title card');
+    }
+    return outputPath;
+  }
+}
+
+module.exports = new ThumbnailService();
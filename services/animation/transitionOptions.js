@@ -0,0 +1,52 @@
+// services/animation/transitionOptions.js - Scene transition options a generate request can set (generationOptions.transitions)
+
+// Transition styles and the ffmpeg xfade transition drawing each of them;
+// 'cut' joins the scenes without a transition
+const TRANSITION_STYLES = {
+  crossfade: 'fade',
+  'dip-to-white': 'fadewhite',
+  'dip-to-black': 'fadeblack',
+  wipe: 'wipeleft',
+  slide: 'slideleft',
+  zoom: 'zoomin',
+  cut: null
+};
+
+// duration is in seconds; the voices never overlap a transition, as the
+// clips on both sides of it are lengthened by its duration
+const TRANSITION_DURATION_RANGE = { min: 0.2, max: 2 };
+
+const DEFAULT_TRANSITION = { style: 'crossfade', duration: 0.5 };
+
+// style null (or 'mood') takes every scene's transition from its mood's motion
+// config; duration null keeps the chosen style's duration from the mood
+const resolveTransitionOptions = (generationOptions = {}) => {
+  const requested = generationOptions.transitions || {};
+  const duration = Number(requested.duration);
+  return {
+    style: Object.prototype.hasOwnProperty.call(TRANSITION_STYLES, requested.style) ? requested.style : null,
+    duration: duration ? Math.min(TRANSITION_DURATION_RANGE.max, Math.max(TRANSITION_DURATION_RANGE.min, duration)) : null
+  };
+};
+
+// The transition into a scene: the requested style and duration over the
+// scene mood's transition. Resolves with null for a cut.
+const resolveSceneTransition = (transitions, moodTransition = DEFAULT_TRANSITION) => {
+  const style = (transitions && transitions.style) || moodTransition.style;
+  if (!TRANSITION_STYLES[style]) {
+    return null;
+  }
+  return {
+    style: style,
+    xfade: TRANSITION_STYLES[style],
+    duration: (transitions && transitions.duration) || moodTransition.duration
+  };
+};
+
+module.exports = {
+  TRANSITION_STYLES,
+  TRANSITION_DURATION_RANGE,
+  DEFAULT_TRANSITION,
+  resolveTransitionOptions,
+  resolveSceneTransition
+};
@@ -0,0 +1,63 @@
+// services/animation/ttsProviders/elevenLabsProvider.js - ElevenLabs multilingual v2 text-to-speech
+const axios = require('axios');
+const fs = require('fs').promises;
+
+const VOICE_IDS = {
+  daniel: 'onwK4e9ZLuTAKqWW03F9',
+  brian: 'nPczCjzI2devNBz1zQrb',
+  liam: 'TX3LPaxmHKxFdv7VOQHJ',
+  bill: 'pqHfZKP75CvOlQylNhV4',
+  sarah: 'EXAVITQu4vr4xnSDxMaL',
+  lily: 'pFZP5JQG7iQjIQuC4Bku',
+  sunny: 'aXbjk4JoIDXdCNz29TrS',
+  jessica: 'cgSgspJ2msm6clMCkdW9',
+  alice: 'Xb7hH8MSUJpSbSDYk0k2'
+};
+
+class ElevenLabsProvider {
+  constructor() {
+    this.name = 'elevenlabs';
+    this.remote = true;
+    this.apiKey = process.env.ELEVENLABS_API_KEY;
+    this.model = 'eleven_multilingual_v2';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  // The mood voice settings are ElevenLabs' own controls; speed is limited to 0.7-1.2
+  mapDelivery(delivery) {
+    return {
+      stability: delivery.stability,
+      similarity_boost: delivery.similarity_boost,
+      style: delivery.style,
+      use_speaker_boost: delivery.use_speaker_boost,
+      speed: Math.min(1.2, Math.max(0.7, delivery.speakingRate))
+    };
+  }
+
+  async synthesize(request, outputPath) {
+    const response = await axios.post(
+      `https://api.elevenlabs.io/v1/text-to-speech/${VOICE_IDS[request.voice] || VOICE_IDS.daniel}`,
+      {
+        text: request.text,
+        model_id: this.model,
+        voice_settings: this.mapDelivery(request.delivery)
+      },
+      {
+        headers: {
+          'Accept': 'audio/mpeg',
+          'Content-Type': 'application/json',
+          'xi-api-key': this.apiKey
+        },
+        responseType: 'arraybuffer'
+      }
+    );
+
+    await fs.writeFile(outputPath, Buffer.from(response.data));
+    return outputPath;
+  }
+}
+
+module.exports = new ElevenLabsProvider();
@@ -0,0 +1,96 @@
+// services/animation/ttsProviders/index.js - Registry of text-to-speech providers for the narration
+//
+// A provider is a module exporting an object with:
+//   name                          unique id used in TTS_PROVIDER_ORDER and request options
+//   remote                        false for engines running on this machine
+//   isConfigured()                false (or a promise of it) when credentials (or the local engine) are missing, so the provider is skipped
+//   synthesize(request, outPath)  writes the narration as MP3 to outPath and resolves with the path
+//
+// `request` carries { text, sceneNumber, voice, language, mood, moodIntensity, delivery }. voice is one of
+// VOICES (see ./voices); delivery is the mood's voice settings (stability, similarity_boost,
+// style, use_speaker_boost, speakingRate) with the mood's tone, pace, emphasis and emotionalTone, which
+// every provider maps onto its own controls.
+const __config = require('../../../config');
+const { RateLimiter } = require('../../../lib/util/concurrency');
+const elevenLabsProvider = require('./elevenLabsProvider');
+const openaiTtsProvider = require('./openaiTtsProvider');
+const localTtsProvider = require('./localTtsProvider');
+
+const REQUIRED_METHODS = ['isConfigured', 'synthesize'];
+
+class TtsProviderRegistry {
+  constructor() {
+    this.options = __config.tts;
+    this.fallbackProvider = localTtsProvider.name;
+    this.providers = new Map();
+    this.limiters = new Map();
+
+    [elevenLabsProvider, openaiTtsProvider, localTtsProvider].forEach(provider => this.register(provider));
+  }
+
+  register(provider) {
+    const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (!provider.name || missing.length > 0) {
+      throw new Error(`Invalid TTS provider ${provider.name || '(unnamed)'}: missing ${missing.join(', ') || 'name'}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    this.limiters.set(provider.name, new RateLimiter(this.getSettings(provider.name)));
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  getSettings(name) {
+    return this.options.settings[name] || { maxConcurrent: 1, minInterval: 0 };
+  }
+
+  // Providers to try, in order: the requested (or configured) order without
+  // unconfigured providers, followed by the local engine when it is installed
+  async resolveOrder(requestedOrder = null) {
+    const order = requestedOrder && requestedOrder.length ? requestedOrder : this.options.order;
+
+    const resolved = [];
+    for (const name of order) {
+      const provider = this.providers.get(name);
+      if (!provider) {
+        console.warn(`⚠️ Unknown TTS provider "${name}" ignored`);
+        continue;
+      }
+      if (name === this.fallbackProvider || resolved.includes(name)) continue;
+      if (!await provider.isConfigured()) {
+        console.warn(`⚠️ TTS provider ${name} is not configured, skipping`);
+        continue;
+      }
+      resolved.push(name);
+    }
+
+    const fallbackRequested = order.includes(this.fallbackProvider);
+    if ((this.options.localFallback || fallbackRequested) && await this.providers.get(this.fallbackProvider).isConfigured()) {
+      resolved.push(this.fallbackProvider);
+    }
+    return resolved;
+  }
+
+  // Voice one narration, trying each provider in turn until one succeeds
+  async synthesize(request, { providers = null, outputPath }) {
+    const order = await this.resolveOrder(providers);
+    const errors = [];
+
+    for (const name of order) {
+      try {
+        console.log(`🎤 Scene ${request.sceneNumber}: voicing with TTS provider ${name} (${request.voice}, ${request.language})`);
+        const audioPath = await this.limiters.get(name).schedule(() => this.providers.get(name).synthesize(request, outputPath));
+        return { provider: name, audioPath: audioPath, voice: request.voice };
+      } catch (error) {
+        console.error(`❌ TTS provider ${name} failed for scene ${request.sceneNumber}:`, error.message);
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All TTS providers failed for scene ${request.sceneNumber} (${errors.join('; ') || 'no providers available'})`);
+  }
+}
+
+module.exports = new TtsProviderRegistry();
@@ -0,0 +1,98 @@
+// services/animation/ttsProviders/localTtsProvider.js - Offline last-resort provider: espeak-ng or piper on this machine
+const fsSync = require('fs');
+const path = require('path');
+const { runProcess } = require('../../../lib/util/childProcess');
+const __config = require('../../../config');
+
+// espeak-ng voice variant of each voice. Piper models have a single speaker,
+// so offline the cast is only told apart with espeak-ng.
+const ESPEAK_VARIANTS = {
+  daniel: 'm3',
+  brian: 'm2',
+  liam: 'm1',
+  bill: 'm7',
+  sarah: 'f2',
+  lily: 'f4',
+  sunny: 'f3',
+  jessica: 'f5',
+  alice: 'f1'
+};
+
+const ESPEAK_WORDS_PER_MINUTE = 160;
+
+class LocalTtsProvider {
+  constructor() {
+    this.name = 'local';
+    this.remote = false;
+    this.options = __config.tts.local;
+    this.available = null;
+  }
+
+  // Needs the engine binary on the PATH (and piper models in PIPER_MODEL_DIR);
+  // checked once per process, resolves with the result
+  isConfigured() {
+    if (this.available === null) {
+      const binary = this.options.engine === 'piper' ? this.options.piperBinary : this.options.espeakBinary;
+      this.available = runProcess(binary, ['--version'], { stdio: 'ignore' })
+        .then(({ status }) => status === 0 && (this.options.engine !== 'piper' || Boolean(this.options.piperModelDir && fsSync.existsSync(this.options.piperModelDir))));
+    }
+    return this.available;
+  }
+
+  // Piper models are named <language>_<REGION>-<name>-<quality>.onnx
+  findPiperModel(language) {
+    const model = fsSync.readdirSync(this.options.piperModelDir)
+      .filter(file => file.startsWith(`${language}_`) && file.endsWith('.onnx'))
+      .sort()[0];
+    if (!model) {
+      throw new Error(`No piper model for ${language} in ${this.options.piperModelDir}`);
+    }
+    return path.join(this.options.piperModelDir, model);
+  }
+
+  // Neither engine has emotional controls. espeak-ng gets the rate in words per
+  // minute and a livelier pitch for expressive moods; piper gets the rate as
+  // length_scale and less stable moods as more variation (noise_scale).
+  mapDelivery(delivery) {
+    return {
+      wordsPerMinute: Math.round(ESPEAK_WORDS_PER_MINUTE * delivery.speakingRate),
+      pitch: Math.round(40 + delivery.style * 30),
+      lengthScale: Number((1 / delivery.speakingRate).toFixed(3)),
+      noiseScale: Number((0.4 + (1 - delivery.stability) * 0.6).toFixed(3))
+    };
+  }
+
+  async synthesize(request, outputPath) {
+    const settings = this.mapDelivery(request.delivery);
+    const wavPath = outputPath.replace(/\.mp3$/, '') + '.wav';
+
+    const [binary, args] = this.options.engine === 'piper'
+      ? [this.options.piperBinary, [
+          '--model', this.findPiperModel(request.language),
+          '--output_file', wavPath,
+          '--length_scale', String(settings.lengthScale),
+          '--noise_scale', String(settings.noiseScale)
+        ]]
+      : [this.options.espeakBinary, [
+          '-v', `${request.language}+${ESPEAK_VARIANTS[request.voice] || ESPEAK_VARIANTS.daniel}`,
+          '-s', String(settings.wordsPerMinute),
+          '-p', String(settings.pitch),
+          '-w', wavPath,
+          '--stdin'
+        ]];
+
+    const synthesis = await runProcess(binary, args, { input: request.text, stdio: ['pipe', 'ignore', 'pipe'] });
+    if (synthesis.status !== 0) {
+      throw new Error(`${this.options.engine} exited with status ${synthesis.status}: ${(synthesis.stderr || '').trim()}`);
+    }
+
+    const { status } = await runProcess('ffmpeg', ['-v', 'error', '-y', '-i', wavPath, '-c:a', 'libmp3lame', '-q:a', '4', outputPath], { stdio: 'inherit' });
+    fsSync.rmSync(wavPath, { force: true });
+    if (status !== 0) {
+      throw new Error(`ffmpeg could not encode the ${this.options.engine} narration (status ${status})`);
+    }
+    return outputPath;
+  }
+}
+
+module.exports = new LocalTtsProvider();
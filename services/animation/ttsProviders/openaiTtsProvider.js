@@ -0,0 +1,64 @@
+// services/animation/ttsProviders/openaiTtsProvider.js - OpenAI text-to-speech, steered with spoken instructions
+const OpenAI = require('openai');
+const fs = require('fs').promises;
+const __config = require('../../../config');
+
+const VOICES = {
+  daniel: 'onyx',
+  brian: 'ash',
+  liam: 'echo',
+  bill: 'fable',
+  sarah: 'shimmer',
+  lily: 'alloy',
+  sunny: 'nova',
+  jessica: 'coral',
+  alice: 'sage'
+};
+
+class OpenAITtsProvider {
+  constructor() {
+    this.name = 'openai';
+    this.remote = true;
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.model = __config.tts.openai.model;
+    this.openai = new OpenAI({
+      apiKey: this.apiKey
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  // OpenAI voices have no stability / style sliders: the delivery is described
+  // in the instructions (only gpt-4o-mini-tts follows them) and the rate is the speed
+  mapDelivery(delivery) {
+    const expressiveness = delivery.style >= 0.5 ? 'expressive' : delivery.style >= 0.3 ? 'moderately expressive' : 'restrained';
+    return {
+      instructions: [
+        `Voice: ${delivery.tone}.`,
+        `Pace: ${delivery.pace}.`,
+        `Emphasis: ${delivery.emphasis}.`,
+        `Emotion: ${delivery.emotionalTone}, ${expressiveness}${delivery.stability >= 0.7 ? ' and steady' : ''}.`
+      ].join(' '),
+      speed: Math.min(4, Math.max(0.25, delivery.speakingRate))
+    };
+  }
+
+  async synthesize(request, outputPath) {
+    const { instructions, speed } = this.mapDelivery(request.delivery);
+    const response = await this.openai.audio.speech.create({
+      model: this.model,
+      voice: VOICES[request.voice] || VOICES.daniel,
+      input: request.text,
+      ...(this.model.startsWith('gpt-') && { instructions }),
+      speed: speed,
+      response_format: 'mp3'
+    });
+
+    await fs.writeFile(outputPath, Buffer.from(await response.arrayBuffer()));
+    return outputPath;
+  }
+}
+
+module.exports = new OpenAITtsProvider();
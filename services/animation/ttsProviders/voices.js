@@ -0,0 +1,119 @@
+// services/animation/ttsProviders/voices.js - Voices of the narrator and the cast, independent of the TTS provider
+//
+// The pipeline picks one of these names; every provider maps it onto the
+// closest voice it has, so switching providers keeps each speaker's character.
+const __config = require('../../../config');
+
+const VOICES = {
+  daniel: { gender: 'male', age: 'adult', description: 'authoritative, clear news anchor' },
+  brian: { gender: 'male', age: 'adult', description: 'deep, resonant' },
+  liam: { gender: 'male', age: 'young', description: 'energetic, articulate' },
+  bill: { gender: 'male', age: 'senior', description: 'mature, steady' },
+  sarah: { gender: 'female', age: 'adult', description: 'caring, thoughtful' },
+  lily: { gender: 'female', age: 'adult', description: 'educational, even' },
+  sunny: { gender: 'female', age: 'young', description: 'optimistic, upbeat' },
+  jessica: { gender: 'female', age: 'young', description: 'expressive, conversational' },
+  alice: { gender: 'female', age: 'senior', description: 'composed, confident' }
+};
+
+const DEFAULT_NARRATOR_VOICE = 'daniel';
+
+// Gender and age hints the story model gives each character. None of the
+// providers has child voices, so children are cast with young ones.
+const CHARACTER_GENDERS = ['male', 'female', 'unspecified'];
+const CHARACTER_AGE_GROUPS = ['child', 'young', 'adult', 'senior'];
+
+// Narrator of each overall story mood
+const MOOD_NARRATOR_VOICES = {
+  serious: 'daniel', // more authoritative
+  hopeful: 'sunny', // optimistic
+  concerned: 'sarah', // caring
+  urgent: 'daniel', // clear
+  informative: 'lily', // educational
+  celebratory: 'sunny', // joyful
+  reflective: 'sarah', // thoughtful
+  professional: 'daniel' // professional
+};
+
+// The narrator of an animation: the requested voice, else the brand's narrator
+// (TTS_BRAND_NARRATORS), else the voice of the overall mood, else the
+// configured default (TTS_DEFAULT_NARRATOR). Resolves with { voice, source }.
+const resolveNarratorVoice = (options = {}, overallMood = null) => {
+  const { brands, defaultVoice } = __config.tts.narrators;
+  const candidates = [
+    [options.narratorVoice, 'request'],
+    [options.brand ? brands[options.brand] : null, 'brand'],
+    [MOOD_NARRATOR_VOICES[overallMood], 'mood'],
+    [defaultVoice, 'default']
+  ];
+
+  for (const [voice, source] of candidates) {
+    if (!voice) continue;
+    if (VOICES[voice]) return { voice, source };
+    console.warn(`⚠️ Unknown ${source} narrator voice "${voice}" ignored`);
+  }
+  return { voice: DEFAULT_NARRATOR_VOICE, source: 'default' };
+};
+
+// Voices for a character, best match first: its gender and age, then any age
+// of its gender (every voice when the gender is unspecified)
+const matchingVoiceTiers = ({ gender, ageGroup }) => {
+  const age = ageGroup === 'child' ? 'young' : ageGroup;
+  const names = Object.keys(VOICES);
+  const byGender = gender && gender !== 'unspecified' ? names.filter(name => VOICES[name].gender === gender) : names;
+  const byAge = age ? byGender.filter(name => VOICES[name].age === age) : byGender;
+  const tiers = [byAge, byGender].filter(tier => tier.length > 0);
+  return tiers.length > 0 ? tiers : [names];
+};
+
+// The voice-casting table of an animation. A character keeps the voice an
+// editor gave it (character.voice); every other one gets an unused voice of
+// the closest tier, so the narrator and the cast sound apart, or the least
+// used best match once the catalogue runs out.
+const castVoices = (characters = [], narrator = resolveNarratorVoice()) => {
+  const requestedVoice = character => character.voice && VOICES[character.voice] ? character.voice : null;
+  const uses = new Map([[narrator.voice, 1]]);
+  characters.map(requestedVoice).filter(Boolean).forEach(voice => uses.set(voice, (uses.get(voice) || 0) + 1));
+
+  const cast = characters.map(character => {
+    const requested = requestedVoice(character);
+    let voice = requested;
+    if (!voice) {
+      const tiers = matchingVoiceTiers(character);
+      voice = tiers.map(tier => tier.find(name => !uses.has(name))).find(Boolean) ||
+        tiers[0].reduce((best, name) => uses.get(name) < uses.get(best) ? name : best);
+      uses.set(voice, (uses.get(voice) || 0) + 1);
+    }
+
+    return {
+      character: character.name,
+      voice: voice,
+      gender: character.gender || 'unspecified',
+      ageGroup: character.ageGroup || null,
+      source: requested ? 'storyboard' : 'auto'
+    };
+  });
+
+  return {
+    narrator: narrator.voice,
+    narratorSource: narrator.source,
+    characters: cast
+  };
+};
+
+// Voice of a dialogue line; speakers missing from the cast are voiced by the narrator
+const getCharacterVoice = (casting, characterName) => {
+  const entry = casting.characters.find(candidate => candidate.character === characterName);
+  return entry ? entry.voice : casting.narrator;
+};
+
+module.exports = {
+  VOICES,
+  DEFAULT_NARRATOR_VOICE,
+  CHARACTER_GENDERS,
+  CHARACTER_AGE_GROUPS,
+  MOOD_NARRATOR_VOICES,
+  resolveNarratorVoice,
+  castVoices,
+  getCharacterVoice
+};
@@ -0,0 +1,74 @@
+// services/animation/videoProviders/falKlingProvider.js - Kling v2.1 image-to-video through the fal.ai queue
+const { fal } = require('@fal-ai/client');
+const KlingAI = require('../klingAIService');
+
+const MODEL_ENDPOINTS = {
+  std: 'fal-ai/kling-video/v2.1/standard/image-to-video',
+  pro: 'fal-ai/kling-video/v2.1/pro/image-to-video'
+};
+
+class FalKlingProvider {
+  constructor() {
+    this.name = 'fal-kling';
+    this.remote = true;
+    this.pollInterval = 10000;
+    // fal bills Kling v2.1 per generated second; clips are always rendered at 10s
+    this.billedSeconds = 10;
+  }
+
+  isConfigured() {
+    return Boolean(KlingAI.falApiKey);
+  }
+
+  estimateCost(request, settings = {}) {
+    const costPerSecond = settings.costPerSecond || 0;
+    return {
+      amount: Number((costPerSecond * this.billedSeconds).toFixed(4)),
+      currency: 'USD',
+      billedSeconds: this.billedSeconds
+    };
+  }
+
+  async submit(request) {
+    const mode = request.mode || 'std';
+    const submission = await KlingAI.generateVideoViaFalAIQueue(
+      request.imageUrl,
+      request.prompt,
+      request.duration,
+      request.aspectRatio || '16:9',
+      mode,
+      request.mood,
+      request.moodIntensity
+    );
+
+    return {
+      taskId: submission.requestId,
+      modelEndpoint: MODEL_ENDPOINTS[mode] || MODEL_ENDPOINTS.std
+    };
+  }
+
+  async poll(handle) {
+    const status = await KlingAI.pollFalAIQueueStatus(handle.taskId, handle.modelEndpoint);
+    if (status.status !== 'COMPLETED') {
+      return { status: 'pending' };
+    }
+
+    // fal reports failed generations by rejecting the result request
+    try {
+      const result = await KlingAI.getFalAIQueueResult(handle.taskId, handle.modelEndpoint);
+      return { status: 'succeeded', videoUrl: result.videoUrl };
+    } catch (error) {
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  async download(handle, result, outputPath) {
+    return KlingAI.downloadVideo(result.videoUrl, outputPath);
+  }
+
+  async cancel(handle) {
+    await fal.queue.cancel(handle.modelEndpoint, { requestId: handle.taskId });
+  }
+}
+
+module.exports = new FalKlingProvider();
@@ -0,0 +1,210 @@
+// services/animation/videoProviders/index.js - Registry of image-to-video providers
+//
+// A provider is a module exporting an object with:
+//   name                               unique id used in VIDEO_PROVIDER_ORDER and request options
+//   pollInterval                       ms between poll() calls while a task is pending
+//   isConfigured()                     false when credentials are missing, so the provider is skipped
+//   estimateCost(request, settings)    { amount, currency, billedSeconds } for one clip
+//   submit(request)                    starts a task and resolves with a handle ({ taskId, ... })
+//   poll(handle)                       { status: 'pending' | 'succeeded' | 'failed', videoUrl, error }
+//   download(handle, result, outPath)  stores the finished clip at outPath and resolves with the path
+//   cancel(handle)                     optional, called when a task exceeds the poll timeout
+//
+// `request` carries { sceneNumber, imagePath, imageUrl, prompt, duration, sceneType, mood, moodIntensity, aspectRatio, scene }.
+const __config = require('../../../config');
+const { RateLimiter } = require('../../../lib/util/concurrency');
+const falKlingProvider = require('./falKlingProvider');
+const klingDirectProvider = require('./klingDirectProvider');
+const kenBurnsProvider = require('./kenBurnsProvider');
+
+const REQUIRED_METHODS = ['isConfigured', 'estimateCost', 'submit', 'poll', 'download'];
+const MAX_CONSECUTIVE_POLL_ERRORS = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class VideoProviderRegistry {
+  constructor() {
+    this.options = __config.videoProviders;
+    this.fallbackProvider = kenBurnsProvider.name;
+    this.providers = new Map();
+    this.limiters = new Map();
+    // Recent outcomes per provider, newest last: [{ ok, at, error }]
+    this.outcomes = new Map();
+
+    [falKlingProvider, klingDirectProvider, kenBurnsProvider].forEach(provider => this.register(provider));
+  }
+
+  register(provider) {
+    const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (!provider.name || missing.length > 0) {
+      throw new Error(`Invalid video provider ${provider.name || '(unnamed)'}: missing ${missing.join(', ') || 'name'}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    this.limiters.set(provider.name, new RateLimiter(this.getSettings(provider.name)));
+    this.outcomes.set(provider.name, []);
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  getSettings(name) {
+    return this.options.settings[name] || { maxConcurrent: 1, minInterval: 0, costPerSecond: 0 };
+  }
+
+  // Providers to try, in order: the requested (or configured) order with
+  // unconfigured providers dropped and unhealthy ones moved behind the
+  // healthy ones, followed by the local fallback.
+  resolveOrder(requestedOrder = null) {
+    const order = requestedOrder && requestedOrder.length ? requestedOrder : this.options.order;
+
+    const candidates = [];
+    for (const name of order) {
+      const provider = this.providers.get(name);
+      if (!provider) {
+        console.warn(`⚠️ Unknown video provider "${name}" ignored`);
+        continue;
+      }
+      if (name === this.fallbackProvider || candidates.includes(name)) continue;
+      if (!provider.isConfigured()) {
+        console.warn(`⚠️ Video provider ${name} is not configured, skipping`);
+        continue;
+      }
+      candidates.push(name);
+    }
+
+    const healthy = candidates.filter(name => this.isHealthy(name));
+    const unhealthy = candidates.filter(name => !this.isHealthy(name));
+
+    const resolved = [...healthy, ...unhealthy];
+    const fallbackRequested = order.includes(this.fallbackProvider);
+    if (this.options.localFallback || fallbackRequested) {
+      resolved.push(this.fallbackProvider);
+    }
+    return resolved;
+  }
+
+  // True when every provider that would be tried renders locally, so the
+  // caller can skip remote-only preparation such as the GPT motion prompt
+  isLocalOnly(requestedOrder = null) {
+    return this.resolveOrder(requestedOrder).every(name => this.providers.get(name).remote === false);
+  }
+
+  recentOutcomes(name) {
+    const cutoff = Date.now() - this.options.health.ttl;
+    return (this.outcomes.get(name) || []).filter(outcome => outcome.at >= cutoff);
+  }
+
+  // Success ratio over the recent window, weighting newer outcomes more.
+  // Providers without enough recent samples are assumed healthy.
+  healthScore(name) {
+    const outcomes = this.recentOutcomes(name);
+    if (outcomes.length < this.options.health.minSamples) return 1;
+
+    let weighted = 0;
+    let total = 0;
+    outcomes.forEach((outcome, index) => {
+      const weight = index + 1;
+      total += weight;
+      if (outcome.ok) weighted += weight;
+    });
+    return weighted / total;
+  }
+
+  isHealthy(name) {
+    return this.healthScore(name) >= this.options.health.unhealthyBelow;
+  }
+
+  recordOutcome(name, ok, error = null) {
+    const outcomes = this.outcomes.get(name) || [];
+    outcomes.push({ ok, at: Date.now(), error: error ? error.message : null });
+    this.outcomes.set(name, outcomes.slice(-this.options.health.window));
+  }
+
+  getHealth() {
+    return this.names().map(name => {
+      const outcomes = this.recentOutcomes(name);
+      const lastFailure = [...outcomes].reverse().find(outcome => !outcome.ok);
+      return {
+        name,
+        configured: this.providers.get(name).isConfigured(),
+        score: Number(this.healthScore(name).toFixed(2)),
+        samples: outcomes.length,
+        lastError: lastFailure ? lastFailure.error : null,
+        lastFailureAt: lastFailure ? new Date(lastFailure.at) : null
+      };
+    });
+  }
+
+  estimateCost(name, request) {
+    const provider = this.providers.get(name);
+    return provider ? provider.estimateCost(request, this.getSettings(name)) : null;
+  }
+
+  // Generate one clip, trying each provider in turn until one succeeds
+  async generateVideo(request, { providers = null, outputPath }) {
+    const order = this.resolveOrder(providers);
+    const errors = [];
+
+    for (const name of order) {
+      try {
+        console.log(`🎬 Scene ${request.sceneNumber}: trying video provider ${name} (health ${this.healthScore(name).toFixed(2)})`);
+        const result = await this.limiters.get(name).schedule(() => this.runProvider(this.providers.get(name), request, outputPath));
+        this.recordOutcome(name, true);
+        return result;
+      } catch (error) {
+        console.error(`❌ Video provider ${name} failed for scene ${request.sceneNumber}:`, error.message);
+        this.recordOutcome(name, false, error);
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All video providers failed for scene ${request.sceneNumber} (${errors.join('; ') || 'no providers available'})`);
+  }
+
+  async runProvider(provider, request, outputPath) {
+    const estimatedCost = provider.estimateCost(request, this.getSettings(provider.name));
+    const handle = await provider.submit(request);
+    const deadline = Date.now() + this.options.pollTimeout;
+
+    let result = { status: 'pending' };
+    let pollErrors = 0;
+    while (true) {
+      try {
+        result = await provider.poll(handle);
+        pollErrors = 0;
+      } catch (error) {
+        // transient poll failures are retried; the task itself may still be fine
+        pollErrors++;
+        if (pollErrors >= MAX_CONSECUTIVE_POLL_ERRORS) throw error;
+        console.warn(`⚠️ ${provider.name} poll error for task ${handle.taskId}: ${error.message}`);
+      }
+
+      if (result.status !== 'pending') break;
+      if (Date.now() > deadline) {
+        if (provider.cancel) {
+          await provider.cancel(handle).catch(error => console.warn(`⚠️ Failed to cancel ${provider.name} task ${handle.taskId}: ${error.message}`));
+        }
+        throw new Error(`task ${handle.taskId} timed out after ${this.options.pollTimeout}ms`);
+      }
+      await sleep(provider.pollInterval);
+    }
+
+    if (result.status === 'failed') {
+      throw new Error(result.error || `task ${handle.taskId} failed`);
+    }
+
+    const videoPath = await provider.download(handle, result, outputPath);
+    return {
+      provider: provider.name,
+      taskId: handle.taskId,
+      videoPath: videoPath,
+      sourceUrl: result.videoUrl || null,
+      motion: handle.motion || null,
+      estimatedCost: estimatedCost
+    };
+  }
+}
+
+module.exports = new VideoProviderRegistry();
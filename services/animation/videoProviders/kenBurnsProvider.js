@@ -0,0 +1,62 @@
+// services/animation/videoProviders/kenBurnsProvider.js - Local last-resort provider: animates the still scene image with ffmpeg
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const kenBurnsRenderer = require('../kenBurnsRenderer');
+const { getOutputFormat } = require('../outputFormats');
+
+class KenBurnsProvider {
+  constructor() {
+    this.name = 'ken-burns';
+    this.remote = false;
+    this.pollInterval = 0;
+    // Remote providers always return 10s clips and assembly trims to the
+    // narration, so local clips are rendered at least that long as well
+    this.minDuration = 10;
+    this.workingDir = path.join(__dirname, '../../../temp/videos');
+  }
+
+  // Only needs ffmpeg on the PATH
+  isConfigured() {
+    return true;
+  }
+
+  estimateCost() {
+    return { amount: 0, currency: 'USD', billedSeconds: 0 };
+  }
+
+  // Renders synchronously; the returned handle already points at the finished
+  // clip, written to request.outputDir (the run's working dir) when given
+  async submit(request) {
+    const outputDir = request.outputDir || this.workingDir;
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const duration = Math.max(request.duration || 0, this.minDuration);
+    const { width, height } = getOutputFormat(request.aspectRatio);
+    const outputPath = path.join(outputDir, `ken_burns_${request.sceneNumber || 'scene'}_${uuidv4()}.mp4`);
+
+    console.log(`🎞️ Rendering Ken Burns clip for scene ${request.sceneNumber} (${duration}s)`);
+    const { motion } = await kenBurnsRenderer.render({
+      imagePath: request.imagePath,
+      outputPath: outputPath,
+      duration: duration,
+      scene: request.scene || request,
+      width: width,
+      height: height
+    });
+
+    return { taskId: `local-${uuidv4()}`, localPath: outputPath, motion: motion };
+  }
+
+  async poll(handle) {
+    return { status: 'succeeded', videoUrl: null, localPath: handle.localPath };
+  }
+
+  async download(handle, result, outputPath) {
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.rename(handle.localPath, outputPath);
+    return outputPath;
+  }
+}
+
+module.exports = new KenBurnsProvider();
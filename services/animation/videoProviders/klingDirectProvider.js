@@ -0,0 +1,45 @@
+// services/animation/videoProviders/klingDirectProvider.js - Kling v1.6 image-to-video through the Kling AI API
+const KlingAI = require('../klingAIService');
+
+class KlingDirectProvider {
+  constructor() {
+    this.name = 'kling-direct';
+    this.remote = true;
+    this.pollInterval = KlingAI.defaultSettings.pollInterval;
+    this.billedSeconds = 10;
+  }
+
+  isConfigured() {
+    return Boolean(KlingAI.accessKey && KlingAI.secretKey);
+  }
+
+  estimateCost(request, settings = {}) {
+    const costPerSecond = settings.costPerSecond || 0;
+    return {
+      amount: Number((costPerSecond * this.billedSeconds).toFixed(4)),
+      currency: 'USD',
+      billedSeconds: this.billedSeconds
+    };
+  }
+
+  async submit(request) {
+    const taskId = await KlingAI.submitVideoViaDirect(
+      request.imageUrl,
+      request.prompt,
+      request.mood,
+      request.moodIntensity,
+      request.aspectRatio || '16:9'
+    );
+    return { taskId };
+  }
+
+  async poll(handle) {
+    return KlingAI.getVideoGenerationStatus(handle.taskId);
+  }
+
+  async download(handle, result, outputPath) {
+    return KlingAI.downloadVideo(result.videoUrl, outputPath);
+  }
+}
+
+module.exports = new KlingDirectProvider();
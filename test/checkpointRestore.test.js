@@ -0,0 +1,90 @@
+const os = require('os')
+const path = require('path')
+const fs = require('fs').promises
+
+const tempRoot = require('fs').mkdtempSync(path.join(os.tmpdir(), 'checkpoint-restore-'))
+process.env.STORAGE_DRIVER = 'local'
+process.env.STORAGE_LOCAL_ROOT = path.join(tempRoot, 'storage')
+process.env.STORAGE_LOCAL_SIGNING_SECRET = 'test-secret'
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const storage = require('../lib/storage')
+const KlingAI = require('../services/animation/klingAIService')
+const animationService = require('../services/animation/animationService')
+
+describe('animationService.restoreCheckpointFile', () => {
+  const animationId = 'a1b2c3'
+  let checkpointDir
+  let sourcePath
+
+  before(async () => {
+    animationService.checkpointRoot = path.join(tempRoot, 'checkpoints')
+    checkpointDir = animationService.getCheckpointDir(animationId)
+    sourcePath = path.join(tempRoot, 'scene_1.mp4')
+    await fs.writeFile(sourcePath, 'scene video')
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await fs.rm(tempRoot, { recursive: true, force: true })
+  })
+
+  it('keeps a checkpoint file that is still on this host', async () => {
+    const restored = await animationService.restoreCheckpointFile(animationId, sourcePath, 'scene 1 video')
+    assert.equal(restored, sourcePath)
+  })
+
+  it('restores a missing file from its stored copy into the checkpoint dir', async () => {
+    const stored = await storage.upload(sourcePath, `animations/${animationId}/scenes/scene_1.mp4`)
+    const missingPath = path.join(tempRoot, 'gone', 'scene_1.mp4')
+
+    const restored = await animationService.restoreCheckpointFile(animationId, missingPath, 'scene 1 video', { stored })
+
+    assert.equal(restored, path.join(checkpointDir, 'scene_1.mp4'))
+    assert.equal(await fs.readFile(restored, 'utf8'), 'scene video')
+  })
+
+  it('names the restored file after the stored copy when the checkpoint has no path', async () => {
+    const stored = await storage.upload(sourcePath, `animations/${animationId}/scenes/scene_2.mp4`)
+
+    const restored = await animationService.restoreCheckpointFile(animationId, null, 'scene 2 video', { stored })
+
+    assert.equal(restored, path.join(checkpointDir, 'scene_2.mp4'))
+  })
+
+  it('falls back to the provider URL when the stored copy is gone', async () => {
+    const download = mock.method(KlingAI, 'downloadVideo', async (url, outputPath) => fs.writeFile(outputPath, 'provider video'))
+    const stored = { type: 'local', fileName: `animations/${animationId}/scenes/missing.mp4` }
+
+    const restored = await animationService.restoreCheckpointFile(animationId, path.join(tempRoot, 'gone', 'scene_3.mp4'), 'scene 3 video', {
+      stored,
+      sourceUrl: 'https://provider.example.com/scene_3.mp4'
+    })
+
+    assert.equal(download.mock.callCount(), 1)
+    assert.equal(download.mock.calls[0].arguments[0], 'https://provider.example.com/scene_3.mp4')
+    assert.equal(await fs.readFile(restored, 'utf8'), 'provider video')
+    // the failed attempt leaves no partial file behind
+    assert.deepEqual((await fs.readdir(checkpointDir)).filter(name => name.endsWith('.part')), [])
+    download.mock.restore()
+  })
+
+  it('drops the checkpoint when the file cannot be fetched again', async () => {
+    const download = mock.method(KlingAI, 'downloadVideo', async () => { throw new Error('expired') })
+
+    const restored = await animationService.restoreCheckpointFile(animationId, path.join(tempRoot, 'gone', 'scene_4.mp4'), 'scene 4 video', {
+      sourceUrl: 'https://provider.example.com/scene_4.mp4'
+    })
+
+    assert.equal(restored, null)
+    await assert.rejects(fs.access(path.join(checkpointDir, 'scene_4.mp4')))
+    download.mock.restore()
+  })
+
+  it('drops the checkpoint when the file has no stored copy', async () => {
+    const restored = await animationService.restoreCheckpointFile(animationId, path.join(tempRoot, 'gone', 'scene_5.mp4'), 'scene 5 video')
+    assert.equal(restored, null)
+  })
+})
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { mapWithConcurrency, RateLimiter } = require('../lib/util/concurrency')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('mapWithConcurrency', () => {
+  it('resolves with the results in input order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (delay, index) => {
+      await sleep(delay)
+      return index
+    })
+    assert.deepEqual(results, [0, 1, 2])
+  })
+
+  it('never runs more than limit calls at once', async () => {
+    let running = 0
+    let peak = 0
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, index) => index), 3, async () => {
+      running++
+      peak = Math.max(peak, running)
+      await sleep(5)
+      running--
+    })
+    assert.equal(peak, 3)
+  })
+
+  it('resolves with an empty array for no items', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 3, async () => 1), [])
+  })
+
+  it('stops starting items after the first rejection and rejects with it', async () => {
+    const started = []
+    await assert.rejects(mapWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+      started.push(item)
+      if (item === 1) throw new Error('item 1 failed')
+      await sleep(10)
+    }), { message: 'item 1 failed' })
+    assert.deepEqual(started, [1, 2])
+  })
+})
+
+describe('RateLimiter', () => {
+  it('hands a freed slot to the waiting task, not to a caller arriving as it is freed', async () => {
+    // the late caller arrives a few microtasks after the first task ends,
+    // around the moment its slot changes hands
+    for (let hops = 0; hops < 5; hops++) {
+      const limiter = new RateLimiter({ maxConcurrent: 1 })
+      let running = 0
+      let peak = 0
+      const task = (until) => async () => {
+        running++
+        peak = Math.max(peak, running)
+        await until
+        running--
+      }
+      let finish
+      const firstDone = new Promise(resolve => { finish = resolve })
+
+      const first = limiter.schedule(task(firstDone))
+      const waiting = limiter.schedule(task(null))
+      let arrival = firstDone
+      for (let hop = 0; hop < hops; hop++) arrival = arrival.then(() => {})
+      const late = arrival.then(() => limiter.schedule(task(null)))
+      finish()
+      await Promise.all([first, waiting, late])
+
+      assert.equal(peak, 1, `late caller ${hops} microtasks after the first task ended ran alongside another task`)
+    }
+  })
+
+  it('never runs more than maxConcurrent tasks at once', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 2 })
+    let running = 0
+    let peak = 0
+    const task = async () => {
+      running++
+      peak = Math.max(peak, running)
+      await sleep(10)
+      running--
+    }
+
+    await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(task)))
+
+    assert.equal(peak, 2)
+    assert.equal(limiter.active, 0)
+    assert.deepEqual(limiter.waiting, [])
+  })
+
+  it('spaces the starts of calls by minInterval', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 3, minInterval: 40 })
+    const starts = []
+    await Promise.all(Array.from({ length: 3 }, () => limiter.schedule(async () => { starts.push(Date.now()) })))
+
+    assert.ok(starts[1] - starts[0] >= 35, `second call started ${starts[1] - starts[0]} ms after the first`)
+    assert.ok(starts[2] - starts[1] >= 35, `third call started ${starts[2] - starts[1]} ms after the second`)
+  })
+
+  it('frees the slot of a task that rejects', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 })
+    await assert.rejects(limiter.schedule(async () => { throw new Error('provider error') }), { message: 'provider error' })
+    assert.equal(await limiter.schedule(async () => 'next'), 'next')
+    assert.equal(limiter.active, 0)
+  })
+})
@@ -0,0 +1,148 @@
+process.env.JOB_QUEUE_DRIVER = 'memory'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const jobQueue = require('../lib/queue')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Waits until check() is true, polling every 5 ms
+const waitFor = async (check, timeout = 2000) => {
+  const deadline = Date.now() + timeout
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('condition not met within ' + timeout + ' ms')
+    await sleep(5)
+  }
+}
+
+describe('JobQueue', () => {
+  let queue
+
+  beforeEach(() => {
+    // a fresh queue (and memory driver) per test, polling fast
+    queue = new jobQueue.constructor()
+    queue.options = { ...queue.options, concurrency: 1, maxAttempts: 3, pollInterval: 5, heartbeatInterval: 20, staleAfter: 1000, shutdownTimeout: 200 }
+  })
+
+  afterEach(async () => {
+    await queue.stop()
+  })
+
+  it('stores an added job as queued and puts it on the pending list', async () => {
+    const job = await queue.add('render', { animationId: 'a1' })
+
+    assert.equal(job.status, 'queued')
+    assert.equal(job.attempts, 0)
+    assert.equal(job.maxAttempts, 3)
+    assert.deepEqual(queue.driver.pending, [job.id])
+    assert.deepEqual((await queue.getJob(job.id)).payload, { animationId: 'a1' })
+  })
+
+  it('runs queued jobs with their handler and removes them once done', async () => {
+    const seen = []
+    queue.process('render', async (job) => { seen.push({ payload: job.payload, attempts: job.attempts, status: job.status }) })
+    const job = await queue.add('render', { animationId: 'a1' })
+
+    await queue.start()
+    await waitFor(async () => !(await queue.getJob(job.id)))
+
+    assert.deepEqual(seen, [{ payload: { animationId: 'a1' }, attempts: 1, status: 'active' }])
+    assert.deepEqual(queue.driver.pending, [])
+    assert.deepEqual(queue.driver.processing, [])
+  })
+
+  it('does not retry a job whose handler rejects', async () => {
+    let calls = 0
+    queue.process('render', async () => {
+      calls++
+      throw new Error('boom')
+    })
+    const job = await queue.add('render', {})
+
+    await queue.start()
+    await waitFor(async () => !(await queue.getJob(job.id)))
+    await sleep(30)
+
+    assert.equal(calls, 1)
+    assert.deepEqual(queue.driver.pending, [])
+  })
+
+  it('re-queues a job whose worker stopped heart-beating, and runs it again', async () => {
+    const job = await queue.add('render', {})
+    await queue.driver.dequeue()
+    await queue.driver.saveJob({ ...job, status: 'active', attempts: 1, workerId: 'dead:1', heartbeatAt: new Date(Date.now() - 5000).toISOString() })
+
+    await queue.recoverStaleJobs()
+
+    const recovered = await queue.getJob(job.id)
+    assert.equal(recovered.status, 'queued')
+    assert.equal(recovered.lastWorkerId, 'dead:1')
+    assert.deepEqual(queue.driver.pending, [job.id])
+    assert.deepEqual(queue.driver.processing, [])
+
+    const attempts = []
+    queue.process('render', async (running) => { attempts.push(running.attempts) })
+    await queue.start()
+    await waitFor(async () => !(await queue.getJob(job.id)))
+    assert.deepEqual(attempts, [2])
+  })
+
+  it('leaves jobs alone while their worker keeps heart-beating', async () => {
+    const job = await queue.add('render', {})
+    await queue.driver.dequeue()
+    await queue.driver.saveJob({ ...job, status: 'active', attempts: 1, heartbeatAt: new Date().toISOString() })
+
+    await queue.recoverStaleJobs()
+
+    assert.deepEqual(queue.driver.processing, [job.id])
+    assert.equal((await queue.getJob(job.id)).status, 'active')
+  })
+
+  it('gives up on a stale job that used all its attempts and calls onExhausted', async () => {
+    const exhausted = []
+    queue.process('render', async () => {}, {
+      onExhausted: async (job, error) => { exhausted.push({ id: job.id, message: error.message }) }
+    })
+    const job = await queue.add('render', {})
+    await queue.driver.dequeue()
+    await queue.driver.saveJob({ ...job, status: 'active', attempts: 3, heartbeatAt: new Date(Date.now() - 5000).toISOString() })
+
+    await queue.recoverStaleJobs()
+
+    assert.deepEqual(exhausted, [{ id: job.id, message: 'worker stopped responding 3 times while running the job' }])
+    assert.equal(await queue.getJob(job.id), null)
+    assert.deepEqual(queue.driver.pending, [])
+    assert.deepEqual(queue.driver.processing, [])
+  })
+
+  it('lets running jobs finish when stopped', async () => {
+    queue.process('render', () => sleep(50))
+    const job = await queue.add('render', {})
+    await queue.start()
+    await waitFor(() => queue.activeJobs.size === 1)
+
+    await queue.stop()
+
+    assert.equal(await queue.getJob(job.id), null)
+    assert.deepEqual(queue.driver.pending, [])
+    assert.deepEqual(queue.driver.processing, [])
+  })
+
+  it('re-queues jobs still running after the shutdown timeout', async () => {
+    queue.process('render', () => sleep(500))
+    const job = await queue.add('render', {})
+    await queue.start()
+    await waitFor(() => queue.activeJobs.size === 1)
+
+    const stoppedAt = Date.now()
+    await queue.stop()
+
+    assert.ok(Date.now() - stoppedAt < 450)
+    assert.deepEqual(queue.driver.pending, [job.id])
+    assert.deepEqual(queue.driver.processing, [])
+    // the handler finishing later must not complete the job another worker may have picked up
+    await sleep(500)
+    assert.notEqual(await queue.getJob(job.id), null)
+    assert.deepEqual(queue.driver.pending, [job.id])
+  })
+})
@@ -0,0 +1,111 @@
+// Runs against a real S3-compatible server, e.g. MinIO:
+//   docker run -p 9000:9000 minio/minio server /data
+//   S3_TEST_ENDPOINT=http://localhost:9000 npm test
+// and is skipped when S3_TEST_ENDPOINT is not set.
+const os = require('os')
+const path = require('path')
+const fs = require('fs').promises
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { S3Client, CreateBucketCommand, HeadBucketCommand, GetObjectTaggingCommand, HeadObjectCommand } = require('@aws-sdk/client-s3')
+const S3StorageDriver = require('../lib/storage/s3Driver')
+
+const endpoint = process.env.S3_TEST_ENDPOINT
+const options = {
+  bucket: process.env.S3_TEST_BUCKET || 'animations-test',
+  region: process.env.S3_TEST_REGION || 'us-east-1',
+  endpoint: endpoint,
+  forcePathStyle: true,
+  accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+  secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin'
+}
+
+describe('S3StorageDriver against an S3-compatible server', { skip: !endpoint && 'S3_TEST_ENDPOINT is not set' }, () => {
+  const prefix = `test-${process.pid}-${Date.now()}`
+  const key = `${prefix}/animations/a1/final video.mp4`
+  let driver
+  let client
+  let tempDir
+  let localPath
+
+  const visibilityTag = async (objectKey) => {
+    const { TagSet } = await client.send(new GetObjectTaggingCommand({ Bucket: options.bucket, Key: objectKey }))
+    return (TagSet.find(tag => tag.Key === 'visibility') || {}).Value
+  }
+
+  before(async () => {
+    driver = new S3StorageDriver(options)
+    client = driver.client
+    await client.send(new HeadBucketCommand({ Bucket: options.bucket })).catch(() => client.send(new CreateBucketCommand({ Bucket: options.bucket })))
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 's3-driver-'))
+    localPath = path.join(tempDir, 'video.mp4')
+    await fs.writeFile(localPath, 'not really a video')
+  })
+
+  after(async () => {
+    if (driver) await driver.delete(key).catch(() => {})
+    if (tempDir) await fs.rm(tempDir, { recursive: true, force: true })
+    if (client instanceof S3Client) client.destroy()
+  })
+
+  it('uploads a private object with its headers and a path-style URL', async () => {
+    const stored = await driver.upload(localPath, key, { contentType: 'video/mp4', cacheControl: 'private, no-store', public: false, fileSize: 18 })
+
+    assert.equal(stored.type, 's3')
+    assert.equal(stored.fileName, key)
+    assert.equal(stored.isPublic, false)
+    assert.equal(stored.publicUrl, `${endpoint.replace(/\/$/, '')}/${options.bucket}/${key.split('/').map(encodeURIComponent).join('/')}`)
+    assert.equal(await visibilityTag(key), 'private')
+
+    const head = await client.send(new HeadObjectCommand({ Bucket: options.bucket, Key: key }))
+    assert.equal(head.ContentType, 'video/mp4')
+    assert.equal(head.CacheControl, 'private, no-store')
+  })
+
+  it('reports the object through stat and exists', async () => {
+    const stat = await driver.stat(key)
+    assert.equal(stat.size, 18)
+    assert.equal(stat.contentType, 'video/mp4')
+    assert.ok(stat.updatedAt instanceof Date)
+    assert.equal(await driver.exists(key), true)
+    assert.equal(await driver.stat(`${prefix}/missing.mp4`), null)
+  })
+
+  it('signs URLs the server accepts', async () => {
+    const url = await driver.getSignedUrl(key, { expiresIn: 60, contentDisposition: 'attachment; filename="video.mp4"' })
+    const response = await fetch(url)
+
+    assert.equal(response.status, 200)
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="video.mp4"')
+    assert.equal(await response.text(), 'not really a video')
+  })
+
+  it('publishes and hides the object through its visibility tag', async () => {
+    assert.equal(await driver.setPublic(key, true), true)
+    assert.equal(await visibilityTag(key), 'public')
+    assert.equal(await driver.setPublic(key, false), false)
+    assert.equal(await visibilityTag(key), 'private')
+  })
+
+  it('rewrites Cache-Control keeping the content type and tags', async () => {
+    await driver.setPublic(key, true)
+    await driver.setCacheControl(key, 'public, max-age=60')
+
+    const head = await client.send(new HeadObjectCommand({ Bucket: options.bucket, Key: key }))
+    assert.equal(head.CacheControl, 'public, max-age=60')
+    assert.equal(head.ContentType, 'video/mp4')
+    assert.equal(await visibilityTag(key), 'public')
+  })
+
+  it('downloads the object', async () => {
+    const downloadPath = path.join(tempDir, 'downloaded.mp4')
+    await driver.download(key, downloadPath)
+    assert.equal(await fs.readFile(downloadPath, 'utf8'), 'not really a video')
+  })
+
+  it('deletes the object', async () => {
+    await driver.delete(key)
+    assert.equal(await driver.exists(key), false)
+  })
+})
@@ -0,0 +1,174 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const subtitleService = require('../services/animation/subtitleService')
+const { DEFAULT_SUBTITLE_STYLE } = require('../services/animation/subtitleStyles')
+
+// One timed word per entry of text, each 0.5 s long and 0.1 s apart
+const timedWords = (text, start = 0) => text.split(' ').map((word, index) => ({
+  text: word,
+  start: start + index * 0.6,
+  end: start + index * 0.6 + 0.5
+}))
+
+describe('subtitleService', () => {
+  before(() => ['log', 'warn'].forEach(method => mock.method(console, method, () => {})))
+  after(() => mock.restoreAll())
+
+  describe('buildCues', () => {
+    const sentence = { timing: 'sentence', style: DEFAULT_SUBTITLE_STYLE }
+
+    it('ends a cue at the end of every sentence', () => {
+      const cues = subtitleService.buildCues(timedWords('Rain is coming. Stay inside!'), sentence)
+      assert.deepEqual(cues.map(cue => cue.lines), [['Rain is coming.'], ['Stay inside!']])
+    })
+
+    it('splits a sentence that needs more than maxLines lines', () => {
+      const style = { ...DEFAULT_SUBTITLE_STYLE, maxLineLength: 12, maxLines: 2 }
+      const cues = subtitleService.buildCues(timedWords('the river rose over the old bridge last night'), { timing: 'sentence', style })
+
+      assert.deepEqual(cues.map(cue => cue.lines), [['the river', 'rose over'], ['the old', 'bridge last'], ['night']])
+      cues.forEach(cue => cue.lines.forEach(line => assert.ok(line.length <= 12)))
+    })
+
+    it('shows single lines with word timing', () => {
+      const style = { ...DEFAULT_SUBTITLE_STYLE, maxLineLength: 12, maxLines: 2 }
+      const cues = subtitleService.buildCues(timedWords('the river rose over the old bridge'), { timing: 'word', style })
+      cues.forEach(cue => assert.equal(cue.lines.length, 1))
+    })
+
+    it('times cues by their first and last word, closing short gaps and holding the last one', () => {
+      const words = [...timedWords('Rain is coming.'), ...timedWords('Stay inside.', 1.9), ...timedWords('Later.', 5)]
+      const cues = subtitleService.buildCues(words, sentence)
+
+      // 0.2 s between the first two cues is closed, the 2 s before the last one is not
+      assert.deepEqual(cues.map(cue => [cue.start, Number(cue.end.toFixed(2))]), [[0, 1.9], [1.9, 3], [5, 5.85]])
+    })
+  })
+
+  describe('wrapLines', () => {
+    it('wraps greedily and gives an overlong word its own line', () => {
+      assert.deepEqual(subtitleService.wrapLines('a bb ccc dddddddddd e', 6), ['a bb', 'ccc', 'dddddddddd', 'e'])
+    })
+  })
+
+  describe('mergeClipCues', () => {
+    it('moves clip cues onto the animation timeline, overlapping the transitions', () => {
+      const clips = [
+        { sceneNumber: 2, duration: 4, transition: { duration: 1 }, cues: [{ start: 1, end: 3, lines: ['two'] }] },
+        { sceneNumber: 1, duration: 5, cues: [{ start: 0.5, end: 6, lines: ['one'] }] }
+      ]
+      const cues = subtitleService.mergeClipCues(clips, 2)
+
+      assert.deepEqual(cues, [
+        // cut at the end of its clip
+        { start: 2.5, end: 7, lines: ['one'] },
+        // the second clip starts a second before the first ends
+        { start: 7, end: 9, lines: ['two'] }
+      ])
+    })
+  })
+
+  describe('SRT and WebVTT output', () => {
+    const cues = [
+      { start: 0, end: 1.5, lines: ['Rain is coming.'] },
+      { start: 3661.0016, end: 3662.25, lines: ['Stay', 'inside.'] }
+    ]
+
+    it('formats timestamps with milliseconds', () => {
+      assert.equal(subtitleService.formatTimestamp(3661.0016, ','), '01:01:01,002')
+      assert.equal(subtitleService.formatTimestamp(-1, '.'), '00:00:00.000')
+    })
+
+    it('writes numbered SRT cues', () => {
+      assert.equal(subtitleService.toSrt(cues), [
+        '1',
+        '00:00:00,000 --> 00:00:01,500',
+        'Rain is coming.',
+        '',
+        '2',
+        '01:01:01,002 --> 01:01:02,250',
+        'Stay',
+        'inside.',
+        ''
+      ].join('\n'))
+    })
+
+    it('writes WebVTT cues with the caption position as a cue setting', () => {
+      assert.equal(subtitleService.toVtt(cues), [
+        'WEBVTT',
+        '',
+        '00:00:00.000 --> 00:00:01.500',
+        'Rain is coming.',
+        '',
+        '01:01:01.002 --> 01:01:02.250',
+        'Stay',
+        'inside.',
+        ''
+      ].join('\n'))
+      assert.match(subtitleService.toVtt(cues, { ...DEFAULT_SUBTITLE_STYLE, position: 'top' }), /00:00:01\.500 line:5%\n/)
+    })
+  })
+
+  describe('mapWordTimings', () => {
+    const spoken = (text) => text.split(' ').map((word, index) => ({ word, start: index, end: index + 0.8 }))
+
+    it('matches words regardless of case and punctuation', () => {
+      assert.deepEqual(subtitleService.mapWordTimings(['Hello,', 'World!'], spoken('hello world')), [
+        { text: 'Hello,', start: 0, end: 0.8 },
+        { text: 'World!', start: 1, end: 1.8 }
+      ])
+    })
+
+    it('keeps a word after an unmatched one on its own timing', () => {
+      // the transcript heard an extra word, which an index ratio would smear over the rest
+      const words = subtitleService.mapWordTimings(['The', 'vote', 'passed.'], spoken('the uh vote passed'))
+      assert.deepEqual(words.map(word => [word.text, word.start]), [['The', 0], ['vote', 2], ['passed.', 3]])
+    })
+
+    it('spreads the spoken words of a gap over the script words in it', () => {
+      const words = subtitleService.mapWordTimings(['It', 'cost', '₹4,200', 'crore.'], spoken('it cost rupees four thousand two hundred crore'))
+      assert.deepEqual(words[2], { text: '₹4,200', start: 2, end: 6.8 })
+      assert.deepEqual(words[3], { text: 'crore.', start: 7, end: 7.8 })
+    })
+
+    it('fits a script word the transcript missed between its neighbours', () => {
+      const words = subtitleService.mapWordTimings(['A', 'B', 'C'], spoken('a c'))
+      assert.deepEqual(words.map(word => [word.text, word.start, Number(word.end.toFixed(2))]), [['A', 0, 0.8], ['B', 0.8, 1], ['C', 1, 1.8]])
+    })
+
+    it('falls back to positions when nothing matches', () => {
+      const words = subtitleService.mapWordTimings(['x', 'y'], spoken('p q r'))
+      assert.deepEqual(words, [{ text: 'x', start: 0, end: 0.8 }, { text: 'y', start: 1, end: 2.8 }])
+    })
+  })
+
+  describe('alignNarration', () => {
+    it('uses the transcript word timestamps', async (t) => {
+      subtitleService.options = { ...subtitleService.options, transcribe: true }
+      t.mock.method(subtitleService.openai.audio.transcriptions, 'create', async () => ({
+        words: [{ word: 'storm', start: 0.2, end: 0.6 }, { word: 'warning', start: 0.7, end: 1.3 }]
+      }))
+      t.mock.method(require('fs'), 'createReadStream', () => null)
+
+      const aligned = await subtitleService.alignNarration('/tmp/scene_1.mp3', 'Storm warning.')
+
+      assert.equal(aligned.source, 'transcription')
+      assert.deepEqual(aligned.words, [{ text: 'Storm', start: 0.2, end: 0.6 }, { text: 'warning.', start: 0.7, end: 1.3 }])
+    })
+
+    it('estimates the timings when transcription fails', async (t) => {
+      subtitleService.options = { ...subtitleService.options, transcribe: true }
+      t.mock.method(subtitleService.openai.audio.transcriptions, 'create', async () => { throw new Error('quota exceeded') })
+      t.mock.method(require('fs'), 'createReadStream', () => null)
+      t.mock.method(subtitleService, 'getDuration', async () => 2)
+
+      const aligned = await subtitleService.alignNarration('/tmp/scene_1.mp3', 'Storm warning.')
+
+      assert.equal(aligned.source, 'estimated')
+      assert.equal(aligned.words[0].start, 0)
+      assert.equal(aligned.words[1].end, 2)
+    })
+  })
+})
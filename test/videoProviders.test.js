@@ -0,0 +1,174 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key'
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const videoProviders = require('../services/animation/videoProviders')
+
+// A provider whose task succeeds unless told otherwise
+const fakeProvider = (name, overrides = {}) => ({
+  name,
+  remote: true,
+  pollInterval: 1,
+  isConfigured: () => true,
+  estimateCost: () => ({ amount: 0, currency: 'USD', billedSeconds: 5 }),
+  submit: async () => ({ taskId: `${name}-task` }),
+  poll: async () => ({ status: 'succeeded', videoUrl: `https://${name}.example.com/clip.mp4` }),
+  download: async (handle, result, outputPath) => outputPath,
+  ...overrides
+})
+
+describe('VideoProviderRegistry', () => {
+  let registry
+
+  // the registry logs every attempt and failure
+  before(() => ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {})))
+  after(() => mock.restoreAll())
+
+  beforeEach(() => {
+    registry = new videoProviders.constructor()
+    registry.providers.clear()
+    registry.limiters.clear()
+    registry.outcomes.clear()
+    registry.options = {
+      ...registry.options,
+      order: ['primary', 'secondary'],
+      localFallback: true,
+      pollTimeout: 200,
+      health: { window: 5, minSamples: 3, unhealthyBelow: 0.5, ttl: 60 * 1000 },
+      settings: {}
+    }
+    registry.fallbackProvider = 'local'
+    registry.register(fakeProvider('primary'))
+    registry.register(fakeProvider('secondary'))
+    registry.register(fakeProvider('local', { remote: false }))
+  })
+
+  describe('resolveOrder', () => {
+    it('follows the configured order and ends with the local fallback', () => {
+      assert.deepEqual(registry.resolveOrder(), ['primary', 'secondary', 'local'])
+    })
+
+    it('drops unknown, repeated and unconfigured providers', () => {
+      registry.register(fakeProvider('unconfigured', { isConfigured: () => false }))
+      assert.deepEqual(registry.resolveOrder(['secondary', 'unknown', 'unconfigured', 'secondary', 'primary']), ['secondary', 'primary', 'local'])
+    })
+
+    it('leaves the local fallback out when it is disabled and not requested', () => {
+      registry.options.localFallback = false
+      assert.deepEqual(registry.resolveOrder(), ['primary', 'secondary'])
+      assert.deepEqual(registry.resolveOrder(['local', 'primary']), ['primary', 'local'])
+    })
+
+    it('moves unhealthy providers behind the healthy ones', () => {
+      ;[false, false, false].forEach(ok => registry.recordOutcome('primary', ok))
+      assert.deepEqual(registry.resolveOrder(), ['secondary', 'primary', 'local'])
+    })
+  })
+
+  describe('healthScore', () => {
+    it('assumes a provider without enough recent samples is healthy', () => {
+      registry.recordOutcome('primary', false)
+      registry.recordOutcome('primary', false)
+      assert.equal(registry.healthScore('primary'), 1)
+      assert.equal(registry.isHealthy('primary'), true)
+    })
+
+    it('weights newer outcomes more', () => {
+      ;[true, false, false].forEach(ok => registry.recordOutcome('primary', ok))
+      ;[false, true, true].forEach(ok => registry.recordOutcome('secondary', ok))
+
+      assert.equal(registry.healthScore('primary'), 1 / 6)
+      assert.equal(registry.healthScore('secondary'), 5 / 6)
+      assert.equal(registry.isHealthy('primary'), false)
+      assert.equal(registry.isHealthy('secondary'), true)
+    })
+
+    it('keeps only the last window outcomes', () => {
+      ;[true, true, true, false, false, false, true, true].forEach(ok => registry.recordOutcome('primary', ok))
+      assert.equal(registry.outcomes.get('primary').length, 5)
+      assert.equal(registry.healthScore('primary'), 9 / 15)
+    })
+
+    it('forgets outcomes older than the ttl', () => {
+      ;[false, false, false].forEach(ok => registry.recordOutcome('primary', ok))
+      registry.outcomes.get('primary').forEach(outcome => { outcome.at -= 2 * 60 * 1000 })
+      assert.equal(registry.healthScore('primary'), 1)
+    })
+
+    it('reports the last failure in getHealth', () => {
+      registry.recordOutcome('primary', false, new Error('quota exceeded'))
+      registry.recordOutcome('primary', true)
+      const primary = registry.getHealth().find(health => health.name === 'primary')
+      assert.equal(primary.samples, 2)
+      assert.equal(primary.lastError, 'quota exceeded')
+      assert.ok(primary.lastFailureAt instanceof Date)
+    })
+  })
+
+  describe('generateVideo', () => {
+    const request = { sceneNumber: 1, duration: 5 }
+
+    it('returns the clip of the first provider that succeeds', async () => {
+      const result = await registry.generateVideo(request, { outputPath: '/tmp/scene_1.mp4' })
+
+      assert.equal(result.provider, 'primary')
+      assert.equal(result.videoPath, '/tmp/scene_1.mp4')
+      assert.equal(result.sourceUrl, 'https://primary.example.com/clip.mp4')
+      assert.deepEqual(registry.outcomes.get('primary').map(outcome => outcome.ok), [true])
+    })
+
+    it('falls back to the next provider when one fails, recording both outcomes', async () => {
+      registry.register(fakeProvider('primary', { submit: async () => { throw new Error('rejected image') } }))
+      registry.register(fakeProvider('secondary', { poll: async () => ({ status: 'failed', error: 'content policy' }) }))
+
+      const result = await registry.generateVideo(request, { outputPath: '/tmp/scene_1.mp4' })
+
+      assert.equal(result.provider, 'local')
+      assert.deepEqual(registry.outcomes.get('primary').map(outcome => outcome.error), ['rejected image'])
+      assert.deepEqual(registry.outcomes.get('secondary').map(outcome => outcome.error), ['content policy'])
+    })
+
+    it('tries only the requested providers', async () => {
+      const result = await registry.generateVideo(request, { providers: ['secondary'], outputPath: '/tmp/scene_1.mp4' })
+      assert.equal(result.provider, 'secondary')
+    })
+
+    it('rejects with every provider error when all of them fail', async () => {
+      const failing = { submit: async () => { throw new Error('down') } }
+      ;['primary', 'secondary', 'local'].forEach(name => registry.register(fakeProvider(name, failing)))
+
+      await assert.rejects(registry.generateVideo(request, { outputPath: '/tmp/scene_1.mp4' }), {
+        message: 'All video providers failed for scene 1 (primary: down; secondary: down; local: down)'
+      })
+    })
+
+    it('retries transient poll errors', async () => {
+      let polls = 0
+      registry.register(fakeProvider('primary', {
+        poll: async () => {
+          polls++
+          if (polls < 3) throw new Error('socket hang up')
+          return { status: 'succeeded' }
+        }
+      }))
+
+      const result = await registry.generateVideo(request, { outputPath: '/tmp/scene_1.mp4' })
+      assert.equal(result.provider, 'primary')
+      assert.equal(polls, 3)
+    })
+
+    it('cancels a task that exceeds the poll timeout and moves on', async () => {
+      const cancelled = []
+      registry.register(fakeProvider('primary', {
+        poll: async () => ({ status: 'pending' }),
+        cancel: async (handle) => { cancelled.push(handle.taskId) }
+      }))
+
+      const result = await registry.generateVideo(request, { outputPath: '/tmp/scene_1.mp4' })
+
+      assert.equal(result.provider, 'secondary')
+      assert.deepEqual(cancelled, ['primary-task'])
+      assert.match(registry.outcomes.get('primary')[0].error, /timed out after 200ms/)
+    })
+  })
+})
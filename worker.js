@@ -0,0 +1,45 @@
+// LOAD ENV FILE START ==================================================
+if (process.env.NODE_ENV === 'development') require('dotenv').config({ path: process.env.PWD + '/.env' })
+// LOAD ENV FILE END ====================================================
+
+// Dedicated job worker: runs queued animation jobs outside the HTTP process so
+// API restarts and deploys do not orphan in-flight generations.
+async function startWorker () {
+  if (process.env.USE_VAULT === 'true') await require('./lib/util/vault').run()
+  if (process.env.NODE_ENV === 'development') console.debug = function () {}
+  const __db = require('./lib/db')
+  const jobQueue = require('./lib/queue')
+  console.log('Loaded config environment : ' + process.env.NODE_ENV)
+  console.log((new Date()).toLocaleString() + '   >> Job Worker PID:', process.pid)
+
+  try {
+    await __db.init()
+  } catch (error) {
+    console.log('Error while worker start :: ', error)
+    process.exit(1)
+  }
+
+  require('./services/animation/animationJobService').registerHandlers()
+  await jobQueue.start()
+
+  const stopGraceFully = async () => {
+    await jobQueue.stop()
+    await __db.close()
+    console.log('worker is stopped')
+    process.exit(0)
+  }
+
+  process.on('SIGINT', () => {
+    console.log('SIGINT received')
+    stopGraceFully()
+  })
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received')
+    stopGraceFully()
+  })
+  process.on('uncaughtException', (err) => {
+    console.log('error :: inside ~function=startWorker. ##### WORKER CRASH ##### \n', err, '\n ########## END ##########')
+  })
+}
+
+startWorker()